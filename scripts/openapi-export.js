@@ -0,0 +1,67 @@
+#!/usr/bin/env node
+
+/**
+ * Export the product schemas enforced by the *-execute tools.
+ *
+ *   node scripts/openapi-export.js [--product midaz|...|all] [--format openapi|json-schema] [--out dir]
+ *
+ * Without --out the document is printed to stdout. With --out, OpenAPI
+ * exports are written as one `<product>.openapi.json` per product and the
+ * JSON Schema bundle as `<product>.schema.json`. Server URLs come from the
+ * usual configuration (environment variables or the Lerian config file).
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { configPromise } from '../src/config.js';
+import { EXPORT_FORMATS, exportJsonSchemaBundle, exportOpenApi } from '../src/products/openapi-export.js';
+
+function parseArgs(argv) {
+  const options = { product: 'all', format: 'openapi' };
+  for (let index = 0; index < argv.length; index += 1) {
+    if (argv[index].startsWith('--')) {
+      options[argv[index].slice(2)] = argv[index + 1];
+      index += 1;
+    }
+  }
+  return options;
+}
+
+function writeJson(outDir, fileName, document) {
+  const target = path.join(outDir, fileName);
+  fs.writeFileSync(target, `${JSON.stringify(document, null, 2)}\n`);
+  console.error(`✓ wrote ${target}`);
+}
+
+async function main() {
+  const options = parseArgs(process.argv.slice(2));
+  if (!EXPORT_FORMATS.includes(options.format)) {
+    throw new Error(`--format must be one of ${EXPORT_FORMATS.join(', ')}`);
+  }
+
+  const document = options.format === 'json-schema'
+    ? exportJsonSchemaBundle({ product: options.product })
+    : exportOpenApi({ product: options.product, config: await configPromise });
+
+  if (!options.out) {
+    console.log(JSON.stringify(document, null, 2));
+    return;
+  }
+
+  const outDir = path.resolve(options.out);
+  fs.mkdirSync(outDir, { recursive: true });
+  if (options.format === 'json-schema') {
+    writeJson(outDir, `${options.product}.schema.json`, document);
+  } else if (options.product === 'all') {
+    for (const [product, productDocument] of Object.entries(document.documents)) {
+      writeJson(outDir, `${product}.openapi.json`, productDocument);
+    }
+  } else {
+    writeJson(outDir, `${options.product}.openapi.json`, document);
+  }
+}
+
+main().then(() => process.exit(0)).catch((error) => {
+  console.error(`Error: ${error.message}`);
+  process.exit(1);
+});
@@ -0,0 +1,135 @@
+#!/usr/bin/env node
+
+/**
+ * Generate product schema modules from an OpenAPI/Swagger JSON file, or
+ * check the hand-written schemas for drift against one.
+ *
+ *   node scripts/openapi-import.js generate <spec.json> --product tracer [--out dir] [--component name] [--force]
+ *   node scripts/openapi-import.js drift <spec.json> --product tracer [--component name] [--json]
+ *
+ * `generate` never overwrites existing files unless --force is given, so it
+ * can be pointed at a product's schemas directory to add new resources only.
+ * `drift` exits with status 1 when the schemas and the spec disagree.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath, pathToFileURL } from 'url';
+import {
+  buildSchemasFromSpec,
+  checkSchemaDrift,
+  loadOpenApiSpec,
+  renderSchemaIndex,
+  renderSchemaModule
+} from '../src/products/openapi.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const productsDir = path.join(__dirname, '..', 'src', 'products');
+
+function parseArgs(argv) {
+  const [command, specPath, ...rest] = argv;
+  const options = { command, specPath };
+  for (let index = 0; index < rest.length; index += 1) {
+    const arg = rest[index];
+    if (arg === '--force' || arg === '--json') {
+      options[arg.slice(2)] = true;
+    } else if (arg.startsWith('--')) {
+      options[arg.slice(2)] = rest[index + 1];
+      index += 1;
+    }
+  }
+  return options;
+}
+
+function usage(message) {
+  if (message) {
+    console.error(`Error: ${message}\n`);
+  }
+  console.error('Usage:');
+  console.error('  node scripts/openapi-import.js generate <spec.json> --product <name> [--out dir] [--component name] [--force]');
+  console.error('  node scripts/openapi-import.js drift <spec.json> --product <name> [--component name] [--json]');
+  process.exit(2);
+}
+
+function productSchemasDir(product) {
+  if (!/^[a-z][a-z0-9-]*$/.test(product || '')) {
+    usage('--product is required, for example --product tracer');
+  }
+  return path.join(productsDir, product, 'schemas');
+}
+
+function generate(spec, options) {
+  const outDir = path.resolve(options.out || productSchemasDir(options.product));
+  const source = `${spec.info?.title || 'OpenAPI spec'} ${spec.info?.version || ''}`.trim();
+  const modules = buildSchemasFromSpec(spec, { component: options.component })
+    .map((schema) => renderSchemaModule(schema, { source }));
+
+  fs.mkdirSync(outDir, { recursive: true });
+  const files = [...modules, { fileName: 'index.js', source: renderSchemaIndex(modules) }];
+  for (const { fileName, source: content } of files) {
+    const target = path.join(outDir, fileName);
+    if (fs.existsSync(target) && !options.force) {
+      console.log(`- skipped ${target} (exists; use --force to overwrite)`);
+      continue;
+    }
+    fs.writeFileSync(target, content);
+    console.log(`✓ wrote ${target}`);
+  }
+  console.log(`\n${modules.length} resource module(s) generated from ${source}.`);
+}
+
+async function drift(spec, options) {
+  const indexPath = path.join(productSchemasDir(options.product), 'index.js');
+  if (!fs.existsSync(indexPath)) {
+    usage(`No schema registry for product "${options.product}" at ${indexPath}`);
+  }
+
+  const { getAllSchemas } = await import(pathToFileURL(indexPath).href);
+  const report = checkSchemaDrift(spec, getAllSchemas(), { component: options.component });
+
+  if (options.json) {
+    console.log(JSON.stringify(report, null, 2));
+    return report;
+  }
+
+  const { summary } = report;
+  console.log(`${options.product} schemas vs ${report.spec.title || 'spec'} ${report.spec.version || ''}`.trim());
+  console.log(`  ${summary.matched}/${summary.specOperations} spec operations matched, ${summary.schemaActions} schema actions checked\n`);
+
+  for (const endpoint of report.missingEndpoints) {
+    console.log(`+ missing   ${endpoint.method} ${endpoint.path} (suggested ${endpoint.suggested.resource}.${endpoint.suggested.action})`);
+  }
+  for (const endpoint of report.removedEndpoints) {
+    console.log(`- removed   ${endpoint.method} ${endpoint.path} (${endpoint.resource}.${endpoint.action})`);
+  }
+  for (const issue of report.fieldIssues) {
+    console.log(`~ ${issue.issue.padEnd(9)} ${issue.resource}.${issue.action} ${issue.location}: ${issue.message}`);
+  }
+
+  console.log(report.inSync ? '✓ No drift detected' : `\n✗ Drift detected: ${summary.missingEndpoints} missing, ${summary.removedEndpoints} removed, ${summary.fieldIssues} field issue(s)`);
+  return report;
+}
+
+async function main() {
+  const options = parseArgs(process.argv.slice(2));
+  if (!['generate', 'drift'].includes(options.command)) {
+    usage(options.command ? `Unknown command: ${options.command}` : null);
+  }
+  if (!options.specPath) {
+    usage('Path to an OpenAPI/Swagger JSON file is required');
+  }
+
+  const spec = loadOpenApiSpec(path.resolve(options.specPath));
+  if (options.command === 'generate') {
+    generate(spec, options);
+    return;
+  }
+
+  const report = await drift(spec, options);
+  process.exit(report.inSync ? 0 : 1);
+}
+
+main().catch((error) => {
+  console.error(`Error: ${error.message}`);
+  process.exit(2);
+});
@@ -0,0 +1,63 @@
+#!/usr/bin/env node
+
+/**
+ * Lerian mock backend - serves every live product API from memory.
+ *
+ *   lerian-mock-server [--port 4100] [--host 127.0.0.1] [--products midaz,tracer]
+ *                      [--token secret] [--api-key key] [--faults faults.json] [--latency 50]
+ *
+ * Products listen on consecutive ports starting at --port (0 picks free
+ * ports). The environment variables printed on startup point the MCP server
+ * at the mock.
+ */
+
+import fs from 'fs';
+import { createMockServer, MOCK_CONTROL_PREFIX, MOCK_PRODUCTS } from '../products/mock-server.js';
+
+function parseArgs(argv) {
+  const options = {};
+  for (let index = 0; index < argv.length; index += 1) {
+    if (argv[index].startsWith('--')) {
+      options[argv[index].slice(2)] = argv[index + 1];
+      index += 1;
+    }
+  }
+  return options;
+}
+
+async function main() {
+  const options = parseArgs(process.argv.slice(2));
+  const products = options.products ? options.products.split(',').map((product) => product.trim()).filter(Boolean) : MOCK_PRODUCTS;
+  const auth = options.token || options['api-key'] ? { token: options.token, apiKey: options['api-key'] } : null;
+  const faults = options.faults ? JSON.parse(fs.readFileSync(options.faults, 'utf8')) : [];
+
+  const server = createMockServer({
+    products,
+    host: options.host || '127.0.0.1',
+    basePort: options.port === undefined ? 4100 : Number(options.port),
+    auth,
+    faults: Array.isArray(faults) ? faults : faults.faults,
+    latencyMs: Number(options.latency) || 0
+  });
+  const urls = await server.start();
+
+  console.error('🧪 Lerian mock server running');
+  for (const [product, url] of Object.entries(urls)) {
+    console.error(`   ${product.padEnd(12)} ${url}  (control: ${url}${MOCK_CONTROL_PREFIX}/state)`);
+  }
+  console.error('\nPoint the MCP server at it with:');
+  for (const [name, value] of Object.entries(server.env())) {
+    console.log(`export ${name}=${value}`);
+  }
+
+  const shutdown = () => {
+    server.stop().then(() => process.exit(0));
+  };
+  process.on('SIGINT', shutdown);
+  process.on('SIGTERM', shutdown);
+}
+
+main().catch((error) => {
+  console.error(`Error: ${error.message}`);
+  process.exit(1);
+});
@@ -16,10 +16,10 @@ export const PRODUCT_REGISTRY = {
     currentMcpSupport: [
       'Portfolio discovery, docs, learning, and search via lerian',
       'Live schema discovery via midaz-discover',
-      'Live generic API execution via midaz-execute'
+      'Live generic API execution via midaz-execute',
+      'Local transaction DSL validation and generation via midaz-dsl'
     ],
     targetMcpSupport: [
-      'Transaction DSL validation and generation',
       'Operational diagnostics and incident workflows',
       'Richer typed actions over ledger and CRM surfaces'
     ]
@@ -12,6 +12,10 @@ export const SERVER_VERSION = packageMetadata.version || '0.0.0';
 
 const nestedConfigKeys = [
     'server',
+    'auth',
+    'policy',
+    'approvals',
+    'workflowSessions',
     'midazApi',
     'fetcherApi',
     'reporterApi',
@@ -25,7 +29,45 @@ const defaultConfig = {
     server: {
         name: 'lerian-mcp-server',
         version: SERVER_VERSION,
-        description: 'Lerian MCP Server - Portfolio Docs, Learning, Live API & Workflows'
+        description: 'Lerian MCP Server - Portfolio Docs, Learning, Live API & Workflows',
+        transport: 'stdio',
+        httpHost: '127.0.0.1',
+        httpPort: 3333,
+        httpPath: '/mcp',
+        allowRemoteConnections: false,
+        maxHttpSessions: 100,
+        httpSessionIdleTimeoutMs: 30 * 60 * 1000,
+    },
+    auth: {
+        enabled: false,
+        required: true,
+        apiKeys: [],
+        jwt: {
+            jwksPath: '',
+            issuer: '',
+            audience: '',
+            algorithms: ['RS256', 'ES256', 'EdDSA'],
+            userIdClaim: 'sub',
+            scopesClaim: 'scope',
+            clockToleranceSec: 30,
+        },
+    },
+    // Action policy: global/per-product readOnly plus per-product allow/deny lists (see src/products/policy.js)
+    policy: {
+        readOnly: false,
+        products: {},
+    },
+    // Approval queue for schema actions flagged requiresApproval (see src/products/approvals.js)
+    approvals: {
+        enabled: true,
+        queueAnonymous: false,
+        ttlMs: 86400000,
+        storePath: '',
+    },
+    // portfolio-workflow session storage: memory, file, or sqlite (see src/workflows/session-backends.js)
+    workflowSessions: {
+        store: 'memory',
+        path: '',
     },
     docsUrl: 'https://docs.lerian.studio',
     logLevel: 'info',
@@ -37,6 +79,7 @@ const defaultConfig = {
         crmUrl: 'http://localhost:3002',
         ledgerUrl: 'http://localhost:3003',
         authToken: '',
+        maxDownloadBytes: 10485760,
         timeout: 30000,
     },
     fetcherApi: {
@@ -73,6 +116,11 @@ const defaultConfig = {
         authToken: '',
         timeout: 30000,
     },
+    // Named profiles ({ sandbox: { midazApi: {...} }, ... }) merged over the product blocks per call
+    defaultEnvironment: '',
+    environments: {},
+    // Directory of declarative YAML/JSON workflow definitions (see src/workflows/declarative.js)
+    workflowsDir: '',
 };
 
 // Config file locations to try (in order of preference)
@@ -126,6 +174,25 @@ function mergeConfig(...sources) {
     return merged;
 }
 
+/**
+ * Parse LERIAN_MCP_API_KEYS ("userId:key,userId2:key2") into auth.apiKeys entries
+ * @param {string} value - Comma-separated userId:key pairs
+ * @returns {Array<Object>} API key entries
+ */
+function parseApiKeysEnv(value) {
+    return String(value)
+        .split(',')
+        .map((pair) => pair.trim())
+        .filter(Boolean)
+        .map((pair) => {
+            const separator = pair.indexOf(':');
+            return separator > 0
+                ? { userId: pair.slice(0, separator), key: pair.slice(separator + 1) }
+                : null;
+        })
+        .filter((entry) => entry && entry.key);
+}
+
 /**
  * Parse command line arguments
  * @returns {Object} Config values from command line arguments
@@ -175,6 +242,18 @@ function parseCommandLineArgs() {
         configFromArgs.consoleLogs = parsedArgs['console-logs'] === 'true' || parsedArgs['console-logs'] === true;
     }
 
+    const serverArgs = {
+        ...(parsedArgs.transport && { transport: String(parsedArgs.transport) }),
+        ...(parsedArgs.host && { httpHost: String(parsedArgs.host) }),
+        ...(parsedArgs.port && { httpPort: parseInt(parsedArgs.port, 10) }),
+        ...(parsedArgs.path && { httpPath: String(parsedArgs.path) }),
+        ...(parsedArgs['allow-remote'] !== undefined && { allowRemoteConnections: parsedArgs['allow-remote'] === 'true' || parsedArgs['allow-remote'] === true }),
+    };
+
+    if (Object.keys(serverArgs).length > 0) {
+        configFromArgs.server = serverArgs;
+    }
+
     if (parsedArgs.config || parsedArgs['config-file']) {
         // This doesn't directly affect the config object,
         // but will be used to load configuration from a specific file
@@ -229,8 +308,53 @@ async function loadConfig() {
         ...((process.env.LERIAN_DETAILED_LOGS ?? process.env.DETAILED_LOGS) !== undefined && { detailedLogs: (process.env.LERIAN_DETAILED_LOGS ?? process.env.DETAILED_LOGS) === 'true' }),
         ...((process.env.LERIAN_CONSOLE_LOGS ?? process.env.CONSOLE_LOGS) !== undefined && { consoleLogs: (process.env.LERIAN_CONSOLE_LOGS ?? process.env.CONSOLE_LOGS) === 'true' }),
         ...(process.env.MIDAZ_LOG_LEVEL && { logLevel: process.env.MIDAZ_LOG_LEVEL }),
+        ...(process.env.LERIAN_WORKFLOWS_DIR && { workflowsDir: process.env.LERIAN_WORKFLOWS_DIR }),
+    };
+
+    const serverEnv = {
+        ...(process.env.LERIAN_MCP_TRANSPORT && { transport: process.env.LERIAN_MCP_TRANSPORT }),
+        ...(process.env.LERIAN_MCP_HTTP_HOST && { httpHost: process.env.LERIAN_MCP_HTTP_HOST }),
+        ...(process.env.LERIAN_MCP_HTTP_PORT && { httpPort: parseInt(process.env.LERIAN_MCP_HTTP_PORT, 10) }),
+        ...(process.env.LERIAN_MCP_HTTP_PATH && { httpPath: process.env.LERIAN_MCP_HTTP_PATH }),
+        ...(process.env.LERIAN_MCP_ALLOW_REMOTE !== undefined && { allowRemoteConnections: process.env.LERIAN_MCP_ALLOW_REMOTE === 'true' }),
     };
 
+    if (Object.keys(serverEnv).length > 0) {
+        envConfig.server = { ...defaultConfig.server, ...serverEnv };
+    }
+
+    const authEnv = {
+        ...(process.env.LERIAN_MCP_AUTH_ENABLED !== undefined && { enabled: process.env.LERIAN_MCP_AUTH_ENABLED === 'true' }),
+        ...(process.env.LERIAN_MCP_API_KEYS && { apiKeys: parseApiKeysEnv(process.env.LERIAN_MCP_API_KEYS) }),
+    };
+
+    const jwtEnv = {
+        ...(process.env.LERIAN_MCP_JWKS_PATH && { jwksPath: process.env.LERIAN_MCP_JWKS_PATH }),
+        ...(process.env.LERIAN_MCP_JWT_ISSUER && { issuer: process.env.LERIAN_MCP_JWT_ISSUER }),
+        ...(process.env.LERIAN_MCP_JWT_AUDIENCE && { audience: process.env.LERIAN_MCP_JWT_AUDIENCE }),
+    };
+
+    if (Object.keys(jwtEnv).length > 0) {
+        authEnv.jwt = { ...defaultConfig.auth.jwt, ...jwtEnv };
+    }
+
+    if (Object.keys(authEnv).length > 0) {
+        envConfig.auth = { ...defaultConfig.auth, ...authEnv };
+    }
+
+    const workflowSessionsEnv = {
+        ...(process.env.LERIAN_WORKFLOW_SESSION_STORE && { store: process.env.LERIAN_WORKFLOW_SESSION_STORE }),
+        ...(process.env.LERIAN_WORKFLOW_SESSION_PATH && { path: process.env.LERIAN_WORKFLOW_SESSION_PATH }),
+    };
+
+    if (Object.keys(workflowSessionsEnv).length > 0) {
+        envConfig.workflowSessions = { ...defaultConfig.workflowSessions, ...workflowSessionsEnv };
+    }
+
+    if (process.env.LERIAN_MCP_READ_ONLY !== undefined) {
+        envConfig.policy = { ...defaultConfig.policy, readOnly: process.env.LERIAN_MCP_READ_ONLY === 'true' };
+    }
+
     const midazEnv = {
         ...(process.env.MIDAZ_ONBOARDING_URL && { onboardingUrl: process.env.MIDAZ_ONBOARDING_URL }),
         ...(process.env.MIDAZ_TRANSACTION_URL && { transactionUrl: process.env.MIDAZ_TRANSACTION_URL }),
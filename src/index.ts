@@ -4,17 +4,23 @@ import { McpServer } from '@modelcontextprotocol/sdk/server/mcp.js';
 // Node.js globals
 declare const process: any;
 import { StdioServerTransport } from '@modelcontextprotocol/sdk/server/stdio.js';
+import { startHttpTransport, HTTP_TRANSPORT_MODES } from './util/http-transport.js';
 import { initializeSecurity } from './util/security.js';
+import { createAuthenticator } from './util/auth.js';
 import { initializeManifest } from './util/docs-manifest.js';
 import { initializeMcpLogger, createLogger, logLifecycleEvent, logConfigEvent, logLoggingConfig } from './util/mcp-logging.js';
 import { globalErrorMonitor, trackAsyncOperation, ErrorSeverity } from './util/error-monitoring.js';
 import { initializeSecrets, displaySecretsInfo } from './util/secret-manager.js';
-import { SERVER_VERSION } from './config.js';
+import { getRegisteredToolNames } from './util/mcp-registration.js';
+import config, { SERVER_VERSION } from './config.js';
 
 // Import THE unified Lerian tool (all products, all operations in ONE tool)
 import { registerLerianTool } from './tools/lerian.js';
 import { registerProductAdapters } from './products/index.js';
 import { registerPortfolioWorkflowTool } from './tools/portfolio-workflow.js';
+import { registerApprovalsTool } from './tools/lerian-approvals.js';
+import { registerAuditTool } from './tools/lerian-audit.js';
+import { registerBatchTool } from './tools/lerian-batch.js';
 
 // Import discovery prompts
 import { registerDiscoveryPrompts } from './prompts/tool-discovery.js';
@@ -24,7 +30,46 @@ import { registerAdvancedPrompts } from './prompts/advanced-workflows.js';
 // Resources completely removed - no subscription handlers needed
 
 // Import client detection system
-import { initializeClientDetection } from './util/client-integration.js';
+import { initializeClientDetection, ClientIntegrationManager } from './util/client-integration.js';
+
+const serverConfig: any = (config as any).server || {};
+
+const instructions = [
+  'Use the lerian tool for portfolio discovery, documentation, learning, SDK examples, and search.',
+  'Use the matching <product>-discover tool before calling any <product>-execute tool.',
+  'Live execute tools may call external Lerian services; mutating actions require confirmMutation=true and a mutationReason.',
+  'Use portfolio-workflow for cross-product flows and keep the returned sessionToken private.'
+].join(' ');
+
+/**
+ * Build a fully registered MCP server instance.
+ *
+ * stdio uses a single instance; HTTP transports call this once per MCP session
+ * so each connected client gets isolated protocol state.
+ */
+const createLerianServer = () => {
+  // Tools and prompts are advertised by SDK registration;
+  // constructor capabilities are for server-level protocol features like logging.
+  const server = new McpServer({
+    name: 'lerian-mcp-server',
+    version: SERVER_VERSION
+  }, {
+    capabilities: { logging: {} },
+    instructions
+  });
+
+  registerLerianTool(server);
+  registerPortfolioWorkflowTool(server);
+  registerApprovalsTool(server);
+  registerAuditTool(server);
+  registerBatchTool(server);
+  const registeredProductAdapters = registerProductAdapters(server);
+  registerDiscoveryPrompts(server);
+  registerWorkflowPrompts(server);
+  registerAdvancedPrompts(server);
+
+  return { server, registeredProductAdapters, toolNames: getRegisteredToolNames(server) };
+};
 
 /**
  * Create an MCP server for Lerian
@@ -66,59 +111,73 @@ const main = async () => {
       logging: {}
     };
 
-    const instructions = [
-      'Use the lerian tool for portfolio discovery, documentation, learning, SDK examples, and search.',
-      'Use the matching <product>-discover tool before calling any <product>-execute tool.',
-      'Live execute tools may call external Lerian services; mutating actions require confirmMutation=true and a mutationReason.',
-      'Use portfolio-workflow for cross-product flows and keep the returned sessionToken private.'
-    ].join(' ');
-
-    // Create the MCP server. Tools and prompts are advertised by SDK registration;
-    // constructor capabilities are for server-level protocol features like logging.
-    const server = new McpServer({
-      name: 'lerian-mcp-server',
-      version: SERVER_VERSION
-    }, {
-      capabilities: { logging: {} },
-      instructions
-    });
+    const transportMode = String(serverConfig.transport || 'stdio').toLowerCase();
+    if (transportMode !== 'stdio' && !HTTP_TRANSPORT_MODES.includes(transportMode)) {
+      throw new Error(`Unsupported transport "${transportMode}". Use one of: stdio, ${HTTP_TRANSPORT_MODES.join(', ')}`);
+    }
 
-    // Initialize MCP logger
-    initializeMcpLogger(server);
-    logLoggingConfig();
     const logger = createLogger('server');
+    let server: any = null;
+    let httpHandle: any = null;
+    let registeredProductAdapters: any[] = [];
+    let toolNames: string[] = [];
+
+    if (transportMode === 'stdio') {
+      ({ server, registeredProductAdapters, toolNames } = createLerianServer());
+
+      // Initialize MCP logger. HTTP sessions skip this so one caller never
+      // receives log notifications produced by another caller's session.
+      initializeMcpLogger(server);
+    } else {
+      ({ registeredProductAdapters, toolNames } = createLerianServer());
+    }
+    logLoggingConfig();
 
     // Log startup (to logger only, not console during MCP startup)
-    logLifecycleEvent('starting', { version: SERVER_VERSION, capabilities });
-    logger.info('Server initialization started', { version: SERVER_VERSION });
+    logLifecycleEvent('starting', { version: SERVER_VERSION, capabilities, transport: transportMode });
+    logger.info('Server initialization started', { version: SERVER_VERSION, transport: transportMode });
 
-    registerLerianTool(server);
-    logger.info('Unified Lerian tool registered');
-
-    registerPortfolioWorkflowTool(server);
-    logger.info('Portfolio workflow tool registered');
-
-    const registeredProductAdapters = registerProductAdapters(server);
     for (const adapter of registeredProductAdapters) {
       logger.info(`${adapter.id} live product adapter registered`, { tools: adapter.liveToolNames });
     }
 
-    registerDiscoveryPrompts(server);
-    logger.info('Discovery prompts registered');
-
-    registerWorkflowPrompts(server);
-    logger.info('Workflow prompts registered');
+    logger.info(`Total tools: ${toolNames.length} (${toolNames.join(', ')})`);
 
-    registerAdvancedPrompts(server);
-    logger.info('Advanced prompts registered');
+    if (transportMode === 'stdio') {
+      // Connect to stdio transport
+      const transport = new StdioServerTransport();
 
-    const totalToolNames = ['lerian', 'portfolio-workflow', ...registeredProductAdapters.flatMap((adapter) => adapter.liveToolNames)];
-    logger.info(`Total tools: ${totalToolNames.length} (${totalToolNames.join(', ')})`);
-
-    // Connect to stdio transport
-    const transport = new StdioServerTransport();
+      await server.connect(transport);
+    } else {
+      const authenticate = createAuthenticator((config as any).auth);
+      if (!authenticate && serverConfig.allowRemoteConnections === true) {
+        logger.warning('Remote HTTP connections are allowed without authentication; enable auth.apiKeys or auth.jwt');
+      }
 
-    await server.connect(transport);
+      // Each HTTP session gets its own client detection state
+      const sessionClients = new Map<string, any>();
+      httpHandle = await startHttpTransport({
+        mode: transportMode,
+        host: serverConfig.httpHost,
+        port: serverConfig.httpPort,
+        path: serverConfig.httpPath,
+        allowRemote: serverConfig.allowRemoteConnections === true,
+        maxSessions: serverConfig.maxHttpSessions,
+        sessionIdleTimeoutMs: serverConfig.httpSessionIdleTimeoutMs,
+        authenticate: authenticate || undefined,
+        createServer: () => createLerianServer().server,
+        onSessionStarted: async (sessionServer: any, connectionInfo: any, sessionId: string) => {
+          const manager = new ClientIntegrationManager();
+          sessionClients.set(sessionId, manager);
+          const sessionClient = await initializeClientDetection(sessionServer, connectionInfo, manager);
+          logger.info('Client detected for HTTP session', { sessionId, client: sessionClient.client.name });
+        },
+        onSessionClosed: (sessionId: string) => {
+          sessionClients.get(sessionId)?.reset();
+          sessionClients.delete(sessionId);
+        }
+      });
+    }
 
     // Graceful shutdown handling
     let isShuttingDown = false;
@@ -144,8 +203,12 @@ const main = async () => {
         // Flush metrics before closing
         globalErrorMonitor.stopPeriodicFlush();
 
-        // Close the MCP server connection (waits for in-flight requests)
-        await server.close();
+        // Close the MCP server connection(s) (waits for in-flight requests)
+        if (httpHandle) {
+          await httpHandle.close();
+        } else {
+          await server.close();
+        }
 
         // Clear timeout if shutdown completes successfully
         clearTimeout(shutdownTimeout);
@@ -166,17 +229,23 @@ const main = async () => {
     process.on('SIGTERM', () => gracefulShutdown('SIGTERM'));
     process.on('SIGINT', () => gracefulShutdown('SIGINT'));
 
-    // Initialize client detection system AFTER connecting to avoid race conditions
-    const clientContext = await initializeClientDetection(server);
-    logger.info('Client detected and configured', {
-      client: clientContext.client.name,
-      capabilities: Object.keys(clientContext.capabilities).length
-    });
+    // Initialize client detection system AFTER connecting to avoid race conditions.
+    // HTTP transports detect the client per session in onSessionStarted instead.
+    let clientName = 'per-session';
+    if (server) {
+      const clientContext = await initializeClientDetection(server);
+      clientName = clientContext.client.name;
+      logger.info('Client detected and configured', {
+        client: clientContext.client.name,
+        capabilities: Object.keys(clientContext.capabilities).length
+      });
+    }
 
     // Log internally only - no console output to keep stdio clean
     logLifecycleEvent('started', {
-      transport: 'stdio',
-      client: clientContext.client.name,
+      transport: transportMode,
+      client: clientName,
+      ...(httpHandle ? { port: httpHandle.address?.port } : {}),
       timestamp: new Date().toISOString()
     });
     logger.info('Server ready to accept requests');
@@ -185,7 +254,7 @@ const main = async () => {
     displaySecretsInfo();
   }, {
     version: SERVER_VERSION,
-    transport: 'stdio'
+    transport: serverConfig.transport || 'stdio'
   });
 };
 
@@ -1,4 +1,4 @@
-export function createProductAdapter({ id, name, liveToolNames, tools, registerTools }) {
+export function createProductAdapter({ id, name, liveToolNames, tools, getSchemas, registerTools }) {
   const normalizedTools = Array.isArray(tools)
     ? tools.map((tool) => ({ ...tool, product: tool.product || id }))
     : [];
@@ -10,8 +10,9 @@ export function createProductAdapter({ id, name, liveToolNames, tools, registerT
       ? [...liveToolNames]
       : normalizedTools.map((tool) => tool.name),
     tools: normalizedTools,
-    registerTools(server) {
-      registerTools(server);
+    getSchemas: getSchemas || (() => []),
+    registerTools(server, registration = {}) {
+      registerTools(server, registration);
     }
   };
 }
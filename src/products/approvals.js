@@ -0,0 +1,263 @@
+import crypto from 'crypto';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { configPromise } from '../config.js';
+import { createAuditLog } from '../util/security.js';
+import { withFileLock } from '../util/file-lock.js';
+
+/**
+ * Pending-approval queue for high-risk mutations.
+ *
+ * Actions flagged `requiresApproval` in their schema are not executed by the
+ * execute tool. The fully resolved request is stored on disk instead and an
+ * approval ID is returned. A different caller then approves (which runs the
+ * stored request) or rejects it through the `lerian-approvals` tool. Entries
+ * expire after `ttlMs`; every transition is written to the audit log.
+ *
+ * A requester without an identity (stdio, or HTTP without authentication)
+ * resolves to 'anonymous' and could never be told apart from an approver, so
+ * their flagged actions run directly unless `queueAnonymous` is set, in which
+ * case an identified caller must approve them. Writers hold a lock file next
+ * to the store, so several server processes can share it.
+ */
+
+export const DEFAULT_APPROVAL_POLICY = {
+  enabled: true,
+  queueAnonymous: false,
+  ttlMs: 24 * 60 * 60 * 1000,
+  storePath: path.join(os.homedir(), '.lerian', 'approvals.json'),
+  maxEntries: 200
+};
+
+export const APPROVAL_STATUSES = ['pending', 'approved', 'rejected', 'executed', 'failed', 'expired'];
+
+function toPositiveInteger(value, fallback) {
+  const parsed = Number(value);
+  return Number.isFinite(parsed) && parsed > 0 ? Math.floor(parsed) : fallback;
+}
+
+export function resolveApprovalPolicy(config) {
+  const source = config?.approvals;
+  if (source === false) {
+    return { ...DEFAULT_APPROVAL_POLICY, enabled: false };
+  }
+
+  const options = source && typeof source === 'object' ? source : {};
+  return {
+    enabled: options.enabled !== false,
+    queueAnonymous: options.queueAnonymous === true,
+    ttlMs: toPositiveInteger(options.ttlMs, DEFAULT_APPROVAL_POLICY.ttlMs),
+    storePath: options.storePath ? path.resolve(String(options.storePath)) : DEFAULT_APPROVAL_POLICY.storePath,
+    maxEntries: toPositiveInteger(options.maxEntries, DEFAULT_APPROVAL_POLICY.maxEntries)
+  };
+}
+
+function readEntries(storePath) {
+  try {
+    const parsed = JSON.parse(fs.readFileSync(storePath, 'utf8'));
+    return Array.isArray(parsed?.approvals) ? parsed.approvals : [];
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return [];
+    }
+    throw new Error(`Approval store ${storePath} could not be read: ${error.message}`);
+  }
+}
+
+function writeEntries(storePath, entries) {
+  const tempPath = `${storePath}.${process.pid}.tmp`;
+  fs.writeFileSync(tempPath, JSON.stringify({ approvals: entries }, null, 2), { mode: 0o600 });
+  fs.renameSync(tempPath, storePath);
+}
+
+function audit(type, entry, user, extra = {}) {
+  createAuditLog({
+    type,
+    approvalId: entry.id,
+    product: entry.product,
+    resource: entry.resource,
+    action: entry.action,
+    user,
+    ...extra
+  });
+}
+
+/**
+ * Load the store, marking overdue pending entries as expired and dropping the
+ * oldest finished entries beyond `maxEntries`.
+ */
+function loadEntries(policy) {
+  const now = Date.now();
+  let changed = false;
+  const entries = readEntries(policy.storePath).map((entry) => {
+    if (entry.status === 'pending' && Date.parse(entry.expiresAt) <= now) {
+      changed = true;
+      audit('approval_expired', entry, 'system');
+      return { ...entry, status: 'expired', decidedAt: new Date(now).toISOString() };
+    }
+    return entry;
+  });
+
+  const overflow = entries.length - policy.maxEntries;
+  if (overflow > 0) {
+    const removable = entries.filter((entry) => entry.status !== 'pending').slice(0, overflow).map((entry) => entry.id);
+    changed = changed || removable.length > 0;
+    return { entries: entries.filter((entry) => !removable.includes(entry.id)), changed };
+  }
+
+  return { entries, changed };
+}
+
+async function withStore(update) {
+  const policy = resolveApprovalPolicy(await configPromise);
+  fs.mkdirSync(path.dirname(policy.storePath), { recursive: true, mode: 0o700 });
+  return withFileLock(`${policy.storePath}.lock`, () => {
+    const { entries, changed } = loadEntries(policy);
+    const { result, dirty } = update(entries, policy);
+    if (changed || dirty) {
+      writeEntries(policy.storePath, entries);
+    }
+    return result;
+  });
+}
+
+function summarize(entry) {
+  return {
+    approvalId: entry.id,
+    status: entry.status,
+    product: entry.product,
+    resource: entry.resource,
+    action: entry.action,
+    method: entry.method,
+    path: entry.path,
+    mutationReason: entry.request?.mutationReason || null,
+    environment: entry.request?.environment || null,
+    requestedBy: entry.requestedBy,
+    requestedAt: entry.requestedAt,
+    expiresAt: entry.expiresAt,
+    decidedBy: entry.decidedBy || null,
+    decidedAt: entry.decidedAt || null,
+    decisionReason: entry.decisionReason || null
+  };
+}
+
+function findEntry(entries, approvalId) {
+  const entry = entries.find((candidate) => candidate.id === approvalId);
+  if (!entry) {
+    throw new Error(`Unknown approval "${approvalId}". Use lerian-approvals with intent="list" to see pending approvals.`);
+  }
+  return entry;
+}
+
+/**
+ * Route a flagged action through the queue.
+ *
+ * Returns null when the action can run now: approvals are disabled, the
+ * requester is anonymous and `queueAnonymous` is off, or `approvalId` names an approved entry for this exact product action. Otherwise
+ * records a pending entry and returns the response the execute tool sends back.
+ */
+export async function gateApproval({ product, resolved, request, requestedBy, approvalId }) {
+  if (!resolved.requiresApproval) {
+    return null;
+  }
+
+  const policy = resolveApprovalPolicy(await configPromise);
+  const anonymous = !requestedBy || requestedBy === 'anonymous';
+  if (!policy.enabled || (anonymous && !policy.queueAnonymous)) {
+    return null;
+  }
+
+  if (approvalId) {
+    const entry = findEntry(loadEntries(policy).entries, approvalId);
+    if (entry.status !== 'approved' || entry.product !== product || entry.resource !== resolved.resource || entry.action !== resolved.action) {
+      throw new Error(`Approval "${approvalId}" does not authorize ${product} ${resolved.resource}.${resolved.action} (status: ${entry.status}).`);
+    }
+    return null;
+  }
+
+  return withStore((entries) => {
+    const requestedAt = new Date();
+    const entry = {
+      id: crypto.randomUUID(),
+      status: 'pending',
+      product,
+      resource: resolved.resource,
+      action: resolved.action,
+      method: resolved.method,
+      path: resolved.pathTemplate,
+      request,
+      requestedBy: requestedBy || 'anonymous',
+      requestedAt: requestedAt.toISOString(),
+      expiresAt: new Date(requestedAt.getTime() + policy.ttlMs).toISOString()
+    };
+    entries.push(entry);
+    audit('approval_requested', entry, entry.requestedBy, { mutationReason: request?.mutationReason || null });
+
+    return {
+      dirty: true,
+      result: {
+        ...summarize(entry),
+        status: 'pending-approval',
+        message: `${product} ${resolved.resource}.${resolved.action} requires approval by a different caller before it runs. ` +
+          `Ask an approver to call lerian-approvals with intent="approve" and approvalId="${entry.id}".`
+      }
+    };
+  });
+}
+
+export async function listApprovals({ status } = {}) {
+  return withStore((entries) => ({
+    dirty: false,
+    result: entries.filter((entry) => !status || entry.status === status).map(summarize)
+  }));
+}
+
+export async function getApproval(approvalId) {
+  return withStore((entries) => {
+    const entry = findEntry(entries, approvalId);
+    return { dirty: false, result: { ...summarize(entry), request: entry.request, outcome: entry.outcome || null } };
+  });
+}
+
+/**
+ * Approve or reject a pending entry. The decider must be an identified caller
+ * other than the requester; 'anonymous' could be anyone with a local server
+ * on the shared store. Returns the updated summary together with the stored
+ * request.
+ */
+export async function decideApproval(approvalId, { decision, decidedBy, reason }) {
+  return withStore((entries) => {
+    const entry = findEntry(entries, approvalId);
+    if (entry.status !== 'pending') {
+      throw new Error(`Approval "${approvalId}" is ${entry.status}; only pending approvals can be decided.`);
+    }
+    if (!decidedBy || decidedBy === 'anonymous') {
+      throw new Error(`Approval "${approvalId}" must be decided by an identified caller; anonymous callers cannot approve or reject requests.`);
+    }
+    if (decidedBy === entry.requestedBy) {
+      throw new Error(`Approval "${approvalId}" must be decided by a different caller than the requester (${entry.requestedBy}).`);
+    }
+
+    entry.status = decision === 'approve' ? 'approved' : 'rejected';
+    entry.decidedBy = decidedBy;
+    entry.decidedAt = new Date().toISOString();
+    entry.decisionReason = reason || null;
+    audit(decision === 'approve' ? 'approval_approved' : 'approval_rejected', entry, decidedBy, { reason: entry.decisionReason });
+
+    return { dirty: true, result: { ...summarize(entry), request: entry.request } };
+  });
+}
+
+/**
+ * Record the outcome of running an approved request so it cannot run twice.
+ */
+export async function completeApproval(approvalId, { error } = {}) {
+  return withStore((entries) => {
+    const entry = findEntry(entries, approvalId);
+    entry.status = error ? 'failed' : 'executed';
+    entry.outcome = { completedAt: new Date().toISOString(), error: error ? error.message : null };
+    audit(error ? 'approval_failed' : 'approval_executed', entry, entry.decidedBy, { error: entry.outcome.error });
+    return { dirty: true, result: summarize(entry) };
+  });
+}
@@ -0,0 +1,321 @@
+import { MAX_MUTATION_REASON_LENGTH, describeMutationRequest, isMutationMethod } from './http-helpers.js';
+import { PRODUCT_ROUTERS } from './routers.js';
+
+/**
+ * Ordered multi-step execution across the product routers.
+ *
+ * Each step is `{ id?, product, resource, action, pathParams?, queryParams?,
+ * body?, headers?, multipart?, organizationId? }`. String values anywhere in
+ * those fields may reference an earlier step's result as
+ * `${steps.<id>.<dotted.path>}`; a string that is exactly one reference keeps
+ * the referenced value's type. Steps run through the same routers as the
+ * execute tools, so validation, policy, approvals, and environment guards
+ * all apply per step.
+ */
+
+export const BATCH_MODES = ['stop-on-error', 'continue'];
+export const MAX_BATCH_STEPS = 100;
+export const MAX_BATCH_CONCURRENCY = 10;
+
+const REFERENCE_PATTERN = /\$\{steps\.([A-Za-z0-9_-]+)((?:\.[^.}]+)*)\}/g;
+const EXACT_REFERENCE_PATTERN = /^\$\{steps\.([A-Za-z0-9_-]+)((?:\.[^.}]+)*)\}$/;
+const STEP_FIELDS = ['pathParams', 'queryParams', 'body', 'headers', 'multipart', 'organizationId'];
+const MAX_PREVIEW_LINES = 60;
+
+function stepId(step, index) {
+  return step.id || String(index + 1);
+}
+
+function stepReasonSuffix(entry, total) {
+  return ` (batch step ${entry.id}, ${entry.index + 1}/${total})`;
+}
+
+function collectReferences(value, found = new Set()) {
+  if (typeof value === 'string') {
+    for (const match of value.matchAll(REFERENCE_PATTERN)) {
+      found.add(match[1]);
+    }
+  } else if (Array.isArray(value)) {
+    value.forEach((item) => collectReferences(item, found));
+  } else if (value && typeof value === 'object') {
+    Object.values(value).forEach((item) => collectReferences(item, found));
+  }
+  return found;
+}
+
+function readPath(source, dottedPath) {
+  return dottedPath.split('.').filter(Boolean).reduce(
+    (value, key) => (value !== null && value !== undefined && typeof value === 'object' ? value[key] : undefined),
+    source
+  );
+}
+
+function resolveReference(results, id, dottedPath, raw) {
+  const value = readPath(results.get(id), dottedPath);
+  if (value === undefined) {
+    throw new Error(`Reference ${raw} did not resolve: step "${id}" has no value at "${dottedPath.slice(1) || '(result)'}"`);
+  }
+  return value;
+}
+
+function substitute(value, results) {
+  if (typeof value === 'string') {
+    const exact = value.match(EXACT_REFERENCE_PATTERN);
+    if (exact) {
+      return resolveReference(results, exact[1], exact[2], value);
+    }
+    return value.replace(REFERENCE_PATTERN, (raw, id, dottedPath) => {
+      const resolved = resolveReference(results, id, dottedPath, raw);
+      return typeof resolved === 'object' ? JSON.stringify(resolved) : String(resolved);
+    });
+  }
+  if (Array.isArray(value)) {
+    return value.map((item) => substitute(item, results));
+  }
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, nested]) => [key, substitute(nested, results)]));
+  }
+  return value;
+}
+
+/**
+ * Validate and resolve every step before anything runs: products, actions,
+ * unique ids, and references that point only at earlier steps.
+ */
+export function planBatch(steps) {
+  if (!Array.isArray(steps) || steps.length === 0) {
+    throw new Error('steps must be a non-empty array');
+  }
+  if (steps.length > MAX_BATCH_STEPS) {
+    throw new Error(`A batch may contain at most ${MAX_BATCH_STEPS} steps (got ${steps.length})`);
+  }
+
+  const seen = new Set();
+  return steps.map((step, index) => {
+    const id = stepId(step, index);
+    if (seen.has(id)) {
+      throw new Error(`Duplicate step id "${id}"`);
+    }
+
+    const router = PRODUCT_ROUTERS[step.product];
+    if (!router) {
+      throw new Error(`Step "${id}": unknown product "${step.product}". Available: ${Object.keys(PRODUCT_ROUTERS).join(', ')}`);
+    }
+
+    const resolved = router.resolveAction(step.resource, step.action);
+    if (resolved.error) {
+      throw new Error(`Step "${id}": ${resolved.error}`);
+    }
+
+    const dependsOn = [...collectReferences(STEP_FIELDS.map((field) => step[field]))];
+    const unknown = dependsOn.filter((reference) => !seen.has(reference));
+    if (unknown.length > 0) {
+      throw new Error(`Step "${id}" references ${unknown.map((reference) => `"${reference}"`).join(', ')}, which must be earlier steps in the batch`);
+    }
+
+    seen.add(id);
+    return { id, index, step, router, resolved, dependsOn, mutation: isMutationMethod(resolved.method) };
+  });
+}
+
+/**
+ * Aggregated mutation preview for the batch tool: one line per mutating step
+ * followed by its field changes. Returns null when no step mutates.
+ */
+export function describeBatchMutation({ steps, mutationReason } = {}) {
+  let planned;
+  try {
+    planned = planBatch(steps);
+  } catch {
+    return null;
+  }
+
+  const mutations = planned.filter((entry) => entry.mutation);
+  if (mutations.length === 0) {
+    return null;
+  }
+
+  const changes = mutations.flatMap((entry) => {
+    const preview = describeMutationRequest(entry.resolved, { ...entry.step, mutationReason });
+    return [
+      `${entry.id}: ${preview.method} ${preview.path} (${entry.step.product} ${preview.resource}.${preview.action})`,
+      ...preview.changes.map((change) => `  ${change}`)
+    ];
+  });
+
+  return {
+    method: 'BATCH',
+    path: `${mutations.length} mutating step(s) of ${planned.length}`,
+    resource: 'lerian-batch',
+    action: 'run',
+    changes: changes.length > MAX_PREVIEW_LINES
+      ? [...changes.slice(0, MAX_PREVIEW_LINES), `... ${changes.length - MAX_PREVIEW_LINES} more line(s)`]
+      : changes,
+    mutationReason: mutationReason ? String(mutationReason) : null
+  };
+}
+
+/**
+ * Split the plan into groups that may run together: consecutive reads that do
+ * not reference each other share a group; every mutation runs on its own.
+ */
+function groupSteps(planned, concurrency) {
+  const groups = [];
+  let current = [];
+
+  for (const entry of planned) {
+    const joinable = concurrency > 1 && !entry.mutation && current.length > 0 &&
+      !current[0].mutation && !entry.dependsOn.some((id) => current.some((member) => member.id === id));
+    if (joinable) {
+      current.push(entry);
+      continue;
+    }
+    if (current.length > 0) {
+      groups.push(current);
+    }
+    current = [entry];
+  }
+  if (current.length > 0) {
+    groups.push(current);
+  }
+  return groups;
+}
+
+async function runPool(items, limit, worker) {
+  let next = 0;
+  const runners = Array.from({ length: Math.min(limit, items.length) }, async () => {
+    while (next < items.length) {
+      const item = items[next];
+      next += 1;
+      await worker(item);
+    }
+  });
+  await Promise.all(runners);
+}
+
+/**
+ * Run a planned batch. `classifyError` turns a thrown error into the
+ * `{ code, message }` reported for the failed step. `chargeStep`, when given,
+ * is called before each step runs and fails the step when it returns false,
+ * so a rate limit is charged per live call rather than per batch.
+ *
+ * @returns {Promise<{mode: string, completed: boolean, summary: Object, steps: Object[]}>}
+ */
+export async function runBatch({
+  steps,
+  mode = 'stop-on-error',
+  concurrency = 1,
+  confirmMutation,
+  mutationReason,
+  environment,
+  confirmEnvironment,
+  callerId,
+  classifyError = (error) => ({ message: error.message }),
+  chargeStep,
+  onProgress
+}) {
+  if (!BATCH_MODES.includes(mode)) {
+    throw new Error(`mode must be one of ${BATCH_MODES.join(', ')}`);
+  }
+
+  const planned = planBatch(steps);
+  const mutations = planned.filter((entry) => entry.mutation);
+  if (mutations.length > 0 && confirmMutation !== true) {
+    throw new Error(`confirmMutation=true is required: the batch includes ${mutations.length} mutating step(s) (${mutations.map((entry) => entry.id).join(', ')})`);
+  }
+  if (mutations.length > 0 && !mutationReason) {
+    throw new Error('mutationReason is required for a batch with mutating steps');
+  }
+  const suffixLength = Math.max(0, ...mutations.map((entry) => stepReasonSuffix(entry, planned.length).length));
+  if (mutations.length > 0 && String(mutationReason).length + suffixLength > MAX_MUTATION_REASON_LENGTH) {
+    throw new Error(
+      `mutationReason must be at most ${MAX_MUTATION_REASON_LENGTH - suffixLength} characters for this batch: ` +
+      'each mutating step is recorded with " (batch step <id>, <n>/<total>)" appended'
+    );
+  }
+
+  const limit = Math.min(Math.max(Math.floor(Number(concurrency)) || 1, 1), MAX_BATCH_CONCURRENCY);
+  const results = new Map();
+  const outcomes = planned.map((entry) => ({
+    id: entry.id,
+    product: entry.step.product,
+    resource: entry.step.resource,
+    action: entry.step.action,
+    status: 'pending'
+  }));
+  let stopped = false;
+  let finished = 0;
+  const reportProgress = (outcome) => {
+    finished += 1;
+    onProgress?.({ progress: finished, total: planned.length, message: `${outcome.id}: ${outcome.status}` });
+  };
+
+  const runStep = async (entry) => {
+    const outcome = outcomes[entry.index];
+    const blocked = entry.dependsOn.find((id) => !results.has(id));
+    if (stopped || blocked) {
+      outcome.status = 'skipped';
+      outcome.reason = stopped ? 'An earlier step failed (mode="stop-on-error")' : `Depends on step "${blocked}", which did not succeed`;
+      reportProgress(outcome);
+      return;
+    }
+
+    const startedAt = Date.now();
+    try {
+      if (chargeStep && !chargeStep(entry)) {
+        throw new Error('Rate limit exceeded for live API tool');
+      }
+      const args = Object.fromEntries(STEP_FIELDS
+        .filter((field) => entry.step[field] !== undefined)
+        .map((field) => [field, substitute(entry.step[field], results)]));
+      const result = await entry.router.routeAndExecute({
+        resource: entry.step.resource,
+        action: entry.step.action,
+        ...args,
+        pathParams: args.pathParams || {},
+        queryParams: args.queryParams || {},
+        confirmMutation: entry.mutation ? confirmMutation : undefined,
+        mutationReason: entry.mutation ? `${mutationReason}${stepReasonSuffix(entry, planned.length)}` : undefined,
+        environment,
+        confirmEnvironment,
+        callerId,
+        onIdempotencyKey: (info) => {
+          outcome.idempotency = info;
+        }
+      });
+
+      if (result?.status === 'pending-approval') {
+        outcome.status = 'pending-approval';
+        outcome.result = result;
+        stopped = stopped || mode === 'stop-on-error';
+        return;
+      }
+
+      outcome.status = 'succeeded';
+      outcome.result = result;
+      results.set(entry.id, result);
+    } catch (error) {
+      outcome.status = 'failed';
+      outcome.error = classifyError(error);
+      stopped = stopped || mode === 'stop-on-error';
+    } finally {
+      outcome.durationMs = Date.now() - startedAt;
+      reportProgress(outcome);
+    }
+  };
+
+  for (const group of groupSteps(planned, limit)) {
+    await runPool(group, limit, runStep);
+  }
+
+  const count = (status) => outcomes.filter((outcome) => outcome.status === status).length;
+  const summary = {
+    total: planned.length,
+    succeeded: count('succeeded'),
+    failed: count('failed'),
+    skipped: count('skipped'),
+    pendingApproval: count('pending-approval')
+  };
+
+  return { mode, completed: summary.succeeded === summary.total, summary, steps: outcomes };
+}
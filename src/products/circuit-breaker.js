@@ -0,0 +1,184 @@
+/**
+ * Circuit breaker for live product HTTP calls, keyed by product and base URL.
+ *
+ * Consecutive connection failures or timeouts open the breaker so further
+ * calls fail immediately instead of waiting out the request timeout. Once
+ * `resetTimeoutMs` has passed the breaker half-opens and probes the product's
+ * `system.health` path; a healthy probe closes it, anything else re-opens it.
+ * HTTP error responses prove the service is reachable and never trip it.
+ */
+
+export const DEFAULT_CIRCUIT_BREAKER_POLICY = {
+  enabled: true,
+  failureThreshold: 5,
+  resetTimeoutMs: 30000,
+  probeTimeoutMs: 5000
+};
+
+const CONNECTION_ERROR_CODES = new Set([
+  'ECONNRESET',
+  'ECONNREFUSED',
+  'EHOSTUNREACH',
+  'ENETUNREACH',
+  'ENOTFOUND',
+  'EPIPE',
+  'ETIMEDOUT',
+  'EAI_AGAIN',
+  'UND_ERR_SOCKET',
+  'UND_ERR_CONNECT_TIMEOUT'
+]);
+
+const breakers = new Map();
+
+function toPositiveInteger(value, fallback) {
+  const parsed = Number(value);
+  return Number.isFinite(parsed) && parsed > 0 ? Math.floor(parsed) : fallback;
+}
+
+export function resolveCircuitBreakerPolicy(config) {
+  if (config === false) {
+    return { ...DEFAULT_CIRCUIT_BREAKER_POLICY, enabled: false };
+  }
+
+  const source = config && typeof config === 'object' ? config : {};
+  return {
+    enabled: source.enabled !== false,
+    failureThreshold: toPositiveInteger(source.failureThreshold, DEFAULT_CIRCUIT_BREAKER_POLICY.failureThreshold),
+    resetTimeoutMs: toPositiveInteger(source.resetTimeoutMs, DEFAULT_CIRCUIT_BREAKER_POLICY.resetTimeoutMs),
+    probeTimeoutMs: toPositiveInteger(source.probeTimeoutMs, DEFAULT_CIRCUIT_BREAKER_POLICY.probeTimeoutMs)
+  };
+}
+
+export function isConnectionFailure(error) {
+  if (!error) {
+    return false;
+  }
+  if (error.name === 'TimeoutError') {
+    return true;
+  }
+  const code = error.code || error.cause?.code;
+  return CONNECTION_ERROR_CODES.has(code) || (error.name === 'TypeError' && /fetch failed/i.test(error.message || ''));
+}
+
+function getBreaker(productName, baseUrl) {
+  const key = `${productName}|${baseUrl}`;
+  if (!breakers.has(key)) {
+    breakers.set(key, {
+      product: productName,
+      baseUrl,
+      state: 'closed',
+      consecutiveFailures: 0,
+      openedAt: null,
+      lastFailureAt: null,
+      lastError: null,
+      probe: null
+    });
+  }
+  return breakers.get(key);
+}
+
+function open(breaker, error) {
+  breaker.state = 'open';
+  breaker.openedAt = Date.now();
+  if (error) {
+    breaker.lastError = error.cause?.code || error.code || error.name || 'Error';
+  }
+}
+
+function createOpenCircuitError(breaker, policy) {
+  const retryInSec = Math.max(0, Math.ceil((breaker.openedAt + policy.resetTimeoutMs - Date.now()) / 1000));
+  const error = new Error(
+    `${breaker.product} circuit breaker is open for ${breaker.baseUrl} after ${breaker.consecutiveFailures} consecutive connection failures ` +
+    `(last: ${breaker.lastError || 'unknown'}). Failing fast; the next health probe runs in ${retryInSec}s.`
+  );
+  error.code = 'CIRCUIT_OPEN';
+  return error;
+}
+
+async function probeHealth(breaker, healthPath, policy) {
+  if (!healthPath) {
+    return true;
+  }
+
+  try {
+    const response = await fetch(`${breaker.baseUrl.replace(/\/+$/, '')}${healthPath}`, {
+      method: 'GET',
+      signal: AbortSignal.timeout(policy.probeTimeoutMs)
+    });
+    await response.body?.cancel().catch(() => {});
+    return response.ok;
+  } catch (_error) {
+    return false;
+  }
+}
+
+/**
+ * Run `request` through the breaker for `productName` + `baseUrl`.
+ *
+ * While open the request is rejected without touching the network. After the
+ * reset timeout a single `system.health` probe decides whether to close the
+ * breaker; concurrent callers share that probe.
+ */
+export async function withCircuitBreaker({ productName, baseUrl, healthPath, config }, request) {
+  const policy = resolveCircuitBreakerPolicy(config);
+  if (!policy.enabled || !baseUrl) {
+    return request();
+  }
+
+  const breaker = getBreaker(productName, baseUrl);
+
+  if (breaker.state !== 'closed') {
+    if (Date.now() - breaker.openedAt < policy.resetTimeoutMs) {
+      throw createOpenCircuitError(breaker, policy);
+    }
+
+    if (!breaker.probe) {
+      breaker.state = 'half-open';
+      breaker.probe = probeHealth(breaker, healthPath, policy).finally(() => {
+        breaker.probe = null;
+      });
+    }
+
+    const healthy = await breaker.probe;
+    if (!healthy) {
+      if (breaker.state !== 'open') {
+        open(breaker, { name: 'HealthProbeFailed' });
+      }
+      throw createOpenCircuitError(breaker, policy);
+    }
+    breaker.state = 'closed';
+    breaker.consecutiveFailures = 0;
+  }
+
+  try {
+    const result = await request();
+    breaker.consecutiveFailures = 0;
+    return result;
+  } catch (error) {
+    if (isConnectionFailure(error)) {
+      breaker.consecutiveFailures += 1;
+      breaker.lastFailureAt = Date.now();
+      breaker.lastError = error.cause?.code || error.code || error.name;
+      if (breaker.consecutiveFailures >= policy.failureThreshold) {
+        open(breaker, error);
+      }
+    }
+    throw error;
+  }
+}
+
+export function listCircuitBreakers() {
+  return [...breakers.values()].map((breaker) => ({
+    product: breaker.product,
+    baseUrl: breaker.baseUrl,
+    state: breaker.state,
+    consecutiveFailures: breaker.consecutiveFailures,
+    openedAt: breaker.openedAt ? new Date(breaker.openedAt).toISOString() : null,
+    lastFailureAt: breaker.lastFailureAt ? new Date(breaker.lastFailureAt).toISOString() : null,
+    lastError: breaker.lastError
+  }));
+}
+
+export function resetCircuitBreakers() {
+  breakers.clear();
+}
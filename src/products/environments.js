@@ -0,0 +1,92 @@
+import { configPromise } from '../config.js';
+import { isMutationMethod } from './http-helpers.js';
+import { annotateAuditContext } from '../util/security.js';
+
+/**
+ * Named environment profiles.
+ *
+ * `environments` in the config maps a profile name to per-product overrides,
+ * e.g. `{ "production": { "requireConfirmation": true, "midazApi": { ... } } }`.
+ * A profile is merged over the base config one product block at a time, the
+ * same way config files are merged over the defaults. `defaultEnvironment`
+ * picks the profile used when a call does not name one.
+ */
+
+const PRODUCT_CONFIG_KEYS = [
+  'midazApi',
+  'fetcherApi',
+  'reporterApi',
+  'tracerApi',
+  'matcherApi',
+  'flowkerApi',
+  'underwriterApi'
+];
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function getProfiles(config) {
+  return isPlainObject(config?.environments) ? config.environments : {};
+}
+
+/**
+ * Summarize configured profiles without exposing their URLs or credentials.
+ */
+export function listEnvironments(config) {
+  const profiles = getProfiles(config);
+  return Object.entries(profiles).map(([name, profile]) => ({
+    name,
+    default: config.defaultEnvironment === name,
+    requireConfirmation: profile?.requireConfirmation === true,
+    products: PRODUCT_CONFIG_KEYS.filter((key) => isPlainObject(profile?.[key])).map((key) => key.replace(/Api$/, ''))
+  }));
+}
+
+/**
+ * Resolve the requested (or default) profile and return the merged config.
+ * Without a profile name the base config is used and `name` is null.
+ */
+export function resolveEnvironment(config, environment) {
+  const name = environment || config?.defaultEnvironment || null;
+  if (!name) {
+    return { name: null, requireConfirmation: false, config };
+  }
+
+  const profiles = getProfiles(config);
+  // Only own keys: names like "__proto__" or "toString" must not resolve to inherited objects
+  const profile = Object.hasOwn(profiles, name) ? profiles[name] : undefined;
+  if (!isPlainObject(profile)) {
+    const available = Object.keys(profiles);
+    throw new Error(
+      `Unknown environment "${name}". Configured environments: ${available.length > 0 ? available.join(', ') : 'none (add an "environments" block to lerian-mcp-config.json)'}.`
+    );
+  }
+
+  const merged = { ...config };
+  for (const key of PRODUCT_CONFIG_KEYS) {
+    if (isPlainObject(profile[key])) {
+      merged[key] = { ...(isPlainObject(config[key]) ? config[key] : {}), ...profile[key] };
+    }
+  }
+
+  return { name, requireConfirmation: profile.requireConfirmation === true, config: merged };
+}
+
+/**
+ * Load the config for one live request. Mutations against a profile marked
+ * `requireConfirmation` must also pass `confirmEnvironment` set to its name.
+ * The resolved name is attached to the audit entry of the surrounding call.
+ */
+export async function loadEnvironmentConfig({ environment, confirmEnvironment, method } = {}) {
+  const resolved = resolveEnvironment(await configPromise, environment);
+
+  if (resolved.requireConfirmation && isMutationMethod(method) && confirmEnvironment !== resolved.name) {
+    throw new Error(
+      `confirmEnvironment="${resolved.name}" is required for mutating actions against the "${resolved.name}" environment.`
+    );
+  }
+
+  annotateAuditContext({ environment: resolved.name || 'default' });
+  return resolved.config;
+}
@@ -1,15 +1,6 @@
-import { configPromise } from '../../config.js';
 import { executeJsonProductRequest } from '../http-helpers.js';
-
-let configCache = null;
-
-async function getConfig() {
-  if (!configCache) {
-    configCache = await configPromise;
-  }
-
-  return configCache;
-}
+import { loadEnvironmentConfig } from '../environments.js';
+import { getSchema } from './schemas/index.js';
 
 export async function resolveExecutionContext({ organizationId, productName }) {
   return {
@@ -18,8 +9,8 @@ export async function resolveExecutionContext({ organizationId, productName }) {
   };
 }
 
-export async function executeRequest({ method, pathTemplate, pathParams, queryParams, body, organizationId, productName, mutationReason }) {
-  const config = await getConfig();
+export async function executeRequest({ method, pathTemplate, pathParams, queryParams, body, organizationId, productName, mutationReason, environment, confirmEnvironment }) {
+  const config = await loadEnvironmentConfig({ environment, confirmEnvironment, method });
   const fetcherApi = config.fetcherApi || {};
   const baseUrl = fetcherApi.managerUrl;
   const resolvedContext = {
@@ -49,6 +40,9 @@ export async function executeRequest({ method, pathTemplate, pathParams, queryPa
     timeout,
     authHeaders: fetcherApi.authToken ? { Authorization: `Bearer ${fetcherApi.authToken}` } : {},
     extraHeaders,
-    mutationReason
+    mutationReason,
+    retry: fetcherApi.retry,
+    circuitBreaker: fetcherApi.circuitBreaker,
+    healthPath: getSchema('system')?.actions.health?.path
   });
 }
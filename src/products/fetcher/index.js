@@ -1,4 +1,5 @@
 import { createProductAdapter } from '../adapter.js';
+import { getAllSchemas } from './schemas/index.js';
 import { registerFetcherDiscoverTool } from '../../tools/fetcher-discover.js';
 import { registerFetcherExecuteTool } from '../../tools/fetcher-execute.js';
 
@@ -19,8 +20,9 @@ export const fetcherAdapter = createProductAdapter({
       description: 'Execute Fetcher manager API actions.'
     }
   ],
-  registerTools(server) {
-    registerFetcherDiscoverTool(server);
-    registerFetcherExecuteTool(server);
+  getSchemas: getAllSchemas,
+  registerTools(server, registration) {
+    registerFetcherDiscoverTool(server, registration);
+    registerFetcherExecuteTool(server, registration);
   }
 });
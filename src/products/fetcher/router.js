@@ -1,6 +1,8 @@
 import { getSchema, getAllSchemas } from './schemas/index.js';
 import { executeRequest, resolveExecutionContext } from './client.js';
 import { validateActionRequest } from '../http-helpers.js';
+import { paginateAction, resolveAutoPagination, resolvePaginationContract } from '../pagination.js';
+import { enforceActionPolicy } from '../policy.js';
 
 export function resolveAction(resource, action) {
   const schema = getSchema(resource);
@@ -23,21 +25,25 @@ export function resolveAction(resource, action) {
     pathParams: actionDef.pathParams || {},
     queryParams: actionDef.queryParams || {},
     input: actionDef.input || null,
+    output: actionDef.output || null,
     bodyType: actionDef.bodyType || 'json',
     context: actionDef.context || {},
     requestHeaders: actionDef.requestHeaders || {},
     responseType: actionDef.responseType || 'json',
     description: actionDef.description,
-    example: actionDef.example || null
+    example: actionDef.example || null,
+    pagination: resolvePaginationContract(schema, actionDef)
   };
 }
 
-export async function routeAndExecute({ resource, action, pathParams, queryParams, body, organizationId, productName, confirmMutation, mutationReason }) {
+export async function routeAndExecute({ resource, action, pathParams, queryParams, body, organizationId, productName, confirmMutation, mutationReason, autoPaginate, onProgress, environment, confirmEnvironment }) {
   const resolved = resolveAction(resource, action);
   if (resolved.error) {
     throw new Error(resolved.error);
   }
 
+  await enforceActionPolicy('fetcher', resolved);
+
   validateActionRequest(resolved, { pathParams, queryParams, body, confirmMutation, mutationReason });
 
   const resolvedContext = await resolveExecutionContext({ organizationId, productName });
@@ -50,16 +56,25 @@ export async function routeAndExecute({ resource, action, pathParams, queryParam
     throw new Error('productName is required for this action. It will be sent as X-Product-Name.');
   }
 
-  return executeRequest({
+  const execute = (pageQueryParams) => executeRequest({
     method: resolved.method,
     pathTemplate: resolved.pathTemplate,
     pathParams: pathParams || {},
-    queryParams: queryParams || {},
+    queryParams: pageQueryParams,
     body: body || undefined,
     organizationId: resolvedContext.organizationId,
     productName: resolvedContext.productName,
-    mutationReason
+    mutationReason,
+    environment,
+    confirmEnvironment
   });
+
+  const pagination = resolveAutoPagination(autoPaginate);
+  if (pagination) {
+    return paginateAction(resolved, queryParams, execute, { ...pagination, onProgress });
+  }
+
+  return execute(queryParams || {});
 }
 
 export function getEndpointCount() {
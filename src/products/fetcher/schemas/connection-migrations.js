@@ -2,6 +2,7 @@ export const connectionMigrationsSchema = {
   resource: 'connection-migrations',
   component: 'migration',
   description: 'Migration-only actions for assigning previously unowned connections to products.',
+  pagination: { style: 'page', pageParam: 'page', limitParam: 'limit', itemsField: 'items', totalField: 'total' },
   actions: {
     listUnassigned: {
       method: 'GET',
@@ -2,6 +2,7 @@ export const connectionsSchema = {
   resource: 'connections',
   component: 'management',
   description: 'Datasource connections used by Lerian products for schema inspection and data extraction.',
+  pagination: { style: 'page', pageParam: 'page', limitParam: 'limit', itemsField: 'items', totalField: 'total' },
   actions: {
     create: {
       method: 'POST',
@@ -1,3 +1,13 @@
+const fetcherJobOutput = {
+  id: { type: 'string', format: 'uuid', description: 'Job UUID.' },
+  status: { type: 'string', description: 'Job status, e.g. PENDING, RUNNING, COMPLETED, FAILED.' },
+  mappedFields: { type: 'object', description: 'Datasource tables and fields requested by the job.' },
+  resultPath: { type: 'string', description: 'Location of the extracted data once the job completes.' },
+  errorMessage: { type: 'string', description: 'Failure detail when the job failed.' },
+  createdAt: { type: 'string', format: 'date-time', description: 'Creation timestamp.' },
+  completedAt: { type: 'string', format: 'date-time', description: 'Completion timestamp.' }
+};
+
 export const fetcherJobsSchema = {
   resource: 'fetcher-jobs',
   component: 'fetcher',
@@ -26,7 +36,8 @@ export const fetcherJobsSchema = {
           source: 'report',
           testName: 'SingleDatasourcePostgreSQL'
         }
-      }
+      },
+      output: fetcherJobOutput
     },
     get: {
       method: 'GET',
@@ -37,7 +48,8 @@ export const fetcherJobsSchema = {
       },
       pathParams: {
         id: { type: 'string', required: true, description: 'Fetcher job UUID.' }
-      }
+      },
+      output: fetcherJobOutput
     }
   }
 };
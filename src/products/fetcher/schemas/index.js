@@ -1,9 +1,10 @@
 import { connectionsSchema } from './connections.js';
 import { connectionMigrationsSchema } from './connection-migrations.js';
 import { fetcherJobsSchema } from './fetcher-jobs.js';
+import { systemSchema } from './system.js';
 import { createSchemaRegistry } from '../../schema-registry.js';
 
-const allSchemas = [connectionsSchema, connectionMigrationsSchema, fetcherJobsSchema];
+const allSchemas = [connectionsSchema, connectionMigrationsSchema, fetcherJobsSchema, systemSchema];
 const registry = createSchemaRegistry(allSchemas);
 
 export const getSchema = registry.getSchema;
@@ -0,0 +1,13 @@
+export const systemSchema = {
+  resource: 'system',
+  component: 'system',
+  description: 'Fetcher manager health endpoint.',
+  actions: {
+    health: {
+      method: 'GET',
+      path: '/health',
+      description: 'Liveness check for the Fetcher manager service.',
+      responseType: 'text'
+    }
+  }
+};
@@ -1,18 +1,9 @@
-import { configPromise } from '../../config.js';
 import { executeJsonProductRequest } from '../http-helpers.js';
+import { loadEnvironmentConfig } from '../environments.js';
+import { getSchema } from './schemas/index.js';
 
-let configCache = null;
-
-async function getConfig() {
-  if (!configCache) {
-    configCache = await configPromise;
-  }
-
-  return configCache;
-}
-
-export async function executeRequest({ method, pathTemplate, pathParams, queryParams, body, headers: customHeaders, requestHeaders, rawPathParams = [], mutationReason }) {
-  const config = await getConfig();
+export async function executeRequest({ method, pathTemplate, pathParams, queryParams, body, headers: customHeaders, requestHeaders, rawPathParams = [], mutationReason, environment, confirmEnvironment }) {
+  const config = await loadEnvironmentConfig({ environment, confirmEnvironment, method });
   const flowkerApi = config.flowkerApi || {};
   const baseUrl = flowkerApi.baseUrl;
   const timeout = flowkerApi.timeout || 30000;
@@ -39,6 +30,9 @@ export async function executeRequest({ method, pathTemplate, pathParams, queryPa
     customHeaders,
     requestHeaders,
     rawPathParams,
-    mutationReason
+    mutationReason,
+    retry: flowkerApi.retry,
+    circuitBreaker: flowkerApi.circuitBreaker,
+    healthPath: getSchema('system')?.actions.health?.path
   });
 }
@@ -1,4 +1,5 @@
 import { createProductAdapter } from '../adapter.js';
+import { getAllSchemas } from './schemas/index.js';
 import { registerFlowkerDiscoverTool } from '../../tools/flowker-discover.js';
 import { registerFlowkerExecuteTool } from '../../tools/flowker-execute.js';
 
@@ -19,8 +20,9 @@ export const flowkerAdapter = createProductAdapter({
       description: 'Execute Flowker API actions, including workflow runs and webhook triggers.'
     }
   ],
-  registerTools(server) {
-    registerFlowkerDiscoverTool(server);
-    registerFlowkerExecuteTool(server);
+  getSchemas: getAllSchemas,
+  registerTools(server, registration) {
+    registerFlowkerDiscoverTool(server, registration);
+    registerFlowkerExecuteTool(server, registration);
   }
 });
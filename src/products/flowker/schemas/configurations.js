@@ -1,9 +1,10 @@
-import { flowkerAuthHeaders } from './shared.js';
+import { flowkerAuthHeaders, flowkerCursorPagination } from './shared.js';
 
 export const executorConfigurationsSchema = {
   resource: 'executor-configurations',
   component: 'executor-configuration',
   description: 'Persisted executor configuration objects that define outbound execution endpoints and auth.',
+  pagination: flowkerCursorPagination,
   actions: {
     list: {
       method: 'GET',
@@ -60,6 +61,7 @@ export const providerConfigurationsSchema = {
   resource: 'provider-configurations',
   component: 'provider-configuration',
   description: 'Provider configuration lifecycle, connectivity testing, and enable/disable transitions.',
+  pagination: flowkerCursorPagination,
   actions: {
     list: {
       method: 'GET',
@@ -1,9 +1,22 @@
-import { flowkerAuthHeaders, flowkerRequiredIdempotencyHeader } from './shared.js';
+import { listOutput } from '../../output-contract.js';
+import { flowkerAuthHeaders, flowkerRequiredIdempotencyHeader, flowkerCursorPagination } from './shared.js';
+
+const executionOutput = {
+  id: { type: 'string', format: 'uuid', description: 'Execution UUID.' },
+  workflowId: { type: 'string', format: 'uuid', description: 'Workflow UUID.' },
+  status: { type: 'string', description: 'Execution status, e.g. pending, running, completed, failed.' },
+  currentStepNumber: { type: 'number', description: 'Step currently executing.' },
+  totalSteps: { type: 'number', description: 'Number of steps in the workflow.' },
+  errorMessage: { type: 'string', description: 'Failure detail when the execution failed.' },
+  startedAt: { type: 'string', format: 'date-time', description: 'Start timestamp.' },
+  completedAt: { type: 'string', format: 'date-time', description: 'Completion timestamp.' }
+};
 
 export const executionsSchema = {
   resource: 'executions',
   component: 'execution',
   description: 'Workflow execution lifecycle, status inspection, results retrieval, and execution start.',
+  pagination: flowkerCursorPagination,
   actions: {
     list: {
       method: 'GET',
@@ -17,7 +30,8 @@ export const executionsSchema = {
         cursor: { type: 'string', description: 'Pagination cursor.' },
         sortBy: { type: 'string', description: 'Sort field: startedAt or completedAt. Default startedAt.' },
         sortOrder: { type: 'string', description: 'Sort order: ASC or DESC. Default DESC.' }
-      }
+      },
+      output: listOutput(executionOutput, flowkerCursorPagination)
     },
     get: {
       method: 'GET',
@@ -26,7 +40,8 @@ export const executionsSchema = {
       requestHeaders: flowkerAuthHeaders,
       pathParams: {
         id: { type: 'string', required: true, description: 'Execution UUID.' }
-      }
+      },
+      output: executionOutput
     },
     getResults: {
       method: 'GET',
@@ -50,7 +65,8 @@ export const executionsSchema = {
       },
       input: {
         inputData: { type: 'object', required: true, description: 'Workflow execution input payload.' }
-      }
+      },
+      output: executionOutput
     }
   }
 };
@@ -1,4 +1,4 @@
-import { flowkerAuthHeaders } from './shared.js';
+import { flowkerAuthHeaders, flowkerCursorPagination } from './shared.js';
 
 export const dashboardsSchema = {
   resource: 'dashboards',
@@ -29,6 +29,7 @@ export const auditEventsSchema = {
   resource: 'audit-events',
   component: 'observability',
   description: 'Immutable audit log search, event inspection, and hash-chain verification.',
+  pagination: flowkerCursorPagination,
   actions: {
     list: {
       method: 'GET',
@@ -22,3 +22,12 @@ export const flowkerRequiredIdempotencyHeader = {
     description: 'Required idempotency key for starting a workflow execution.'
   }
 };
+
+export const flowkerCursorPagination = {
+  style: 'cursor',
+  cursorParam: 'cursor',
+  limitParam: 'limit',
+  itemsField: 'items',
+  nextCursorField: 'nextCursor',
+  hasMoreField: 'hasMore'
+};
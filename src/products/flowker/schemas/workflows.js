@@ -1,9 +1,10 @@
-import { flowkerAuthHeaders } from './shared.js';
+import { flowkerAuthHeaders, flowkerCursorPagination } from './shared.js';
 
 export const workflowsSchema = {
   resource: 'workflows',
   component: 'workflow',
   description: 'Workflow definition lifecycle including creation, template instantiation, cloning, and status transitions.',
+  pagination: flowkerCursorPagination,
   actions: {
     list: {
       method: 'GET',
@@ -79,6 +80,7 @@ export const workflowsSchema = {
       method: 'POST',
       path: '/v1/workflows/:id/activate',
       description: 'Transition a workflow from draft to active status.',
+      requiresApproval: true,
       requestHeaders: flowkerAuthHeaders,
       pathParams: {
         id: { type: 'string', required: true, description: 'Workflow UUID.' }
@@ -1,8 +1,14 @@
+import { fetchWithRetry } from './retry.js';
+import { withCircuitBreaker } from './circuit-breaker.js';
+import { withRecording } from './recorder.js';
+
 const DEFAULT_MAX_UPLOAD_BYTES = 10 * 1024 * 1024;
 const DEFAULT_MAX_DOWNLOAD_BYTES = 10 * 1024 * 1024;
 const MUTATION_METHODS = new Set(['POST', 'PUT', 'PATCH', 'DELETE']);
 const PROTECTED_HEADER_NAMES = new Set(['authorization', 'x-api-key']);
-const SECRET_KEY_PATTERN = /(authorization|token|password|secret|api[-_]?key|credential|cookie)/i;
+// Longest mutation reason forwarded in X-Lerian-MCP-Mutation-Reason
+export const MAX_MUTATION_REASON_LENGTH = 512;
+export const SECRET_KEY_PATTERN = /(authorization|token|password|secret|api[-_]?key|credential|cookie)/i;
 
 function hasValue(value) {
   return value !== undefined && value !== null && value !== '';
@@ -178,23 +184,99 @@ export function sanitizeCustomHeaders(customHeaders = {}, requestHeaders = {}) {
 
 export function addMutationAuditHeaders(headers, mutationReason) {
   if (hasValue(mutationReason)) {
-    headers['X-Lerian-MCP-Mutation-Reason'] = String(mutationReason).slice(0, 512);
+    headers['X-Lerian-MCP-Mutation-Reason'] = String(mutationReason).slice(0, MAX_MUTATION_REASON_LENGTH);
   }
 }
 
-function validateRequiredFields(fields = {}, values = {}, label) {
-  const missing = [];
-  for (const [fieldName, fieldDef] of Object.entries(fields || {})) {
-    if (fieldDef?.required && !hasValue(values?.[fieldName])) {
-      missing.push(fieldName);
+const MAX_PREVIEW_CHANGES = 40;
+const CHANGE_MARKERS = { POST: '+', PUT: '~', PATCH: '~', DELETE: '-' };
+
+function collectChanges(value, marker, prefix, changes) {
+  if (isObject(value) && Object.keys(value).length > 0) {
+    for (const [key, nested] of Object.entries(value)) {
+      const path = prefix ? `${prefix}.${key}` : key;
+      if (SECRET_KEY_PATTERN.test(key)) {
+        changes.push(`${marker} ${path}: [redacted]`);
+      } else {
+        collectChanges(nested, marker, path, changes);
+      }
     }
+    return;
+  }
+
+  const rendered = JSON.stringify(value);
+  changes.push(`${marker} ${prefix || '(body)'}: ${rendered && rendered.length > 200 ? `${rendered.slice(0, 200)}...` : rendered}`);
+}
+
+/**
+ * Summarize a mutating call for a human reviewer: the resolved path and one
+ * `<marker> field: value` line per body field (`+` create, `~` update, `-`
+ * delete). Secret-looking fields are redacted and long bodies are capped.
+ */
+export function describeMutationRequest(resolved, { pathParams, body, multipart, mutationReason } = {}) {
+  const method = String(resolved.method).toUpperCase();
+  let path = resolved.pathTemplate;
+  for (const [key, value] of Object.entries(pathParams || {})) {
+    path = path.replace(`:${key}`, String(value));
   }
 
-  if (missing.length > 0) {
-    throw new Error(`Missing required ${label}: ${missing.join(', ')}`);
+  const changes = [];
+  if (body !== undefined && body !== null) {
+    collectChanges(body, CHANGE_MARKERS[method] || '~', '', changes);
+  }
+  for (const field of Object.keys(isObject(multipart) ? multipart : {})) {
+    changes.push(`${CHANGE_MARKERS[method] || '~'} ${field}: [multipart]`);
+  }
+  if (changes.length === 0 && method === 'DELETE') {
+    changes.push(`- ${resolved.resource} at ${path}`);
   }
+
+  return {
+    method,
+    path,
+    resource: resolved.resource,
+    action: resolved.action,
+    changes: changes.length > MAX_PREVIEW_CHANGES
+      ? [...changes.slice(0, MAX_PREVIEW_CHANGES), `... ${changes.length - MAX_PREVIEW_CHANGES} more field(s)`]
+      : changes,
+    mutationReason: hasValue(mutationReason) ? String(mutationReason) : null
+  };
 }
 
+/**
+ * Build the `describeMutation` option of an execute tool from its router's
+ * resolveAction. Returns null for reads and for calls that do not resolve, so
+ * those reach the handler unchanged.
+ */
+export function createMutationDescriber(resolveAction) {
+  return (args = {}) => {
+    if (!args?.resource || !args?.action) {
+      return null;
+    }
+
+    const resolved = resolveAction(args.resource, args.action);
+    if (resolved.error || !isMutationMethod(resolved.method)) {
+      return null;
+    }
+
+    return describeMutationRequest(resolved, args);
+  };
+}
+
+const FORMAT_VALIDATORS = {
+  uuid: (value) => /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(value),
+  'date-time': (value) => /^\d{4}-\d{2}-\d{2}[Tt ]\d{2}:\d{2}:\d{2}(\.\d+)?([Zz]|[+-]\d{2}:\d{2})$/.test(value) && !Number.isNaN(Date.parse(value)),
+  date: (value) => /^\d{4}-\d{2}-\d{2}$/.test(value) && !Number.isNaN(Date.parse(value)),
+  decimal: (value) => /^-?\d+(\.\d+)?$/.test(value)
+};
+
+const FORMAT_LABELS = {
+  uuid: 'a UUID',
+  'date-time': 'an RFC3339 timestamp',
+  date: 'a YYYY-MM-DD date',
+  decimal: 'a decimal string'
+};
+
 function typeMatches(value, expectedType) {
   if (!hasValue(value) || !expectedType) {
     return true;
@@ -205,6 +287,8 @@ function typeMatches(value, expectedType) {
       return typeof value === 'string';
     case 'number':
       return typeof value === 'number' && Number.isFinite(value);
+    case 'integer':
+      return Number.isInteger(value);
     case 'boolean':
       return typeof value === 'boolean';
     case 'object':
@@ -216,6 +300,97 @@ function typeMatches(value, expectedType) {
   }
 }
 
+function joinPath(parentPath, key) {
+  return parentPath ? `${parentPath}.${key}` : key;
+}
+
+// `items` is either a single field definition (`{ type: 'string' }`) or,
+// as most schemas declare it, the field map of each array element.
+function getItemDefinition(items) {
+  if (!isObject(items)) {
+    return null;
+  }
+
+  return typeof items.type === 'string'
+    ? items
+    : { type: 'object', properties: items };
+}
+
+/**
+ * Recursively validate one value against its field definition.
+ * Problems are collected into `issues` with dotted/indexed paths such as
+ * `send.source.from[0].amount.value`.
+ */
+function validateFieldValue(fieldDef = {}, value, path, issues) {
+  if (!hasValue(value)) {
+    return;
+  }
+
+  const expectedType = fieldDef.type;
+  if (!typeMatches(value, expectedType)) {
+    issues.invalid.push(`${path} must be ${expectedType}`);
+    return;
+  }
+
+  if (Array.isArray(fieldDef.enum) && !fieldDef.enum.includes(value)) {
+    issues.invalid.push(`${path} must be one of ${fieldDef.enum.join(', ')}`);
+  }
+
+  if (typeof value === 'string') {
+    const formatValidator = typeof fieldDef.format === 'string' ? FORMAT_VALIDATORS[fieldDef.format] : null;
+    if (formatValidator && !formatValidator(value)) {
+      issues.invalid.push(`${path} must be ${FORMAT_LABELS[fieldDef.format]}`);
+    }
+
+    if (Number.isInteger(fieldDef.minLength) && value.length < fieldDef.minLength) {
+      issues.invalid.push(`${path} must be at least ${fieldDef.minLength} characters`);
+    }
+
+    if (Number.isInteger(fieldDef.maxLength) && value.length > fieldDef.maxLength) {
+      issues.invalid.push(`${path} must be at most ${fieldDef.maxLength} characters`);
+    }
+  }
+
+  if (Array.isArray(value)) {
+    if (Number.isInteger(fieldDef.minItems) && value.length < fieldDef.minItems) {
+      issues.invalid.push(`${path} must contain at least ${fieldDef.minItems} item(s)`);
+    }
+
+    if (Number.isInteger(fieldDef.maxItems) && value.length > fieldDef.maxItems) {
+      issues.invalid.push(`${path} must contain at most ${fieldDef.maxItems} item(s)`);
+    }
+
+    const itemDef = getItemDefinition(fieldDef.items);
+    if (itemDef) {
+      value.forEach((item, index) => validateFieldValue(itemDef, item, `${path}[${index}]`, issues));
+    }
+    return;
+  }
+
+  if (isObject(value) && isObject(fieldDef.properties)) {
+    collectFieldMapIssues(fieldDef.properties, value, path, issues, fieldDef.additionalProperties === true);
+  }
+}
+
+function collectFieldMapIssues(fieldDefs, values, parentPath, issues, allowUnknown = false) {
+  for (const [fieldName, fieldDef] of Object.entries(fieldDefs)) {
+    if (fieldDef?.required && !hasValue(values?.[fieldName])) {
+      issues.missing.push(joinPath(parentPath, fieldName));
+    }
+  }
+
+  for (const [fieldName, value] of Object.entries(values)) {
+    if (!Object.prototype.hasOwnProperty.call(fieldDefs, fieldName)) {
+      if (!allowUnknown) {
+        issues.unknown.push(joinPath(parentPath, fieldName));
+      }
+      continue;
+    }
+
+    validateFieldValue(fieldDefs[fieldName], value, joinPath(parentPath, fieldName), issues);
+  }
+}
+
 function validateFieldMap(fields = {}, values = {}, label) {
   const fieldDefs = fields || {};
   const suppliedValues = values || {};
@@ -224,29 +399,24 @@ function validateFieldMap(fields = {}, values = {}, label) {
     throw new Error(`${label} must be an object`);
   }
 
-  validateRequiredFields(fieldDefs, suppliedValues, label);
+  const issues = { missing: [], unknown: [], invalid: [] };
+  collectFieldMapIssues(fieldDefs, suppliedValues, '', issues);
 
-  const allowed = new Set(Object.keys(fieldDefs));
-  const unknown = Object.keys(suppliedValues).filter((key) => !allowed.has(key));
-  if (unknown.length > 0) {
-    throw new Error(`Unknown ${label}: ${unknown.join(', ')}`);
+  if (issues.missing.length > 0) {
+    throw new Error(`Missing required ${label}: ${issues.missing.join(', ')}`);
   }
 
-  const invalid = [];
-  for (const [fieldName, value] of Object.entries(suppliedValues)) {
-    const expectedType = fieldDefs[fieldName]?.type;
-    if (!typeMatches(value, expectedType)) {
-      invalid.push(`${fieldName} must be ${expectedType}`);
-      continue;
-    }
+  if (issues.unknown.length > 0) {
+    throw new Error(`Unknown ${label}: ${issues.unknown.join(', ')}`);
+  }
 
-    if (fieldName === 'limit' && hasValue(value) && (value < 1 || value > 1000)) {
-      invalid.push('limit must be between 1 and 1000');
-    }
+  const limit = suppliedValues.limit;
+  if (Object.prototype.hasOwnProperty.call(fieldDefs, 'limit') && typeMatches(limit, fieldDefs.limit?.type) && hasValue(limit) && (limit < 1 || limit > 1000)) {
+    issues.invalid.push('limit must be between 1 and 1000');
   }
 
-  if (invalid.length > 0) {
-    throw new Error(`Invalid ${label}: ${invalid.join(', ')}`);
+  if (issues.invalid.length > 0) {
+    throw new Error(`Invalid ${label}: ${issues.invalid.join(', ')}`);
   }
 }
 
@@ -437,7 +607,10 @@ export async function executeJsonProductRequest({
   requestHeaders = {},
   responseType = 'json',
   maxDownloadBytes = DEFAULT_MAX_DOWNLOAD_BYTES,
-  mutationReason
+  mutationReason,
+  retry,
+  circuitBreaker,
+  healthPath
 }) {
   const url = buildUrl(baseUrl, pathTemplate, pathParams, rawPathParams) + buildQueryString(queryParams);
   const upperMethod = method.toUpperCase();
@@ -450,18 +623,20 @@ export async function executeJsonProductRequest({
 
   addMutationAuditHeaders(headers, mutationReason);
 
-  const fetchOptions = {
-    method: upperMethod,
-    headers,
-    signal: AbortSignal.timeout(timeout)
-  };
-
-  if (body && !['GET', 'HEAD', 'DELETE'].includes(upperMethod)) {
+  const serializedBody = body && !['GET', 'HEAD', 'DELETE'].includes(upperMethod) ? JSON.stringify(body) : undefined;
+  if (serializedBody !== undefined) {
     headers['Content-Type'] = 'application/json';
-    fetchOptions.body = JSON.stringify(body);
   }
 
-  const response = await fetch(url, fetchOptions);
+  const exchange = { productName, method: upperMethod, pathTemplate, pathParams, queryParams, headers, body: serializedBody !== undefined ? body : undefined };
+  const response = await withRecording(exchange, () => withCircuitBreaker({ productName, baseUrl: normalizeBaseUrl(baseUrl), healthPath, config: circuitBreaker }, () => (
+    fetchWithRetry(url, () => ({
+      method: upperMethod,
+      headers,
+      signal: AbortSignal.timeout(timeout),
+      ...(serializedBody !== undefined ? { body: serializedBody } : {})
+    }), { retry, method: upperMethod, headers, requestHeaders })
+  )));
 
   if (upperMethod === 'HEAD') {
     return {
@@ -0,0 +1,86 @@
+import crypto from 'crypto';
+import { isMutationMethod } from './http-helpers.js';
+
+// Shared with retry.js: a mutation is only retried when it carries a header this matches
+export const IDEMPOTENCY_HEADER_PATTERN = /idempoten/i;
+
+function canonicalize(value) {
+  if (Array.isArray(value)) {
+    return value.map(canonicalize);
+  }
+
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(
+      Object.keys(value)
+        .sort()
+        .filter((key) => value[key] !== undefined)
+        .map((key) => [key, canonicalize(value[key])])
+    );
+  }
+
+  return value;
+}
+
+function sha256(value) {
+  return crypto.createHash('sha256').update(JSON.stringify(canonicalize(value) ?? null)).digest('hex');
+}
+
+export function findIdempotencyHeader(requestHeaders = {}) {
+  return Object.keys(requestHeaders || {}).find((name) => IDEMPOTENCY_HEADER_PATTERN.test(name)) || null;
+}
+
+/**
+ * Derive a stable idempotency key from the request identity. The same tool,
+ * action, path params, body, and mutation reason always produce the same key,
+ * so a replayed call is deduplicated by the product API. The key is shaped
+ * as a UUID because some product APIs validate the header format.
+ */
+export function deriveIdempotencyKey({ tool, resource, action, pathParams, body, mutationReason }) {
+  const digest = sha256({
+    tool,
+    resource,
+    action,
+    pathParams: pathParams || {},
+    bodyHash: sha256(body ?? null),
+    mutationReason: mutationReason || ''
+  });
+  const variant = ((parseInt(digest[16], 16) & 0x3) | 0x8).toString(16);
+
+  return `${digest.slice(0, 8)}-${digest.slice(8, 12)}-5${digest.slice(13, 16)}-${variant}${digest.slice(17, 20)}-${digest.slice(20, 32)}`;
+}
+
+/**
+ * Populate the action's declared idempotency header for a confirmed mutation.
+ *
+ * A caller-supplied key is kept as-is. Returns the headers to send and, when
+ * the action declares an idempotency header, a description of the key used.
+ */
+export function applyIdempotencyKey(tool, resolved, { pathParams, body, headers = {}, confirmMutation, mutationReason }) {
+  const header = findIdempotencyHeader(resolved.requestHeaders);
+  if (!header || !isMutationMethod(resolved.method) || confirmMutation !== true) {
+    return { headers, idempotency: null };
+  }
+
+  const supplied = Object.entries(headers).find(([name]) => name.toLowerCase() === header.toLowerCase());
+  if (supplied) {
+    return { headers, idempotency: { header, key: supplied[1], generated: false } };
+  }
+
+  const key = deriveIdempotencyKey({
+    tool,
+    resource: resolved.resource,
+    action: resolved.action,
+    pathParams,
+    body,
+    mutationReason
+  });
+
+  return { headers: { ...headers, [header]: key }, idempotency: { header, key, generated: true } };
+}
+
+/**
+ * Wrap an execute result with the idempotency key that was sent, if any.
+ */
+export function withIdempotencyKey(result, idempotency) {
+  return idempotency ? { result, idempotency } : result;
+}
@@ -5,29 +5,49 @@ import { matcherAdapter } from './matcher/index.js';
 import { tracerAdapter } from './tracer/index.js';
 import { flowkerAdapter } from './flowker/index.js';
 import { underwriterAdapter } from './underwriter/index.js';
+import config from '../config.js';
+import { isProductFullyBlocked } from './policy.js';
 
 export const LIVE_PRODUCT_ADAPTERS = [midazAdapter, fetcherAdapter, reporterAdapter, matcherAdapter, tracerAdapter, flowkerAdapter, underwriterAdapter];
 
+/**
+ * Execute tools whose every action is blocked by the configured policy.
+ * They are left unregistered rather than advertised and always refused.
+ * An execute tool with any allowed action stays listed: under `readOnly` its
+ * reads still work and its mutations are refused when called.
+ */
+export function getPolicyHiddenToolNames(adapter, policyConfig = config) {
+  if (!isProductFullyBlocked(policyConfig, adapter.id, adapter.getSchemas())) {
+    return [];
+  }
+
+  return adapter.tools.filter((tool) => tool.kind === 'execute').map((tool) => tool.name);
+}
+
+function listVisibleToolNames(adapter) {
+  const hidden = getPolicyHiddenToolNames(adapter);
+  return adapter.liveToolNames.filter((name) => !hidden.includes(name));
+}
+
 export function registerProductAdapters(server) {
   for (const adapter of LIVE_PRODUCT_ADAPTERS) {
-    adapter.registerTools(server);
+    adapter.registerTools(server, { hiddenToolNames: getPolicyHiddenToolNames(adapter) });
   }
 
-  return LIVE_PRODUCT_ADAPTERS.map((adapter) => ({
-    id: adapter.id,
-    name: adapter.name,
-    liveToolNames: [...adapter.liveToolNames]
-  }));
+  return listLiveProducts();
 }
 
 export function getLiveProductToolMetadata() {
-  return LIVE_PRODUCT_ADAPTERS.flatMap((adapter) => adapter.tools.map((tool) => ({ ...tool })));
+  return LIVE_PRODUCT_ADAPTERS.flatMap((adapter) => {
+    const hidden = getPolicyHiddenToolNames(adapter);
+    return adapter.tools.filter((tool) => !hidden.includes(tool.name)).map((tool) => ({ ...tool }));
+  });
 }
 
 export function listLiveProducts() {
   return LIVE_PRODUCT_ADAPTERS.map((adapter) => ({
     id: adapter.id,
     name: adapter.name,
-    liveToolNames: [...adapter.liveToolNames]
+    liveToolNames: listVisibleToolNames(adapter)
   }));
 }
@@ -1,18 +1,9 @@
-import { configPromise } from '../../config.js';
 import { executeJsonProductRequest, getMaxDownloadBytes } from '../http-helpers.js';
+import { loadEnvironmentConfig } from '../environments.js';
+import { getSchema } from './schemas/index.js';
 
-let configCache = null;
-
-async function getConfig() {
-  if (!configCache) {
-    configCache = await configPromise;
-  }
-
-  return configCache;
-}
-
-export async function executeRequest({ method, pathTemplate, pathParams, queryParams, body, headers: customHeaders, requestHeaders, responseType = 'json', mutationReason }) {
-  const config = await getConfig();
+export async function executeRequest({ method, pathTemplate, pathParams, queryParams, body, headers: customHeaders, requestHeaders, responseType = 'json', mutationReason, environment, confirmEnvironment }) {
+  const config = await loadEnvironmentConfig({ environment, confirmEnvironment, method });
   const matcherApi = config.matcherApi || {};
   const baseUrl = matcherApi.baseUrl;
   const timeout = matcherApi.timeout || 30000;
@@ -32,6 +23,9 @@ export async function executeRequest({ method, pathTemplate, pathParams, queryPa
     requestHeaders,
     responseType,
     maxDownloadBytes,
-    mutationReason
+    mutationReason,
+    retry: matcherApi.retry,
+    circuitBreaker: matcherApi.circuitBreaker,
+    healthPath: getSchema('system')?.actions.health?.path
   });
 }
@@ -1,4 +1,5 @@
 import { createProductAdapter } from '../adapter.js';
+import { getAllSchemas } from './schemas/index.js';
 import { registerMatcherDiscoverTool } from '../../tools/matcher-discover.js';
 import { registerMatcherExecuteTool } from '../../tools/matcher-execute.js';
 
@@ -19,8 +20,9 @@ export const matcherAdapter = createProductAdapter({
       description: 'Execute Matcher API actions.'
     }
   ],
-  registerTools(server) {
-    registerMatcherDiscoverTool(server);
-    registerMatcherExecuteTool(server);
+  getSchemas: getAllSchemas,
+  registerTools(server, registration) {
+    registerMatcherDiscoverTool(server, registration);
+    registerMatcherExecuteTool(server, registration);
   }
 });
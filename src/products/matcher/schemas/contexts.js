@@ -1,7 +1,10 @@
+import { matcherCursorPagination } from './shared.js';
+
 export const contextsSchema = {
   resource: 'contexts',
   component: 'configuration',
   description: 'Matcher reconciliation contexts that scope sources, rules, and matching behavior.',
+  pagination: matcherCursorPagination,
   actions: {
     list: {
       method: 'GET',
@@ -1,7 +1,10 @@
+import { matcherCursorPagination } from './shared.js';
+
 export const discoverySchema = {
   resource: 'discovery',
   component: 'discovery',
   description: 'Matcher discovery bridge over Fetcher connections, schemas, and extraction requests.',
+  pagination: matcherCursorPagination,
   actions: {
     refresh: {
       method: 'POST',
@@ -1,7 +1,10 @@
+import { matcherCursorPagination } from './shared.js';
+
 export const disputesSchema = {
   resource: 'disputes',
   component: 'exceptions',
   description: 'Matcher dispute investigation and resolution workflows.',
+  pagination: matcherCursorPagination,
   actions: {
     list: {
       method: 'GET',
@@ -1,7 +1,10 @@
+import { matcherCursorPagination } from './shared.js';
+
 export const exceptionsSchema = {
   resource: 'exceptions',
   component: 'exceptions',
   description: 'Matcher exception lifecycle, dispatch, force match, and audit history.',
+  pagination: matcherCursorPagination,
   actions: {
     list: {
       method: 'GET',
@@ -54,6 +57,7 @@ export const exceptionsSchema = {
       method: 'POST',
       path: '/v1/exceptions/:exceptionId/force-match',
       description: 'Force-match an exception with an override reason.',
+      requiresApproval: true,
       requestHeaders: {
         'X-Request-Id': { required: false, description: 'Optional request ID for tracing.' },
         'X-Idempotency-Key': { required: false, description: 'Optional idempotency key for safe retries.' }
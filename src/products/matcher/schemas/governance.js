@@ -1,3 +1,5 @@
+import { matcherCursorPagination } from './shared.js';
+
 const requestIdHeader = {
   'X-Request-Id': { required: false, description: 'Optional request ID for tracing.' }
 };
@@ -6,6 +8,7 @@ export const governanceSchema = {
   resource: 'governance',
   component: 'governance',
   description: 'Matcher governance APIs for actor mappings, audit logs, and archive access.',
+  pagination: matcherCursorPagination,
   actions: {
     getActorMapping: {
       method: 'GET',
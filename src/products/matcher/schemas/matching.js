@@ -1,7 +1,22 @@
+import { listOutput } from '../../output-contract.js';
+import { matcherCursorPagination } from './shared.js';
+
+const matchRunOutput = {
+  id: { type: 'string', format: 'uuid', description: 'Run UUID.' },
+  context_id: { type: 'string', format: 'uuid', description: 'Context UUID.' },
+  mode: { type: 'string', description: 'DRY_RUN or COMMIT.' },
+  status: { type: 'string', description: 'Run status, e.g. PROCESSING, COMPLETED, FAILED.' },
+  stats: { type: 'object', description: 'Matched, unmatched, and exception counts.' },
+  failure_reason: { type: 'string', description: 'Failure detail when the run failed.' },
+  started_at: { type: 'string', format: 'date-time', description: 'Start timestamp.' },
+  completed_at: { type: 'string', format: 'date-time', description: 'Completion timestamp.' }
+};
+
 export const matchingSchema = {
   resource: 'matching',
   component: 'matching',
   description: 'Matcher run orchestration, manual matching, run inspection, and match-group management.',
+  pagination: matcherCursorPagination,
   actions: {
     runContext: {
       method: 'POST',
@@ -15,7 +30,8 @@ export const matchingSchema = {
       },
       input: {
         mode: { type: 'string', required: true, description: 'Run mode: DRY_RUN or COMMIT.' }
-      }
+      },
+      output: matchRunOutput
     },
     listRuns: {
       method: 'GET',
@@ -31,7 +47,8 @@ export const matchingSchema = {
         limit: { type: 'number', description: 'Maximum number of records.' },
         cursor: { type: 'string', description: 'Pagination cursor.' },
         sort_order: { type: 'string', description: 'Sort order: asc or desc.' }
-      }
+      },
+      output: listOutput(matchRunOutput, matcherCursorPagination)
     },
     getRun: {
       method: 'GET',
@@ -45,7 +62,8 @@ export const matchingSchema = {
       },
       queryParams: {
         contextId: { type: 'string', required: true, description: 'Context UUID owning the run.' }
-      }
+      },
+      output: matchRunOutput
     },
     listRunGroups: {
       method: 'GET',
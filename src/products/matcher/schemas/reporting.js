@@ -1,3 +1,5 @@
+import { matcherCursorPagination } from './shared.js';
+
 const requestIdHeader = {
   'X-Request-Id': { required: false, description: 'Optional request ID for tracing.' }
 };
@@ -16,6 +18,7 @@ export const reportingSchema = {
   resource: 'reporting',
   component: 'reporting',
   description: 'Matcher reporting APIs for dashboard analytics, list reports, counts, and exports.',
+  pagination: matcherCursorPagination,
   actions: {
     getDashboard: {
       method: 'GET',
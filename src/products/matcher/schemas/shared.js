@@ -0,0 +1,8 @@
+export const matcherCursorPagination = {
+  style: 'cursor',
+  cursorParam: 'cursor',
+  limitParam: 'limit',
+  itemsField: 'items',
+  nextCursorField: 'next_cursor',
+  hasMoreField: 'has_more'
+};
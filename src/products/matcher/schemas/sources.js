@@ -1,7 +1,10 @@
+import { matcherCursorPagination } from './shared.js';
+
 export const sourcesSchema = {
   resource: 'sources',
   component: 'configuration',
   description: 'Matcher reconciliation sources under a context, including FETCHER and LEDGER source types.',
+  pagination: matcherCursorPagination,
   actions: {
     list: {
       method: 'GET',
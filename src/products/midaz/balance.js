@@ -0,0 +1,194 @@
+import {
+  addDecimal,
+  compareDecimal,
+  formatDecimal,
+  isDecimalString,
+  parseDecimal,
+  percentOf,
+  subtractDecimal,
+  zero
+} from './decimal.js';
+
+const SIDES = [
+  { key: 'source', listKey: 'from', implicitWhen: 'inflow' },
+  { key: 'distribute', listKey: 'to', implicitWhen: 'outflow' }
+];
+
+function isVariable(value) {
+  return typeof value === 'string' && value.startsWith('$');
+}
+
+function addToAsset(totals, asset, amount) {
+  totals.set(asset, addDecimal(totals.get(asset) || zero(), amount));
+}
+
+/**
+ * Resolve one side (source or distribute) of a send into per-asset totals.
+ * Shares are applied to the send value and `remaining` entries absorb whatever
+ * the other entries in the same side leave of it.
+ */
+function resolveSide(send, sendValue, side, issues, warnings) {
+  const entries = send?.[side.key]?.[side.listKey];
+  const basePath = `send.${side.key}.${side.listKey}`;
+  const totals = new Map();
+  let resolved = true;
+
+  if (!Array.isArray(entries) || entries.length === 0) {
+    issues.push(`${basePath} must contain at least one operation`);
+    return { totals, resolved: false };
+  }
+
+  const remainingIndexes = [];
+  let sendAssetTotal = zero();
+
+  entries.forEach((entry, index) => {
+    const path = `${basePath}[${index}]`;
+    const modes = ['amount', 'share', 'remaining'].filter((mode) => entry?.[mode] !== undefined && entry?.[mode] !== null && entry?.[mode] !== '');
+
+    if (modes.length !== 1) {
+      issues.push(`${path} must declare exactly one of amount, share, or remaining`);
+      resolved = false;
+      return;
+    }
+
+    if (modes[0] === 'remaining') {
+      remainingIndexes.push(index);
+      return;
+    }
+
+    if (modes[0] === 'amount') {
+      const { asset, value } = entry.amount;
+      if (isVariable(asset) || isVariable(value)) {
+        warnings.push(`${path}.amount uses an unresolved variable; balance not checked`);
+        resolved = false;
+        return;
+      }
+      if (!isDecimalString(value)) {
+        issues.push(`${path}.amount.value must be a decimal string`);
+        resolved = false;
+        return;
+      }
+      const amount = parseDecimal(value);
+      addToAsset(totals, asset, amount);
+      if (asset === send.asset) {
+        sendAssetTotal = addDecimal(sendAssetTotal, amount);
+      }
+      return;
+    }
+
+    const { percentage, percentageOfPercentage } = entry.share;
+    const shareParts = [percentage, percentageOfPercentage].filter((part) => part !== undefined && part !== null);
+    if (percentage === undefined || percentage === null || shareParts.some((part) => !isDecimalString(String(part)))) {
+      issues.push(`${path}.share percentages must be numeric`);
+      resolved = false;
+      return;
+    }
+    const outOfRange = [['percentage', percentage], ['percentageOfPercentage', percentageOfPercentage]]
+      .filter(([, part]) => part !== undefined && part !== null && (Number(part) <= 0 || Number(part) > 100))
+      .map(([name]) => `${path}.share.${name}`);
+    if (outOfRange.length > 0) {
+      issues.push(`${outOfRange.join(', ')} must be greater than 0 and at most 100`);
+      resolved = false;
+      return;
+    }
+    if (!sendValue) {
+      resolved = false;
+      return;
+    }
+    let amount = percentOf(sendValue, percentage);
+    if (percentageOfPercentage !== undefined && percentageOfPercentage !== null) {
+      amount = percentOf(amount, percentageOfPercentage);
+    }
+    addToAsset(totals, send.asset, amount);
+    sendAssetTotal = addDecimal(sendAssetTotal, amount);
+  });
+
+  if (remainingIndexes.length > 1) {
+    issues.push(`${basePath} declares more than one remaining operation (indexes ${remainingIndexes.join(', ')})`);
+    resolved = false;
+  } else if (remainingIndexes.length === 1 && sendValue && resolved) {
+    const rest = subtractDecimal(sendValue, sendAssetTotal);
+    if (rest.units < 0n) {
+      issues.push(`${basePath}[${remainingIndexes[0]}] remaining is negative: other operations already exceed send.value`);
+    }
+    addToAsset(totals, send.asset, rest);
+  } else if (remainingIndexes.length === 1) {
+    resolved = false;
+  }
+
+  return { totals, resolved };
+}
+
+function formatTotals(totals, minScale) {
+  return Object.fromEntries([...totals.entries()].map(([asset, amount]) => [asset, formatDecimal(amount, minScale)]));
+}
+
+/**
+ * Check that a Midaz `send` structure balances: each side must add up to
+ * send.value in the send asset, and every other asset must leave the source
+ * side in exactly the amount it enters the distribute side.
+ *
+ * `kind` follows the transaction endpoints: inflows have an implicit
+ * `@external/{asset}` source and outflows an implicit external destination.
+ */
+export function checkSendBalance(send, { kind = 'transaction' } = {}) {
+  const issues = [];
+  const warnings = [];
+
+  if (!send || typeof send !== 'object') {
+    return { balanced: false, resolved: false, issues: ['send must be an object'], warnings, assets: {} };
+  }
+
+  let sendValue = null;
+  if (isVariable(send.asset) || isVariable(send.value)) {
+    warnings.push('send.asset or send.value uses an unresolved variable; balance not checked');
+  } else if (!isDecimalString(send.value)) {
+    issues.push('send.value must be a decimal string');
+  } else {
+    sendValue = parseDecimal(send.value);
+  }
+
+  const sides = {};
+  let resolved = Boolean(sendValue);
+  for (const side of SIDES) {
+    if (kind === side.implicitWhen) {
+      sides[side.key] = { totals: sendValue ? new Map([[send.asset, sendValue]]) : new Map(), resolved: Boolean(sendValue) };
+      continue;
+    }
+    sides[side.key] = resolveSide(send, sendValue, side, issues, warnings);
+    resolved = resolved && sides[side.key].resolved;
+  }
+
+  const minScale = sendValue ? sendValue.scale : 0;
+  if (resolved) {
+    for (const side of SIDES) {
+      const total = sides[side.key].totals.get(send.asset) || zero();
+      if (compareDecimal(total, sendValue) !== 0) {
+        issues.push(`send.${side.key} totals ${formatDecimal(total, minScale)} ${send.asset} but send.value is ${send.value} ${send.asset}`);
+      }
+    }
+
+    const assets = new Set([...sides.source.totals.keys(), ...sides.distribute.totals.keys()]);
+    for (const asset of assets) {
+      if (asset === send.asset) {
+        continue;
+      }
+      const sourceTotal = sides.source.totals.get(asset) || zero();
+      const distributeTotal = sides.distribute.totals.get(asset) || zero();
+      if (compareDecimal(sourceTotal, distributeTotal) !== 0) {
+        issues.push(`${asset} does not balance: source ${formatDecimal(sourceTotal, minScale)} vs distribute ${formatDecimal(distributeTotal, minScale)}`);
+      }
+    }
+  }
+
+  return {
+    balanced: resolved && issues.length === 0,
+    resolved,
+    issues,
+    warnings,
+    assets: {
+      source: formatTotals(sides.source.totals, minScale),
+      distribute: formatTotals(sides.distribute.totals, minScale)
+    }
+  };
+}
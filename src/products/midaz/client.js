@@ -0,0 +1,42 @@
+import { executeJsonProductRequest, getMaxDownloadBytes } from '../http-helpers.js';
+import { loadEnvironmentConfig } from '../environments.js';
+import { getSchema } from './schemas/index.js';
+
+export function getComponentUrl(midazApi, component) {
+  const urlMap = {
+    onboarding: midazApi.onboardingUrl,
+    transaction: midazApi.transactionUrl,
+    crm: midazApi.crmUrl,
+    ledger: midazApi.ledgerUrl
+  };
+
+  return urlMap[component] || midazApi.onboardingUrl;
+}
+
+export async function executeRequest({ component, method, pathTemplate, pathParams, queryParams, body, headers: customHeaders, requestHeaders, responseType = 'json', mutationReason, environment, confirmEnvironment }) {
+  const config = await loadEnvironmentConfig({ environment, confirmEnvironment, method });
+  const midazApi = config.midazApi || {};
+  const baseUrl = getComponentUrl(midazApi, component);
+  const timeout = midazApi.timeout || 30000;
+  const maxDownloadBytes = getMaxDownloadBytes(midazApi);
+
+  return executeJsonProductRequest({
+    productName: 'Midaz',
+    baseUrl,
+    method,
+    pathTemplate,
+    pathParams,
+    queryParams,
+    body,
+    timeout,
+    authHeaders: midazApi.authToken ? { Authorization: `Bearer ${midazApi.authToken}` } : {},
+    customHeaders,
+    requestHeaders,
+    responseType,
+    maxDownloadBytes,
+    mutationReason,
+    retry: midazApi.retry,
+    circuitBreaker: midazApi.circuitBreaker,
+    healthPath: getSchema('system')?.actions.health?.path
+  });
+}
@@ -0,0 +1,120 @@
+/**
+ * Exact decimal arithmetic for Midaz amounts.
+ *
+ * Midaz carries amounts as decimal strings ("100.00") in JSON and as either
+ * decimals or `value|scale` pairs in Gold DSL. Values are held as a BigInt of
+ * minor units plus a scale so sums and percentage splits never touch floats.
+ */
+
+const DECIMAL_PATTERN = /^(-)?(\d+)(?:\.(\d+))?$/;
+
+export function isDecimalString(value) {
+  return typeof value === 'string' && DECIMAL_PATTERN.test(value);
+}
+
+/**
+ * Parse a decimal string (or finite number) into `{ units, scale }`.
+ * Throws when the value is not a plain decimal.
+ */
+export function parseDecimal(value) {
+  const text = typeof value === 'number' && Number.isFinite(value) ? String(value) : value;
+  const match = typeof text === 'string' ? DECIMAL_PATTERN.exec(text.trim()) : null;
+  if (!match) {
+    throw new Error(`Invalid decimal amount: ${JSON.stringify(value)}`);
+  }
+
+  const [, sign, whole, fraction = ''] = match;
+  const units = BigInt(`${whole}${fraction}`);
+  return { units: sign ? -units : units, scale: fraction.length };
+}
+
+/**
+ * Convert a Gold `value|scale` pair (e.g. 10000|2) into a decimal.
+ */
+export function fromScaled(value, scale) {
+  const parsedScale = Number(scale);
+  if (!Number.isInteger(parsedScale) || parsedScale < 0) {
+    throw new Error(`Invalid amount scale: ${scale}`);
+  }
+
+  const parsed = parseDecimal(String(value));
+  if (parsed.scale !== 0) {
+    throw new Error(`Scaled amount value must be an integer: ${value}`);
+  }
+  return { units: parsed.units, scale: parsedScale };
+}
+
+/**
+ * Render a decimal as a Gold `value|scale` pair, keeping at least `minScale` digits.
+ */
+export function toScaled(decimal, minScale = 0) {
+  const aligned = rescale(decimal, Math.max(decimal.scale, minScale));
+  return `${aligned.units}|${aligned.scale}`;
+}
+
+function rescale(decimal, scale) {
+  if (scale === decimal.scale) {
+    return decimal;
+  }
+  return { units: decimal.units * 10n ** BigInt(scale - decimal.scale), scale };
+}
+
+function align(left, right) {
+  const scale = Math.max(left.scale, right.scale);
+  return [rescale(left, scale), rescale(right, scale), scale];
+}
+
+export function zero() {
+  return { units: 0n, scale: 0 };
+}
+
+export function addDecimal(left, right) {
+  const [a, b, scale] = align(left, right);
+  return { units: a.units + b.units, scale };
+}
+
+export function subtractDecimal(left, right) {
+  const [a, b, scale] = align(left, right);
+  return { units: a.units - b.units, scale };
+}
+
+export function multiplyDecimal(left, right) {
+  return { units: left.units * right.units, scale: left.scale + right.scale };
+}
+
+/**
+ * Apply a percentage (0-100) to an amount without rounding.
+ */
+export function percentOf(amount, percentage) {
+  const product = multiplyDecimal(amount, parseDecimal(percentage));
+  return { units: product.units, scale: product.scale + 2 };
+}
+
+export function compareDecimal(left, right) {
+  const [a, b] = align(left, right);
+  if (a.units === b.units) {
+    return 0;
+  }
+  return a.units < b.units ? -1 : 1;
+}
+
+/**
+ * Drop trailing fractional zeros beyond `minScale`.
+ */
+export function normalizeDecimal(decimal, minScale = 0) {
+  let { units, scale } = decimal;
+  while (scale > minScale && units % 10n === 0n) {
+    units /= 10n;
+    scale -= 1;
+  }
+  return rescale({ units, scale }, Math.max(scale, minScale));
+}
+
+export function formatDecimal(decimal, minScale = 0) {
+  const { units, scale } = normalizeDecimal(decimal, minScale);
+  const negative = units < 0n;
+  const digits = (negative ? -units : units).toString().padStart(scale + 1, '0');
+  const whole = digits.slice(0, digits.length - scale);
+  const fraction = scale > 0 ? `.${digits.slice(digits.length - scale)}` : '';
+  return `${negative ? '-' : ''}${whole}${fraction}`;
+}
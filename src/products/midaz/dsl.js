@@ -0,0 +1,679 @@
+/**
+ * Local parser, validator, and generator for Midaz Gold transaction DSL.
+ *
+ * Gold is an S-expression language:
+ *
+ *   (transaction V1
+ *     (chart-of-accounts-group-name PAYMENTS)
+ *     (description "Monthly rent")
+ *     (send USD 1000|2
+ *       (source (from @tenant :amount USD 1000|2))
+ *       (distribute (to @landlord :share 90) (to @agency :remaining))))
+ *
+ * Amounts may be written as Gold `value|scale` pairs or as plain decimals.
+ * Parsing produces the JSON body accepted by `transactions.create`; generation
+ * goes the other way.
+ */
+
+import { formatDecimal, fromScaled, isDecimalString, parseDecimal, toScaled } from './decimal.js';
+import { checkSendBalance } from './balance.js';
+
+export const DSL_AMOUNT_FORMATS = ['scaled', 'decimal'];
+
+const DEFAULT_VERSION = 'V1';
+const VERSION_PATTERN = /^V\d+$/i;
+const BARE_ATOM_PATTERN = /^[^\s()"|]+$/;
+
+class DslError extends Error {
+  constructor(message, node) {
+    super(message);
+    this.line = node?.line ?? 1;
+    this.column = node?.column ?? 1;
+  }
+}
+
+function tokenize(text) {
+  const tokens = [];
+  const errors = [];
+  let index = 0;
+  let line = 1;
+  let column = 1;
+
+  const advance = () => {
+    if (text[index] === '\n') {
+      line += 1;
+      column = 1;
+    } else {
+      column += 1;
+    }
+    index += 1;
+  };
+
+  while (index < text.length) {
+    const char = text[index];
+
+    if (/\s/.test(char)) {
+      advance();
+      continue;
+    }
+
+    if (char === '/' && text[index + 1] === '/') {
+      while (index < text.length && text[index] !== '\n') {
+        advance();
+      }
+      continue;
+    }
+
+    const start = { line, column };
+
+    if (char === '(' || char === ')' || char === '|') {
+      tokens.push({ type: char, value: char, ...start });
+      advance();
+      continue;
+    }
+
+    if (char === '"') {
+      let value = '';
+      advance();
+      let closed = false;
+      while (index < text.length) {
+        const current = text[index];
+        if (current === '\\' && index + 1 < text.length) {
+          advance();
+          const escaped = text[index];
+          value += escaped === 'n' ? '\n' : escaped === 't' ? '\t' : escaped;
+          advance();
+          continue;
+        }
+        if (current === '"') {
+          closed = true;
+          advance();
+          break;
+        }
+        value += current;
+        advance();
+      }
+      if (!closed) {
+        errors.push({ ...start, message: 'Unterminated string literal' });
+        break;
+      }
+      tokens.push({ type: 'atom', value, quoted: true, ...start });
+      continue;
+    }
+
+    let value = '';
+    while (index < text.length && !/[\s()"|]/.test(text[index])) {
+      value += text[index];
+      advance();
+    }
+    tokens.push({ type: 'atom', value, quoted: false, ...start });
+  }
+
+  return { tokens, errors, end: { line, column } };
+}
+
+function buildTree(tokens, end) {
+  const errors = [];
+  const roots = [];
+  const stack = [];
+
+  for (const token of tokens) {
+    if (token.type === '(') {
+      const list = { type: 'list', items: [], line: token.line, column: token.column };
+      (stack.length > 0 ? stack[stack.length - 1].items : roots).push(list);
+      stack.push(list);
+      continue;
+    }
+
+    if (token.type === ')') {
+      if (stack.length === 0) {
+        errors.push({ line: token.line, column: token.column, message: 'Unexpected ")" with no matching "("' });
+        continue;
+      }
+      stack.pop();
+      continue;
+    }
+
+    (stack.length > 0 ? stack[stack.length - 1].items : roots).push(token);
+  }
+
+  for (const open of stack) {
+    errors.push({ line: open.line, column: open.column, message: `Unclosed "(" — expected ")" before end of input at line ${end.line}, column ${end.column}` });
+  }
+
+  return { roots, errors };
+}
+
+function describeNode(node) {
+  if (!node) {
+    return 'end of form';
+  }
+  if (node.type === 'list') {
+    const head = node.items[0];
+    return head?.type === 'atom' ? `"(${head.value} ...)"` : 'a list';
+  }
+  return node.type === 'atom' ? `"${node.value}"` : `"${node.type}"`;
+}
+
+function formName(node) {
+  return node?.type === 'list' && node.items[0]?.type === 'atom' && !node.items[0].quoted
+    ? node.items[0].value
+    : null;
+}
+
+/**
+ * Sequential reader over the items of one list node.
+ */
+class FormReader {
+  constructor(list, variables, unresolved) {
+    this.list = list;
+    this.items = list.items;
+    this.position = 1;
+    this.variables = variables;
+    this.unresolved = unresolved;
+  }
+
+  peek() {
+    return this.items[this.position];
+  }
+
+  next() {
+    const node = this.items[this.position];
+    this.position += 1;
+    return node;
+  }
+
+  fail(message, node = this.peek()) {
+    throw new DslError(message, node || this.list);
+  }
+
+  atom(label) {
+    const node = this.next();
+    if (!node || node.type !== 'atom') {
+      this.fail(`Expected ${label} but found ${describeNode(node)}`, node);
+    }
+    return this.substitute(node);
+  }
+
+  keyword(name) {
+    const node = this.peek();
+    if (node?.type === 'atom' && !node.quoted && node.value === name) {
+      this.position += 1;
+      return true;
+    }
+    return false;
+  }
+
+  substitute(node) {
+    if (!node.quoted && node.value.startsWith('$')) {
+      const name = node.value.slice(1);
+      if (Object.prototype.hasOwnProperty.call(this.variables, name)) {
+        return String(this.variables[name]);
+      }
+      this.unresolved.add(name);
+    }
+    return node.value;
+  }
+
+  /**
+   * Read an amount written as `value|scale` or as a plain decimal.
+   */
+  amount(label) {
+    const valueNode = this.peek();
+    const value = this.atom(label);
+    let scale = null;
+    if (this.peek()?.type === '|') {
+      this.next();
+      scale = this.atom(`${label} scale`);
+    }
+
+    if (value.startsWith('$') || (scale !== null && scale.startsWith('$'))) {
+      return scale === null ? value : `${value}|${scale}`;
+    }
+
+    try {
+      const decimal = scale === null ? parseDecimal(value) : fromScaled(value, scale);
+      return formatDecimal(decimal, decimal.scale);
+    } catch (error) {
+      throw new DslError(`Invalid ${label}: ${error.message}`, valueNode);
+    }
+  }
+
+  rest() {
+    const rest = this.items.slice(this.position);
+    this.position = this.items.length;
+    return rest;
+  }
+
+  end() {
+    const node = this.peek();
+    if (node) {
+      this.fail(`Unexpected ${describeNode(node)}`, node);
+    }
+  }
+}
+
+function parseScalar(node, reader) {
+  if (node.type !== 'atom') {
+    throw new DslError(`Expected a metadata value but found ${describeNode(node)}`, node);
+  }
+  const value = reader.substitute(node);
+  if (node.quoted) {
+    return value;
+  }
+  if (value === 'true' || value === 'false') {
+    return value === 'true';
+  }
+  if (/^-?\d+(\.\d+)?$/.test(value) && Number.isFinite(Number(value))) {
+    return Number(value);
+  }
+  return value;
+}
+
+function parseMetadata(list, reader) {
+  const metadata = {};
+  for (const pair of list.items.slice(1)) {
+    if (pair.type !== 'list' || pair.items.length !== 2 || pair.items[0].type !== 'atom') {
+      throw new DslError('metadata entries must be (key value) pairs', pair);
+    }
+    metadata[pair.items[0].value] = parseScalar(pair.items[1], reader);
+  }
+  return metadata;
+}
+
+function singleValue(list, reader, label) {
+  const child = new FormReader(list, reader.variables, reader.unresolved);
+  const value = child.atom(label);
+  child.end();
+  return value;
+}
+
+function parseOperation(list, reader, kind) {
+  const child = new FormReader(list, reader.variables, reader.unresolved);
+  const operation = { account: child.atom('an account (e.g. @alice)') };
+
+  if (child.keyword(':amount')) {
+    const asset = child.atom('an asset code');
+    operation.amount = { asset, value: child.amount('amount') };
+  } else if (child.keyword(':share')) {
+    const percentage = child.atom('a share percentage');
+    operation.share = { percentage: toNumber(percentage, list) };
+    if (child.keyword(':of')) {
+      operation.share.percentageOfPercentage = toNumber(child.atom('a percentage for :of'), list);
+    }
+  } else if (child.keyword(':remaining')) {
+    operation.remaining = 'remaining';
+  } else {
+    child.fail(`Expected :amount, :share, or :remaining in (${kind} ...) but found ${describeNode(child.peek())}`);
+  }
+
+  for (const node of child.rest()) {
+    switch (formName(node)) {
+      case 'description':
+        operation.description = singleValue(node, reader, 'a description');
+        break;
+      case 'chart-of-accounts':
+        operation.chartOfAccounts = singleValue(node, reader, 'a chart of accounts code');
+        break;
+      case 'metadata':
+        operation.metadata = parseMetadata(node, reader);
+        break;
+      case 'rate': {
+        const rate = new FormReader(node, reader.variables, reader.unresolved);
+        const externalId = rate.atom('a rate external ID');
+        const from = rate.atom('a source asset');
+        if (!rate.keyword('->')) {
+          rate.fail(`Expected "->" in (rate ...) but found ${describeNode(rate.peek())}`);
+        }
+        operation.rate = { from, to: rate.atom('a target asset'), value: rate.amount('rate'), externalId };
+        rate.end();
+        break;
+      }
+      default:
+        throw new DslError(`Unexpected ${describeNode(node)} in (${kind} ...)`, node);
+    }
+  }
+
+  return operation;
+}
+
+function toNumber(value, node) {
+  if (value.startsWith('$')) {
+    return value;
+  }
+  if (!isDecimalString(value)) {
+    throw new DslError(`Expected a number but found "${value}"`, node);
+  }
+  return Number(value);
+}
+
+function parseSide(list, reader, sideName, operationName) {
+  const side = {};
+  const operations = [];
+
+  for (const node of list.items.slice(1)) {
+    const name = formName(node);
+    if (name === operationName) {
+      operations.push(parseOperation(node, reader, operationName));
+    } else if (name === 'remaining') {
+      side.remaining = singleValue(node, reader, 'a remaining account');
+    } else {
+      throw new DslError(`Expected (${operationName} ...) in (${sideName} ...) but found ${describeNode(node)}`, node);
+    }
+  }
+
+  if (operations.length === 0) {
+    throw new DslError(`(${sideName} ...) needs at least one (${operationName} ...) operation`, list);
+  }
+
+  side[operationName] = operations;
+  return side;
+}
+
+function parseSend(list, reader) {
+  const child = new FormReader(list, reader.variables, reader.unresolved);
+  const send = { asset: child.atom('an asset code'), value: child.amount('send amount') };
+
+  for (const node of child.rest()) {
+    const name = formName(node);
+    if (name === 'source' && !send.source) {
+      send.source = parseSide(node, reader, 'source', 'from');
+    } else if (name === 'distribute' && !send.distribute) {
+      send.distribute = parseSide(node, reader, 'distribute', 'to');
+    } else {
+      throw new DslError(`Unexpected ${describeNode(node)} in (send ...)`, node);
+    }
+  }
+
+  if (!send.source) {
+    throw new DslError('(send ...) is missing its (source ...) block', list);
+  }
+  if (!send.distribute) {
+    throw new DslError('(send ...) is missing its (distribute ...) block', list);
+  }
+
+  return send;
+}
+
+function parseTransaction(root, variables, unresolved) {
+  if (formName(root) !== 'transaction') {
+    throw new DslError(`Expected (transaction ...) but found ${describeNode(root)}`, root);
+  }
+
+  const reader = new FormReader(root, variables, unresolved);
+  const versionNode = reader.peek();
+  if (versionNode?.type !== 'atom' || !VERSION_PATTERN.test(versionNode.value)) {
+    reader.fail(`Expected a DSL version (e.g. ${DEFAULT_VERSION}) after "transaction" but found ${describeNode(versionNode)}`);
+  }
+  const version = reader.atom('a DSL version').toUpperCase();
+  const transaction = {};
+
+  for (const node of reader.rest()) {
+    const name = formName(node);
+    if (name && name !== 'send' && name !== 'metadata' && Object.prototype.hasOwnProperty.call(transaction, camelCaseField(name))) {
+      throw new DslError(`Duplicate (${name} ...) form`, node);
+    }
+
+    switch (name) {
+      case 'chart-of-accounts-group-name':
+        transaction.chartOfAccountsGroupName = singleValue(node, reader, 'a chart of accounts group name');
+        break;
+      case 'description':
+        transaction.description = singleValue(node, reader, 'a description');
+        break;
+      case 'code':
+        transaction.code = singleValue(node, reader, 'a code');
+        break;
+      case 'pending': {
+        const pending = singleValue(node, reader, 'true or false');
+        if (pending !== 'true' && pending !== 'false') {
+          throw new DslError(`(pending ...) must be true or false, got "${pending}"`, node.items[1]);
+        }
+        transaction.pending = pending === 'true';
+        break;
+      }
+      case 'metadata':
+        transaction.metadata = { ...(transaction.metadata || {}), ...parseMetadata(node, reader) };
+        break;
+      case 'send':
+        if (transaction.send) {
+          throw new DslError('Duplicate (send ...) form', node);
+        }
+        transaction.send = parseSend(node, reader);
+        break;
+      default:
+        throw new DslError(`Unexpected ${describeNode(node)} in (transaction ...)`, node);
+    }
+  }
+
+  if (!transaction.send) {
+    throw new DslError('(transaction ...) is missing its (send ...) block', root);
+  }
+
+  return { version, transaction };
+}
+
+function camelCaseField(name) {
+  return name.replace(/-([a-z])/g, (_match, letter) => letter.toUpperCase());
+}
+
+/**
+ * Parse Gold DSL text into the `transactions.create` JSON body.
+ *
+ * Never throws for malformed input: syntax problems come back in `errors`
+ * with 1-based line and column numbers. `$name` placeholders are substituted
+ * from `variables`; any left over are listed in `unresolvedVariables`.
+ */
+export function parseDsl(text, { variables = {} } = {}) {
+  if (typeof text !== 'string' || text.trim() === '') {
+    return { ok: false, errors: [{ line: 1, column: 1, message: 'DSL text is empty' }], unresolvedVariables: [] };
+  }
+
+  const { tokens, errors: tokenErrors, end } = tokenize(text);
+  const { roots, errors: treeErrors } = buildTree(tokens, end);
+  const errors = [...tokenErrors, ...treeErrors];
+
+  if (errors.length > 0) {
+    return { ok: false, errors: errors.sort((a, b) => a.line - b.line || a.column - b.column), unresolvedVariables: [] };
+  }
+
+  if (roots.length !== 1) {
+    const extra = roots[1] || roots[0];
+    return {
+      ok: false,
+      errors: [{
+        line: extra?.line ?? 1,
+        column: extra?.column ?? 1,
+        message: roots.length === 0 ? 'Expected a (transaction ...) form' : `Unexpected ${describeNode(extra)} after the (transaction ...) form`
+      }],
+      unresolvedVariables: []
+    };
+  }
+
+  const unresolved = new Set();
+  try {
+    const { version, transaction } = parseTransaction(roots[0], variables || {}, unresolved);
+    return { ok: true, version, transaction, errors: [], unresolvedVariables: [...unresolved] };
+  } catch (error) {
+    if (!(error instanceof DslError)) {
+      throw error;
+    }
+    return { ok: false, errors: [{ line: error.line, column: error.column, message: error.message }], unresolvedVariables: [...unresolved] };
+  }
+}
+
+/**
+ * Parse DSL text and check that its source and distribute sides balance.
+ */
+export function validateDsl(text, options = {}) {
+  const parsed = parseDsl(text, options);
+  if (!parsed.ok) {
+    return { valid: false, errors: parsed.errors, unresolvedVariables: parsed.unresolvedVariables };
+  }
+
+  const balance = checkSendBalance(parsed.transaction.send);
+  return {
+    valid: balance.issues.length === 0,
+    version: parsed.version,
+    errors: [],
+    balance,
+    unresolvedVariables: parsed.unresolvedVariables,
+    transaction: parsed.transaction
+  };
+}
+
+/**
+ * Format a DSL parse failure as a single-line message.
+ */
+export function formatDslErrors(errors) {
+  return errors.map((error) => `line ${error.line}, column ${error.column}: ${error.message}`).join('; ');
+}
+
+function quote(value) {
+  return `"${String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n').replace(/\t/g, '\\t')}"`;
+}
+
+function atomOrQuoted(value) {
+  const text = String(value);
+  return BARE_ATOM_PATTERN.test(text) && !text.startsWith('//') ? text : quote(text);
+}
+
+function formatAmount(value, amountFormat, path) {
+  const text = String(value);
+  if (text.startsWith('$')) {
+    return text;
+  }
+  if (!isDecimalString(text)) {
+    throw new Error(`Invalid body fields: ${path} must be a decimal string`);
+  }
+  const decimal = parseDecimal(text);
+  return amountFormat === 'decimal' ? formatDecimal(decimal, decimal.scale) : toScaled(decimal);
+}
+
+function formatMetadataValue(value) {
+  if (typeof value === 'number' || typeof value === 'boolean') {
+    return String(value);
+  }
+  return quote(typeof value === 'string' ? value : JSON.stringify(value));
+}
+
+function metadataLines(metadata, indent) {
+  const entries = Object.entries(metadata || {});
+  if (entries.length === 0) {
+    return [];
+  }
+  return [`${indent}(metadata ${entries.map(([key, value]) => `(${atomOrQuoted(key)} ${formatMetadataValue(value)})`).join(' ')})`];
+}
+
+function operationLines(operation, keyword, path, indent, amountFormat, warnings) {
+  if (!operation?.account) {
+    throw new Error(`Missing required body fields: ${path}.account`);
+  }
+
+  let sendType;
+  if (operation.amount) {
+    sendType = `:amount ${atomOrQuoted(operation.amount.asset)} ${formatAmount(operation.amount.value, amountFormat, `${path}.amount.value`)}`;
+  } else if (operation.share) {
+    sendType = `:share ${operation.share.percentage}`;
+    if (operation.share.percentageOfPercentage !== undefined && operation.share.percentageOfPercentage !== null) {
+      sendType += ` :of ${operation.share.percentageOfPercentage}`;
+    }
+  } else if (operation.remaining) {
+    sendType = ':remaining';
+  } else {
+    throw new Error(`Missing required body fields: ${path}.amount, ${path}.share, or ${path}.remaining`);
+  }
+
+  for (const field of ['balanceKey', 'route']) {
+    if (operation[field] !== undefined) {
+      warnings.push(`${path}.${field} has no Gold DSL form and was omitted`);
+    }
+  }
+
+  const children = [];
+  if (operation.description) {
+    children.push(`(description ${quote(operation.description)})`);
+  }
+  if (operation.chartOfAccounts) {
+    children.push(`(chart-of-accounts ${atomOrQuoted(operation.chartOfAccounts)})`);
+  }
+  if (operation.rate) {
+    const { externalId = '', from, to, value } = operation.rate;
+    children.push(`(rate ${atomOrQuoted(externalId || 'rate')} ${atomOrQuoted(from)} -> ${atomOrQuoted(to)} ${formatAmount(value, amountFormat, `${path}.rate.value`)})`);
+  }
+  const head = `${indent}(${keyword} ${atomOrQuoted(operation.account)} ${sendType}`;
+  const metadata = metadataLines(operation.metadata, `${indent}  `);
+
+  if (children.length === 0 && metadata.length === 0) {
+    return [`${head})`];
+  }
+  return [head, ...children.map((child) => `${indent}  ${child}`), ...metadata].map((line, index, lines) => (
+    index === lines.length - 1 ? `${line})` : line
+  ));
+}
+
+function sideLines(side, sideName, operationName, path, indent, amountFormat, warnings) {
+  const operations = side?.[operationName];
+  if (!Array.isArray(operations) || operations.length === 0) {
+    throw new Error(`Missing required body fields: ${path}.${operationName}`);
+  }
+
+  const lines = [`${indent}(${sideName}`];
+  if (side.remaining) {
+    lines.push(`${indent}  (remaining ${atomOrQuoted(side.remaining)})`);
+  }
+  operations.forEach((operation, index) => {
+    lines.push(...operationLines(operation, operationName, `${path}.${operationName}[${index}]`, `${indent}  `, amountFormat, warnings));
+  });
+  lines[lines.length - 1] += ')';
+  return lines;
+}
+
+/**
+ * Generate Gold DSL text from a `transactions.create` JSON body.
+ *
+ * Fields that Gold cannot express (transactionDate, route, balanceKey) are
+ * dropped and reported in `warnings`.
+ */
+export function transactionToDsl(body, { amountFormat = 'scaled', version = DEFAULT_VERSION } = {}) {
+  if (!body || typeof body !== 'object' || !body.send) {
+    throw new Error('Missing required body fields: send');
+  }
+  if (!DSL_AMOUNT_FORMATS.includes(amountFormat)) {
+    throw new Error(`amountFormat must be one of ${DSL_AMOUNT_FORMATS.join(', ')}`);
+  }
+
+  const { send } = body;
+  const missing = ['asset', 'value'].filter((field) => send[field] === undefined || send[field] === '').map((field) => `send.${field}`);
+  if (missing.length > 0) {
+    throw new Error(`Missing required body fields: ${missing.join(', ')}`);
+  }
+
+  const warnings = [];
+  for (const field of ['route', 'transactionDate']) {
+    if (body[field] !== undefined) {
+      warnings.push(`${field} has no Gold DSL form and was omitted`);
+    }
+  }
+
+  const lines = [`(transaction ${String(version).toUpperCase()}`];
+  if (body.chartOfAccountsGroupName) {
+    lines.push(`  (chart-of-accounts-group-name ${atomOrQuoted(body.chartOfAccountsGroupName)})`);
+  }
+  if (body.description) {
+    lines.push(`  (description ${quote(body.description)})`);
+  }
+  if (body.code) {
+    lines.push(`  (code ${atomOrQuoted(body.code)})`);
+  }
+  if (typeof body.pending === 'boolean') {
+    lines.push(`  (pending ${body.pending})`);
+  }
+  lines.push(...metadataLines(body.metadata, '  '));
+  lines.push(`  (send ${atomOrQuoted(send.asset)} ${formatAmount(send.value, amountFormat, 'send.value')}`);
+  lines.push(...sideLines(send.source, 'source', 'from', 'send.source', '    ', amountFormat, warnings));
+  lines.push(...sideLines(send.distribute, 'distribute', 'to', 'send.distribute', '    ', amountFormat, warnings));
+  lines[lines.length - 1] += '))';
+
+  return { dsl: `${lines.join('\n')}\n`, warnings };
+}
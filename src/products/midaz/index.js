@@ -0,0 +1,36 @@
+import { createProductAdapter } from '../adapter.js';
+import { getAllSchemas } from './schemas/index.js';
+import { registerMidazDiscoverTool } from '../../tools/midaz-discover.js';
+import { registerMidazExecuteTool } from '../../tools/midaz-execute.js';
+import { registerMidazDslTool } from '../../tools/midaz-dsl.js';
+
+export const midazAdapter = createProductAdapter({
+  id: 'midaz',
+  name: 'Midaz',
+  tools: [
+    {
+      name: 'midaz-discover',
+      kind: 'discover',
+      category: 'live-api',
+      description: 'Inspect Midaz onboarding, transaction, CRM, and ledger resources and action contracts.'
+    },
+    {
+      name: 'midaz-execute',
+      kind: 'execute',
+      category: 'live-api',
+      description: 'Execute Midaz API actions.'
+    },
+    {
+      name: 'midaz-dsl',
+      kind: 'local',
+      category: 'local-tooling',
+      description: 'Parse, validate, and generate Midaz Gold transaction DSL locally.'
+    }
+  ],
+  getSchemas: getAllSchemas,
+  registerTools(server, registration) {
+    registerMidazDiscoverTool(server, registration);
+    registerMidazExecuteTool(server, registration);
+    registerMidazDslTool(server, registration);
+  }
+});
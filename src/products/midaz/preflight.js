@@ -0,0 +1,50 @@
+import { checkSendBalance } from './balance.js';
+
+const PREFLIGHT_KINDS = {
+  create: 'transaction',
+  createInflow: 'inflow',
+  createOutflow: 'outflow'
+};
+
+function findMixedAssets(send) {
+  const issues = [];
+  const sides = [['source', 'from'], ['distribute', 'to']];
+
+  for (const [sideKey, listKey] of sides) {
+    const entries = send?.[sideKey]?.[listKey];
+    if (!Array.isArray(entries)) {
+      continue;
+    }
+    entries.forEach((entry, index) => {
+      const asset = entry?.amount?.asset;
+      if (asset !== undefined && asset !== send.asset) {
+        issues.push(`send.${sideKey}.${listKey}[${index}].amount.asset ${asset} does not match send.asset ${send.asset}`);
+      }
+    });
+  }
+
+  return issues;
+}
+
+/**
+ * Double-entry preflight for Midaz transaction create actions, run locally
+ * before anything is posted. Returns null for actions it does not cover and
+ * throws when the send structure does not balance.
+ */
+export function preflightTransaction(resource, action, body) {
+  const kind = resource === 'transactions' ? PREFLIGHT_KINDS[action] : undefined;
+  if (!kind) {
+    return null;
+  }
+
+  const send = body?.send;
+  const mixedAssets = findMixedAssets(send);
+  const balance = checkSendBalance(send, { kind });
+  const issues = [...mixedAssets, ...balance.issues];
+
+  if (issues.length > 0) {
+    throw new Error(`Unbalanced transaction: ${issues.join('; ')}`);
+  }
+
+  return balance;
+}
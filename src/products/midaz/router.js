@@ -0,0 +1,104 @@
+import { getSchema, getAllSchemas } from './schemas/index.js';
+import { executeRequest } from './client.js';
+import { preflightTransaction } from './preflight.js';
+import { sanitizeCustomHeaders, validateActionRequest } from '../http-helpers.js';
+import { paginateAction, resolveAutoPagination, resolvePaginationContract } from '../pagination.js';
+import { enforceActionPolicy } from '../policy.js';
+import { applyIdempotencyKey } from '../idempotency.js';
+import { gateApproval } from '../approvals.js';
+
+export function resolveAction(resource, action) {
+  const schema = getSchema(resource);
+  if (!schema) {
+    return { error: `Unknown resource "${resource}". Use midaz-discover to list available resources.` };
+  }
+
+  const actionDef = schema.actions[action];
+  if (!actionDef) {
+    const available = Object.keys(schema.actions).join(', ');
+    return { error: `Unknown action "${action}" for resource "${resource}". Available actions: ${available}` };
+  }
+
+  return {
+    resource,
+    action,
+    component: schema.component,
+    method: actionDef.method,
+    pathTemplate: actionDef.path,
+    pathParams: actionDef.pathParams || {},
+    queryParams: actionDef.queryParams || {},
+    input: actionDef.input || null,
+    output: actionDef.output || null,
+    requestHeaders: actionDef.requestHeaders || {},
+    responseType: actionDef.responseType || 'json',
+    description: actionDef.description,
+    example: actionDef.example || null,
+    pagination: resolvePaginationContract(schema, actionDef),
+    requiresApproval: actionDef.requiresApproval === true
+  };
+}
+
+export async function routeAndExecute({ resource, action, pathParams, queryParams, body, headers, confirmMutation, mutationReason, onIdempotencyKey, autoPaginate, onProgress, environment, confirmEnvironment, callerId, approvalId }) {
+  const resolved = resolveAction(resource, action);
+  if (resolved.error) {
+    throw new Error(resolved.error);
+  }
+
+  await enforceActionPolicy('midaz', resolved);
+
+  const { headers: safeHeaders, idempotency } = applyIdempotencyKey('midaz-execute', resolved, {
+    pathParams,
+    body,
+    headers: sanitizeCustomHeaders(headers, resolved.requestHeaders),
+    confirmMutation,
+    mutationReason
+  });
+  validateActionRequest(resolved, { pathParams, queryParams, body, headers: safeHeaders, confirmMutation, mutationReason });
+  preflightTransaction(resource, action, body);
+
+  if (idempotency && onIdempotencyKey) {
+    onIdempotencyKey(idempotency);
+  }
+
+  const pendingApproval = await gateApproval({
+    product: 'midaz',
+    resolved,
+    requestedBy: callerId,
+    approvalId,
+    request: { resource, action, pathParams, queryParams, body, headers: safeHeaders, confirmMutation, mutationReason, environment, confirmEnvironment }
+  });
+  if (pendingApproval) {
+    return pendingApproval;
+  }
+
+  const execute = (pageQueryParams) => executeRequest({
+    component: resolved.component,
+    method: resolved.method,
+    pathTemplate: resolved.pathTemplate,
+    pathParams: pathParams || {},
+    queryParams: pageQueryParams,
+    body: body || undefined,
+    headers: safeHeaders,
+    requestHeaders: resolved.requestHeaders,
+    responseType: resolved.responseType,
+    mutationReason,
+    environment,
+    confirmEnvironment
+  });
+
+  const pagination = resolveAutoPagination(autoPaginate);
+  if (pagination) {
+    return paginateAction(resolved, queryParams, execute, { ...pagination, onProgress });
+  }
+
+  return execute(queryParams || {});
+}
+
+export function getEndpointCount() {
+  let count = 0;
+  for (const schema of getAllSchemas()) {
+    count += Object.keys(schema.actions).length;
+  }
+
+  return count;
+}
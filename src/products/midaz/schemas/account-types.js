@@ -1,7 +1,10 @@
+import { midazPagePagination } from './shared.js';
+
 export const accountTypesSchema = {
   resource: 'account-types',
   component: 'onboarding',
   description: 'Custom account type taxonomies with name, description, and unique key value',
+  pagination: midazPagePagination,
   actions: {
     create: {
       method: 'POST',
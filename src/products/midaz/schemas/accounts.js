@@ -1,7 +1,28 @@
+import { listOutput } from '../../output-contract.js';
+import { midazPagePagination, midazStatusOutput, midazTimestampsOutput } from './shared.js';
+
+const accountOutput = {
+  id: { type: 'string', format: 'uuid', description: 'Account UUID' },
+  organizationId: { type: 'string', format: 'uuid', description: 'Owning organization UUID' },
+  ledgerId: { type: 'string', format: 'uuid', description: 'Owning ledger UUID' },
+  parentAccountId: { type: 'string', format: 'uuid', description: 'Parent account UUID, if any' },
+  portfolioId: { type: 'string', format: 'uuid', description: 'Portfolio UUID, if any' },
+  segmentId: { type: 'string', format: 'uuid', description: 'Segment UUID, if any' },
+  entityId: { type: 'string', description: 'External entity identifier' },
+  name: { type: 'string', description: 'Account name' },
+  alias: { type: 'string', description: 'Account alias (e.g. @treasury)' },
+  type: { type: 'string', description: 'Account type key' },
+  assetCode: { type: 'string', description: 'Asset code held by the account' },
+  status: midazStatusOutput,
+  metadata: { type: 'object', description: 'Custom key-value pairs' },
+  ...midazTimestampsOutput,
+};
+
 export const accountsSchema = {
   resource: 'accounts',
   component: 'onboarding',
   description: 'Financial accounts within a ledger for tracking balances and transactions',
+  pagination: midazPagePagination,
   actions: {
     create: {
       method: 'POST',
@@ -16,10 +37,10 @@ export const accountsSchema = {
         type: { type: 'string', required: true, description: 'Account type (e.g. deposit, savings). Cannot be "external"' },
         name: { type: 'string', required: false, description: 'Account name (max 256 chars)' },
         alias: { type: 'string', required: false, description: 'Unique alias (e.g. @treasury_checking, max 100 chars)' },
-        parentAccountId: { type: 'string', required: false, description: 'Parent account UUID for sub-accounts' },
+        parentAccountId: { type: 'string', required: false, format: 'uuid', description: 'Parent account UUID for sub-accounts' },
         entityId: { type: 'string', required: false, description: 'External system identifier (max 256 chars)' },
-        portfolioId: { type: 'string', required: false, description: 'Portfolio UUID to assign' },
-        segmentId: { type: 'string', required: false, description: 'Segment UUID to assign' },
+        portfolioId: { type: 'string', required: false, format: 'uuid', description: 'Portfolio UUID to assign' },
+        segmentId: { type: 'string', required: false, format: 'uuid', description: 'Segment UUID to assign' },
         blocked: { type: 'boolean', required: false, description: 'Whether account starts blocked (default false)' },
         status: { type: 'object', required: false, description: 'Status object with code field' },
         metadata: { type: 'object', required: false, description: 'Custom key-value pairs' },
@@ -31,6 +52,7 @@ export const accountsSchema = {
         alias: '@corp_checking',
         metadata: { department: 'Treasury' },
       },
+      output: accountOutput,
     },
     get: {
       method: 'GET',
@@ -41,6 +63,7 @@ export const accountsSchema = {
         id: { type: 'string', required: true, description: 'Account UUID' },
       },
       description: 'Get account by ID',
+      output: accountOutput,
     },
     getByAlias: {
       method: 'GET',
@@ -51,6 +74,7 @@ export const accountsSchema = {
         alias: { type: 'string', required: true, description: 'Account alias (e.g. @treasury_checking)' },
       },
       description: 'Get account by alias',
+      output: accountOutput,
     },
     getByExternalId: {
       method: 'GET',
@@ -61,6 +85,7 @@ export const accountsSchema = {
         externalId: { type: 'string', required: true, description: 'External system identifier' },
       },
       description: 'Get account by external ID',
+      output: accountOutput,
     },
     list: {
       method: 'GET',
@@ -75,6 +100,7 @@ export const accountsSchema = {
         page: { type: 'number', description: 'Page number' },
         metadata: { type: 'object', description: 'Filter by metadata' },
       },
+      output: listOutput(accountOutput, midazPagePagination),
     },
     update: {
       method: 'PATCH',
@@ -87,13 +113,14 @@ export const accountsSchema = {
       description: 'Update an account',
       input: {
         name: { type: 'string', required: false, description: 'Updated name' },
-        segmentId: { type: 'string', required: false, description: 'Updated segment UUID' },
-        portfolioId: { type: 'string', required: false, description: 'Updated portfolio UUID' },
+        segmentId: { type: 'string', required: false, format: 'uuid', description: 'Updated segment UUID' },
+        portfolioId: { type: 'string', required: false, format: 'uuid', description: 'Updated portfolio UUID' },
         entityId: { type: 'string', required: false, description: 'Updated external ID' },
         blocked: { type: 'boolean', required: false, description: 'Block/unblock account' },
         status: { type: 'object', required: false, description: 'Updated status' },
         metadata: { type: 'object', required: false, description: 'Updated metadata' },
       },
+      output: accountOutput,
     },
     delete: {
       method: 'DELETE',
@@ -1,7 +1,10 @@
+import { midazPagePagination } from './shared.js';
+
 export const aliasesSchema = {
   resource: 'aliases',
   component: 'crm',
   description: 'Banking aliases for holders with banking details, regulatory fields, and related parties',
+  pagination: midazPagePagination,
   actions: {
     create: {
       method: 'POST',
@@ -13,18 +16,18 @@ export const aliasesSchema = {
       },
       description: 'Create an alias for a holder',
       input: {
-        ledgerId: { type: 'string', required: true, description: 'Ledger UUID for the alias' },
-        accountId: { type: 'string', required: true, description: 'Account UUID to associate' },
+        ledgerId: { type: 'string', required: true, format: 'uuid', description: 'Ledger UUID for the alias' },
+        accountId: { type: 'string', required: true, format: 'uuid', description: 'Account UUID to associate' },
         bankingDetails: {
           type: 'object', required: false, description: 'Banking information',
           properties: {
             branch: { type: 'string', description: 'Bank branch code' },
             account: { type: 'string', description: 'Bank account number' },
             type: { type: 'string', description: 'Account type (e.g. checking, savings)' },
-            openingDate: { type: 'string', description: 'Account opening date (YYYY-MM-DD)' },
-            closingDate: { type: 'string', description: 'Account closing date (YYYY-MM-DD)' },
+            openingDate: { type: 'string', format: 'date', description: 'Account opening date (YYYY-MM-DD)' },
+            closingDate: { type: 'string', format: 'date', description: 'Account closing date (YYYY-MM-DD)' },
             iban: { type: 'string', description: 'International Bank Account Number' },
-            countryCode: { type: 'string', description: 'Country code (ISO 3166-1 alpha-2)' },
+            countryCode: { type: 'string', minLength: 2, maxLength: 2, description: 'Country code (ISO 3166-1 alpha-2)' },
             bankId: { type: 'string', description: 'Bank identifier code' },
           },
         },
@@ -1,7 +1,10 @@
+import { midazPagePagination } from './shared.js';
+
 export const assetsSchema = {
   resource: 'assets',
   component: 'onboarding',
   description: 'Financial instruments within a ledger (currencies, crypto, commodities, etc.)',
+  pagination: midazPagePagination,
   actions: {
     create: {
       method: 'POST',
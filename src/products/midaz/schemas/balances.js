@@ -1,7 +1,10 @@
+import { midazPagePagination } from './shared.js';
+
 export const balancesSchema = {
   resource: 'balances',
   component: 'transaction',
   description: 'Account balances tracking available/onHold amounts per asset with multi-key support',
+  pagination: midazPagePagination,
   actions: {
     get: {
       method: 'GET',
@@ -102,6 +105,7 @@ export const balancesSchema = {
         id: { type: 'string', required: true, description: 'Balance UUID' },
       },
       description: 'Delete a balance',
+      requiresApproval: true,
     },
   },
 };
@@ -1,7 +1,10 @@
+import { midazPagePagination } from './shared.js';
+
 export const holdersSchema = {
   resource: 'holders',
   component: 'crm',
   description: 'Customer/entity management - natural persons or legal persons with addresses, contacts, and documents',
+  pagination: midazPagePagination,
   actions: {
     create: {
       method: 'POST',
@@ -13,7 +16,7 @@ export const holdersSchema = {
       description: 'Create a new holder (customer/entity)',
       input: {
         name: { type: 'string', required: true, description: 'Full name (max 256 chars)' },
-        type: { type: 'string', required: true, description: 'NATURAL_PERSON or LEGAL_PERSON' },
+        type: { type: 'string', required: true, enum: ['NATURAL_PERSON', 'LEGAL_PERSON'], description: 'NATURAL_PERSON or LEGAL_PERSON' },
         document: { type: 'string', required: true, description: 'Primary identification document (max 256 chars)' },
         externalId: { type: 'string', required: false, description: 'External system identifier' },
         addresses: {
@@ -39,7 +42,7 @@ export const holdersSchema = {
             favoriteName: { type: 'string', description: 'Preferred name' },
             socialName: { type: 'string', description: 'Social/chosen name' },
             gender: { type: 'string', description: 'Gender' },
-            birthDate: { type: 'string', description: 'Birth date (YYYY-MM-DD)' },
+            birthDate: { type: 'string', format: 'date', description: 'Birth date (YYYY-MM-DD)' },
             civilStatus: { type: 'string', description: 'Marital status' },
             nationality: { type: 'string', description: 'Nationality' },
             motherName: { type: 'string', description: "Mother's name" },
@@ -53,7 +56,7 @@ export const holdersSchema = {
             tradeName: { type: 'string', description: 'Trading name' },
             activity: { type: 'string', description: 'Business activity' },
             type: { type: 'string', description: 'Company type' },
-            foundingDate: { type: 'string', description: 'Founding date (YYYY-MM-DD)' },
+            foundingDate: { type: 'string', format: 'date', description: 'Founding date (YYYY-MM-DD)' },
             size: { type: 'string', description: 'Company size' },
             status: { type: 'string', description: 'Company status' },
             representative: {
@@ -14,6 +14,8 @@ import { transactionRoutesSchema } from './transaction-routes.js';
 import { metadataIndexesSchema } from './metadata-indexes.js';
 import { holdersSchema } from './holders.js';
 import { aliasesSchema } from './aliases.js';
+import { systemSchema } from './system.js';
+import { createSchemaRegistry } from '../../schema-registry.js';
 
 const allSchemas = [
   organizationsSchema,
@@ -32,43 +34,13 @@ const allSchemas = [
   metadataIndexesSchema,
   holdersSchema,
   aliasesSchema,
+  systemSchema
 ];
 
-const schemaMap = new Map();
-for (const schema of allSchemas) {
-  schemaMap.set(schema.resource, schema);
-}
+const registry = createSchemaRegistry(allSchemas);
 
-export function getSchema(resource) {
-  return schemaMap.get(resource) || null;
-}
-
-export function getAllSchemas() {
-  return allSchemas;
-}
-
-export function getSchemasByComponent(component) {
-  return allSchemas.filter(s => s.component === component);
-}
-
-export function findSchemas(query) {
-  const q = String(query ?? '').trim().toLowerCase();
-  if (!q) {
-    return [];
-  }
-  return allSchemas.filter(s =>
-    s.resource.toLowerCase().includes(q) ||
-    s.description.toLowerCase().includes(q) ||
-    s.component.toLowerCase().includes(q) ||
-    Object.keys(s.actions).some(a => a.toLowerCase().includes(q))
-  );
-}
-
-export function listResources() {
-  return allSchemas.map(s => ({
-    resource: s.resource,
-    component: s.component,
-    description: s.description,
-    actions: Object.keys(s.actions),
-  }));
-}
+export const getSchema = registry.getSchema;
+export const getAllSchemas = registry.getAllSchemas;
+export const getSchemasByComponent = registry.getSchemasByComponent;
+export const findSchemas = registry.findSchemas;
+export const listResources = registry.listResources;
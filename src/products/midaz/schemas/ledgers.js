@@ -1,7 +1,20 @@
+import { listOutput } from '../../output-contract.js';
+import { midazPagePagination, midazStatusOutput, midazTimestampsOutput } from './shared.js';
+
+const ledgerOutput = {
+  id: { type: 'string', format: 'uuid', description: 'Ledger UUID' },
+  organizationId: { type: 'string', format: 'uuid', description: 'Owning organization UUID' },
+  name: { type: 'string', description: 'Ledger name' },
+  status: midazStatusOutput,
+  metadata: { type: 'object', description: 'Custom key-value pairs' },
+  ...midazTimestampsOutput,
+};
+
 export const ledgersSchema = {
   resource: 'ledgers',
   component: 'onboarding',
   description: 'Organizational units within an organization that group related financial accounts and assets',
+  pagination: midazPagePagination,
   actions: {
     create: {
       method: 'POST',
@@ -14,6 +27,7 @@ export const ledgersSchema = {
         metadata: { type: 'object', required: false, description: 'Custom key-value pairs' },
       },
       example: { name: 'Treasury Operations', metadata: { department: 'Finance' } },
+      output: ledgerOutput,
     },
     get: {
       method: 'GET',
@@ -23,6 +37,7 @@ export const ledgersSchema = {
         id: { type: 'string', required: true, description: 'Ledger UUID' },
       },
       description: 'Get ledger by ID',
+      output: ledgerOutput,
     },
     list: {
       method: 'GET',
@@ -34,6 +49,7 @@ export const ledgersSchema = {
         page: { type: 'number', description: 'Page number' },
         metadata: { type: 'object', description: 'Filter by metadata' },
       },
+      output: listOutput(ledgerOutput, midazPagePagination),
     },
     update: {
       method: 'PATCH',
@@ -48,6 +64,7 @@ export const ledgersSchema = {
         status: { type: 'object', required: false, description: 'Updated status' },
         metadata: { type: 'object', required: false, description: 'Updated metadata' },
       },
+      output: ledgerOutput,
     },
     delete: {
       method: 'DELETE',
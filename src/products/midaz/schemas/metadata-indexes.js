@@ -1,7 +1,10 @@
+import { midazPagePagination } from './shared.js';
+
 export const metadataIndexesSchema = {
   resource: 'metadata-indexes',
   component: 'ledger',
   description: 'MongoDB indexes on custom metadata fields for optimized querying (supports transaction, operation, operation_route, transaction_route entities)',
+  pagination: midazPagePagination,
   actions: {
     create: {
       method: 'POST',
@@ -1,7 +1,10 @@
+import { midazPagePagination } from './shared.js';
+
 export const operationRoutesSchema = {
   resource: 'operation-routes',
   component: 'transaction',
   description: 'Rule-based routing for operations with account selection rules (alias or account_type matching)',
+  pagination: midazPagePagination,
   actions: {
     create: {
       method: 'POST',
@@ -13,13 +16,13 @@ export const operationRoutesSchema = {
       description: 'Create an operation route with account selection rules',
       input: {
         title: { type: 'string', required: true, description: 'Route title (max 256 chars)' },
-        operationType: { type: 'string', required: true, description: 'Operation type: "source" or "destination"' },
+        operationType: { type: 'string', required: true, enum: ['source', 'destination'], description: 'Operation type: "source" or "destination"' },
         code: { type: 'string', required: false, description: 'Route code (max 100 chars)' },
         description: { type: 'string', required: false, description: 'Route description (max 500 chars)' },
         account: {
           type: 'object', required: false, description: 'Account selection rule',
           properties: {
-            ruleType: { type: 'string', description: '"alias" (match by alias) or "account_type" (match by type)' },
+            ruleType: { type: 'string', enum: ['alias', 'account_type'], description: '"alias" (match by alias) or "account_type" (match by type)' },
             validIf: { type: 'any', description: 'For alias: string pattern. For account_type: array of type key values' },
           },
         },
@@ -1,7 +1,10 @@
+import { midazPagePagination } from './shared.js';
+
 export const operationsSchema = {
   resource: 'operations',
   component: 'transaction',
   description: 'Individual debit/credit entries within a transaction affecting account balances',
+  pagination: midazPagePagination,
   actions: {
     getByAccount: {
       method: 'GET',
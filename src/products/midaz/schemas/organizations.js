@@ -1,7 +1,23 @@
+import { listOutput } from '../../output-contract.js';
+import { midazPagePagination, midazStatusOutput, midazTimestampsOutput } from './shared.js';
+
+const organizationOutput = {
+  id: { type: 'string', format: 'uuid', description: 'Organization UUID' },
+  parentOrganizationId: { type: 'string', format: 'uuid', description: 'Parent organization UUID, if any' },
+  legalName: { type: 'string', description: 'Official legal name' },
+  doingBusinessAs: { type: 'string', description: 'Trading/brand name' },
+  legalDocument: { type: 'string', description: 'Tax ID or registration number' },
+  address: { type: 'object', description: 'Physical address' },
+  status: midazStatusOutput,
+  metadata: { type: 'object', description: 'Custom key-value pairs' },
+  ...midazTimestampsOutput,
+};
+
 export const organizationsSchema = {
   resource: 'organizations',
   component: 'onboarding',
   description: 'Top-level entities representing companies or business units in Midaz',
+  pagination: midazPagePagination,
   actions: {
     create: {
       method: 'POST',
@@ -10,7 +26,7 @@ export const organizationsSchema = {
       input: {
         legalName: { type: 'string', required: true, description: 'Official legal name (max 256 chars)' },
         legalDocument: { type: 'string', required: true, description: 'Tax ID or registration number (max 256 chars)' },
-        parentOrganizationId: { type: 'string', required: false, description: 'UUID of parent organization' },
+        parentOrganizationId: { type: 'string', required: false, format: 'uuid', description: 'UUID of parent organization' },
         doingBusinessAs: { type: 'string', required: false, description: 'Trading/brand name (max 256 chars)' },
         address: {
           type: 'object', required: false, description: 'Physical address',
@@ -20,7 +36,7 @@ export const organizationsSchema = {
             zipCode: { type: 'string', description: 'Postal code' },
             city: { type: 'string', description: 'City' },
             state: { type: 'string', description: 'State/province' },
-            country: { type: 'string', description: 'ISO 3166-1 alpha-2 country code (2 chars)' },
+            country: { type: 'string', minLength: 2, maxLength: 2, description: 'ISO 3166-1 alpha-2 country code (2 chars)' },
           },
         },
         status: { type: 'object', required: false, description: 'Status object with code field (e.g. {code: "ACTIVE"})' },
@@ -33,12 +49,14 @@ export const organizationsSchema = {
         address: { line1: '123 Main St', city: 'New York', state: 'NY', country: 'US', zipCode: '10001' },
         metadata: { industry: 'fintech' },
       },
+      output: organizationOutput,
     },
     get: {
       method: 'GET',
       path: '/v1/organizations/:id',
       pathParams: { id: { type: 'string', required: true, description: 'Organization UUID' } },
       description: 'Get organization by ID',
+      output: organizationOutput,
     },
     list: {
       method: 'GET',
@@ -49,6 +67,7 @@ export const organizationsSchema = {
         page: { type: 'number', description: 'Page number (default 1)' },
         metadata: { type: 'object', description: 'Filter by metadata key-value pairs' },
       },
+      output: listOutput(organizationOutput, midazPagePagination),
     },
     update: {
       method: 'PATCH',
@@ -57,12 +76,13 @@ export const organizationsSchema = {
       description: 'Update an organization (partial update)',
       input: {
         legalName: { type: 'string', required: false, description: 'Updated legal name' },
-        parentOrganizationId: { type: 'string', required: false, description: 'Updated parent org UUID' },
+        parentOrganizationId: { type: 'string', required: false, format: 'uuid', description: 'Updated parent org UUID' },
         doingBusinessAs: { type: 'string', required: false, description: 'Updated trading name' },
         address: { type: 'object', required: false, description: 'Updated address' },
         status: { type: 'object', required: false, description: 'Updated status' },
         metadata: { type: 'object', required: false, description: 'Updated metadata' },
       },
+      output: organizationOutput,
     },
     delete: {
       method: 'DELETE',
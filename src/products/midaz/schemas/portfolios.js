@@ -1,7 +1,10 @@
+import { midazPagePagination } from './shared.js';
+
 export const portfoliosSchema = {
   resource: 'portfolios',
   component: 'onboarding',
   description: 'Collections of accounts grouped for organizational purposes (business units, departments, etc.)',
+  pagination: midazPagePagination,
   actions: {
     create: {
       method: 'POST',
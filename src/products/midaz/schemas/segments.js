@@ -1,7 +1,10 @@
+import { midazPagePagination } from './shared.js';
+
 export const segmentsSchema = {
   resource: 'segments',
   component: 'onboarding',
   description: 'Logical divisions within a ledger (business areas, product lines, customer categories)',
+  pagination: midazPagePagination,
   actions: {
     create: {
       method: 'POST',
@@ -0,0 +1,36 @@
+export const midazTransactionHeaders = {
+  'X-Idempotency': {
+    required: false,
+    description: 'Idempotency key. Midaz returns the original transaction when the same key is replayed within the TTL.'
+  },
+  'X-TTL': {
+    required: false,
+    description: 'Idempotency key lifetime in seconds (Midaz default applies when omitted).'
+  },
+  'X-Request-Id': {
+    required: false,
+    description: 'Optional request ID for tracing.'
+  }
+};
+
+export const midazStatusOutput = {
+  type: 'object',
+  description: 'Status with a code (e.g. ACTIVE) and optional description',
+  properties: {
+    code: { type: 'string', description: 'Status code' },
+    description: { type: 'string', description: 'Status description' }
+  }
+};
+
+export const midazTimestampsOutput = {
+  createdAt: { type: 'string', format: 'date-time', description: 'Creation timestamp' },
+  updatedAt: { type: 'string', format: 'date-time', description: 'Last update timestamp' },
+  deletedAt: { type: ['string', 'null'], format: 'date-time', description: 'Deletion timestamp; null while active' }
+};
+
+export const midazPagePagination = {
+  style: 'page',
+  pageParam: 'page',
+  limitParam: 'limit',
+  itemsField: 'items'
+};
@@ -0,0 +1,18 @@
+export const systemSchema = {
+  resource: 'system',
+  component: 'onboarding',
+  description: 'Midaz service health and version endpoints (every component service exposes the same paths)',
+  actions: {
+    health: {
+      method: 'GET',
+      path: '/health',
+      description: 'Liveness check for the component service',
+      responseType: 'text',
+    },
+    version: {
+      method: 'GET',
+      path: '/version',
+      description: 'Service version information',
+    },
+  },
+};
@@ -1,7 +1,10 @@
+import { midazPagePagination } from './shared.js';
+
 export const transactionRoutesSchema = {
   resource: 'transaction-routes',
   component: 'transaction',
   description: 'Composite routing that combines multiple operation routes for transaction processing',
+  pagination: midazPagePagination,
   actions: {
     create: {
       method: 'POST',
@@ -1,11 +1,93 @@
+import { listOutput } from '../../output-contract.js';
+import { midazTransactionHeaders, midazPagePagination, midazStatusOutput, midazTimestampsOutput } from './shared.js';
+
+const amountField = {
+  type: 'object', description: 'Operation amount',
+  properties: {
+    asset: { type: 'string', required: true, description: 'Asset code (e.g. USD)' },
+    value: { type: 'string', required: true, format: 'decimal', description: 'Amount as a decimal string (e.g. "100.00")' },
+  },
+};
+
+const shareField = {
+  type: 'object', description: 'Percentage split instead of a fixed amount',
+  properties: {
+    percentage: { type: 'number', required: true, description: 'Percentage of the send value (0-100)' },
+    percentageOfPercentage: { type: 'number', description: 'Percentage applied to the percentage (0-100)' },
+  },
+};
+
+const rateField = {
+  type: 'object', description: 'Conversion rate for cross-asset operations',
+  properties: {
+    from: { type: 'string', required: true, description: 'Source asset code' },
+    to: { type: 'string', required: true, description: 'Target asset code' },
+    value: { type: 'string', required: true, format: 'decimal', description: 'Rate as a decimal string' },
+    externalId: { type: 'string', description: 'External rate identifier' },
+  },
+};
+
+const fromToItem = {
+  account: { type: 'string', required: true, description: 'Account alias or @external/{asset}' },
+  balanceKey: { type: 'string', description: 'Balance key (defaults to "default")' },
+  amount: amountField,
+  share: shareField,
+  remaining: { type: 'string', description: 'Take whatever is left of the send value (e.g. "remaining")' },
+  rate: rateField,
+  route: { type: 'string', description: 'Operation route UUID or code' },
+  description: { type: 'string', description: 'Operation description' },
+  chartOfAccounts: { type: 'string', description: 'Chart of accounts code' },
+  metadata: { type: 'object', description: 'Operation metadata' },
+};
+
+const sourceField = {
+  type: 'object', required: true, description: 'Source accounts',
+  properties: {
+    remaining: { type: 'string', description: 'Account that covers any remainder' },
+    from: { type: 'array', required: true, minItems: 1, description: 'List of source operations', items: fromToItem },
+  },
+};
+
+const distributeField = {
+  type: 'object', required: true, description: 'Destination accounts',
+  properties: {
+    remaining: { type: 'string', description: 'Account that receives any remainder' },
+    to: { type: 'array', required: true, minItems: 1, description: 'List of destination operations', items: fromToItem },
+  },
+};
+
+const sendAssetFields = {
+  asset: { type: 'string', required: true, description: 'Asset code (e.g. USD)' },
+  value: { type: 'string', required: true, format: 'decimal', description: 'Transaction amount as a decimal string (e.g. "100.00")' },
+};
+
+const transactionOutput = {
+  id: { type: 'string', format: 'uuid', description: 'Transaction UUID' },
+  parentTransactionId: { type: 'string', format: 'uuid', description: 'Original transaction UUID for reversals' },
+  organizationId: { type: 'string', format: 'uuid', description: 'Owning organization UUID' },
+  ledgerId: { type: 'string', format: 'uuid', description: 'Owning ledger UUID' },
+  description: { type: 'string', description: 'Transaction description' },
+  status: midazStatusOutput,
+  amount: { type: 'string', format: 'decimal', description: 'Transaction amount as a decimal string' },
+  assetCode: { type: 'string', description: 'Asset code' },
+  chartOfAccountsGroupName: { type: 'string', description: 'Chart of accounts group' },
+  source: { type: 'array', description: 'Source account aliases', items: { type: 'string' } },
+  destination: { type: 'array', description: 'Destination account aliases', items: { type: 'string' } },
+  operations: { type: 'array', description: 'Debit and credit operations posted by the transaction', items: { type: 'object' } },
+  metadata: { type: 'object', description: 'Custom key-value pairs' },
+  ...midazTimestampsOutput,
+};
+
 export const transactionsSchema = {
   resource: 'transactions',
   component: 'transaction',
   description: 'Financial transactions with double-entry accounting (source/destination operations)',
+  pagination: midazPagePagination,
   actions: {
     create: {
       method: 'POST',
       path: '/v1/organizations/:organizationId/ledgers/:ledgerId/transactions',
+      requestHeaders: midazTransactionHeaders,
       pathParams: {
         organizationId: { type: 'string', required: true, description: 'Organization UUID' },
         ledgerId: { type: 'string', required: true, description: 'Ledger UUID' },
@@ -15,46 +97,17 @@ export const transactionsSchema = {
         send: {
           type: 'object', required: true, description: 'Send operation with asset, value, source and distribute',
           properties: {
-            asset: { type: 'string', required: true, description: 'Asset code (e.g. USD)' },
-            value: { type: 'string', required: true, description: 'Transaction amount (e.g. "100.00")' },
-            source: {
-              type: 'object', required: true, description: 'Source accounts',
-              properties: {
-                from: {
-                  type: 'array', description: 'List of source operations',
-                  items: {
-                    account: { type: 'string', description: 'Account alias or @external/{asset}' },
-                    amount: { type: 'object', description: '{ asset, value }' },
-                    description: { type: 'string', description: 'Operation description' },
-                    chartOfAccounts: { type: 'string', description: 'Chart of accounts code' },
-                    metadata: { type: 'object', description: 'Operation metadata' },
-                  },
-                },
-              },
-            },
-            distribute: {
-              type: 'object', required: true, description: 'Destination accounts',
-              properties: {
-                to: {
-                  type: 'array', description: 'List of destination operations',
-                  items: {
-                    account: { type: 'string', description: 'Account alias' },
-                    amount: { type: 'object', description: '{ asset, value }' },
-                    description: { type: 'string', description: 'Operation description' },
-                    chartOfAccounts: { type: 'string', description: 'Chart of accounts code' },
-                    metadata: { type: 'object', description: 'Operation metadata' },
-                  },
-                },
-              },
-            },
+            ...sendAssetFields,
+            source: sourceField,
+            distribute: distributeField,
           },
         },
         chartOfAccountsGroupName: { type: 'string', required: false, description: 'Accounting group name' },
-        description: { type: 'string', required: false, description: 'Transaction description (max 256)' },
-        code: { type: 'string', required: false, description: 'Reference code (max 100)' },
+        description: { type: 'string', required: false, maxLength: 256, description: 'Transaction description (max 256)' },
+        code: { type: 'string', required: false, maxLength: 100, description: 'Reference code (max 100)' },
         pending: { type: 'boolean', required: false, description: 'Create in pending state (default false)' },
-        route: { type: 'string', required: false, description: 'Transaction route UUID' },
-        transactionDate: { type: 'string', required: false, description: 'Transaction date (ISO 8601)' },
+        route: { type: 'string', required: false, format: 'uuid', description: 'Transaction route UUID' },
+        transactionDate: { type: 'string', required: false, format: 'date-time', description: 'Transaction date (RFC3339)' },
         metadata: { type: 'object', required: false, description: 'Custom key-value pairs' },
       },
       example: {
@@ -66,24 +119,28 @@ export const transactionsSchema = {
           distribute: { to: [{ account: '@dest_account', amount: { asset: 'USD', value: '100.00' } }] },
         },
       },
+      output: transactionOutput,
     },
     createDSL: {
       method: 'POST',
       path: '/v1/organizations/:organizationId/ledgers/:ledgerId/transactions/dsl',
+      requestHeaders: midazTransactionHeaders,
       pathParams: {
         organizationId: { type: 'string', required: true, description: 'Organization UUID' },
         ledgerId: { type: 'string', required: true, description: 'Ledger UUID' },
       },
       description: 'Create a transaction using DSL template with variable substitution',
       input: {
-        transactionType: { type: 'string', required: true, description: 'Transaction type UUID' },
+        transactionType: { type: 'string', required: true, format: 'uuid', description: 'Transaction type UUID' },
         transactionTypeCode: { type: 'string', required: false, description: 'Transaction type code (e.g. PAYMENT)' },
         variables: { type: 'object', required: false, description: 'Variables to substitute in the template' },
       },
+      output: transactionOutput,
     },
     createInflow: {
       method: 'POST',
       path: '/v1/organizations/:organizationId/ledgers/:ledgerId/transactions/inflow',
+      requestHeaders: midazTransactionHeaders,
       pathParams: {
         organizationId: { type: 'string', required: true, description: 'Organization UUID' },
         ledgerId: { type: 'string', required: true, description: 'Ledger UUID' },
@@ -93,16 +150,15 @@ export const transactionsSchema = {
         send: {
           type: 'object', required: true, description: 'Send with asset, value, and distribute only (source auto-generated as @external/{asset})',
           properties: {
-            asset: { type: 'string', required: true, description: 'Asset code' },
-            value: { type: 'string', required: true, description: 'Amount' },
-            distribute: { type: 'object', required: true, description: 'Destination accounts { to: [...] }' },
+            ...sendAssetFields,
+            distribute: distributeField,
           },
         },
         chartOfAccountsGroupName: { type: 'string', required: false, description: 'Accounting group' },
         description: { type: 'string', required: false, description: 'Description' },
         code: { type: 'string', required: false, description: 'Reference code' },
-        route: { type: 'string', required: false, description: 'Route UUID' },
-        transactionDate: { type: 'string', required: false, description: 'Transaction date' },
+        route: { type: 'string', required: false, format: 'uuid', description: 'Route UUID' },
+        transactionDate: { type: 'string', required: false, format: 'date-time', description: 'Transaction date (RFC3339)' },
         metadata: { type: 'object', required: false, description: 'Metadata' },
       },
       example: {
@@ -113,10 +169,12 @@ export const transactionsSchema = {
           distribute: { to: [{ account: '@savings', amount: { asset: 'USD', value: '500.00' } }] },
         },
       },
+      output: transactionOutput,
     },
     createOutflow: {
       method: 'POST',
       path: '/v1/organizations/:organizationId/ledgers/:ledgerId/transactions/outflow',
+      requestHeaders: midazTransactionHeaders,
       pathParams: {
         organizationId: { type: 'string', required: true, description: 'Organization UUID' },
         ledgerId: { type: 'string', required: true, description: 'Ledger UUID' },
@@ -126,19 +184,19 @@ export const transactionsSchema = {
         send: {
           type: 'object', required: true, description: 'Send with asset, value, and source only (destination auto-generated as @external/{asset})',
           properties: {
-            asset: { type: 'string', required: true, description: 'Asset code' },
-            value: { type: 'string', required: true, description: 'Amount' },
-            source: { type: 'object', required: true, description: 'Source accounts { from: [...] }' },
+            ...sendAssetFields,
+            source: sourceField,
           },
         },
         chartOfAccountsGroupName: { type: 'string', required: false, description: 'Accounting group' },
         description: { type: 'string', required: false, description: 'Description' },
         code: { type: 'string', required: false, description: 'Reference code' },
         pending: { type: 'boolean', required: false, description: 'Create in pending state' },
-        route: { type: 'string', required: false, description: 'Route UUID' },
-        transactionDate: { type: 'string', required: false, description: 'Transaction date' },
+        route: { type: 'string', required: false, format: 'uuid', description: 'Route UUID' },
+        transactionDate: { type: 'string', required: false, format: 'date-time', description: 'Transaction date (RFC3339)' },
         metadata: { type: 'object', required: false, description: 'Metadata' },
       },
+      output: transactionOutput,
     },
     createAnnotation: {
       method: 'POST',
@@ -155,6 +213,7 @@ export const transactionsSchema = {
         code: { type: 'string', required: false, description: 'Reference code' },
         metadata: { type: 'object', required: false, description: 'Metadata' },
       },
+      output: transactionOutput,
     },
     commit: {
       method: 'POST',
@@ -165,6 +224,7 @@ export const transactionsSchema = {
         id: { type: 'string', required: true, description: 'Transaction UUID' },
       },
       description: 'Commit a pending transaction (applies balance changes)',
+      output: transactionOutput,
     },
     cancel: {
       method: 'POST',
@@ -175,6 +235,7 @@ export const transactionsSchema = {
         id: { type: 'string', required: true, description: 'Transaction UUID' },
       },
       description: 'Cancel a pending transaction (releases held balances)',
+      output: transactionOutput,
     },
     revert: {
       method: 'POST',
@@ -185,6 +246,8 @@ export const transactionsSchema = {
         id: { type: 'string', required: true, description: 'Transaction UUID' },
       },
       description: 'Revert a committed transaction (creates a reversal transaction)',
+      requiresApproval: true,
+      output: transactionOutput,
     },
     get: {
       method: 'GET',
@@ -195,6 +258,7 @@ export const transactionsSchema = {
         id: { type: 'string', required: true, description: 'Transaction UUID' },
       },
       description: 'Get transaction by ID (includes operations)',
+      output: transactionOutput,
     },
     list: {
       method: 'GET',
@@ -209,6 +273,7 @@ export const transactionsSchema = {
         page: { type: 'number', description: 'Page number' },
         metadata: { type: 'object', description: 'Filter by metadata' },
       },
+      output: listOutput(transactionOutput, midazPagePagination),
     },
     update: {
       method: 'PATCH',
@@ -223,6 +288,7 @@ export const transactionsSchema = {
         description: { type: 'string', required: false, description: 'Updated description' },
         metadata: { type: 'object', required: false, description: 'Updated metadata' },
       },
+      output: transactionOutput,
     },
   },
 };
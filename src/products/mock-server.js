@@ -0,0 +1,655 @@
+import http from 'http';
+import crypto from 'crypto';
+import { LIVE_PRODUCT_ADAPTERS } from './index.js';
+import { resolvePaginationContract } from './pagination.js';
+
+/**
+ * Local mock backend for the live products.
+ *
+ * Every path in the product schema registries is served from an in-memory
+ * store, one HTTP listener per product (products share paths such as
+ * `/health`). Resources with list/create/get/update/delete actions behave as
+ * stateful CRUD collections scoped by their parent path parameters; other
+ * actions update the addressed record, create one, or echo the request.
+ *
+ * Control endpoints live under `/__mock` on every listener and never require
+ * auth: `GET /__mock/state`, `POST /__mock/reset`, `GET|PUT /__mock/faults`.
+ */
+
+export const MOCK_CONTROL_PREFIX = '/__mock';
+export const MOCK_PRODUCTS = LIVE_PRODUCT_ADAPTERS.map(({ id }) => id);
+
+const AUTH_SCHEMES = {
+  midaz: ['bearer'],
+  fetcher: ['bearer'],
+  reporter: ['bearer'],
+  matcher: ['bearer'],
+  tracer: ['apiKey'],
+  flowker: ['bearer', 'apiKey'],
+  underwriter: ['bearer']
+};
+
+// Status set by lifecycle actions such as `POST /v1/rules/:id/activate`
+const STATUS_VERBS = {
+  activate: 'ACTIVE',
+  deactivate: 'INACTIVE',
+  draft: 'DRAFT',
+  archive: 'ARCHIVED',
+  cancel: 'CANCELED',
+  commit: 'APPROVED',
+  approve: 'APPROVED',
+  reject: 'REJECTED',
+  pause: 'PAUSED',
+  resume: 'ACTIVE'
+};
+
+const NON_FILTER_PARAMS = new Set(['sortBy', 'sortOrder', 'sort_by', 'sort_order', 'start_date', 'end_date', 'startDate', 'endDate']);
+const MAX_BODY_BYTES = 20 * 1024 * 1024;
+const DEFAULT_PAGE_SIZE = 10;
+
+function isItemMethod(method) {
+  return ['GET', 'PUT', 'PATCH', 'DELETE'].includes(method);
+}
+
+function isParamSegment(segment) {
+  return segment.startsWith(':');
+}
+
+function escapeRegex(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Compile every schema action into a route, most specific literal paths first
+ * so `/accounts/alias/:alias` wins over `/accounts/:id`.
+ */
+function compileRoutes(schemas) {
+  const routes = [];
+
+  for (const schema of schemas) {
+    const itemTemplates = new Set(Object.entries(schema.actions)
+      .filter(([action, def]) => ['get', 'update', 'delete'].includes(action) && isItemMethod(def.method.toUpperCase()))
+      .map(([, def]) => def.path));
+    const crud = Boolean(schema.actions.list || schema.actions.create);
+
+    for (const [action, def] of Object.entries(schema.actions)) {
+      const method = def.method.toUpperCase();
+      const segments = def.path.split('/').filter(Boolean);
+      const params = [];
+      const raw = new Set(def.rawPathParams || []);
+      const pattern = segments.map((segment) => {
+        if (!isParamSegment(segment)) {
+          return escapeRegex(segment);
+        }
+        params.push(segment.slice(1));
+        return raw.has(segment.slice(1)) ? '(.+)' : '([^/]+)';
+      }).join('/');
+
+      // The longest prefix that addresses one of this resource's own records
+      let itemPrefix = null;
+      for (let length = segments.length; length > 0 && !itemPrefix; length -= 1) {
+        const prefix = `/${segments.slice(0, length).join('/')}`;
+        if (itemTemplates.has(prefix)) {
+          itemPrefix = { path: prefix, idParam: segments[length - 1].slice(1), exact: length === segments.length };
+        }
+      }
+
+      const lastIsParam = isParamSegment(segments[segments.length - 1] || '');
+      let kind = 'custom';
+      if (method === 'HEAD') {
+        kind = 'count';
+      } else if (itemPrefix?.exact && isItemMethod(method)) {
+        kind = { GET: 'get', PUT: 'update', PATCH: 'update', DELETE: 'delete' }[method];
+      } else if (itemPrefix) {
+        kind = 'item-action';
+      } else if (method === 'GET' && !lastIsParam && (action === 'list' || resolvePaginationContract(schema, def))) {
+        kind = 'list';
+      } else if (method === 'POST' && !lastIsParam && action.startsWith('create')) {
+        kind = 'create';
+      } else if (method === 'GET' && lastIsParam && crud) {
+        kind = 'lookup';
+      }
+
+      routes.push({
+        schema,
+        action,
+        def,
+        method,
+        kind,
+        params,
+        itemPrefix,
+        regex: new RegExp(`^/${pattern}/?$`),
+        literals: segments.filter((segment) => !isParamSegment(segment)).length,
+        pagination: method === 'GET' ? resolvePaginationContract(schema, def) : null
+      });
+    }
+  }
+
+  return routes.sort((a, b) => b.literals - a.literals);
+}
+
+function matchRoute(routes, method, pathname) {
+  for (const route of routes) {
+    if (route.method !== method) {
+      continue;
+    }
+    const match = route.regex.exec(pathname);
+    if (match) {
+      const pathParams = Object.fromEntries(route.params.map((name, index) => [name, decodeURIComponent(match[index + 1])]));
+      return { route, pathParams };
+    }
+  }
+  return null;
+}
+
+function now() {
+  return new Date().toISOString();
+}
+
+function encodeCursor(offset) {
+  return Buffer.from(JSON.stringify({ offset })).toString('base64url');
+}
+
+function decodeCursor(cursor) {
+  if (!cursor) {
+    return 0;
+  }
+  try {
+    return Math.max(0, Number(JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8')).offset) || 0);
+  } catch {
+    return 0;
+  }
+}
+
+function paginate(records, contract, query) {
+  if (!contract) {
+    return { items: records };
+  }
+
+  const limit = Math.min(Math.max(Number(query[contract.limitParam]) || DEFAULT_PAGE_SIZE, 1), 1000);
+  if (contract.style === 'cursor') {
+    const offset = decodeCursor(query[contract.cursorParam]);
+    const more = offset + limit < records.length;
+    return {
+      [contract.itemsField]: records.slice(offset, offset + limit),
+      ...(contract.nextCursorField ? { [contract.nextCursorField]: more ? encodeCursor(offset + limit) : '' } : {}),
+      ...(contract.hasMoreField ? { [contract.hasMoreField]: more } : {})
+    };
+  }
+
+  const page = Math.max(Number(query[contract.pageParam]) || 1, 1);
+  return {
+    [contract.itemsField]: records.slice((page - 1) * limit, page * limit),
+    [contract.pageParam]: page,
+    [contract.limitParam]: limit,
+    ...(contract.totalField ? { [contract.totalField]: records.length } : {})
+  };
+}
+
+function fieldMatches(value, expected) {
+  if (value && typeof value === 'object' && 'code' in value) {
+    return String(value.code) === String(expected);
+  }
+  return String(value) === String(expected);
+}
+
+function statusFor(existing, code) {
+  return existing && typeof existing === 'object' ? { ...existing, code } : code;
+}
+
+function initialStatus(route) {
+  const declared = route.def.output?.status;
+  if (!declared) {
+    return undefined;
+  }
+  // Resources with an activate action start out as drafts, like Tracer rules
+  const code = route.schema.actions.activate ? 'DRAFT' : 'ACTIVE';
+  return declared.type === 'object' ? { code } : code;
+}
+
+function isAuthorized(product, headers, auth) {
+  if (!auth) {
+    return true;
+  }
+  return (AUTH_SCHEMES[product] || ['bearer']).some((scheme) => (scheme === 'bearer'
+    ? Boolean(auth.token) && headers.authorization === `Bearer ${auth.token}`
+    : Boolean(auth.apiKey) && headers['x-api-key'] === auth.apiKey));
+}
+
+function ruleMatches(rule, product, method, pathname, route) {
+  return (!rule.product || rule.product === product) &&
+    (!rule.method || rule.method.toUpperCase() === method) &&
+    (!rule.resource || rule.resource === route?.schema.resource) &&
+    (!rule.action || rule.action === route?.action) &&
+    (!rule.path || pathname.startsWith(rule.path)) &&
+    (rule.times === undefined || rule.times > 0) &&
+    (rule.probability === undefined || Math.random() < rule.probability);
+}
+
+function normalizeFaults(faults) {
+  return (Array.isArray(faults) ? faults : []).map((rule) => ({ ...rule, hits: 0 }));
+}
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+async function readBody(req) {
+  const chunks = [];
+  let size = 0;
+  for await (const chunk of req) {
+    size += chunk.length;
+    if (size > MAX_BODY_BYTES) {
+      throw Object.assign(new Error(`Request body exceeds ${MAX_BODY_BYTES} bytes`), { status: 413 });
+    }
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks);
+}
+
+async function parseBody(req, raw) {
+  if (raw.length === 0) {
+    return { body: {} };
+  }
+
+  const contentType = req.headers['content-type'] || '';
+  if (contentType.startsWith('multipart/form-data')) {
+    const form = await new Request('http://mock.local', { method: 'POST', headers: { 'content-type': contentType }, body: raw }).formData();
+    const body = {};
+    const files = {};
+    for (const [name, value] of form.entries()) {
+      if (typeof value === 'string') {
+        body[name] = value;
+      } else {
+        const buffer = Buffer.from(await value.arrayBuffer());
+        files[name] = { filename: value.name, contentType: value.type || 'application/octet-stream', buffer };
+        body[name] = { filename: value.name, contentType: value.type || 'application/octet-stream', size: buffer.length };
+      }
+    }
+    return { body, files };
+  }
+
+  try {
+    const parsed = JSON.parse(raw.toString('utf8'));
+    return { body: parsed && typeof parsed === 'object' && !Array.isArray(parsed) ? parsed : { value: parsed } };
+  } catch {
+    throw Object.assign(new Error('Request body is not valid JSON'), { status: 400 });
+  }
+}
+
+/**
+ * Create the mock backend. Listeners start on `start()`; with the default
+ * `basePort: 0` every product gets an ephemeral port.
+ *
+ * @param {Object} [options]
+ * @param {string[]} [options.products] - Products to serve (default: all)
+ * @param {string} [options.host] - Bind address (default 127.0.0.1)
+ * @param {number} [options.basePort] - First port; products take consecutive ports
+ * @param {{token?: string, apiKey?: string}|null} [options.auth] - Required credentials; null disables auth checks
+ * @param {Object[]} [options.faults] - Fault rules, see README "Mock Server"
+ * @param {number} [options.latencyMs] - Delay added to every product request
+ */
+export function createMockServer({ products = MOCK_PRODUCTS, host = '127.0.0.1', basePort = 0, auth = null, faults = [], latencyMs = 0 } = {}) {
+  const unknown = products.filter((product) => !MOCK_PRODUCTS.includes(product));
+  if (unknown.length > 0) {
+    throw new Error(`Unknown mock products: ${unknown.join(', ')}. Available: ${MOCK_PRODUCTS.join(', ')}`);
+  }
+
+  const routesByProduct = new Map(products.map((product) => [
+    product,
+    compileRoutes(LIVE_PRODUCT_ADAPTERS.find(({ id }) => id === product).getSchemas())
+  ]));
+  const listeners = new Map();
+  const urls = {};
+  let records = new Map();
+  let files = new Map();
+  let faultRules = normalizeFaults(faults);
+
+  function collection(product, resource) {
+    const key = `${product}:${resource}`;
+    if (!records.has(key)) {
+      records.set(key, new Map());
+    }
+    return records.get(key);
+  }
+
+  // A record belongs to a request's scope when every other path param matches
+  function inScope(record, pathParams, exclude) {
+    return Object.entries(pathParams).every(([name, value]) =>
+      name === exclude || record[name] === undefined || String(record[name]) === String(value));
+  }
+
+  function insert(product, route, pathParams, body, uploaded) {
+    const timestamp = now();
+    const scopeParams = Object.fromEntries(Object.entries(pathParams).filter(([name]) => name !== route.itemPrefix?.idParam));
+    const record = {
+      id: crypto.randomUUID(),
+      ...scopeParams,
+      ...body,
+      ...(body.status === undefined && initialStatus(route) !== undefined ? { status: initialStatus(route) } : {}),
+      createdAt: timestamp,
+      updatedAt: timestamp
+    };
+    collection(product, route.schema.resource).set(record.id, record);
+    if (uploaded && Object.keys(uploaded).length > 0) {
+      files.set(record.id, Object.values(uploaded)[0]);
+    }
+    return record;
+  }
+
+  function findItem(product, route, pathParams) {
+    const id = pathParams[route.itemPrefix.idParam];
+    const record = collection(product, route.schema.resource).get(id);
+    return record && inScope(record, pathParams, route.itemPrefix.idParam) ? record : null;
+  }
+
+  function scopedRecords(product, route, pathParams, query = {}) {
+    const ignored = new Set([route.pagination?.limitParam, route.pagination?.pageParam, route.pagination?.cursorParam, 'limit', 'page', 'cursor']);
+    return [...collection(product, route.schema.resource).values()]
+      .filter((record) => inScope(record, pathParams))
+      .filter((record) => Object.entries(query).every(([name, value]) =>
+        ignored.has(name) || NON_FILTER_PARAMS.has(name) || record[name] === undefined || fieldMatches(record[name], value)));
+  }
+
+  function download(product, route, pathParams, record) {
+    const stored = record ? files.get(record.id) : null;
+    const id = record?.id || Object.values(pathParams).pop() || 'file';
+    if (stored) {
+      return { status: 200, buffer: stored.buffer, contentType: stored.contentType, filename: stored.filename };
+    }
+    return {
+      status: 200,
+      buffer: Buffer.from(`Mock ${product} ${route.schema.resource}.${route.action} ${id}\n`),
+      contentType: 'application/octet-stream',
+      filename: `${route.schema.resource}-${id}.bin`
+    };
+  }
+
+  function notFound(route, pathParams) {
+    return { status: 404, json: { code: 'NOT_FOUND', message: `${route.schema.resource} ${Object.values(pathParams).pop()} not found` } };
+  }
+
+  function handleRoute(product, route, pathParams, query, body, uploaded) {
+    const { method, kind, def } = route;
+
+    if (def.responseType === 'text') {
+      return { status: 200, text: 'OK' };
+    }
+
+    switch (kind) {
+      case 'list':
+        return { status: 200, json: paginate(scopedRecords(product, route, pathParams, query), route.pagination, query) };
+
+      case 'create':
+        return { status: 201, json: insert(product, route, pathParams, body, uploaded) };
+
+      case 'get': {
+        const record = findItem(product, route, pathParams);
+        return record ? { status: 200, json: record } : notFound(route, pathParams);
+      }
+
+      case 'update': {
+        const record = findItem(product, route, pathParams);
+        if (!record) {
+          return notFound(route, pathParams);
+        }
+        Object.assign(record, body, { updatedAt: now() });
+        if (uploaded && Object.keys(uploaded).length > 0) {
+          files.set(record.id, Object.values(uploaded)[0]);
+        }
+        return { status: 200, json: record };
+      }
+
+      case 'delete': {
+        const record = findItem(product, route, pathParams);
+        if (!record) {
+          return notFound(route, pathParams);
+        }
+        collection(product, route.schema.resource).delete(record.id);
+        files.delete(record.id);
+        return { status: 204 };
+      }
+
+      case 'count': {
+        const count = scopedRecords(product, route, pathParams).length;
+        return { status: 204, headers: { 'Midaz-Total-Count': String(count), 'X-Total-Count': String(count) } };
+      }
+
+      case 'item-action': {
+        const record = findItem(product, route, pathParams);
+        if (!record) {
+          return notFound(route, pathParams);
+        }
+        if (def.responseType === 'binary') {
+          return download(product, route, pathParams, record);
+        }
+        if (method === 'GET') {
+          return route.pagination ? { status: 200, json: paginate([], route.pagination, query) } : { status: 200, json: record };
+        }
+        if (method === 'DELETE') {
+          return { status: 204 };
+        }
+        const verb = STATUS_VERBS[route.action];
+        Object.assign(record, body, verb ? { status: statusFor(record.status, verb) } : {}, { updatedAt: now() });
+        return { status: 200, json: record };
+      }
+
+      case 'lookup': {
+        const [field, value] = Object.entries(pathParams).pop();
+        const record = scopedRecords(product, route, Object.fromEntries(Object.entries(pathParams).slice(0, -1)))
+          .find((candidate) => candidate[field] !== undefined && fieldMatches(candidate[field], value));
+        return record ? { status: 200, json: record } : notFound(route, pathParams);
+      }
+
+      default:
+        if (def.responseType === 'binary') {
+          return download(product, route, pathParams, null);
+        }
+        if (method === 'GET') {
+          return route.pagination
+            ? { status: 200, json: paginate(scopedRecords(product, route, pathParams, query), route.pagination, query) }
+            : { status: 200, json: { status: 'ok', product, resource: route.schema.resource, action: route.action, ...pathParams } };
+        }
+        if (method === 'DELETE') {
+          return { status: 204 };
+        }
+        return { status: method === 'POST' ? 201 : 200, json: insert(product, route, pathParams, body, uploaded) };
+    }
+  }
+
+  function send(res, { status, json, text, buffer, contentType, filename, headers = {} }) {
+    if (buffer) {
+      res.writeHead(status, {
+        ...headers,
+        'Content-Type': contentType,
+        'Content-Length': buffer.length,
+        ...(filename ? { 'Content-Disposition': `attachment; filename="${filename}"` } : {})
+      });
+      res.end(buffer);
+      return;
+    }
+    if (text !== undefined) {
+      res.writeHead(status, { ...headers, 'Content-Type': 'text/plain; charset=utf-8' });
+      res.end(text);
+      return;
+    }
+    if (json === undefined) {
+      res.writeHead(status, headers);
+      res.end();
+      return;
+    }
+    res.writeHead(status, { ...headers, 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(json));
+  }
+
+  function handleControl(req, res, pathname, raw) {
+    const action = pathname.slice(MOCK_CONTROL_PREFIX.length);
+    if (req.method === 'GET' && action === '/state') {
+      return send(res, { status: 200, json: state() });
+    }
+    if (req.method === 'POST' && action === '/reset') {
+      reset();
+      return send(res, { status: 200, json: state() });
+    }
+    if (action === '/faults' && req.method === 'GET') {
+      return send(res, { status: 200, json: { faults: faultRules } });
+    }
+    if (action === '/faults' && req.method === 'PUT') {
+      const parsed = raw.length > 0 ? JSON.parse(raw.toString('utf8')) : [];
+      setFaults(Array.isArray(parsed) ? parsed : parsed.faults);
+      return send(res, { status: 200, json: { faults: faultRules } });
+    }
+    return send(res, { status: 404, json: { code: 'ROUTE_NOT_FOUND', message: `Unknown mock control endpoint ${pathname}` } });
+  }
+
+  async function handle(product, req, res) {
+    try {
+      // A malformed request target or %-escape is the client's fault, not a crash or a 500
+      const url = new URL(req.url, 'http://mock.local');
+      const pathname = url.pathname.replace(/\/+$/, '') || '/';
+      const method = req.method.toUpperCase();
+      const raw = await readBody(req);
+      if (pathname.startsWith(MOCK_CONTROL_PREFIX)) {
+        return handleControl(req, res, pathname, raw);
+      }
+
+      const matched = matchRoute(routesByProduct.get(product), method, pathname);
+      const rule = faultRules.find((candidate) => ruleMatches(candidate, product, method, pathname, matched?.route));
+      if (rule) {
+        rule.hits += 1;
+        if (rule.times !== undefined) {
+          rule.times -= 1;
+        }
+      }
+
+      const delay = latencyMs + (rule?.delayMs || 0);
+      if (delay > 0) {
+        await sleep(delay);
+      }
+      if (rule?.reset) {
+        req.socket.destroy();
+        return undefined;
+      }
+      if (rule?.status) {
+        return send(res, {
+          status: rule.status,
+          headers: rule.retryAfter !== undefined ? { 'Retry-After': String(rule.retryAfter) } : {},
+          json: rule.body || { code: 'MOCK_FAULT', message: `Injected ${rule.status} fault` }
+        });
+      }
+
+      if (!isAuthorized(product, req.headers, auth)) {
+        return send(res, { status: 401, json: { code: 'UNAUTHORIZED', message: 'Missing or invalid credentials' } });
+      }
+      if (!matched) {
+        return send(res, { status: 404, json: { code: 'ROUTE_NOT_FOUND', message: `No ${product} route for ${method} ${pathname}` } });
+      }
+
+      const query = Object.fromEntries(url.searchParams.entries());
+      const { body, files: uploaded } = await parseBody(req, raw);
+      return send(res, handleRoute(product, matched.route, matched.pathParams, query, body, uploaded));
+    } catch (error) {
+      const status = error instanceof URIError || error.code === 'ERR_INVALID_URL' ? 400 : error.status || 500;
+      return send(res, { status, json: { code: 'MOCK_ERROR', message: error.message } });
+    }
+  }
+
+  function state() {
+    return {
+      products: Object.keys(urls).length > 0 ? urls : products,
+      records: Object.fromEntries([...records.entries()].map(([key, values]) => [key, values.size])),
+      faults: faultRules
+    };
+  }
+
+  function reset() {
+    records = new Map();
+    files = new Map();
+  }
+
+  function setFaults(rules) {
+    faultRules = normalizeFaults(rules);
+  }
+
+  async function start() {
+    let index = 0;
+    for (const product of products) {
+      const server = http.createServer((req, res) => {
+        handle(product, req, res);
+      });
+      const port = basePort ? basePort + index : 0;
+      index += 1;
+      await new Promise((resolve, reject) => {
+        server.once('error', reject);
+        server.listen(port, host, () => {
+          server.off('error', reject);
+          resolve();
+        });
+      });
+      listeners.set(product, server);
+      urls[product] = `http://${host}:${server.address().port}`;
+    }
+    return { ...urls };
+  }
+
+  async function stop() {
+    await Promise.all([...listeners.values()].map((server) => new Promise((resolve) => {
+      server.closeAllConnections?.();
+      server.close(() => resolve());
+    })));
+    listeners.clear();
+  }
+
+  /**
+   * Product config blocks pointing at the mock, usable as an environment
+   * profile (`environments.mock`) or merged into the config directly.
+   */
+  function configOverrides() {
+    const withAuth = (block, keys) => ({
+      ...block,
+      ...(auth?.token && keys.includes('token') ? { authToken: auth.token } : {}),
+      ...(auth?.apiKey && keys.includes('apiKey') ? { apiKey: auth.apiKey } : {})
+    });
+    const overrides = {};
+    if (urls.midaz) {
+      overrides.midazApi = withAuth({ onboardingUrl: urls.midaz, transactionUrl: urls.midaz, crmUrl: urls.midaz, ledgerUrl: urls.midaz }, ['token']);
+    }
+    if (urls.fetcher) overrides.fetcherApi = withAuth({ managerUrl: urls.fetcher }, ['token']);
+    if (urls.reporter) overrides.reporterApi = withAuth({ managerUrl: urls.reporter }, ['token']);
+    if (urls.matcher) overrides.matcherApi = withAuth({ baseUrl: urls.matcher }, ['token']);
+    if (urls.tracer) overrides.tracerApi = withAuth({ baseUrl: urls.tracer }, ['apiKey']);
+    if (urls.flowker) overrides.flowkerApi = withAuth({ baseUrl: urls.flowker }, ['token', 'apiKey']);
+    if (urls.underwriter) overrides.underwriterApi = withAuth({ baseUrl: urls.underwriter }, ['token']);
+    return overrides;
+  }
+
+  /**
+   * The same settings as environment variables understood by config.js.
+   */
+  function env() {
+    const overrides = configOverrides();
+    const variables = {
+      MIDAZ_ONBOARDING_URL: overrides.midazApi?.onboardingUrl,
+      MIDAZ_TRANSACTION_URL: overrides.midazApi?.transactionUrl,
+      MIDAZ_CRM_URL: overrides.midazApi?.crmUrl,
+      MIDAZ_LEDGER_URL: overrides.midazApi?.ledgerUrl,
+      MIDAZ_AUTH_TOKEN: overrides.midazApi?.authToken,
+      FETCHER_MANAGER_URL: overrides.fetcherApi?.managerUrl,
+      FETCHER_AUTH_TOKEN: overrides.fetcherApi?.authToken,
+      REPORTER_MANAGER_URL: overrides.reporterApi?.managerUrl,
+      REPORTER_AUTH_TOKEN: overrides.reporterApi?.authToken,
+      MATCHER_BASE_URL: overrides.matcherApi?.baseUrl,
+      MATCHER_AUTH_TOKEN: overrides.matcherApi?.authToken,
+      TRACER_BASE_URL: overrides.tracerApi?.baseUrl,
+      TRACER_API_KEY: overrides.tracerApi?.apiKey,
+      FLOWKER_BASE_URL: overrides.flowkerApi?.baseUrl,
+      FLOWKER_AUTH_TOKEN: overrides.flowkerApi?.authToken,
+      FLOWKER_API_KEY: overrides.flowkerApi?.apiKey,
+      UNDERWRITER_BASE_URL: overrides.underwriterApi?.baseUrl,
+      UNDERWRITER_AUTH_TOKEN: overrides.underwriterApi?.authToken
+    };
+    return Object.fromEntries(Object.entries(variables).filter(([, value]) => value));
+  }
+
+  return { start, stop, reset, setFaults, state, configOverrides, env, urls };
+}
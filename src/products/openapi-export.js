@@ -0,0 +1,364 @@
+import { LIVE_PRODUCT_ADAPTERS } from './index.js';
+import { getComponentUrl } from './midaz/client.js';
+import { isMutationMethod } from './http-helpers.js';
+import { resolvePaginationContract } from './pagination.js';
+import { SERVER_VERSION } from '../config.js';
+
+/**
+ * Export the registered product schemas as OpenAPI 3.1 documents and as a
+ * JSON Schema (2020-12) bundle.
+ *
+ * The output mirrors what `*-execute` enforces: unknown body, query and
+ * header fields are rejected (`additionalProperties: false`), list `limit`
+ * is bounded to 1-1000, and auth headers are expressed as security schemes
+ * because caller-supplied credentials are ignored.
+ */
+
+export const EXPORT_FORMATS = ['openapi', 'json-schema'];
+
+const JSON_SCHEMA_DIALECT = 'https://json-schema.org/draft/2020-12/schema';
+const DECIMAL_PATTERN = '^-?\\d+(\\.\\d+)?$';
+const AUTH_HEADERS = new Set(['authorization', 'x-api-key']);
+
+const BEARER_AUTH = { bearerAuth: { type: 'http', scheme: 'bearer' } };
+const API_KEY_AUTH = { apiKeyAuth: { type: 'apiKey', in: 'header', name: 'X-API-Key' } };
+
+const PRODUCT_SERVERS = {
+  midaz: { configKey: 'midazApi', urlKey: 'onboardingUrl', securitySchemes: BEARER_AUTH },
+  fetcher: { configKey: 'fetcherApi', urlKey: 'managerUrl', securitySchemes: BEARER_AUTH },
+  reporter: { configKey: 'reporterApi', urlKey: 'managerUrl', securitySchemes: BEARER_AUTH },
+  matcher: { configKey: 'matcherApi', urlKey: 'baseUrl', securitySchemes: BEARER_AUTH },
+  tracer: { configKey: 'tracerApi', urlKey: 'baseUrl', securitySchemes: API_KEY_AUTH },
+  flowker: { configKey: 'flowkerApi', urlKey: 'baseUrl', securitySchemes: { ...BEARER_AUTH, ...API_KEY_AUTH } },
+  underwriter: { configKey: 'underwriterApi', urlKey: 'baseUrl', securitySchemes: BEARER_AUTH }
+};
+
+// Headers the server adds itself rather than forwarding from the caller
+const PRODUCT_HEADERS = {
+  fetcher: {
+    'X-Organization-Id': { required: false, description: 'Organization scope. Set from the organizationId argument of fetcher-execute.' },
+    'X-Product-Name': { required: false, description: 'Product scope. Set from the productName argument of fetcher-execute.' }
+  }
+};
+
+const MUTATION_REASON_HEADER = {
+  'X-Lerian-MCP-Mutation-Reason': { required: false, description: 'Audit reason sent with every confirmed mutation (mutationReason, max 512 characters).' }
+};
+
+function isObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function toPascalCase(value) {
+  return String(value)
+    .split(/[^a-zA-Z0-9]+/)
+    .filter(Boolean)
+    .map((part) => part.charAt(0).toUpperCase() + part.slice(1))
+    .join('');
+}
+
+/**
+ * Convert one schema field definition into JSON Schema.
+ */
+export function fieldToJsonSchema(field = {}, { strict = true } = {}) {
+  // A type list such as ['string', 'null'] declares a nullable field
+  if (Array.isArray(field.type)) {
+    const schema = fieldToJsonSchema({ ...field, type: field.type.find((type) => type !== 'null') }, { strict });
+    if (field.type.includes('null') && typeof schema.type === 'string') {
+      schema.type = [schema.type, 'null'];
+    }
+    return schema;
+  }
+
+  const schema = {};
+
+  switch (field.type) {
+    case 'file':
+      // `format: binary` is the OpenAPI 3.0 spelling that most client generators still expect
+      schema.type = 'string';
+      schema.format = 'binary';
+      schema.contentMediaType = 'application/octet-stream';
+      break;
+    case 'string':
+    case 'number':
+    case 'integer':
+    case 'boolean':
+    case 'object':
+    case 'array':
+      schema.type = field.type;
+      break;
+    default:
+      break;
+  }
+
+  if (field.description) {
+    schema.description = field.description;
+  }
+  if (field.format) {
+    schema.format = field.format;
+    if (field.format === 'decimal') {
+      schema.pattern = DECIMAL_PATTERN;
+    }
+  }
+  if (Array.isArray(field.enum)) {
+    schema.enum = [...field.enum];
+  }
+  for (const key of ['minLength', 'maxLength', 'minItems', 'maxItems', 'minimum', 'maximum']) {
+    if (Number.isFinite(field[key])) {
+      schema[key] = field[key];
+    }
+  }
+
+  if (field.type === 'object' && isObject(field.properties)) {
+    Object.assign(schema, fieldMapToJsonSchema(field.properties, { strict: strict && field.additionalProperties !== true }));
+  }
+
+  // `items` is either one field definition or the field map of each element
+  if (field.type === 'array' && isObject(field.items)) {
+    schema.items = typeof field.items.type === 'string'
+      ? fieldToJsonSchema(field.items, { strict })
+      : fieldMapToJsonSchema(field.items, { strict });
+  }
+
+  return schema;
+}
+
+/**
+ * Convert a field map (`input`, `queryParams`, `output`, ...) into an object
+ * schema. `strict` closes the object the way request validation does.
+ */
+export function fieldMapToJsonSchema(fields = {}, { strict = true, description } = {}) {
+  const properties = {};
+  const required = [];
+
+  for (const [name, field] of Object.entries(fields || {})) {
+    properties[name] = fieldToJsonSchema(field, { strict });
+    if (field?.required) {
+      required.push(name);
+    }
+  }
+
+  return {
+    type: 'object',
+    ...(description ? { description } : {}),
+    properties,
+    ...(required.length > 0 ? { required } : {}),
+    ...(strict ? { additionalProperties: false } : {})
+  };
+}
+
+function queryParamSchema(name, field) {
+  const schema = fieldToJsonSchema(field);
+  delete schema.description;
+  if (name === 'limit' && (field.type === 'number' || field.type === 'integer')) {
+    schema.minimum = 1;
+    schema.maximum = 1000;
+  }
+  return schema;
+}
+
+function listProductSchemas(product) {
+  const adapter = LIVE_PRODUCT_ADAPTERS.find((candidate) => candidate.id === product);
+  if (!adapter) {
+    throw new Error(`Unknown product: ${product}. Available: ${LIVE_PRODUCT_ADAPTERS.map(({ id }) => id).join(', ')}`);
+  }
+  return adapter.getSchemas();
+}
+
+function resolveProducts(product = 'all') {
+  if (product === 'all') {
+    return LIVE_PRODUCT_ADAPTERS.map(({ id }) => id);
+  }
+  listProductSchemas(product);
+  return [product];
+}
+
+function serverUrl(product, config, component) {
+  const { configKey, urlKey } = PRODUCT_SERVERS[product];
+  const productConfig = config?.[configKey] || {};
+  return product === 'midaz' ? getComponentUrl(productConfig, component) : productConfig[urlKey];
+}
+
+function eachAction(schemas, visit) {
+  for (const schema of schemas) {
+    for (const [action, actionDef] of Object.entries(schema.actions || {})) {
+      visit(schema, action, actionDef);
+    }
+  }
+}
+
+function requestContentType(actionDef) {
+  return actionDef.bodyType === 'multipart' ? 'multipart/form-data' : 'application/json';
+}
+
+function responseContent(actionDef, outputRef) {
+  switch (actionDef.responseType) {
+    case 'text':
+      return { 'text/plain': { schema: { type: 'string' } } };
+    case 'binary':
+      return { 'application/octet-stream': { schema: { type: 'string', contentMediaType: 'application/octet-stream' } } };
+    default:
+      return { 'application/json': { schema: outputRef || {} } };
+  }
+}
+
+function buildOperation(product, schema, action, actionDef, components, defaultServer, config) {
+  const baseName = `${toPascalCase(schema.resource)}${toPascalCase(action)}`;
+  const mutation = isMutationMethod(actionDef.method);
+  const parameters = [];
+
+  for (const [name, field] of Object.entries(actionDef.pathParams || {})) {
+    parameters.push({ name, in: 'path', required: true, ...(field.description ? { description: field.description } : {}), schema: fieldToJsonSchema({ ...field, description: undefined }) });
+  }
+  for (const [name, field] of Object.entries(actionDef.queryParams || {})) {
+    parameters.push({ name, in: 'query', required: field.required === true, ...(field.description ? { description: field.description } : {}), schema: queryParamSchema(name, field) });
+  }
+
+  const headers = {
+    ...(PRODUCT_HEADERS[product] || {}),
+    ...(actionDef.requestHeaders || {}),
+    ...(mutation ? MUTATION_REASON_HEADER : {})
+  };
+  for (const [name, header] of Object.entries(headers)) {
+    if (!AUTH_HEADERS.has(name.toLowerCase())) {
+      parameters.push({ name, in: 'header', required: header.required === true, ...(header.description ? { description: header.description } : {}), schema: { type: 'string' } });
+    }
+  }
+
+  const operation = {
+    operationId: `${baseName.charAt(0).toLowerCase()}${baseName.slice(1)}`,
+    summary: actionDef.description,
+    tags: [schema.resource],
+    ...(parameters.length > 0 ? { parameters } : {})
+  };
+
+  if (actionDef.input || actionDef.bodyType === 'freeform-json') {
+    const requestName = `${baseName}Request`;
+    components.schemas[requestName] = actionDef.bodyType === 'freeform-json'
+      ? { ...fieldMapToJsonSchema(actionDef.input || {}, { strict: false }), description: 'Free-form JSON object.' }
+      : fieldMapToJsonSchema(actionDef.input);
+    operation.requestBody = {
+      required: components.schemas[requestName].required?.length > 0,
+      content: { [requestContentType(actionDef)]: { schema: { $ref: `#/components/schemas/${requestName}` } } }
+    };
+  }
+
+  let outputRef = null;
+  if (actionDef.output) {
+    const responseName = `${baseName}Response`;
+    components.schemas[responseName] = fieldMapToJsonSchema(actionDef.output, { strict: false });
+    outputRef = { $ref: `#/components/schemas/${responseName}` };
+  }
+  operation.responses = {
+    '2XX': { description: 'Successful response.', content: responseContent(actionDef, outputRef) },
+    default: { description: 'Product API error.' }
+  };
+
+  const componentServer = serverUrl(product, config, schema.component);
+  if (componentServer && componentServer !== defaultServer) {
+    operation.servers = [{ url: componentServer, description: `${schema.component} component` }];
+  }
+
+  const pagination = resolvePaginationContract(schema, actionDef);
+  Object.assign(operation, {
+    ...(mutation ? { 'x-lerian-mutation': true } : {}),
+    ...(actionDef.requiresApproval === true ? { 'x-lerian-requires-approval': true } : {}),
+    ...(pagination ? { 'x-lerian-pagination': pagination } : {}),
+    'x-lerian-action': { product, resource: schema.resource, action, component: schema.component }
+  });
+
+  return operation;
+}
+
+/**
+ * Build the OpenAPI 3.1 document for one product. Server URLs come from
+ * `config`; Midaz operations on other components override the server.
+ */
+export function exportProductOpenApi(product, config = {}) {
+  const schemas = listProductSchemas(product);
+  const { securitySchemes } = PRODUCT_SERVERS[product];
+  const defaultServer = serverUrl(product, config, null);
+  const components = { schemas: {}, securitySchemes: { ...securitySchemes } };
+  const paths = {};
+
+  eachAction(schemas, (schema, action, actionDef) => {
+    const specPath = actionDef.path.replace(/:([A-Za-z0-9_]+)/g, '{$1}');
+    paths[specPath] = paths[specPath] || {};
+    paths[specPath][actionDef.method.toLowerCase()] = buildOperation(product, schema, action, actionDef, components, defaultServer, config);
+  });
+
+  return {
+    openapi: '3.1.0',
+    jsonSchemaDialect: JSON_SCHEMA_DIALECT,
+    info: {
+      title: `Lerian ${product.charAt(0).toUpperCase()}${product.slice(1)} API (MCP contract)`,
+      version: SERVER_VERSION,
+      description: `Contract enforced by ${product}-execute in lerian-mcp-server ${SERVER_VERSION}.`
+    },
+    ...(defaultServer ? { servers: [{ url: defaultServer }] } : {}),
+    security: Object.keys(securitySchemes).map((name) => ({ [name]: [] })),
+    tags: schemas.map((schema) => ({ name: schema.resource, description: schema.description })),
+    paths,
+    components
+  };
+}
+
+/**
+ * Build OpenAPI documents for one product or, for `all`, every product.
+ * Products are not merged into one document: several share paths such as
+ * `/health` and `/v1/audit-events`, which one OpenAPI document cannot hold.
+ */
+export function exportOpenApi({ product = 'all', config = {} } = {}) {
+  if (product !== 'all') {
+    return exportProductOpenApi(product, config);
+  }
+  return {
+    generatedBy: `lerian-mcp-server ${SERVER_VERSION}`,
+    documents: Object.fromEntries(resolveProducts('all').map((id) => [id, exportProductOpenApi(id, config)]))
+  };
+}
+
+/**
+ * Build one JSON Schema bundle whose `$defs` hold the path, query, header,
+ * body and output schemas of every action, keyed `<product>.<resource>.<action>.<part>`.
+ */
+export function exportJsonSchemaBundle({ product = 'all' } = {}) {
+  const defs = {};
+
+  for (const id of resolveProducts(product)) {
+    eachAction(listProductSchemas(id), (schema, action, actionDef) => {
+      const key = `${id}.${schema.resource}.${action}`;
+      if (Object.keys(actionDef.pathParams || {}).length > 0) {
+        defs[`${key}.pathParams`] = fieldMapToJsonSchema(actionDef.pathParams);
+      }
+      if (Object.keys(actionDef.queryParams || {}).length > 0) {
+        const query = fieldMapToJsonSchema(actionDef.queryParams);
+        if (query.properties.limit) {
+          query.properties.limit = { ...query.properties.limit, minimum: 1, maximum: 1000 };
+        }
+        defs[`${key}.queryParams`] = query;
+      }
+      const headers = Object.fromEntries(Object.entries(actionDef.requestHeaders || {})
+        .filter(([name]) => !AUTH_HEADERS.has(name.toLowerCase()))
+        .map(([name, header]) => [name, { type: 'string', ...header }]));
+      if (Object.keys(headers).length > 0) {
+        defs[`${key}.headers`] = fieldMapToJsonSchema(headers);
+      }
+      if (actionDef.input || actionDef.bodyType === 'freeform-json') {
+        defs[`${key}.${actionDef.bodyType === 'multipart' ? 'multipart' : 'body'}`] =
+          fieldMapToJsonSchema(actionDef.input || {}, { strict: actionDef.bodyType !== 'freeform-json' });
+      }
+      if (actionDef.output) {
+        defs[`${key}.output`] = fieldMapToJsonSchema(actionDef.output, { strict: false });
+      }
+    });
+  }
+
+  return {
+    $schema: JSON_SCHEMA_DIALECT,
+    $id: `urn:lerian-mcp-server:${product}:schemas`,
+    title: `Lerian ${product} action schemas`,
+    description: `Request and response schemas enforced by lerian-mcp-server ${SERVER_VERSION}.`,
+    $defs: defs
+  };
+}
@@ -0,0 +1,773 @@
+import fs from 'fs';
+
+/**
+ * OpenAPI/Swagger import for product schema modules.
+ *
+ * Reads a product's OpenAPI 3.x or Swagger 2.0 JSON document and converts
+ * each operation into the action format used by `src/products/<product>/schemas`:
+ * `{ method, path, description, pathParams, queryParams, requestHeaders, input }`.
+ * The same conversion backs the drift checker, which compares hand-written
+ * schemas with a spec and reports what changed.
+ */
+
+const HTTP_METHODS = ['get', 'post', 'put', 'patch', 'delete', 'head', 'options'];
+const KNOWN_FORMATS = new Set(['uuid', 'date-time', 'date', 'decimal']);
+const SKIPPED_HEADERS = new Set(['authorization', 'content-type', 'accept']);
+const MAX_SCHEMA_DEPTH = 6;
+
+function isObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function toKebabCase(value) {
+  return String(value)
+    .replace(/([a-z0-9])([A-Z])/g, '$1-$2')
+    .replace(/[^a-zA-Z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '')
+    .toLowerCase();
+}
+
+function toCamelCase(value) {
+  return toKebabCase(value).replace(/-([a-z0-9])/g, (_match, char) => char.toUpperCase());
+}
+
+function toPascalCase(value) {
+  const camel = toCamelCase(value);
+  return camel.charAt(0).toUpperCase() + camel.slice(1);
+}
+
+/**
+ * Read and minimally validate an OpenAPI/Swagger JSON file.
+ */
+export function loadOpenApiSpec(filePath) {
+  let spec;
+  try {
+    spec = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (error) {
+    throw new Error(`Cannot read OpenAPI spec ${filePath}: ${error.message}`);
+  }
+
+  if (!isObject(spec) || (!spec.openapi && !spec.swagger) || !isObject(spec.paths)) {
+    throw new Error(`${filePath} is not an OpenAPI 3.x or Swagger 2.0 JSON document`);
+  }
+  return spec;
+}
+
+function resolvePointer(spec, ref) {
+  if (typeof ref !== 'string' || !ref.startsWith('#/')) {
+    return null;
+  }
+  return ref.slice(2).split('/').reduce((node, part) => {
+    const key = part.replace(/~1/g, '/').replace(/~0/g, '~');
+    return isObject(node) ? node[key] : undefined;
+  }, spec) || null;
+}
+
+function deref(spec, node) {
+  let current = node;
+  const seen = new Set();
+  while (isObject(current) && current.$ref && !seen.has(current.$ref)) {
+    seen.add(current.$ref);
+    current = resolvePointer(spec, current.$ref) || {};
+  }
+  return current || {};
+}
+
+/**
+ * Resolve `$ref` and flatten `allOf`. `oneOf`/`anyOf` take their first
+ * branch, which is the closest a flat field map can get.
+ */
+function flattenSchema(spec, schema, refs) {
+  if (!isObject(schema)) {
+    return { schema: {}, refs };
+  }
+
+  if (schema.$ref) {
+    if (refs.has(schema.$ref)) {
+      return { schema: { type: 'object', description: schema.description }, refs };
+    }
+    const nextRefs = new Set(refs).add(schema.$ref);
+    const target = resolvePointer(spec, schema.$ref) || {};
+    const flattened = flattenSchema(spec, target, nextRefs);
+    return schema.description
+      ? { ...flattened, schema: { ...flattened.schema, description: schema.description } }
+      : flattened;
+  }
+
+  if (Array.isArray(schema.allOf)) {
+    const { allOf, ...rest } = schema;
+    const merged = { ...rest, properties: { ...(rest.properties || {}) }, required: [...(rest.required || [])] };
+    for (const part of allOf) {
+      const { schema: flattened } = flattenSchema(spec, part, refs);
+      Object.assign(merged.properties, flattened.properties || {});
+      merged.required.push(...(flattened.required || []));
+      merged.type = merged.type || flattened.type;
+      merged.description = merged.description || flattened.description;
+    }
+    return { schema: merged, refs };
+  }
+
+  const variants = schema.oneOf || schema.anyOf;
+  if (Array.isArray(variants) && variants.length > 0) {
+    const { oneOf: _oneOf, anyOf: _anyOf, ...rest } = schema;
+    const { schema: first } = flattenSchema(spec, variants.find((variant) => deref(spec, variant).type !== 'null') || variants[0], refs);
+    return { schema: { ...first, ...rest }, refs };
+  }
+
+  return { schema, refs };
+}
+
+function fieldType(schema) {
+  const declared = Array.isArray(schema.type)
+    ? schema.type.find((type) => type !== 'null')
+    : schema.type;
+
+  if (declared === 'string' && (schema.format === 'binary' || schema.contentMediaType)) {
+    return 'file';
+  }
+  if (declared === 'file') {
+    return 'file';
+  }
+  if (declared === 'integer') {
+    return 'number';
+  }
+  if (!declared && isObject(schema.properties)) {
+    return 'object';
+  }
+  if (!declared && schema.items) {
+    return 'array';
+  }
+  // No type at all means any value, which the request validator also accepts
+  return declared || 'any';
+}
+
+/**
+ * Convert one JSON Schema node into a field definition.
+ */
+export function schemaToField(spec, schema, { required, depth = 0, refs = new Set() } = {}) {
+  const { schema: flattened, refs: nextRefs } = flattenSchema(spec, schema, refs);
+  const type = fieldType(flattened);
+  const field = { type };
+
+  if (required !== undefined) {
+    field.required = required;
+  }
+  if (flattened.description || flattened.title) {
+    field.description = String(flattened.description || flattened.title).trim();
+  }
+  if (type === 'string' && KNOWN_FORMATS.has(flattened.format)) {
+    field.format = flattened.format;
+  }
+  if (Array.isArray(flattened.enum) && flattened.enum.every((value) => ['string', 'number', 'boolean'].includes(typeof value))) {
+    field.enum = [...flattened.enum];
+  }
+  for (const key of ['minLength', 'maxLength', 'minItems', 'maxItems']) {
+    if (Number.isInteger(flattened[key])) {
+      field[key] = flattened[key];
+    }
+  }
+
+  if (depth >= MAX_SCHEMA_DEPTH) {
+    return field;
+  }
+
+  if (type === 'object' && isObject(flattened.properties) && Object.keys(flattened.properties).length > 0) {
+    field.properties = schemaToFieldMap(spec, flattened, { depth: depth + 1, refs: nextRefs });
+  }
+
+  if (type === 'array' && flattened.items) {
+    const item = schemaToField(spec, flattened.items, { depth: depth + 1, refs: nextRefs });
+    // Object items are written as their field map, matching the hand-written schemas
+    field.items = item.type === 'object' && item.properties ? item.properties : { type: item.type };
+  }
+
+  return field;
+}
+
+/**
+ * Convert an object schema's properties into a field map with `required` flags.
+ */
+export function schemaToFieldMap(spec, schema, { depth = 0, refs = new Set() } = {}) {
+  const { schema: flattened, refs: nextRefs } = flattenSchema(spec, schema, refs);
+  const required = new Set(flattened.required || []);
+  const fields = {};
+
+  for (const [name, property] of Object.entries(flattened.properties || {})) {
+    if (deref(spec, property).readOnly) {
+      continue;
+    }
+    fields[name] = schemaToField(spec, property, { required: required.has(name), depth, refs: nextRefs });
+  }
+  return fields;
+}
+
+function basePathOf(spec) {
+  if (spec.swagger) {
+    return spec.basePath && spec.basePath !== '/' ? spec.basePath.replace(/\/+$/, '') : '';
+  }
+
+  const serverUrl = spec.servers?.[0]?.url;
+  if (!serverUrl) {
+    return '';
+  }
+  try {
+    const pathname = new URL(serverUrl, 'http://placeholder').pathname.replace(/\/+$/, '');
+    return pathname.includes('{') ? '' : pathname;
+  } catch {
+    return '';
+  }
+}
+
+function joinPath(basePath, specPath) {
+  if (!basePath || specPath === basePath || specPath.startsWith(`${basePath}/`)) {
+    return specPath;
+  }
+  return `${basePath}${specPath}`;
+}
+
+/**
+ * `/v1/rules/{id}` -> `/v1/rules/:id`
+ */
+export function toSchemaPath(specPath) {
+  return specPath.replace(/\{([^}]+)\}/g, ':$1');
+}
+
+function pathKey(method, schemaPath) {
+  return `${method.toUpperCase()} ${schemaPath.replace(/:[^/]+/g, ':').replace(/\/+$/, '')}`;
+}
+
+function collectParameters(spec, pathItem, operation) {
+  const byKey = new Map();
+  for (const parameter of [...(pathItem.parameters || []), ...(operation.parameters || [])]) {
+    const resolved = deref(spec, parameter);
+    if (resolved.name && resolved.in) {
+      byKey.set(`${resolved.in}:${resolved.name}`, resolved);
+    }
+  }
+  return [...byKey.values()];
+}
+
+function parameterField(spec, parameter, { required } = {}) {
+  // Swagger 2 declares type/format on the parameter itself, OpenAPI 3 under `schema`
+  const { type, required: _required, description, ...rest } = schemaToField(spec, parameter.schema || parameter);
+  const isRequired = required ?? (parameter.required === true ? true : undefined);
+  const text = parameter.description ? String(parameter.description).trim() : description;
+  return {
+    type,
+    ...(isRequired !== undefined ? { required: isRequired } : {}),
+    ...(text ? { description: text } : {}),
+    ...rest
+  };
+}
+
+function pickContent(content = {}, predicate) {
+  const type = Object.keys(content).find(predicate);
+  return type ? { type, media: content[type] } : null;
+}
+
+const isJsonType = (type) => /json/i.test(type);
+const isMultipartType = (type) => /multipart\/form-data|application\/x-www-form-urlencoded/i.test(type);
+
+function requestBodyOf(spec, pathItem, operation, parameters) {
+  if (spec.swagger) {
+    const bodyParameter = parameters.find((parameter) => parameter.in === 'body');
+    if (bodyParameter) {
+      return { input: schemaToFieldMap(spec, bodyParameter.schema || {}) };
+    }
+
+    const formFields = parameters.filter((parameter) => parameter.in === 'formData');
+    if (formFields.length > 0) {
+      const input = {};
+      for (const parameter of formFields) {
+        input[parameter.name] = parameterField(spec, parameter, { required: parameter.required === true });
+      }
+      return { input, bodyType: 'multipart' };
+    }
+    return {};
+  }
+
+  const requestBody = deref(spec, operation.requestBody);
+  const json = pickContent(requestBody.content, isJsonType);
+  if (json) {
+    return { input: schemaToFieldMap(spec, json.media.schema || {}) };
+  }
+  const multipart = pickContent(requestBody.content, isMultipartType);
+  if (multipart) {
+    return { input: schemaToFieldMap(spec, multipart.media.schema || {}), bodyType: 'multipart' };
+  }
+  return {};
+}
+
+function successResponseOf(spec, operation) {
+  const status = Object.keys(operation.responses || {}).sort().find((code) => /^2\d\d$/.test(code));
+  return status ? deref(spec, operation.responses[status]) : null;
+}
+
+function responseTypeOf(spec, operation) {
+  const response = successResponseOf(spec, operation);
+  const contentTypes = spec.swagger
+    ? (response?.schema ? (operation.produces || spec.produces || ['application/json']) : [])
+    : Object.keys(response?.content || {});
+
+  if (contentTypes.length === 0 || contentTypes.some(isJsonType)) {
+    return null;
+  }
+  return contentTypes.every((type) => /^text\/plain/i.test(type)) ? 'text' : 'binary';
+}
+
+function responseSchemaOf(spec, operation) {
+  const response = successResponseOf(spec, operation);
+  if (!response) {
+    return null;
+  }
+  if (spec.swagger) {
+    return response.schema || null;
+  }
+  return pickContent(response.content, isJsonType)?.media.schema || null;
+}
+
+/**
+ * List every operation in the spec in schema action form, before it is
+ * grouped into resources.
+ */
+export function listSpecOperations(spec) {
+  const basePath = basePathOf(spec);
+  const operations = [];
+
+  for (const [specPath, rawPathItem] of Object.entries(spec.paths || {})) {
+    const pathItem = deref(spec, rawPathItem);
+    for (const method of HTTP_METHODS) {
+      const operation = pathItem[method];
+      if (!isObject(operation)) {
+        continue;
+      }
+
+      const parameters = collectParameters(spec, pathItem, operation);
+      const pathParams = {};
+      const queryParams = {};
+      const requestHeaders = {};
+
+      for (const parameter of parameters) {
+        if (parameter.in === 'path') {
+          pathParams[parameter.name] = parameterField(spec, parameter, { required: true });
+        } else if (parameter.in === 'query') {
+          queryParams[parameter.name] = parameterField(spec, parameter);
+        } else if (parameter.in === 'header' && !SKIPPED_HEADERS.has(parameter.name.toLowerCase())) {
+          requestHeaders[parameter.name] = {
+            required: parameter.required === true,
+            ...(parameter.description ? { description: String(parameter.description).trim() } : {})
+          };
+        }
+      }
+
+      const { input, bodyType } = requestBodyOf(spec, pathItem, operation, parameters);
+
+      operations.push({
+        method: method.toUpperCase(),
+        path: toSchemaPath(joinPath(basePath, specPath)),
+        operationId: operation.operationId || null,
+        tag: operation.tags?.[0] || null,
+        summary: String(operation.summary || operation.description || '').trim(),
+        deprecated: operation.deprecated === true,
+        pathParams,
+        queryParams,
+        requestHeaders,
+        input: input || null,
+        bodyType: bodyType || null,
+        responseType: responseTypeOf(spec, operation),
+        responseSchema: responseSchemaOf(spec, operation)
+      });
+    }
+  }
+
+  return operations;
+}
+
+function pathSegments(schemaPath) {
+  return schemaPath.split('/').filter(Boolean).filter((segment) => !/^v\d+$/i.test(segment));
+}
+
+const isParamSegment = (segment) => segment.startsWith(':');
+
+/**
+ * Literal segments that name a collection: those followed by an ID segment
+ * somewhere in the spec, plus each path's first literal.
+ */
+function collectionSegments(operations) {
+  const collections = new Set();
+  for (const { path: schemaPath } of operations) {
+    const segments = pathSegments(schemaPath);
+    const firstLiteral = segments.find((segment) => !isParamSegment(segment));
+    if (firstLiteral) {
+      collections.add(firstLiteral);
+    }
+    segments.forEach((segment, index) => {
+      if (!isParamSegment(segment) && isParamSegment(segments[index + 1] || '')) {
+        collections.add(segment);
+      }
+    });
+  }
+  return collections;
+}
+
+function resourceIndex(segments, collections) {
+  for (let index = segments.length - 1; index >= 0; index -= 1) {
+    if (!isParamSegment(segments[index]) && collections.has(segments[index])) {
+      return index;
+    }
+  }
+  return segments.findIndex((segment) => !isParamSegment(segment));
+}
+
+function deriveActionName(method, rest, operationId) {
+  const fallback = operationId ? toCamelCase(operationId) : null;
+
+  if (rest.length === 0) {
+    if (method === 'GET') return 'list';
+    if (method === 'POST') return 'create';
+    return fallback || toCamelCase(method.toLowerCase());
+  }
+  if (rest.length === 1 && isParamSegment(rest[0])) {
+    if (method === 'GET') return 'get';
+    if (method === 'PUT' || method === 'PATCH') return 'update';
+    if (method === 'DELETE') return 'delete';
+  }
+  if (rest.length === 2 && !isParamSegment(rest[0]) && isParamSegment(rest[1]) && method === 'GET') {
+    return `getBy${toPascalCase(rest[0])}`;
+  }
+
+  const literals = rest.filter((segment) => !isParamSegment(segment));
+  if (literals.length > 0) {
+    const name = toCamelCase(literals.join('-'));
+    return method === 'DELETE' ? `delete${toPascalCase(name)}` : name;
+  }
+  return fallback || toCamelCase(`${method.toLowerCase()}-${rest.length}`);
+}
+
+/**
+ * Suggest the resource and action an operation maps to. Tags win for the
+ * resource name; the path decides the action name.
+ */
+function classifyOperations(operations) {
+  const collections = collectionSegments(operations);
+  return operations.map((operation) => {
+    const segments = pathSegments(operation.path);
+    const index = resourceIndex(segments, collections);
+    const resource = operation.tag
+      ? toKebabCase(operation.tag)
+      : toKebabCase(segments[index] || 'root');
+    const action = deriveActionName(operation.method, index >= 0 ? segments.slice(index + 1) : segments, operation.operationId);
+    return { ...operation, resource, action };
+  });
+}
+
+function detectPagination(listOperation) {
+  const query = listOperation.queryParams;
+  const limitParam = ['limit', 'pageSize', 'page_size', 'perPage', 'per_page'].find((name) => query[name]);
+  const response = listOperation.responseFields || {};
+  const itemsField = Object.keys(response).find((name) => response[name].type === 'array');
+  if (!limitParam || !itemsField) {
+    return null;
+  }
+
+  const cursorParam = Object.keys(query).find((name) => /cursor/i.test(name));
+  if (cursorParam) {
+    return {
+      style: 'cursor',
+      cursorParam,
+      limitParam,
+      itemsField,
+      nextCursorField: Object.keys(response).find((name) => /cursor/i.test(name)),
+      hasMoreField: Object.keys(response).find((name) => /has_?more/i.test(name))
+    };
+  }
+
+  const pageParam = Object.keys(query).find((name) => /^page$/i.test(name));
+  if (!pageParam) {
+    return null;
+  }
+  return {
+    style: 'page',
+    pageParam,
+    limitParam,
+    itemsField,
+    totalField: Object.keys(response).find((name) => /^total/i.test(name))
+  };
+}
+
+function withoutEmpty(object) {
+  return Object.fromEntries(Object.entries(object).filter(([, value]) =>
+    value !== null && value !== undefined && !(isObject(value) && Object.keys(value).length === 0)
+  ));
+}
+
+function toAction(operation) {
+  return withoutEmpty({
+    method: operation.method,
+    path: operation.path,
+    description: operation.summary || `${operation.method} ${operation.path}`,
+    bodyType: operation.bodyType,
+    requestHeaders: operation.requestHeaders,
+    pathParams: operation.pathParams,
+    queryParams: operation.queryParams,
+    input: operation.input,
+    responseType: operation.responseType
+  });
+}
+
+/**
+ * Group spec operations into product schema objects, one per resource.
+ * Operations that would reuse an action name fall back to their operationId.
+ */
+export function buildSchemasFromSpec(spec, { component } = {}) {
+  const tagDescriptions = new Map((spec.tags || []).map((tag) => [toKebabCase(tag.name), tag.description]));
+  const schemas = new Map();
+
+  for (const operation of classifyOperations(listSpecOperations(spec))) {
+    if (!schemas.has(operation.resource)) {
+      schemas.set(operation.resource, {
+        resource: operation.resource,
+        component: component || operation.resource,
+        description: String(tagDescriptions.get(operation.resource) || `${spec.info?.title || 'API'} ${operation.resource} endpoints.`).trim(),
+        actions: {}
+      });
+    }
+
+    const schema = schemas.get(operation.resource);
+    let actionName = operation.action;
+    if (schema.actions[actionName]) {
+      actionName = operation.operationId ? toCamelCase(operation.operationId) : `${actionName}${toPascalCase(operation.method.toLowerCase())}`;
+    }
+    schema.actions[actionName] = toAction(operation);
+
+    if (actionName === 'list' && operation.responseSchema) {
+      const pagination = detectPagination({
+        ...operation,
+        responseFields: schemaToFieldMap(spec, operation.responseSchema)
+      });
+      if (pagination) {
+        schema.pagination = withoutEmpty(pagination);
+      }
+    }
+  }
+
+  // Keep `pagination` ahead of `actions`, as in the hand-written modules
+  return [...schemas.values()].map(({ actions, ...rest }) => ({ ...rest, actions }));
+}
+
+const IDENTIFIER = /^[A-Za-z_$][A-Za-z0-9_$]*$/;
+
+function renderString(value) {
+  return `'${String(value).replace(/\\/g, '\\\\').replace(/'/g, '\\\'').replace(/\r?\n/g, '\\n')}'`;
+}
+
+function renderKey(key) {
+  return IDENTIFIER.test(key) ? key : renderString(key);
+}
+
+function isFlat(value) {
+  return Object.values(value).every((entry) => !isObject(entry) &&
+    (!Array.isArray(entry) || entry.every((item) => !isObject(item) && !Array.isArray(item))));
+}
+
+function renderValue(value, indent) {
+  if (typeof value === 'string') {
+    return renderString(value);
+  }
+  if (Array.isArray(value)) {
+    return `[${value.map((item) => renderValue(item, indent)).join(', ')}]`;
+  }
+  if (isObject(value)) {
+    const entries = Object.entries(value);
+    if (entries.length === 0) {
+      return '{}';
+    }
+    if (isFlat(value)) {
+      return `{ ${entries.map(([key, entry]) => `${renderKey(key)}: ${renderValue(entry, indent)}`).join(', ')} }`;
+    }
+    const inner = `${indent}  `;
+    return `{\n${entries.map(([key, entry]) => `${inner}${renderKey(key)}: ${renderValue(entry, inner)}`).join(',\n')}\n${indent}}`;
+  }
+  return String(value);
+}
+
+/**
+ * Render one schema as an ES module exporting `<camelResource>Schema`.
+ */
+export function renderSchemaModule(schema, { source } = {}) {
+  const exportName = `${toCamelCase(schema.resource)}Schema`;
+  const header = source ? `// Generated from ${source} by scripts/openapi-import.js; review before registering.\n\n` : '';
+  return {
+    exportName,
+    fileName: `${schema.resource}.js`,
+    source: `${header}export const ${exportName} = ${renderValue(schema, '')};\n`
+  };
+}
+
+/**
+ * Render the registry module that wires the generated schemas together.
+ */
+export function renderSchemaIndex(modules) {
+  const imports = modules.map(({ exportName, fileName }) => `import { ${exportName} } from './${fileName}';`);
+  return [
+    ...imports,
+    'import { createSchemaRegistry } from \'../../schema-registry.js\';',
+    '',
+    `const allSchemas = [${modules.map(({ exportName }) => exportName).join(', ')}];`,
+    'const registry = createSchemaRegistry(allSchemas);',
+    '',
+    'export const getSchema = registry.getSchema;',
+    'export const getAllSchemas = registry.getAllSchemas;',
+    'export const getSchemasByComponent = registry.getSchemasByComponent;',
+    'export const findSchemas = registry.findSchemas;',
+    'export const listResources = registry.listResources;',
+    ''
+  ].join('\n');
+}
+
+function normalizeType(type) {
+  return type === 'integer' ? 'number' : type;
+}
+
+function fieldMapOf(value) {
+  if (!isObject(value)) {
+    return null;
+  }
+  return typeof value.type === 'string' ? null : value;
+}
+
+/**
+ * Compare two field maps. `actual` is the hand-written schema, `expected`
+ * the spec. Nested `properties` and object `items` are walked with dotted paths.
+ */
+function compareFieldMaps(expected = {}, actual = {}, { location, prefix = '', checkRequired = true }, report) {
+  for (const [name, actualField] of Object.entries(actual || {})) {
+    const field = prefix ? `${prefix}.${name}` : name;
+    const expectedField = expected?.[name];
+    if (!expectedField) {
+      report({ location, field, issue: 'removed', message: `${field} is declared by the schema but no longer in the spec` });
+      continue;
+    }
+
+    const actualType = normalizeType(actualField?.type);
+    const expectedType = normalizeType(expectedField.type);
+    if (actualType && expectedType && actualType !== expectedType) {
+      report({ location, field, issue: 'type', expected: expectedType, actual: actualType, message: `${field} is ${actualType} in the schema but ${expectedType} in the spec` });
+    }
+
+    if (checkRequired && Boolean(actualField?.required) !== Boolean(expectedField.required)) {
+      report({
+        location,
+        field,
+        issue: 'required',
+        expected: Boolean(expectedField.required),
+        actual: Boolean(actualField?.required),
+        message: `${field} is ${expectedField.required ? 'required' : 'optional'} in the spec`
+      });
+    }
+
+    if (isObject(actualField?.properties) && isObject(expectedField.properties)) {
+      compareFieldMaps(expectedField.properties, actualField.properties, { location, prefix: field, checkRequired }, report);
+    }
+    const actualItems = fieldMapOf(actualField?.items);
+    const expectedItems = fieldMapOf(expectedField.items);
+    if (actualItems && expectedItems) {
+      compareFieldMaps(expectedItems, actualItems, { location, prefix: `${field}[]`, checkRequired }, report);
+    }
+  }
+
+  for (const name of Object.keys(expected || {})) {
+    if (!Object.prototype.hasOwnProperty.call(actual || {}, name)) {
+      const field = prefix ? `${prefix}.${name}` : name;
+      report({
+        location,
+        field,
+        issue: 'missing',
+        required: Boolean(expected[name].required),
+        message: `${field} is in the spec but not declared by the schema`
+      });
+    }
+  }
+}
+
+function pathParamNames(schemaPath) {
+  return (schemaPath.match(/:[^/]+/g) || []).map((segment) => segment.slice(1));
+}
+
+/**
+ * Compare hand-written schemas with a spec.
+ *
+ * Endpoints are matched on method and path shape, so `:id` and `{ruleId}`
+ * line up. The report lists spec endpoints without a schema action
+ * (`missingEndpoints`), schema actions the spec no longer has
+ * (`removedEndpoints`), and per-field `fieldIssues`: `removed`, `missing`,
+ * `type`, `required`, and `renamed` for path params.
+ */
+export function checkSchemaDrift(spec, schemas, { component } = {}) {
+  const operations = classifyOperations(listSpecOperations(spec));
+  const specByKey = new Map(operations.map((operation) => [pathKey(operation.method, operation.path), operation]));
+  const scoped = component ? schemas.filter((schema) => schema.component === component) : schemas;
+  const matchedKeys = new Set();
+  const removedEndpoints = [];
+  const fieldIssues = [];
+  let schemaActions = 0;
+
+  for (const schema of scoped) {
+    for (const [actionName, action] of Object.entries(schema.actions || {})) {
+      schemaActions += 1;
+      const key = pathKey(action.method, action.path);
+      const operation = specByKey.get(key);
+      if (!operation) {
+        removedEndpoints.push({ resource: schema.resource, action: actionName, method: action.method, path: action.path });
+        continue;
+      }
+      matchedKeys.add(key);
+
+      const report = (issue) => fieldIssues.push({ resource: schema.resource, action: actionName, ...issue });
+      const actualNames = pathParamNames(action.path);
+      pathParamNames(operation.path).forEach((expectedName, index) => {
+        if (actualNames[index] && actualNames[index] !== expectedName) {
+          report({
+            location: 'pathParams',
+            field: actualNames[index],
+            issue: 'renamed',
+            expected: expectedName,
+            actual: actualNames[index],
+            message: `Path parameter :${actualNames[index]} is {${expectedName}} in the spec`
+          });
+        }
+      });
+
+      compareFieldMaps(operation.queryParams, action.queryParams, { location: 'queryParams' }, report);
+      if (action.input || operation.input) {
+        compareFieldMaps(operation.input || {}, action.input || {}, { location: 'input' }, report);
+      }
+    }
+  }
+
+  const missingEndpoints = operations
+    .filter((operation) => !matchedKeys.has(pathKey(operation.method, operation.path)))
+    .map((operation) => ({
+      method: operation.method,
+      path: operation.path,
+      operationId: operation.operationId,
+      deprecated: operation.deprecated || undefined,
+      suggested: { resource: operation.resource, action: operation.action }
+    }));
+
+  return {
+    spec: { title: spec.info?.title || null, version: spec.info?.version || null },
+    inSync: missingEndpoints.length === 0 && removedEndpoints.length === 0 && fieldIssues.length === 0,
+    summary: {
+      specOperations: operations.length,
+      schemaActions,
+      matched: matchedKeys.size,
+      missingEndpoints: missingEndpoints.length,
+      removedEndpoints: removedEndpoints.length,
+      fieldIssues: fieldIssues.length
+    },
+    missingEndpoints,
+    removedEndpoints,
+    fieldIssues
+  };
+}
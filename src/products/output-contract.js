@@ -0,0 +1,76 @@
+import { z } from 'zod';
+import { createToolResponse } from '../util/mcp-helpers.js';
+import { withIdempotencyKey } from './idempotency.js';
+
+/**
+ * Response contracts for live actions.
+ *
+ * An action may declare `output`, a field map in the same format as `input`,
+ * describing the JSON the product API returns. `*-discover describe-action`
+ * shows it next to the input contract, and `*-execute` returns the response
+ * as `structuredContent.result` inside the envelope below.
+ */
+
+/**
+ * Field map for a list response: the items array under the pagination
+ * contract's `itemsField`, plus its page or cursor fields.
+ */
+export function listOutput(itemFields, pagination = {}, description = 'Page of results.') {
+  const output = {
+    [pagination.itemsField || 'items']: {
+      type: 'array',
+      description,
+      items: { type: 'object', properties: itemFields }
+    }
+  };
+
+  if (pagination.style === 'cursor') {
+    if (pagination.nextCursorField) {
+      output[pagination.nextCursorField] = { type: 'string', description: 'Cursor for the next page; empty when there are no more results.' };
+    }
+    if (pagination.hasMoreField) {
+      output[pagination.hasMoreField] = { type: 'boolean', description: 'Whether more results are available.' };
+    }
+  } else {
+    output[pagination.pageParam || 'page'] = { type: 'number', description: 'Current page number.' };
+    output[pagination.limitParam || 'limit'] = { type: 'number', description: 'Page size.' };
+    if (pagination.totalField) {
+      output[pagination.totalField] = { type: 'number', description: 'Total number of results.' };
+    }
+  }
+
+  return output;
+}
+
+/**
+ * Tool-level MCP outputSchema shared by every `*-execute` tool. The shape of
+ * `result` varies per action and is published by describe-action.
+ */
+export const EXECUTE_OUTPUT_SCHEMA = {
+  product: z.string().describe('Product that handled the call.'),
+  resource: z.string().describe('Schema resource that was executed.'),
+  action: z.string().describe('Schema action that was executed.'),
+  result: z.unknown().optional().describe('Product API response. Its shape is the action output contract shown by describe-action.'),
+  idempotency: z.object({
+    header: z.string(),
+    key: z.string(),
+    generated: z.boolean()
+  }).optional().describe('Idempotency key sent with a confirmed mutation.'),
+  truncated: z.boolean().optional().describe('Set when the result was too large for structured content; read the text content instead.')
+};
+
+/**
+ * Build an execute tool response: the text content keeps the historical
+ * payload, while structured content always carries the envelope.
+ */
+export function createExecuteResponse(product, { resource, action }, result, idempotency = null) {
+  return createToolResponse(withIdempotencyKey(result, idempotency), {
+    structuredContent: {
+      product,
+      resource,
+      action,
+      result,
+      ...(idempotency ? { idempotency } : {})
+    }
+  });
+}
@@ -0,0 +1,211 @@
+import { z } from 'zod';
+
+/**
+ * Auto-pagination for live list actions.
+ *
+ * Schemas declare how a resource paginates with a `pagination` block, either
+ * `{ style: 'page', pageParam, limitParam, itemsField, totalField }` or
+ * `{ style: 'cursor', cursorParam, limitParam, itemsField, nextCursorField, hasMoreField }`.
+ * An action may override or disable (`pagination: false`) the resource block.
+ * Field names accept dotted paths so nested envelopes can be followed.
+ */
+
+export const DEFAULT_AUTO_PAGINATION = {
+  maxPages: 10,
+  maxItems: 500
+};
+
+export const AUTO_PAGINATION_LIMITS = {
+  maxPages: 100,
+  maxItems: 10000
+};
+
+/**
+ * The `autoPaginate` argument shared by the execute tools whose products
+ * declare page or cursor pagination.
+ */
+export const AUTO_PAGINATE_INPUT_SCHEMA = z.union([
+  z.boolean(),
+  z.object({ maxPages: z.number().int().positive().optional(), maxItems: z.number().int().positive().optional() })
+]).optional().describe(
+  `List actions only: follow page or cursor pagination and merge the items. true uses maxPages=${DEFAULT_AUTO_PAGINATION.maxPages} and maxItems=${DEFAULT_AUTO_PAGINATION.maxItems}; ` +
+  `pass { maxPages, maxItems } to change them (capped at ${AUTO_PAGINATION_LIMITS.maxPages} pages and ${AUTO_PAGINATION_LIMITS.maxItems} items).`
+);
+
+function clamp(value, fallback, max) {
+  const parsed = Number(value);
+  if (!Number.isFinite(parsed) || parsed < 1) {
+    return fallback;
+  }
+  return Math.min(Math.floor(parsed), max);
+}
+
+function readField(source, path) {
+  if (!path) {
+    return undefined;
+  }
+  return String(path).split('.').reduce((value, key) => (value && typeof value === 'object' ? value[key] : undefined), source);
+}
+
+/**
+ * Resolve the pagination contract for a GET action, or null when the action
+ * does not declare (or does not accept) the page/cursor query parameter.
+ */
+export function resolvePaginationContract(schema, actionDef) {
+  const declared = actionDef.pagination ?? schema.pagination;
+  if (!declared || String(actionDef.method).toUpperCase() !== 'GET') {
+    return null;
+  }
+
+  const contract = {
+    itemsField: 'items',
+    limitParam: 'limit',
+    ...(declared.style === 'cursor' ? { cursorParam: 'cursor' } : { pageParam: 'page' }),
+    ...declared
+  };
+  const param = contract.style === 'cursor' ? contract.cursorParam : contract.pageParam;
+
+  return actionDef.queryParams?.[param] ? contract : null;
+}
+
+/**
+ * Normalize the `autoPaginate` tool argument. `true` uses the defaults; an
+ * object may set `maxPages` and `maxItems`, capped at AUTO_PAGINATION_LIMITS.
+ */
+export function resolveAutoPagination(autoPaginate) {
+  if (!autoPaginate) {
+    return null;
+  }
+
+  const options = typeof autoPaginate === 'object' ? autoPaginate : {};
+  return {
+    maxPages: clamp(options.maxPages, DEFAULT_AUTO_PAGINATION.maxPages, AUTO_PAGINATION_LIMITS.maxPages),
+    maxItems: clamp(options.maxItems, DEFAULT_AUTO_PAGINATION.maxItems, AUTO_PAGINATION_LIMITS.maxItems)
+  };
+}
+
+function nextPageState(contract, state, response, items, queryParams) {
+  if (contract.style === 'cursor') {
+    const cursor = readField(response, contract.nextCursorField);
+    const hasMore = contract.hasMoreField ? readField(response, contract.hasMoreField) : undefined;
+    if (hasMore === false || cursor === undefined || cursor === null || cursor === '') {
+      return null;
+    }
+    return { cursor: String(cursor) };
+  }
+
+  const limit = Number(queryParams[contract.limitParam] ?? readField(response, contract.limitParam));
+  const total = Number(readField(response, contract.totalField));
+  state.seen += items.length;
+
+  if (items.length === 0) {
+    return null;
+  }
+  if (Number.isFinite(total) && contract.totalField && state.seen >= total) {
+    return null;
+  }
+  if (Number.isFinite(limit) && limit > 0 && items.length < limit) {
+    return null;
+  }
+  return { page: state.page + 1 };
+}
+
+function toQueryParams(contract, position) {
+  if (!position) {
+    return null;
+  }
+  return contract.style === 'cursor'
+    ? { [contract.cursorParam]: position.cursor }
+    : { [contract.pageParam]: position.page };
+}
+
+function reportProgress(onProgress, pagesFetched, itemCount, maxPages) {
+  onProgress?.({
+    progress: pagesFetched,
+    total: maxPages,
+    message: `Fetched ${pagesFetched} page(s), ${itemCount} item(s) so far.`
+  });
+}
+
+/**
+ * Follow `page` or `cursor` until the list is exhausted or a limit is hit.
+ *
+ * `fetchPage(queryParams)` performs one request. `onProgress` receives a
+ * `{ progress, total, message }` event after every page so callers can stream
+ * progress notifications. The result merges the items and reports pages
+ * fetched, whether the list was truncated, and the query parameters that
+ * continue from where this run stopped.
+ */
+export async function paginateAction(resolved, queryParams, fetchPage, { maxPages, maxItems, onProgress } = {}) {
+  const contract = resolved.pagination;
+  if (!contract) {
+    throw new Error(
+      `autoPaginate is not supported for ${resolved.resource}.${resolved.action}; it applies to GET list actions that accept page or cursor query parameters.`
+    );
+  }
+
+  const baseQuery = { ...(queryParams || {}) };
+  const state = { page: Number(baseQuery[contract.pageParam]) || 1, seen: 0 };
+  let position = contract.style === 'cursor'
+    ? (baseQuery[contract.cursorParam] ? { cursor: String(baseQuery[contract.cursorParam]) } : {})
+    : { page: state.page };
+
+  const items = [];
+  let pagesFetched = 0;
+  let truncatedBy = null;
+
+  while (position) {
+    if (pagesFetched >= maxPages) {
+      truncatedBy = 'maxPages';
+      break;
+    }
+    if (items.length >= maxItems) {
+      truncatedBy = 'maxItems';
+      break;
+    }
+
+    const pageQuery = { ...baseQuery, ...toQueryParams(contract, position) };
+    if (contract.style === 'cursor' && !position.cursor) {
+      delete pageQuery[contract.cursorParam];
+    }
+
+    const response = await fetchPage(pageQuery);
+    const pageItems = readField(response, contract.itemsField);
+    if (!Array.isArray(pageItems)) {
+      throw new Error(
+        `autoPaginate expected an array at "${contract.itemsField}" in the ${resolved.resource}.${resolved.action} response.`
+      );
+    }
+
+    pagesFetched += 1;
+    const next = nextPageState(contract, state, response, pageItems, baseQuery);
+    const room = maxItems - items.length;
+
+    if (pageItems.length > room) {
+      items.push(...pageItems.slice(0, room));
+      truncatedBy = 'maxItems';
+      reportProgress(onProgress, pagesFetched, items.length, maxPages);
+      break;
+    }
+
+    items.push(...pageItems);
+    reportProgress(onProgress, pagesFetched, items.length, maxPages);
+    state.page += 1;
+    position = next;
+  }
+
+  return {
+    items,
+    pagination: {
+      style: contract.style,
+      pagesFetched,
+      itemCount: items.length,
+      truncated: truncatedBy !== null,
+      truncatedBy,
+      maxPages,
+      maxItems,
+      // When truncated by maxItems the continuation repeats the partially returned page.
+      next: truncatedBy ? toQueryParams(contract, position) : null
+    }
+  };
+}
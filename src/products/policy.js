@@ -0,0 +1,102 @@
+import { configPromise } from '../config.js';
+import { isMutationMethod } from './http-helpers.js';
+
+/**
+ * Server-level action policy, read from `policy` in the config:
+ *
+ *   {
+ *     "readOnly": false,
+ *     "products": {
+ *       "midaz": { "readOnly": false, "deny": ["transactions.revert"] },
+ *       "matcher": { "allow": ["contexts.*", "sources.create"] }
+ *     }
+ *   }
+ *
+ * `deny` blocks matching actions of any method. `readOnly` and `allow` only
+ * restrict mutating actions, so reads stay available. Patterns are
+ * `resource.action` with `*` accepted for either part.
+ */
+
+function toList(value) {
+  return Array.isArray(value) ? value.map(String) : [];
+}
+
+function matchesPattern(pattern, resource, action) {
+  const [patternResource, patternAction = '*'] = pattern.split('.');
+  return (patternResource === '*' || patternResource === resource) && (patternAction === '*' || patternAction === action);
+}
+
+function getProductPolicy(config, productId) {
+  const products = config?.policy?.products;
+  return products && typeof products === 'object' ? products[productId] || {} : {};
+}
+
+/**
+ * Decide whether an action may run. Returns `{ allowed: true }` or
+ * `{ allowed: false, rule, reason }` naming the config entry that blocked it.
+ */
+export function evaluateActionPolicy(config, productId, { resource, action, method }) {
+  const productPolicy = getProductPolicy(config, productId);
+  const actionId = `${resource}.${action}`;
+
+  if (toList(productPolicy.deny).some((pattern) => matchesPattern(pattern, resource, action))) {
+    return { allowed: false, rule: `policy.products.${productId}.deny`, reason: `${actionId} is on the ${productId} deny list` };
+  }
+
+  if (!isMutationMethod(method)) {
+    return { allowed: true };
+  }
+
+  if (config?.policy?.readOnly === true) {
+    return { allowed: false, rule: 'policy.readOnly', reason: 'the server is in read-only mode' };
+  }
+
+  if (productPolicy.readOnly === true) {
+    return { allowed: false, rule: `policy.products.${productId}.readOnly`, reason: `${productId} is read-only` };
+  }
+
+  if (Array.isArray(productPolicy.allow) && !toList(productPolicy.allow).some((pattern) => matchesPattern(pattern, resource, action))) {
+    return { allowed: false, rule: `policy.products.${productId}.allow`, reason: `${actionId} is not on the ${productId} allow list` };
+  }
+
+  return { allowed: true };
+}
+
+/**
+ * Throw a policy error before a blocked action reaches validation or the network.
+ */
+export async function enforceActionPolicy(productId, resolved) {
+  const decision = evaluateActionPolicy(await configPromise, productId, resolved);
+  if (decision.allowed) {
+    return;
+  }
+
+  const error = new Error(
+    `Blocked by policy: ${productId} ${resolved.resource}.${resolved.action} (${resolved.method}) is not allowed because ${decision.reason}. ` +
+    `Change ${decision.rule} in the server config to permit it.`
+  );
+  error.code = 'POLICY_DENIED';
+  throw error;
+}
+
+/**
+ * Whether every action in `schemas` is blocked, in which case the product's
+ * execute tool has nothing left to offer and is not registered.
+ */
+export function isProductFullyBlocked(config, productId, schemas) {
+  return schemas.length > 0 && schemas.every((schema) => Object.entries(schema.actions).every(([action, actionDef]) => (
+    !evaluateActionPolicy(config, productId, { resource: schema.resource, action, method: actionDef.method }).allowed
+  )));
+}
+
+export function describePolicy(config) {
+  const products = config?.policy?.products && typeof config.policy.products === 'object' ? config.policy.products : {};
+  return {
+    readOnly: config?.policy?.readOnly === true,
+    products: Object.fromEntries(Object.entries(products).map(([productId, productPolicy]) => [productId, {
+      readOnly: productPolicy?.readOnly === true,
+      deny: toList(productPolicy?.deny),
+      ...(Array.isArray(productPolicy?.allow) ? { allow: toList(productPolicy.allow) } : {})
+    }]))
+  };
+}
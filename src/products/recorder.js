@@ -0,0 +1,269 @@
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { SECRET_KEY_PATTERN } from './http-helpers.js';
+
+/**
+ * Record/replay of live product calls.
+ *
+ * `LERIAN_MCP_RECORD=<dir>` writes every request/response pair to
+ * `<dir>/<product>/<sequence>-<method>-<path>.json`, with secret-looking keys
+ * in headers, params, and bodies redacted. `LERIAN_MCP_REPLAY=<dir>` serves
+ * responses from those fixtures instead of the network, matching on product,
+ * method, path template, and normalized path/query params. Repeated calls
+ * with the same key replay in recorded order and then keep returning the
+ * last response, so a whole session can be reproduced offline. Replay wins
+ * when both variables are set.
+ */
+
+export const FIXTURE_VERSION = 1;
+
+const REDACTED = '[redacted]';
+const MAX_SLUG_LENGTH = 80;
+
+const recordSequences = new Map();
+const replayIndexes = new Map();
+
+/**
+ * The active mode, read from the environment on every call so it can be
+ * toggled without restarting.
+ */
+export function getRecordingMode() {
+  if (process.env.LERIAN_MCP_REPLAY) {
+    return { mode: 'replay', dir: path.resolve(process.env.LERIAN_MCP_REPLAY) };
+  }
+  if (process.env.LERIAN_MCP_RECORD) {
+    return { mode: 'record', dir: path.resolve(process.env.LERIAN_MCP_RECORD) };
+  }
+  return null;
+}
+
+/**
+ * Forget sequence counters and cached fixture indexes (used by tests).
+ */
+export function resetRecording() {
+  recordSequences.clear();
+  replayIndexes.clear();
+}
+
+function redact(value) {
+  if (Array.isArray(value)) {
+    return value.map(redact);
+  }
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, nested]) => [
+      key,
+      SECRET_KEY_PATTERN.test(key) ? REDACTED : redact(nested)
+    ]));
+  }
+  return value;
+}
+
+function normalizeParams(params) {
+  const normalized = {};
+  for (const key of Object.keys(params || {}).sort()) {
+    const value = params[key];
+    if (value === undefined || value === null || value === '') {
+      continue;
+    }
+    normalized[key] = Array.isArray(value) ? value.map(String) : String(value);
+  }
+  return redact(normalized);
+}
+
+function productDir(productName) {
+  return String(productName).toLowerCase().replace(/[^a-z0-9-]+/g, '-');
+}
+
+function fixtureKey({ product, method, pathTemplate, params }) {
+  return JSON.stringify([product, method, pathTemplate, params.pathParams, params.queryParams]);
+}
+
+function describeExchange(exchange) {
+  return {
+    product: productDir(exchange.productName),
+    method: exchange.method.toUpperCase(),
+    pathTemplate: exchange.pathTemplate,
+    params: {
+      pathParams: normalizeParams(exchange.pathParams),
+      queryParams: normalizeParams(exchange.queryParams)
+    }
+  };
+}
+
+// Uploaded files are summarised by size and digest rather than stored
+function summarizeMultipart(multipart) {
+  if (!multipart) {
+    return undefined;
+  }
+  return Object.fromEntries(Object.entries(multipart)
+    .filter(([, value]) => value !== undefined && value !== null)
+    .map(([key, value]) => {
+      if (value && typeof value === 'object' && 'content' in value) {
+        const content = String(value.content);
+        return [key, {
+          filename: value.filename,
+          contentType: value.contentType,
+          size: content.length,
+          sha256: crypto.createHash('sha256').update(content).digest('hex')
+        }];
+      }
+      return [key, SECRET_KEY_PATTERN.test(key) ? REDACTED : String(value)];
+    }));
+}
+
+async function serializeResponseBody(response) {
+  const buffer = Buffer.from(await response.arrayBuffer());
+  const contentType = response.headers.get('content-type') || '';
+
+  if (buffer.length === 0) {
+    return { buffer, body: null };
+  }
+  if (contentType.includes('application/json')) {
+    try {
+      // Only the fixture is redacted; the caller still gets the original bytes
+      return { buffer, body: { encoding: 'json', value: redact(JSON.parse(buffer.toString('utf8'))) } };
+    } catch {
+      return { buffer, body: { encoding: 'text', value: buffer.toString('utf8') } };
+    }
+  }
+  if (contentType.startsWith('text/') && !(response.headers.get('content-disposition') || '').includes('attachment')) {
+    return { buffer, body: { encoding: 'text', value: buffer.toString('utf8') } };
+  }
+  return { buffer, body: { encoding: 'base64', value: buffer.toString('base64') } };
+}
+
+function deserializeResponseBody(body) {
+  if (!body) {
+    return null;
+  }
+  if (body.encoding === 'json') {
+    return JSON.stringify(body.value);
+  }
+  return body.encoding === 'base64' ? Buffer.from(body.value, 'base64') : body.value;
+}
+
+function nextSequence(dir) {
+  if (!recordSequences.has(dir)) {
+    let highest = 0;
+    for (const product of fs.existsSync(dir) ? fs.readdirSync(dir) : []) {
+      const productPath = path.join(dir, product);
+      if (!fs.statSync(productPath).isDirectory()) {
+        continue;
+      }
+      for (const file of fs.readdirSync(productPath)) {
+        highest = Math.max(highest, parseInt(file, 10) || 0);
+      }
+    }
+    recordSequences.set(dir, highest);
+  }
+  const sequence = recordSequences.get(dir) + 1;
+  recordSequences.set(dir, sequence);
+  return sequence;
+}
+
+async function record(dir, exchange, response) {
+  const described = describeExchange(exchange);
+  const { buffer, body } = await serializeResponseBody(response);
+  const sequence = nextSequence(dir);
+  const slug = described.pathTemplate.replace(/[^a-zA-Z0-9]+/g, '-').replace(/^-|-$/g, '').slice(0, MAX_SLUG_LENGTH) || 'root';
+  const fixture = {
+    version: FIXTURE_VERSION,
+    sequence,
+    recordedAt: new Date().toISOString(),
+    ...described,
+    request: {
+      headers: redact(exchange.headers || {}),
+      ...(exchange.body !== undefined ? { body: redact(exchange.body) } : {}),
+      ...(exchange.multipart ? { multipart: summarizeMultipart(exchange.multipart) } : {})
+    },
+    response: {
+      status: response.status,
+      statusText: response.statusText,
+      headers: redact(Object.fromEntries(response.headers.entries())),
+      body
+    }
+  };
+
+  const target = path.join(dir, described.product, `${String(sequence).padStart(4, '0')}-${described.method.toLowerCase()}-${slug}.json`);
+  fs.mkdirSync(path.dirname(target), { recursive: true });
+  fs.writeFileSync(target, `${JSON.stringify(fixture, null, 2)}\n`);
+
+  // The caller still reads the body, so hand back a fresh response
+  return new Response(body ? buffer : null, {
+    status: response.status,
+    statusText: response.statusText,
+    headers: response.headers
+  });
+}
+
+function loadReplayIndex(dir) {
+  if (replayIndexes.has(dir)) {
+    return replayIndexes.get(dir);
+  }
+
+  if (!fs.existsSync(dir)) {
+    throw new Error(`Replay directory ${dir} does not exist (LERIAN_MCP_REPLAY).`);
+  }
+
+  const fixtures = [];
+  for (const product of fs.readdirSync(dir)) {
+    const productPath = path.join(dir, product);
+    if (!fs.statSync(productPath).isDirectory()) {
+      continue;
+    }
+    for (const file of fs.readdirSync(productPath).filter((name) => name.endsWith('.json'))) {
+      const fixture = JSON.parse(fs.readFileSync(path.join(productPath, file), 'utf8'));
+      if (fixture.version !== FIXTURE_VERSION) {
+        throw new Error(`Unsupported fixture version ${fixture.version} in ${path.join(productPath, file)}.`);
+      }
+      fixtures.push(fixture);
+    }
+  }
+
+  const index = new Map();
+  for (const fixture of fixtures.sort((a, b) => a.sequence - b.sequence)) {
+    const key = fixtureKey(fixture);
+    if (!index.has(key)) {
+      index.set(key, { fixtures: [], served: 0 });
+    }
+    index.get(key).fixtures.push(fixture);
+  }
+
+  replayIndexes.set(dir, index);
+  return index;
+}
+
+function replay(dir, exchange) {
+  const described = describeExchange(exchange);
+  const entry = loadReplayIndex(dir).get(fixtureKey(described));
+  if (!entry) {
+    throw new Error(
+      `No recorded ${described.product} response for ${described.method} ${described.pathTemplate} ` +
+      `with params ${JSON.stringify(described.params)} in ${dir}.`
+    );
+  }
+
+  const fixture = entry.fixtures[Math.min(entry.served, entry.fixtures.length - 1)];
+  entry.served += 1;
+  const { status, statusText, headers, body } = fixture.response;
+  return new Response(status === 204 || status === 304 ? null : deserializeResponseBody(body), { status, statusText, headers });
+}
+
+/**
+ * Run one live request through the active record/replay mode. `send` performs
+ * the real request (retries and circuit breaker included) and resolves to a
+ * Response; in replay mode it is never called.
+ *
+ * @param {Object} exchange - productName, method, pathTemplate, pathParams, queryParams, headers, body, multipart
+ * @param {() => Promise<Response>} send
+ */
+export async function withRecording(exchange, send) {
+  const mode = getRecordingMode();
+  if (mode?.mode === 'replay') {
+    return replay(mode.dir, exchange);
+  }
+
+  const response = await send();
+  return mode?.mode === 'record' ? record(mode.dir, exchange, response) : response;
+}
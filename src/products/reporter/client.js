@@ -1,4 +1,3 @@
-import { configPromise } from '../../config.js';
 import {
   addMutationAuditHeaders,
   buildQueryString,
@@ -7,19 +6,15 @@ import {
   decodeUploadContent,
   getMaxDownloadBytes,
   getMaxUploadBytes,
+  normalizeBaseUrl,
   parseResponseBody,
   sanitizeCustomHeaders
 } from '../http-helpers.js';
-
-let configCache = null;
-
-async function getConfig() {
-  if (!configCache) {
-    configCache = await configPromise;
-  }
-
-  return configCache;
-}
+import { fetchWithRetry } from '../retry.js';
+import { withCircuitBreaker } from '../circuit-breaker.js';
+import { loadEnvironmentConfig } from '../environments.js';
+import { withRecording } from '../recorder.js';
+import { getSchema } from './schemas/index.js';
 
 function buildMultipartForm(multipart = {}, maxUploadBytes) {
   const form = new FormData();
@@ -41,8 +36,8 @@ function buildMultipartForm(multipart = {}, maxUploadBytes) {
   return form;
 }
 
-export async function executeRequest({ method, pathTemplate, pathParams, queryParams, body, multipart, headers: customHeaders, requestHeaders, responseType = 'json', mutationReason }) {
-  const config = await getConfig();
+export async function executeRequest({ method, pathTemplate, pathParams, queryParams, body, multipart, headers: customHeaders, requestHeaders, responseType = 'json', mutationReason, environment, confirmEnvironment }) {
+  const config = await loadEnvironmentConfig({ environment, confirmEnvironment, method });
   const reporterApi = config.reporterApi || {};
   const baseUrl = reporterApi.managerUrl;
   const url = buildUrl(baseUrl, pathTemplate, pathParams) + buildQueryString(queryParams);
@@ -61,21 +56,39 @@ export async function executeRequest({ method, pathTemplate, pathParams, queryPa
 
   addMutationAuditHeaders(headers, mutationReason);
 
-  const fetchOptions = {
-    method: method.toUpperCase(),
-    headers,
-    signal: AbortSignal.timeout(timeout)
-  };
-
+  let requestBody;
   if (multipart && !['GET', 'HEAD', 'DELETE'].includes(method.toUpperCase())) {
-    fetchOptions.body = buildMultipartForm(multipart, maxUploadBytes);
+    requestBody = buildMultipartForm(multipart, maxUploadBytes);
     delete headers['Content-Type'];
   } else if (body && !['GET', 'HEAD', 'DELETE'].includes(method.toUpperCase())) {
     headers['Content-Type'] = 'application/json';
-    fetchOptions.body = JSON.stringify(body);
+    requestBody = JSON.stringify(body);
   }
 
-  const response = await fetch(url, fetchOptions);
+  const breaker = {
+    productName: 'Reporter',
+    baseUrl: normalizeBaseUrl(baseUrl),
+    healthPath: getSchema('system')?.actions.health?.path,
+    config: reporterApi.circuitBreaker
+  };
+  const exchange = {
+    productName: 'Reporter',
+    method: method.toUpperCase(),
+    pathTemplate,
+    pathParams,
+    queryParams,
+    headers,
+    ...(requestBody instanceof FormData ? { multipart } : {}),
+    ...(typeof requestBody === 'string' ? { body } : {})
+  };
+  const response = await withRecording(exchange, () => withCircuitBreaker(breaker, () => (
+    fetchWithRetry(url, () => ({
+      method: method.toUpperCase(),
+      headers,
+      signal: AbortSignal.timeout(timeout),
+      ...(requestBody !== undefined ? { body: requestBody } : {})
+    }), { retry: reporterApi.retry, method, headers, requestHeaders })
+  )));
 
   if (response.status === 204) {
     return { status: 204, message: 'No content' };
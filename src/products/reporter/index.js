@@ -1,4 +1,5 @@
 import { createProductAdapter } from '../adapter.js';
+import { getAllSchemas } from './schemas/index.js';
 import { registerReporterDiscoverTool } from '../../tools/reporter-discover.js';
 import { registerReporterExecuteTool } from '../../tools/reporter-execute.js';
 
@@ -19,8 +20,9 @@ export const reporterAdapter = createProductAdapter({
       description: 'Execute Reporter manager API actions, including multipart upload and report download.'
     }
   ],
-  registerTools(server) {
-    registerReporterDiscoverTool(server);
-    registerReporterExecuteTool(server);
+  getSchemas: getAllSchemas,
+  registerTools(server, registration) {
+    registerReporterDiscoverTool(server, registration);
+    registerReporterExecuteTool(server, registration);
   }
 });
@@ -2,6 +2,7 @@ export const deadlinesSchema = {
   resource: 'deadlines',
   component: 'deadlines',
   description: 'Reporter deadline management and notification workflows.',
+  pagination: { style: 'page', pageParam: 'page', limitParam: 'limit', itemsField: 'items', totalField: 'total' },
   actions: {
     list: {
       method: 'GET',
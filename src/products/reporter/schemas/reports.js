@@ -1,7 +1,22 @@
+import { listOutput } from '../../output-contract.js';
+
+const reportsPagination = { style: 'page', pageParam: 'page', limitParam: 'limit', itemsField: 'items', totalField: 'total' };
+
+const reportOutput = {
+  id: { type: 'string', format: 'uuid', description: 'Report UUID.' },
+  templateId: { type: 'string', format: 'uuid', description: 'Template used to render the report.' },
+  status: { type: 'string', description: 'Report status, e.g. Processing, Finished, Error.' },
+  filters: { type: 'object', description: 'Filters applied when the report was requested.' },
+  completedAt: { type: 'string', format: 'date-time', description: 'Completion timestamp.' },
+  createdAt: { type: 'string', format: 'date-time', description: 'Creation timestamp.' },
+  updatedAt: { type: 'string', format: 'date-time', description: 'Last update timestamp.' }
+};
+
 export const reportsSchema = {
   resource: 'reports',
   component: 'reports',
   description: 'Reporter report creation, listing, inspection, and binary download.',
+  pagination: reportsPagination,
   actions: {
     list: {
       method: 'GET',
@@ -13,7 +28,8 @@ export const reportsSchema = {
         created_at: { type: 'string', description: 'Created-at date filter (YYYY-MM-DD).' },
         limit: { type: 'number', description: 'Page size (default 10).' },
         page: { type: 'number', description: 'Page number (default 1).' }
-      }
+      },
+      output: listOutput(reportOutput, reportsPagination)
     },
     create: {
       method: 'POST',
@@ -37,7 +53,8 @@ export const reportsSchema = {
             }
           }
         }
-      }
+      },
+      output: reportOutput
     },
     get: {
       method: 'GET',
@@ -45,7 +62,8 @@ export const reportsSchema = {
       description: 'Get one report by ID.',
       pathParams: {
         id: { type: 'string', required: true, description: 'Report UUID.' }
-      }
+      },
+      output: reportOutput
     },
     download: {
       method: 'GET',
@@ -2,6 +2,7 @@ export const templatesSchema = {
   resource: 'templates',
   component: 'templates',
   description: 'Reporter template management, including template builder helpers and template CRUD.',
+  pagination: { style: 'page', pageParam: 'page', limitParam: 'limit', itemsField: 'items', totalField: 'total' },
   actions: {
     list: {
       method: 'GET',
@@ -0,0 +1,153 @@
+/**
+ * Retry policy for live product HTTP calls.
+ *
+ * Each product reads its own policy from `<product>Api.retry` in the config.
+ * Reads (GET/HEAD) retry by default. Mutations retry only when the action
+ * declares an idempotency header and the outgoing request carries a value for
+ * it, so a replayed POST cannot create a duplicate.
+ */
+
+import { IDEMPOTENCY_HEADER_PATTERN } from './idempotency.js';
+
+export const DEFAULT_RETRY_POLICY = {
+  enabled: true,
+  maxAttempts: 3,
+  baseDelayMs: 250,
+  maxDelayMs: 4000,
+  maxRetryAfterMs: 30000,
+  retryOnStatus: [429, 502, 503, 504]
+};
+
+const IDEMPOTENT_METHODS = new Set(['GET', 'HEAD']);
+const RETRYABLE_ERROR_CODES = new Set([
+  'ECONNRESET',
+  'ECONNREFUSED',
+  'EPIPE',
+  'ETIMEDOUT',
+  'EAI_AGAIN',
+  'UND_ERR_SOCKET',
+  'UND_ERR_CONNECT_TIMEOUT'
+]);
+
+function toNonNegativeInteger(value, fallback) {
+  const parsed = Number(value);
+  return Number.isFinite(parsed) && parsed >= 0 ? Math.floor(parsed) : fallback;
+}
+
+export function resolveRetryPolicy(retryConfig) {
+  if (retryConfig === false) {
+    return { ...DEFAULT_RETRY_POLICY, enabled: false, maxAttempts: 1 };
+  }
+
+  const config = retryConfig && typeof retryConfig === 'object' ? retryConfig : {};
+  const enabled = config.enabled !== false;
+
+  return {
+    enabled,
+    maxAttempts: enabled ? Math.max(1, toNonNegativeInteger(config.maxAttempts, DEFAULT_RETRY_POLICY.maxAttempts)) : 1,
+    baseDelayMs: toNonNegativeInteger(config.baseDelayMs, DEFAULT_RETRY_POLICY.baseDelayMs),
+    maxDelayMs: toNonNegativeInteger(config.maxDelayMs, DEFAULT_RETRY_POLICY.maxDelayMs),
+    maxRetryAfterMs: toNonNegativeInteger(config.maxRetryAfterMs, DEFAULT_RETRY_POLICY.maxRetryAfterMs),
+    retryOnStatus: Array.isArray(config.retryOnStatus) ? config.retryOnStatus.map(Number) : [...DEFAULT_RETRY_POLICY.retryOnStatus]
+  };
+}
+
+/**
+ * Whether a request may be replayed: always for GET/HEAD, and for mutations
+ * only when a declared idempotency header is populated.
+ */
+export function isRetryableRequest(method, headers = {}, requestHeaders = {}) {
+  if (IDEMPOTENT_METHODS.has(String(method).toUpperCase())) {
+    return true;
+  }
+
+  const declared = Object.keys(requestHeaders || {})
+    .filter((name) => IDEMPOTENCY_HEADER_PATTERN.test(name))
+    .map((name) => name.toLowerCase());
+  if (declared.length === 0) {
+    return false;
+  }
+
+  return Object.entries(headers || {}).some(([name, value]) => (
+    declared.includes(name.toLowerCase()) && value !== undefined && value !== null && String(value) !== ''
+  ));
+}
+
+/**
+ * Parse a Retry-After header (delta-seconds or HTTP date) into milliseconds.
+ */
+export function parseRetryAfter(value, now = Date.now()) {
+  if (!value) {
+    return null;
+  }
+
+  const trimmed = String(value).trim();
+  if (/^\d+$/.test(trimmed)) {
+    return Number(trimmed) * 1000;
+  }
+
+  const date = Date.parse(trimmed);
+  return Number.isNaN(date) ? null : Math.max(0, date - now);
+}
+
+export function computeBackoffDelay(attempt, policy, random = Math.random) {
+  const ceiling = Math.min(policy.maxDelayMs, policy.baseDelayMs * 2 ** (attempt - 1));
+  return Math.round(ceiling / 2 + random() * (ceiling / 2));
+}
+
+function isRetryableError(error) {
+  if (!error || error.name === 'TimeoutError' || error.name === 'AbortError') {
+    return false;
+  }
+
+  const code = error.code || error.cause?.code;
+  return RETRYABLE_ERROR_CODES.has(code);
+}
+
+async function discardBody(response) {
+  try {
+    await response.body?.cancel();
+  } catch (_error) {
+    // The body is being thrown away; a cancel failure changes nothing.
+  }
+}
+
+function defaultSleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+/**
+ * Call fetch, retrying transient failures according to `retry`.
+ *
+ * `createFetchOptions` is called once per attempt so each attempt gets a fresh
+ * timeout signal. Returns the last response; throws the last network error.
+ */
+export async function fetchWithRetry(url, createFetchOptions, { retry, method, headers, requestHeaders, sleep = defaultSleep, random = Math.random } = {}) {
+  const policy = resolveRetryPolicy(retry);
+  const maxAttempts = isRetryableRequest(method, headers, requestHeaders) ? policy.maxAttempts : 1;
+
+  for (let attempt = 1; ; attempt += 1) {
+    let response;
+    try {
+      response = await fetch(url, createFetchOptions());
+    } catch (error) {
+      if (attempt >= maxAttempts || !isRetryableError(error)) {
+        throw error;
+      }
+      await sleep(computeBackoffDelay(attempt, policy, random));
+      continue;
+    }
+
+    if (attempt >= maxAttempts || !policy.retryOnStatus.includes(response.status)) {
+      return response;
+    }
+
+    const retryAfterMs = parseRetryAfter(response.headers.get('retry-after'));
+    if (retryAfterMs !== null && retryAfterMs > policy.maxRetryAfterMs) {
+      return response;
+    }
+
+    await discardBody(response);
+    await sleep(retryAfterMs ?? computeBackoffDelay(attempt, policy, random));
+  }
+}
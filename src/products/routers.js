@@ -0,0 +1,21 @@
+import * as midazRouter from './midaz/router.js';
+import * as fetcherRouter from './fetcher/router.js';
+import * as reporterRouter from './reporter/router.js';
+import * as matcherRouter from './matcher/router.js';
+import * as tracerRouter from './tracer/router.js';
+import * as flowkerRouter from './flowker/router.js';
+import * as underwriterRouter from './underwriter/router.js';
+
+/**
+ * Execute routers by product id, each exposing `resolveAction` and
+ * `routeAndExecute`. Used where one call can target any product.
+ */
+export const PRODUCT_ROUTERS = {
+  midaz: midazRouter,
+  fetcher: fetcherRouter,
+  reporter: reporterRouter,
+  matcher: matcherRouter,
+  tracer: tracerRouter,
+  flowker: flowkerRouter,
+  underwriter: underwriterRouter
+};
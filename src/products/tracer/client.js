@@ -1,18 +1,9 @@
-import { configPromise } from '../../config.js';
 import { executeJsonProductRequest } from '../http-helpers.js';
+import { loadEnvironmentConfig } from '../environments.js';
+import { getSchema } from './schemas/index.js';
 
-let configCache = null;
-
-async function getConfig() {
-  if (!configCache) {
-    configCache = await configPromise;
-  }
-
-  return configCache;
-}
-
-export async function executeRequest({ method, pathTemplate, pathParams, queryParams, body, headers: customHeaders, requestHeaders, mutationReason }) {
-  const config = await getConfig();
+export async function executeRequest({ method, pathTemplate, pathParams, queryParams, body, headers: customHeaders, requestHeaders, mutationReason, environment, confirmEnvironment }) {
+  const config = await loadEnvironmentConfig({ environment, confirmEnvironment, method });
   const tracerApi = config.tracerApi || {};
   const baseUrl = tracerApi.baseUrl;
   const timeout = tracerApi.timeout || 30000;
@@ -29,6 +20,9 @@ export async function executeRequest({ method, pathTemplate, pathParams, queryPa
     authHeaders: tracerApi.apiKey ? { 'X-API-Key': tracerApi.apiKey } : {},
     customHeaders,
     requestHeaders,
-    mutationReason
+    mutationReason,
+    retry: tracerApi.retry,
+    circuitBreaker: tracerApi.circuitBreaker,
+    healthPath: getSchema('system')?.actions.health?.path
   });
 }
@@ -1,4 +1,5 @@
 import { createProductAdapter } from '../adapter.js';
+import { getAllSchemas } from './schemas/index.js';
 import { registerTracerDiscoverTool } from '../../tools/tracer-discover.js';
 import { registerTracerExecuteTool } from '../../tools/tracer-execute.js';
 
@@ -19,8 +20,9 @@ export const tracerAdapter = createProductAdapter({
       description: 'Execute Tracer API actions.'
     }
   ],
-  registerTools(server) {
-    registerTracerDiscoverTool(server);
-    registerTracerExecuteTool(server);
+  getSchemas: getAllSchemas,
+  registerTools(server, registration) {
+    registerTracerDiscoverTool(server, registration);
+    registerTracerExecuteTool(server, registration);
   }
 });
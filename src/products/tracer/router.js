@@ -1,6 +1,10 @@
 import { getSchema, getAllSchemas } from './schemas/index.js';
 import { executeRequest } from './client.js';
 import { sanitizeCustomHeaders, validateActionRequest } from '../http-helpers.js';
+import { paginateAction, resolveAutoPagination, resolvePaginationContract } from '../pagination.js';
+import { enforceActionPolicy } from '../policy.js';
+import { applyIdempotencyKey } from '../idempotency.js';
+import { gateApproval } from '../approvals.js';
 
 export function resolveAction(resource, action) {
   const schema = getSchema(resource);
@@ -23,32 +27,67 @@ export function resolveAction(resource, action) {
     pathParams: actionDef.pathParams || {},
     queryParams: actionDef.queryParams || {},
     input: actionDef.input || null,
+    output: actionDef.output || null,
     requestHeaders: actionDef.requestHeaders || {},
     responseType: actionDef.responseType || 'json',
     description: actionDef.description,
-    example: actionDef.example || null
+    example: actionDef.example || null,
+    pagination: resolvePaginationContract(schema, actionDef),
+    requiresApproval: actionDef.requiresApproval === true
   };
 }
 
-export async function routeAndExecute({ resource, action, pathParams, queryParams, body, headers, confirmMutation, mutationReason }) {
+export async function routeAndExecute({ resource, action, pathParams, queryParams, body, headers, confirmMutation, mutationReason, onIdempotencyKey, autoPaginate, onProgress, environment, confirmEnvironment, callerId, approvalId }) {
   const resolved = resolveAction(resource, action);
   if (resolved.error) {
     throw new Error(resolved.error);
   }
 
-  const safeHeaders = sanitizeCustomHeaders(headers, resolved.requestHeaders);
+  await enforceActionPolicy('tracer', resolved);
+
+  const { headers: safeHeaders, idempotency } = applyIdempotencyKey('tracer-execute', resolved, {
+    pathParams,
+    body,
+    headers: sanitizeCustomHeaders(headers, resolved.requestHeaders),
+    confirmMutation,
+    mutationReason
+  });
   validateActionRequest(resolved, { pathParams, queryParams, body, headers: safeHeaders, confirmMutation, mutationReason });
 
-  return executeRequest({
+  if (idempotency && onIdempotencyKey) {
+    onIdempotencyKey(idempotency);
+  }
+
+  const pendingApproval = await gateApproval({
+    product: 'tracer',
+    resolved,
+    requestedBy: callerId,
+    approvalId,
+    request: { resource, action, pathParams, queryParams, body, headers: safeHeaders, confirmMutation, mutationReason, environment, confirmEnvironment }
+  });
+  if (pendingApproval) {
+    return pendingApproval;
+  }
+
+  const execute = (pageQueryParams) => executeRequest({
     method: resolved.method,
     pathTemplate: resolved.pathTemplate,
     pathParams: pathParams || {},
-    queryParams: queryParams || {},
+    queryParams: pageQueryParams,
     body: body || undefined,
     headers: safeHeaders,
     requestHeaders: resolved.requestHeaders,
-    mutationReason
+    mutationReason,
+    environment,
+    confirmEnvironment
   });
+
+  const pagination = resolveAutoPagination(autoPaginate);
+  if (pagination) {
+    return paginateAction(resolved, queryParams, execute, { ...pagination, onProgress });
+  }
+
+  return execute(queryParams || {});
 }
 
 export function getEndpointCount() {
@@ -1,7 +1,10 @@
+import { tracerCursorPagination } from './shared.js';
+
 export const auditEventsSchema = {
   resource: 'audit-events',
   component: 'audit',
   description: 'Tracer audit and compliance event history.',
+  pagination: tracerCursorPagination,
   actions: {
     list: {
       method: 'GET',
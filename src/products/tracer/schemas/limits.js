@@ -1,7 +1,10 @@
+import { tracerCursorPagination } from './shared.js';
+
 export const limitsSchema = {
   resource: 'limits',
   component: 'limits',
   description: 'Tracer spending limits and usage tracking.',
+  pagination: tracerCursorPagination,
   actions: {
     list: {
       method: 'GET',
@@ -1,7 +1,10 @@
+import { tracerCursorPagination } from './shared.js';
+
 export const rulesSchema = {
   resource: 'rules',
   component: 'rules',
   description: 'Tracer fraud and validation rules backed by CEL expressions and status transitions.',
+  pagination: tracerCursorPagination,
   actions: {
     list: {
       method: 'GET',
@@ -64,6 +67,7 @@ export const rulesSchema = {
       method: 'POST',
       path: '/v1/rules/:id/activate',
       description: 'Activate a rule.',
+      requiresApproval: true,
       pathParams: { id: { type: 'string', required: true, description: 'Rule UUID.' } }
     },
     deactivate: {
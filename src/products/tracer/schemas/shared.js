@@ -0,0 +1,8 @@
+export const tracerCursorPagination = {
+  style: 'cursor',
+  cursorParam: 'cursor',
+  limitParam: 'limit',
+  itemsField: 'items',
+  nextCursorField: 'nextCursor',
+  hasMoreField: 'hasMore'
+};
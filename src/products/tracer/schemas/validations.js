@@ -1,7 +1,25 @@
+import { listOutput } from '../../output-contract.js';
+import { tracerCursorPagination } from './shared.js';
+
+const validationOutput = {
+  validationId: { type: 'string', format: 'uuid', description: 'Validation UUID.' },
+  requestId: { type: 'string', format: 'uuid', description: 'Validation request UUID supplied by the caller.' },
+  decision: { type: 'string', description: 'ALLOW, DENY, or REVIEW.' },
+  reason: { type: 'string', description: 'Explanation of the decision.' },
+  matchedRuleIds: { type: 'array', description: 'Rules that matched.', items: { type: 'string' } },
+  exceededLimitIds: { type: 'array', description: 'Limits that were exceeded.', items: { type: 'string' } },
+  transactionType: { type: 'string', description: 'Transaction type.' },
+  amount: { type: 'string', format: 'decimal', description: 'Validated amount.' },
+  currency: { type: 'string', description: 'Currency code.' },
+  processingTimeMs: { type: 'number', description: 'Evaluation time in milliseconds.' },
+  createdAt: { type: 'string', format: 'date-time', description: 'Validation timestamp.' }
+};
+
 export const validationsSchema = {
   resource: 'validations',
   component: 'validations',
   description: 'Tracer transaction validation requests and validation history.',
+  pagination: tracerCursorPagination,
   actions: {
     list: {
       method: 'GET',
@@ -21,7 +39,8 @@ export const validationsSchema = {
         segmentId: { type: 'string', description: 'Segment UUID.' },
         portfolioId: { type: 'string', description: 'Portfolio UUID.' },
         transactionType: { type: 'string', description: 'Transaction type.' }
-      }
+      },
+      output: listOutput(validationOutput, tracerCursorPagination)
     },
     create: {
       method: 'POST',
@@ -39,13 +58,15 @@ export const validationsSchema = {
         portfolio: { type: 'object', required: false, description: 'Optional portfolio context.' },
         merchant: { type: 'object', required: false, description: 'Optional merchant context.' },
         metadata: { type: 'object', required: false, description: 'Optional validation metadata.' }
-      }
+      },
+      output: validationOutput
     },
     get: {
       method: 'GET',
       path: '/v1/validations/:id',
       description: 'Get one validation record by ID.',
-      pathParams: { id: { type: 'string', required: true, description: 'Validation UUID.' } }
+      pathParams: { id: { type: 'string', required: true, description: 'Validation UUID.' } },
+      output: validationOutput
     }
   }
 };
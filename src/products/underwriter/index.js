@@ -1,4 +1,5 @@
 import { createProductAdapter } from '../adapter.js';
+import { getAllSchemas } from './schemas/index.js';
 import { registerUnderwriterDiscoverTool } from '../../tools/underwriter-discover.js';
 import { registerUnderwriterExecuteTool } from '../../tools/underwriter-execute.js';
 
@@ -19,8 +20,9 @@ export const underwriterAdapter = createProductAdapter({
       description: 'Execute Underwriter API actions for loan product and schedule-preview workflows.'
     }
   ],
-  registerTools(server) {
-    registerUnderwriterDiscoverTool(server);
-    registerUnderwriterExecuteTool(server);
+  getSchemas: getAllSchemas,
+  registerTools(server, registration) {
+    registerUnderwriterDiscoverTool(server, registration);
+    registerUnderwriterExecuteTool(server, registration);
   }
 });
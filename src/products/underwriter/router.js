@@ -1,6 +1,9 @@
 import { getSchema, getAllSchemas } from './schemas/index.js';
 import { executeRequest } from './client.js';
 import { sanitizeCustomHeaders, validateActionRequest } from '../http-helpers.js';
+import { resolvePaginationContract } from '../pagination.js';
+import { enforceActionPolicy } from '../policy.js';
+import { applyIdempotencyKey } from '../idempotency.js';
 
 export function resolveAction(resource, action) {
   const schema = getSchema(resource);
@@ -23,21 +26,35 @@ export function resolveAction(resource, action) {
     pathParams: actionDef.pathParams || {},
     queryParams: actionDef.queryParams || {},
     input: actionDef.input || null,
+    output: actionDef.output || null,
     requestHeaders: actionDef.requestHeaders || {},
     description: actionDef.description,
-    example: actionDef.example || null
+    example: actionDef.example || null,
+    pagination: resolvePaginationContract(schema, actionDef)
   };
 }
 
-export async function routeAndExecute({ resource, action, pathParams, queryParams, body, headers, confirmMutation, mutationReason }) {
+export async function routeAndExecute({ resource, action, pathParams, queryParams, body, headers, confirmMutation, mutationReason, onIdempotencyKey, environment, confirmEnvironment }) {
   const resolved = resolveAction(resource, action);
   if (resolved.error) {
     throw new Error(resolved.error);
   }
 
-  const safeHeaders = sanitizeCustomHeaders(headers, resolved.requestHeaders);
+  await enforceActionPolicy('underwriter', resolved);
+
+  const { headers: safeHeaders, idempotency } = applyIdempotencyKey('underwriter-execute', resolved, {
+    pathParams,
+    body,
+    headers: sanitizeCustomHeaders(headers, resolved.requestHeaders),
+    confirmMutation,
+    mutationReason
+  });
   validateActionRequest(resolved, { pathParams, queryParams, body, headers: safeHeaders, confirmMutation, mutationReason });
 
+  if (idempotency && onIdempotencyKey) {
+    onIdempotencyKey(idempotency);
+  }
+
   return executeRequest({
     method: resolved.method,
     pathTemplate: resolved.pathTemplate,
@@ -46,7 +63,9 @@ export async function routeAndExecute({ resource, action, pathParams, queryParam
     body: body || undefined,
     headers: safeHeaders,
     requestHeaders: resolved.requestHeaders,
-    mutationReason
+    mutationReason,
+    environment,
+    confirmEnvironment
   });
 }
 
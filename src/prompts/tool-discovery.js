@@ -159,7 +159,7 @@ Use the unified \`lerian\` tool for conceptual docs, search, and learning. Use t
 - **Reporter**
   - template create/update uses \`multipart\`
   - report download returns binary content metadata
-  - optional idempotency headers can be passed through \`headers\`
+  - idempotency headers are generated for confirmed mutations, or can be passed through \`headers\`
 
 - **Tracer**
   - auth uses \`X-API-Key\`
@@ -173,7 +173,7 @@ Use the unified \`lerian\` tool for conceptual docs, search, and learning. Use t
 
 - **Flowker**
   - auth can use bearer tokens or \`X-API-Key\`
-  - starting workflow executions requires \`Idempotency-Key\`
+  - starting workflow executions requires \`Idempotency-Key\`, which flowker-execute generates when omitted
   - webhook calls are method-aware and can use nested path segments
 
 - **Underwriter**
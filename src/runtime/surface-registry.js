@@ -16,6 +16,27 @@ export const CORE_TOOL_METADATA = [
     category: 'workflow',
     description: 'Cross-product workflow discovery, planning, and execution.',
     product: 'all'
+  },
+  {
+    name: 'lerian-batch',
+    kind: 'core',
+    category: 'execution',
+    description: 'Ordered multi-step live API execution with references between steps.',
+    product: 'all'
+  },
+  {
+    name: 'lerian-approvals',
+    kind: 'core',
+    category: 'safety',
+    description: 'Approval queue for high-risk mutations flagged in product schemas.',
+    product: 'all'
+  },
+  {
+    name: 'lerian-audit',
+    kind: 'core',
+    category: 'safety',
+    description: 'Query and verify the hash-chained audit log.',
+    product: 'all'
   }
 ];
 
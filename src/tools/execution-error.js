@@ -23,7 +23,11 @@ const INVALID_PARAM_MARKERS = [
   'Cannot override immutable workflow session field',
   'requires multipart input',
   'unsafe path segment',
-  'Raw path parameter'
+  'Raw path parameter',
+  'Unbalanced transaction',
+  'autoPaginate is not supported',
+  'Unknown environment',
+  'confirmEnvironment='
 ];
 
 export function createExecutionErrorResponse({ productName, err, authHint, unavailableHint, timeoutHint, createErrorResponse, ErrorCodes }) {
@@ -34,6 +38,14 @@ export function createExecutionErrorResponse({ productName, err, authHint, unava
     return createProductApiErrorResponse({ productName, err: normalized.raw, authHint, createErrorResponse, ErrorCodes });
   }
 
+  if (normalized.code === 'CIRCUIT_OPEN') {
+    return createErrorResponse(ErrorCodes.RESOURCE_UNAVAILABLE, `${message} ${unavailableHint}`);
+  }
+
+  if (normalized.code === 'POLICY_DENIED') {
+    return createErrorResponse(ErrorCodes.RESOURCE_ACCESS_DENIED, message);
+  }
+
   if (normalized.name === 'TimeoutError' || message.includes('timeout')) {
     return createErrorResponse(ErrorCodes.BACKEND_ERROR, timeoutHint);
   }
@@ -70,11 +82,15 @@ export function classifyWorkflowExecutionError(err, ErrorCodes) {
     return { code: ErrorCodes.BACKEND_ERROR, message };
   }
 
+  if (normalized.code === 'POLICY_DENIED') {
+    return { code: ErrorCodes.RESOURCE_ACCESS_DENIED, message };
+  }
+
   if (INVALID_PARAM_MARKERS.some((marker) => message.includes(marker))) {
     return { code: ErrorCodes.INVALID_PARAMS, message };
   }
 
-  if (message.includes('fetch failed') || message.includes('ECONNREFUSED')) {
+  if (normalized.code === 'CIRCUIT_OPEN' || message.includes('fetch failed') || message.includes('ECONNREFUSED')) {
     return { code: ErrorCodes.RESOURCE_UNAVAILABLE, message };
   }
 
@@ -11,7 +11,7 @@ const discoverInputSchema = {
   resource: z.string().optional().describe('Fetcher resource name (e.g. "connections", "connection-migrations", "fetcher-jobs").'),
   action: z.string().optional().describe('Action name (e.g. "create", "list", "validateSchema", "assign").'),
   query: z.string().optional().describe('Search query for intent="search".'),
-  component: z.enum(['management', 'migration', 'fetcher']).optional().describe('Component filter for intent="list-by-component".')
+  component: z.enum(['management', 'migration', 'fetcher', 'system']).optional().describe('Component filter for intent="list-by-component".')
 };
 
 async function handleDiscover(args = {}) {
@@ -29,7 +29,8 @@ async function handleDiscover(args = {}) {
         components: {
           management: resources.filter((item) => item.component === 'management').map((item) => ({ resource: item.resource, actions: item.actions, description: item.description })),
           migration: resources.filter((item) => item.component === 'migration').map((item) => ({ resource: item.resource, actions: item.actions, description: item.description })),
-          fetcher: resources.filter((item) => item.component === 'fetcher').map((item) => ({ resource: item.resource, actions: item.actions, description: item.description }))
+          fetcher: resources.filter((item) => item.component === 'fetcher').map((item) => ({ resource: item.resource, actions: item.actions, description: item.description })),
+          system: resources.filter((item) => item.component === 'system').map((item) => ({ resource: item.resource, actions: item.actions, description: item.description }))
         },
         contextHeaders: {
           organizationId: 'Most actions require organizationId and send it as X-Organization-Id.',
@@ -95,7 +96,9 @@ async function handleDiscover(args = {}) {
         pathParams: Object.keys(resolved.pathParams).length > 0 ? resolved.pathParams : undefined,
         queryParams: Object.keys(resolved.queryParams).length > 0 ? resolved.queryParams : undefined,
         input: resolved.input || undefined,
+        output: resolved.output || undefined,
         example: resolved.example || undefined,
+        pagination: resolved.pagination || undefined,
         hint: 'Use fetcher-execute with this resource, action, organizationId, and any required productName/body/path params.'
       });
     }
@@ -142,13 +145,13 @@ async function handleDiscover(args = {}) {
   }
 }
 
-export function registerFetcherDiscoverTool(server) {
+export function registerFetcherDiscoverTool(server, registration = {}) {
   registerMcpTool(
     server,
     'fetcher-discover',
     'Discover Fetcher manager resources, actions, and execution contracts. Use this before fetcher-execute to inspect path params, required headers like organizationId/productName, body shapes, and supported migration/fetcher job operations.',
     discoverInputSchema,
     wrapToolHandler(handleDiscover),
-    { annotations: TOOL_ANNOTATIONS.READ_ONLY }
+    { ...registration, annotations: TOOL_ANNOTATIONS.READ_ONLY }
   );
 }
@@ -1,6 +1,9 @@
 import { z } from 'zod';
-import { routeAndExecute } from '../products/fetcher/router.js';
-import { createToolResponse, createErrorResponse, wrapToolHandler, ErrorCodes } from '../util/mcp-helpers.js';
+import { resolveAction, routeAndExecute } from '../products/fetcher/router.js';
+import { AUTO_PAGINATE_INPUT_SCHEMA } from '../products/pagination.js';
+import { createMutationDescriber } from '../products/http-helpers.js';
+import { createExecuteResponse, EXECUTE_OUTPUT_SCHEMA } from '../products/output-contract.js';
+import { createErrorResponse, wrapToolHandler, createProgressNotifier, ErrorCodes } from '../util/mcp-helpers.js';
 import { createExecutionErrorResponse } from './execution-error.js';
 import { registerMcpTool, TOOL_ANNOTATIONS } from '../util/mcp-registration.js';
 
@@ -12,13 +15,16 @@ const executeInputSchema = {
   pathParams: z.record(z.string(), z.string()).optional().describe('Path parameters as key-value pairs.'),
   queryParams: z.record(z.string(), z.any()).optional().describe('Query parameters for list/filter operations.'),
   body: z.record(z.string(), z.any()).optional().describe('Request body for create/update/validate operations.'),
+  autoPaginate: AUTO_PAGINATE_INPUT_SCHEMA,
+  environment: z.string().optional().describe('Named environment profile from the config "environments" block (e.g. "sandbox", "staging", "production"). Defaults to defaultEnvironment, or the base product config when none is set.'),
+  confirmEnvironment: z.string().optional().describe('Set to the environment name to confirm mutations against a profile marked requireConfirmation (typically production).'),
   confirmMutation: z.boolean().optional().describe('Required as true for POST, PUT, PATCH, or DELETE live API actions.'),
   mutationReason: z.string().optional().describe('Human-readable audit reason required for mutating live API actions.')
 };
 
-async function handleExecute(args = {}) {
+async function handleExecute(args = {}, extra) {
   args = args || {};
-  const { resource, action, organizationId, productName, pathParams, queryParams, body, confirmMutation, mutationReason } = args;
+  const { resource, action, organizationId, productName, pathParams, queryParams, body, autoPaginate, environment, confirmEnvironment, confirmMutation, mutationReason } = args;
 
   if (!resource || !action) {
     return createErrorResponse(
@@ -37,10 +43,14 @@ async function handleExecute(args = {}) {
       queryParams: queryParams || {},
       body: body || undefined,
       confirmMutation,
-      mutationReason
+      mutationReason,
+      autoPaginate,
+      onProgress: createProgressNotifier(extra),
+      environment,
+      confirmEnvironment
     });
 
-    return createToolResponse(result);
+    return createExecuteResponse('fetcher', { resource, action }, result);
   } catch (err) {
     return createExecutionErrorResponse({
       productName: 'Fetcher',
@@ -54,13 +64,13 @@ async function handleExecute(args = {}) {
   }
 }
 
-export function registerFetcherExecuteTool(server) {
+export function registerFetcherExecuteTool(server, registration = {}) {
   registerMcpTool(
     server,
     'fetcher-execute',
     'Execute Fetcher manager API actions. Use fetcher-discover first to inspect the required organizationId/productName context, path params, query params, and request body shape before calling this tool.',
     executeInputSchema,
     wrapToolHandler(handleExecute),
-    { annotations: TOOL_ANNOTATIONS.LIVE_API }
+    { ...registration, annotations: TOOL_ANNOTATIONS.LIVE_API, outputSchema: EXECUTE_OUTPUT_SCHEMA, describeMutation: createMutationDescriber(resolveAction) }
   );
 }
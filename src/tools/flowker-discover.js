@@ -39,7 +39,7 @@ async function handleDiscover(args = {}) {
         auth: {
           bearerToken: 'Flowker accepts Authorization bearer tokens when auth is enabled. Configure FLOWKER_AUTH_TOKEN; caller-provided Authorization headers are ignored.',
           apiKey: 'Flowker also supports X-API-Key. Configure FLOWKER_API_KEY; caller-provided X-API-Key headers are ignored.',
-          idempotency: 'Starting a workflow execution requires Idempotency-Key. Webhooks accept optional Idempotency-Key and X-Webhook-Token.'
+          idempotency: 'Starting a workflow execution requires Idempotency-Key. flowker-execute derives one automatically for confirmed mutations unless you pass your own. Webhooks also accept X-Webhook-Token.'
         },
         hint: 'Use intent="describe-action" with resource and action to inspect request headers, path params, query filters, and body shape. For webhook calls, the action name selects the HTTP method.'
       });
@@ -99,8 +99,11 @@ async function handleDiscover(args = {}) {
         pathParams: Object.keys(resolved.pathParams).length > 0 ? resolved.pathParams : undefined,
         queryParams: Object.keys(resolved.queryParams).length > 0 ? resolved.queryParams : undefined,
         input: resolved.input || undefined,
+        output: resolved.output || undefined,
         example: resolved.example || undefined,
-        hint: 'Use flowker-execute with this resource/action. For execution start you must provide Idempotency-Key; for webhooks, set the action to the HTTP method you want to use.'
+        pagination: resolved.pagination || undefined,
+        requiresApproval: resolved.requiresApproval || undefined,
+        hint: 'Use flowker-execute with this resource/action. Idempotency-Key is generated automatically for confirmed mutations unless you pass one; for webhooks, set the action to the HTTP method you want to use.'
       });
     }
 
@@ -146,13 +149,13 @@ async function handleDiscover(args = {}) {
   }
 }
 
-export function registerFlowkerDiscoverTool(server) {
+export function registerFlowkerDiscoverTool(server, registration = {}) {
   registerMcpTool(
     server,
     'flowker-discover',
     'Discover Flowker API resources, actions, and execution contracts. Use this before flowker-execute to inspect workflow definitions, execution start requirements, provider and executor configuration payloads, audit filters, dashboard summaries, and webhook method/path behavior.',
     discoverInputSchema,
     wrapToolHandler(handleDiscover),
-    { annotations: TOOL_ANNOTATIONS.READ_ONLY }
+    { ...registration, annotations: TOOL_ANNOTATIONS.READ_ONLY }
   );
 }
@@ -1,8 +1,12 @@
 import { z } from 'zod';
-import { routeAndExecute } from '../products/flowker/router.js';
-import { createToolResponse, createErrorResponse, wrapToolHandler, ErrorCodes } from '../util/mcp-helpers.js';
+import { resolveAction, routeAndExecute } from '../products/flowker/router.js';
+import { AUTO_PAGINATE_INPUT_SCHEMA } from '../products/pagination.js';
+import { createMutationDescriber } from '../products/http-helpers.js';
+import { createExecuteResponse, EXECUTE_OUTPUT_SCHEMA } from '../products/output-contract.js';
+import { createErrorResponse, wrapToolHandler, createProgressNotifier, ErrorCodes } from '../util/mcp-helpers.js';
 import { createExecutionErrorResponse } from './execution-error.js';
 import { registerMcpTool, TOOL_ANNOTATIONS } from '../util/mcp-registration.js';
+import { resolveCallerId } from '../util/auth.js';
 
 const executeInputSchema = {
   resource: z.string().describe('Flowker resource name (e.g. "workflows", "executions", "provider-configurations", "webhooks").'),
@@ -11,13 +15,16 @@ const executeInputSchema = {
   queryParams: z.record(z.string(), z.any()).optional().describe('Query parameters for list/filter actions.'),
   body: z.record(z.string(), z.any()).optional().describe('JSON request body for create/update/validate actions, workflow execution start, and webhook payloads.'),
   headers: z.record(z.string(), z.string()).optional().describe('Optional allowlisted headers from the action contract, such as Idempotency-Key or X-Webhook-Token.'),
+  autoPaginate: AUTO_PAGINATE_INPUT_SCHEMA,
+  environment: z.string().optional().describe('Named environment profile from the config "environments" block (e.g. "sandbox", "staging", "production"). Defaults to defaultEnvironment, or the base product config when none is set.'),
+  confirmEnvironment: z.string().optional().describe('Set to the environment name to confirm mutations against a profile marked requireConfirmation (typically production).'),
   confirmMutation: z.boolean().optional().describe('Required as true for POST, PUT, PATCH, or DELETE live API actions.'),
   mutationReason: z.string().optional().describe('Human-readable audit reason required for mutating live API actions.')
 };
 
-async function handleExecute(args = {}) {
+async function handleExecute(args = {}, extra) {
   args = args || {};
-  const { resource, action, pathParams, queryParams, body, headers, confirmMutation, mutationReason } = args;
+  const { resource, action, pathParams, queryParams, body, headers, autoPaginate, environment, confirmEnvironment, confirmMutation, mutationReason } = args;
 
   if (!resource || !action) {
     return createErrorResponse(
@@ -26,6 +33,7 @@ async function handleExecute(args = {}) {
     );
   }
 
+  let idempotency = null;
   try {
     const result = await routeAndExecute({
       resource,
@@ -35,10 +43,18 @@ async function handleExecute(args = {}) {
       body: body || undefined,
       headers: headers || undefined,
       confirmMutation,
-      mutationReason
+      mutationReason,
+      autoPaginate,
+      onProgress: createProgressNotifier(extra),
+      environment,
+      confirmEnvironment,
+      callerId: resolveCallerId(extra),
+      onIdempotencyKey: (info) => {
+        idempotency = info;
+      }
     });
 
-    return createToolResponse(result);
+    return createExecuteResponse('flowker', { resource, action }, result, idempotency);
   } catch (err) {
     return createExecutionErrorResponse({
       productName: 'Flowker',
@@ -52,13 +68,13 @@ async function handleExecute(args = {}) {
   }
 }
 
-export function registerFlowkerExecuteTool(server) {
+export function registerFlowkerExecuteTool(server, registration = {}) {
   registerMcpTool(
     server,
     'flowker-execute',
     'Execute Flowker API actions. Use flowker-discover first to inspect auth expectations, Idempotency-Key requirements for workflow execution start, provider and executor configuration payloads, and webhook method/path behavior.',
     executeInputSchema,
     wrapToolHandler(handleExecute),
-    { annotations: TOOL_ANNOTATIONS.LIVE_API }
+    { ...registration, annotations: TOOL_ANNOTATIONS.LIVE_API, outputSchema: EXECUTE_OUTPUT_SCHEMA, describeMutation: createMutationDescriber(resolveAction) }
   );
 }
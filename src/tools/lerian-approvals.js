@@ -0,0 +1,97 @@
+import { z } from 'zod';
+import { routeAndExecute as executeMidazAction } from '../products/midaz/router.js';
+import { routeAndExecute as executeMatcherAction } from '../products/matcher/router.js';
+import { routeAndExecute as executeTracerAction } from '../products/tracer/router.js';
+import { routeAndExecute as executeFlowkerAction } from '../products/flowker/router.js';
+import { APPROVAL_STATUSES, completeApproval, decideApproval, getApproval, listApprovals } from '../products/approvals.js';
+import { createToolResponse, createErrorResponse, wrapToolHandler, ErrorCodes } from '../util/mcp-helpers.js';
+import { createExecutionErrorResponse } from './execution-error.js';
+import { registerMcpTool, TOOL_ANNOTATIONS } from '../util/mcp-registration.js';
+import { resolveCallerId } from '../util/auth.js';
+
+const PRODUCT_EXECUTORS = {
+  midaz: { name: 'Midaz', execute: executeMidazAction },
+  matcher: { name: 'Matcher', execute: executeMatcherAction },
+  tracer: { name: 'Tracer', execute: executeTracerAction },
+  flowker: { name: 'Flowker', execute: executeFlowkerAction }
+};
+
+const approvalsInputSchema = {
+  intent: z.enum(['list', 'get', 'approve', 'reject']).describe(
+    'List queued approvals, inspect one, approve it (which runs the stored request), or reject it.'
+  ),
+  approvalId: z.string().optional().describe('Approval identifier returned by the execute tool. Required for get, approve, and reject.'),
+  status: z.enum(APPROVAL_STATUSES).optional().describe('Filter for intent="list". Defaults to all statuses.'),
+  reason: z.string().optional().describe('Optional note recorded with an approve or reject decision.')
+};
+
+async function runApproved(approval) {
+  const executor = PRODUCT_EXECUTORS[approval.product];
+  let result;
+  try {
+    result = await executor.execute({ ...approval.request, approvalId: approval.approvalId });
+  } catch (err) {
+    await completeApproval(approval.approvalId, { error: err });
+    return createExecutionErrorResponse({
+      productName: executor.name,
+      err,
+      createErrorResponse,
+      ErrorCodes
+    });
+  }
+
+  return createToolResponse({ approval: await completeApproval(approval.approvalId), result });
+}
+
+async function handleApprovals(args = {}, extra) {
+  args = args || {};
+  const { intent, approvalId, status, reason } = args;
+
+  if (intent !== 'list' && !approvalId) {
+    return createErrorResponse(ErrorCodes.INVALID_PARAMS, `approvalId is required for intent="${intent}"`);
+  }
+
+  let approval;
+  try {
+    switch (intent) {
+      case 'list':
+        return createToolResponse({ approvals: await listApprovals({ status }) });
+
+      case 'get':
+        return createToolResponse(await getApproval(approvalId));
+
+      case 'approve':
+      case 'reject':
+        approval = await decideApproval(approvalId, { decision: intent, decidedBy: resolveCallerId(extra), reason });
+        break;
+
+      default:
+        break;
+    }
+  } catch (error) {
+    const code = error.message.startsWith('Unknown approval') ? ErrorCodes.RESOURCE_NOT_FOUND : ErrorCodes.INVALID_PARAMS;
+    return createErrorResponse(code, error.message);
+  }
+
+  if (!approval) {
+    return createErrorResponse(ErrorCodes.INVALID_PARAMS, `Unknown intent: ${intent}`);
+  }
+
+  if (intent === 'reject') {
+    const { request: _request, ...summary } = approval;
+    return createToolResponse({ approval: summary });
+  }
+
+  return runApproved(approval);
+}
+
+export function registerApprovalsTool(server) {
+  registerMcpTool(
+    server,
+    'lerian-approvals',
+    'Review the approval queue for high-risk mutations (for example Midaz transaction reverts and Matcher force-matches). Execute tools queue these actions instead of running them; a caller other than the requester approves to run the stored request, or rejects it.',
+    approvalsInputSchema,
+    wrapToolHandler(handleApprovals),
+    { annotations: TOOL_ANNOTATIONS.LIVE_API }
+  );
+}
@@ -0,0 +1,81 @@
+import { z } from 'zod';
+import { getAuditLog } from '../util/security.js';
+import { createToolResponse, createErrorResponse, wrapToolHandler, ErrorCodes } from '../util/mcp-helpers.js';
+import { registerMcpTool, TOOL_ANNOTATIONS } from '../util/mcp-registration.js';
+import { getAuthenticatedCallerId } from '../util/auth.js';
+
+// Authenticated callers holding this scope may query every caller's entries
+export const AUDIT_ADMIN_SCOPE = 'audit:admin';
+
+const auditInputSchema = {
+  intent: z.enum(['query', 'verify']).describe(
+    'Query audit entries with filters, or verify the HMAC chain across the active and rotated audit log files.'
+  ),
+  tool: z.string().optional().describe('Only entries for this tool, for example "midaz-execute".'),
+  product: z.string().optional().describe('Only entries for this product, matched on the product field or the tool name prefix.'),
+  caller: z.string().optional().describe(`Only entries recorded for this caller identity. Authenticated callers without the "${AUDIT_ADMIN_SCOPE}" scope only see their own entries.`),
+  type: z.string().optional().describe('Only entries of this type, for example "tool_invocation" or "approval_approved".'),
+  outcome: z.enum(['success', 'failure']).optional().describe('Only successful or only failed tool invocations.'),
+  from: z.string().optional().describe('Earliest timestamp to include (ISO 8601).'),
+  to: z.string().optional().describe('Latest timestamp to include (ISO 8601).'),
+  limit: z.number().optional().describe('Maximum entries to return, most recent first kept (default 100, max 1000).')
+};
+
+/**
+ * Narrow a query to the authenticated caller unless it holds AUDIT_ADMIN_SCOPE.
+ * Unauthenticated (stdio) callers are the local operator and are not narrowed.
+ */
+function scopeFilters(filters, extra) {
+  const callerId = getAuthenticatedCallerId(extra);
+  const scopes = extra?.authInfo?.scopes;
+  if (!callerId || (Array.isArray(scopes) && scopes.includes(AUDIT_ADMIN_SCOPE))) {
+    return filters;
+  }
+  if (filters.caller && filters.caller !== callerId) {
+    throw createErrorResponse(ErrorCodes.INVALID_PARAMS, `Querying another caller's audit entries requires the "${AUDIT_ADMIN_SCOPE}" scope`);
+  }
+  return { ...filters, caller: callerId };
+}
+
+function invalidTimestamp(value) {
+  return value !== undefined && Number.isNaN(Date.parse(value));
+}
+
+async function handleAudit(args = {}, extra) {
+  args = args || {};
+  const auditLog = getAuditLog();
+  if (!auditLog) {
+    return createToolResponse({
+      enabled: false,
+      message: 'Audit logging is disabled. Set AUDIT_LOGGING=true to record and query audit entries.'
+    });
+  }
+
+  switch (args.intent) {
+    case 'query': {
+      const { intent: _intent, ...requested } = args;
+      const filters = scopeFilters(requested, extra);
+      if (invalidTimestamp(filters.from) || invalidTimestamp(filters.to)) {
+        return createErrorResponse(ErrorCodes.INVALID_PARAMS, 'from and to must be ISO 8601 timestamps');
+      }
+      return createToolResponse({ enabled: true, filters, ...auditLog.query(filters) });
+    }
+
+    case 'verify':
+      return createToolResponse({ enabled: true, ...auditLog.verify() });
+
+    default:
+      return createErrorResponse(ErrorCodes.INVALID_PARAMS, `Unknown intent: ${args.intent}`);
+  }
+}
+
+export function registerAuditTool(server) {
+  registerMcpTool(
+    server,
+    'lerian-audit',
+    'Query the local tamper-evident audit log by tool, product, caller, type, time range and outcome, or verify its hash chain to detect edited or removed entries and missing rotated files.',
+    auditInputSchema,
+    wrapToolHandler(handleAudit),
+    { annotations: TOOL_ANNOTATIONS.READ_ONLY }
+  );
+}
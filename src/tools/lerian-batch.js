@@ -0,0 +1,70 @@
+import { z } from 'zod';
+import { BATCH_MODES, MAX_BATCH_CONCURRENCY, MAX_BATCH_STEPS, describeBatchMutation, runBatch } from '../products/batch.js';
+import { PRODUCT_ROUTERS } from '../products/routers.js';
+import { createToolResponse, createErrorResponse, wrapToolHandler, createProgressNotifier, ErrorCodes } from '../util/mcp-helpers.js';
+import { classifyWorkflowExecutionError } from './execution-error.js';
+import { registerMcpTool, TOOL_ANNOTATIONS } from '../util/mcp-registration.js';
+import { resolveCallerId } from '../util/auth.js';
+import { checkRateLimit } from '../util/security.js';
+
+const stepSchema = z.object({
+  id: z.string().regex(/^[A-Za-z0-9_-]+$/).optional().describe('Step id used in references. Defaults to the 1-based position ("1", "2", ...).'),
+  product: z.enum(Object.keys(PRODUCT_ROUTERS)).describe('Product whose execute router runs the step.'),
+  resource: z.string().describe('Resource name, as listed by <product>-discover.'),
+  action: z.string().describe('Action name, as listed by <product>-discover.'),
+  pathParams: z.record(z.string(), z.any()).optional().describe('Path parameters. Values may reference earlier steps, e.g. "${steps.org.id}".'),
+  queryParams: z.record(z.string(), z.any()).optional().describe('Query parameters.'),
+  body: z.record(z.string(), z.any()).optional().describe('Request body. A string that is exactly one reference keeps the referenced value\'s type.'),
+  headers: z.record(z.string(), z.string()).optional().describe('Optional allowlisted headers from the action contract.'),
+  multipart: z.record(z.string(), z.any()).optional().describe('Reporter multipart fields.'),
+  organizationId: z.string().optional().describe('Fetcher only: X-Organization-Id for the step.')
+});
+
+const batchInputSchema = {
+  steps: z.array(stepSchema).min(1).max(MAX_BATCH_STEPS).describe(
+    `Ordered steps (at most ${MAX_BATCH_STEPS}). Reference an earlier result with \${steps.<id>.<field>}, for example \${steps.org.id} or \${steps.accounts.items.0.id}.`
+  ),
+  mode: z.enum(BATCH_MODES).optional().describe('"stop-on-error" (default) skips every step after the first failure; "continue" runs the rest and skips only steps that reference a failed step.'),
+  concurrency: z.number().int().min(1).max(MAX_BATCH_CONCURRENCY).optional().describe(`Run consecutive independent read steps up to this many at a time (default 1, max ${MAX_BATCH_CONCURRENCY}). Mutations always run one at a time, in order.`),
+  environment: z.string().optional().describe('Named environment profile applied to every step.'),
+  confirmEnvironment: z.string().optional().describe('Set to the environment name to confirm mutations against a profile marked requireConfirmation.'),
+  confirmMutation: z.boolean().optional().describe('Required as true when any step is a POST, PUT, PATCH, or DELETE action.'),
+  mutationReason: z.string().optional().describe('One audit reason covering the whole batch. Each mutating step is recorded with it plus its step id.')
+};
+
+async function handleBatch(args = {}, extra) {
+  args = args || {};
+  const { steps, mode, concurrency, environment, confirmEnvironment, confirmMutation, mutationReason } = args;
+
+  const callerId = resolveCallerId(extra);
+  try {
+    const outcome = await runBatch({
+      steps,
+      mode,
+      concurrency,
+      environment,
+      confirmEnvironment,
+      confirmMutation,
+      mutationReason,
+      callerId,
+      classifyError: (error) => classifyWorkflowExecutionError(error, ErrorCodes),
+      // Same budget key the live tool wrapper uses, charged once per step
+      chargeStep: () => checkRateLimit(`tool:lerian-batch:${callerId}`),
+      onProgress: createProgressNotifier(extra)
+    });
+    return createToolResponse(outcome);
+  } catch (error) {
+    return createErrorResponse(ErrorCodes.INVALID_PARAMS, error.message);
+  }
+}
+
+export function registerBatchTool(server) {
+  registerMcpTool(
+    server,
+    'lerian-batch',
+    'Run an ordered list of live product actions in one call, such as the organization, ledger, asset, and account setup for a new customer. Steps run through the same validation, policy, and approval checks as the execute tools and can reference earlier results with ${steps.<id>.<field>}. Returns a per-step status, result, or error. One confirmMutation and mutationReason cover every mutating step.',
+    batchInputSchema,
+    wrapToolHandler(handleBatch),
+    { annotations: TOOL_ANNOTATIONS.LIVE_API, describeMutation: describeBatchMutation, rateLimitPerCall: false }
+  );
+}
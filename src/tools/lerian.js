@@ -5,11 +5,16 @@
  */
 
 import { z } from "zod";
-import { wrapToolHandler, validateArgs } from "../util/mcp-helpers.js";
+import { createToolResponse, wrapToolHandler, validateArgs } from "../util/mcp-helpers.js";
 import { registerMcpTool, TOOL_ANNOTATIONS } from "../util/mcp-registration.js";
 import { createLogger } from "../util/mcp-logging.js";
 import { PRODUCT_IDS, getProductConfig, listProducts, isResourceForProduct } from "../catalog/product-registry.js";
 import { getRuntimeSurface } from '../runtime/surface-registry.js';
+import { listCircuitBreakers } from '../products/circuit-breaker.js';
+import { listEnvironments } from '../products/environments.js';
+import { describePolicy } from '../products/policy.js';
+import { configPromise } from '../config.js';
+import { EXPORT_FORMATS, exportJsonSchemaBundle, exportOpenApi } from '../products/openapi-export.js';
 
 // Import all existing utilities
 import {
@@ -31,7 +36,9 @@ import {
 
 const logger = createLogger('lerian');
 
-const OPERATIONS = ['discover', 'docs', 'learn', 'sdk', 'search'];
+const OPERATIONS = ['discover', 'docs', 'learn', 'sdk', 'search', 'export'];
+// Exported contracts nest well past the default sanitize depth (paths > operation > body > schema > ...)
+const EXPORT_MAX_DEPTH = 32;
 
 /**
  * Register unified Lerian tool
@@ -46,7 +53,7 @@ export const registerLerianTool = (server) => {
         .describe("Target Lerian product (REQUIRED). Use 'all' for portfolio-wide discovery and search. Supported products: midaz, reporter, fetcher, matcher, tracer, underwriter, flowker, all."),
 
       operation: z.enum(OPERATIONS)
-        .describe("Operation type (REQUIRED). 'discover': inspect portfolio products and current MCP coverage, 'docs': get documentation, 'learn': interactive tutorials and learning paths, 'sdk': generate SDK code, 'search': search documentation and examples."),
+        .describe("Operation type (REQUIRED). 'discover': inspect portfolio products and current MCP coverage, 'docs': get documentation, 'learn': interactive tutorials and learning paths, 'sdk': generate SDK code, 'search': search documentation and examples, 'export': the live API contract as OpenAPI 3.1 or a JSON Schema bundle."),
 
       // Common parameters
       topic: z.string().optional()
@@ -72,7 +79,11 @@ export const registerLerianTool = (server) => {
 
       // Search parameters
       maxResults: z.number().min(1).max(50).default(10)
-        .describe("Maximum search results to return (for: search operation). Range: 1-50, default: 10. Use lower numbers (1-5) for focused results, higher (10-20) for exploration.")
+        .describe("Maximum search results to return (for: search operation). Range: 1-50, default: 10. Use lower numbers (1-5) for focused results, higher (10-20) for exploration."),
+
+      // Export parameters
+      exportFormat: z.enum(EXPORT_FORMATS).default('openapi')
+        .describe("Contract format (for: export operation). 'openapi': OpenAPI 3.1 document per product (product='all' returns one document per product), 'json-schema': one JSON Schema 2020-12 bundle of every action's request and response schemas. Default: 'openapi'.")
     },
 
     wrapToolHandler(async (args, extra) => {
@@ -85,7 +96,8 @@ export const registerLerianTool = (server) => {
         experienceLevel = 'beginner',
         format = 'detailed',
         includeExamples = true,
-        maxResults = 10
+        maxResults = 10,
+        exportFormat = 'openapi'
       } = validateArgs(args, z.object({
         product: z.enum(PRODUCT_IDS),
         operation: z.enum(OPERATIONS),
@@ -95,7 +107,8 @@ export const registerLerianTool = (server) => {
         experienceLevel: z.enum(['beginner', 'intermediate', 'advanced']).default('beginner'),
         format: z.enum(['summary', 'detailed', 'examples-only']).default('detailed'),
         includeExamples: z.boolean().default(true),
-        maxResults: z.number().min(1).max(50).default(10)
+        maxResults: z.number().min(1).max(50).default(10),
+        exportFormat: z.enum(EXPORT_FORMATS).default('openapi')
       }));
 
       logger.info('Processing unified Lerian request', {
@@ -134,6 +147,9 @@ export const registerLerianTool = (server) => {
             if (!topic) throw new Error("topic parameter required for search operation");
             return await handleSearch(product, topic, maxResults, format);
 
+          case 'export':
+            return await handleExport(product, exportFormat);
+
           default:
             throw new Error(`Unknown operation: ${operation}`);
         }
@@ -149,13 +165,26 @@ export const registerLerianTool = (server) => {
     { annotations: TOOL_ANNOTATIONS.READ_ONLY }
   );
 
-  logger.info('✅ Unified Lerian tool registered (discover + docs + learn + sdk + search for the Lerian portfolio)');
+  logger.info('✅ Unified Lerian tool registered (discover + docs + learn + sdk + search + export for the Lerian portfolio)');
 };
 
 // ======================
 // Operation Handlers
 // ======================
 
+/**
+ * Handle contract export requests. Schema keys name fields (`password`,
+ * `apiKeyAuth`) rather than hold values, so only string values are redacted,
+ * which still covers credentials embedded in configured server URLs.
+ */
+async function handleExport(product, exportFormat) {
+  const document = exportFormat === 'json-schema'
+    ? exportJsonSchemaBundle({ product })
+    : exportOpenApi({ product, config: await configPromise });
+
+  return createToolResponse(document, { redactSecretKeys: false, maxDepth: EXPORT_MAX_DEPTH });
+}
+
 /**
  * Handle portfolio discovery requests
  */
@@ -181,11 +210,17 @@ async function handleDiscover(product) {
         currentMcpSupport: item.currentMcpSupport,
         targetMcpSupport: item.targetMcpSupport
       })),
+      circuitBreakers: listCircuitBreakers(),
+      environments: listEnvironments(await configPromise),
+      policy: describePolicy(await configPromise),
       notes: [
         'The current runtime is portfolio-aware and documentation-rich across the full Lerian surface.',
         `Live API access is currently available for ${liveProductNames} via product-specific tools.`,
         'Cross-product workflow support includes fetcher-to-reporter and matcher-to-fetcher-to-midaz in portfolio-workflow, with stateful workflow sessions now available.',
-        'The revamp direction now shifts from first adapters to deeper typed control-plane operations and richer cross-product workflows.'
+        'The revamp direction now shifts from first adapters to deeper typed control-plane operations and richer cross-product workflows.',
+        'circuitBreakers lists every product base URL called so far; an open breaker fails fast until its system.health probe succeeds.',
+        'environments lists the named profiles from the config; pass environment to any *-execute tool or portfolio-workflow to select one.',
+        'policy shows the server read-only mode and per-product allow/deny lists; blocked actions fail with a policy error.'
       ],
       recommendedNextSteps: [
         'Use lerian with operation="docs" or "search" for product-level knowledge lookup.',
@@ -207,11 +242,13 @@ async function handleDiscover(product) {
     primaryWorkflows: productConfig.primaryWorkflows,
     currentMcpSupport: productConfig.currentMcpSupport,
     targetMcpSupport: productConfig.targetMcpSupport,
+    circuitBreakers: listCircuitBreakers().filter((breaker) => breaker.product === productConfig.name),
     recommendedNextSteps: product === 'midaz'
       ? [
           'Use lerian operation="docs" or "search" for conceptual guidance.',
           'Use midaz-discover to inspect resources, actions, and schemas.',
-          'Use midaz-execute only after confirming the resource/action contract via midaz-discover.'
+          'Use midaz-execute only after confirming the resource/action contract via midaz-discover.',
+          'Use midaz-dsl to validate Gold DSL or convert it to and from the transactions.create JSON body before posting.'
         ]
       : product === 'fetcher'
         ? [
@@ -242,7 +279,7 @@ async function handleDiscover(product) {
         ? [
             'Use lerian operation="docs" or "search" for conceptual guidance.',
             'Use flowker-discover to inspect catalog resources, workflow definitions, execution start requirements, provider and executor configuration payloads, observability endpoints, and webhook behavior.',
-            'Use flowker-execute after checking auth expectations and providing Idempotency-Key for workflow execution start when required.'
+            'Use flowker-execute after checking auth expectations. Idempotency-Key for workflow execution start is derived automatically unless you supply one.'
           ]
       : product === 'underwriter'
         ? [
@@ -102,7 +102,10 @@ async function handleDiscover(args = {}) {
         pathParams: Object.keys(resolved.pathParams).length > 0 ? resolved.pathParams : undefined,
         queryParams: Object.keys(resolved.queryParams).length > 0 ? resolved.queryParams : undefined,
         input: resolved.input || undefined,
+        output: resolved.output || undefined,
         example: resolved.example || undefined,
+        pagination: resolved.pagination || undefined,
+        requiresApproval: resolved.requiresApproval || undefined,
         hint: 'Use matcher-execute with this resource/action. For traceability, you can pass X-Request-Id through the headers object.'
       });
     }
@@ -149,13 +152,13 @@ async function handleDiscover(args = {}) {
   }
 }
 
-export function registerMatcherDiscoverTool(server) {
+export function registerMatcherDiscoverTool(server, registration = {}) {
   registerMcpTool(
     server,
     'matcher-discover',
     'Discover Matcher API resources, actions, and execution contracts. The current live slice covers contexts, sources, field maps, discovery-over-Fetcher endpoints, matching runs, exceptions, disputes, governance, reporting, and system operations. Use this before matcher-execute to inspect headers, path params, query filters, payload requirements, and export behavior.',
     discoverInputSchema,
     wrapToolHandler(handleDiscover),
-    { annotations: TOOL_ANNOTATIONS.READ_ONLY }
+    { ...registration, annotations: TOOL_ANNOTATIONS.READ_ONLY }
   );
 }
@@ -1,17 +1,19 @@
 import { z } from 'zod';
-import { getSchema, findSchemas, listResources, getSchemasByComponent } from '../api/schemas/index.js';
-import { resolveAction, getEndpointCount } from '../api/router.js';
+import { getSchema, findSchemas, listResources, getSchemasByComponent } from '../products/midaz/schemas/index.js';
+import { resolveAction, getEndpointCount } from '../products/midaz/router.js';
 import { createToolResponse, createErrorResponse, wrapToolHandler, ErrorCodes } from '../util/mcp-helpers.js';
 import { registerMcpTool, TOOL_ANNOTATIONS } from '../util/mcp-registration.js';
 
+const MIDAZ_COMPONENTS = ['onboarding', 'transaction', 'crm', 'ledger'];
+
 const discoverInputSchema = {
   intent: z.enum(['list-resources', 'describe-resource', 'describe-action', 'search', 'list-by-component']).describe(
-    'Discovery intent: "list-resources" (all resources), "describe-resource" (details+actions for one resource), "describe-action" (full schema for resource+action), "search" (fuzzy search), "list-by-component" (resources in a component)'
+    'Discovery intent: list resources, inspect one resource, inspect one action, search, or filter by component.'
   ),
-  resource: z.string().optional().describe('Resource name (e.g. "organizations", "transactions", "holders")'),
-  action: z.string().optional().describe('Action name (e.g. "create", "get", "list", "createInflow")'),
-  query: z.string().optional().describe('Search query for intent="search"'),
-  component: z.enum(['onboarding', 'transaction', 'crm', 'ledger']).optional().describe('Component filter for intent="list-by-component"'),
+  resource: z.string().optional().describe('Midaz resource name (e.g. "organizations", "transactions", "holders", "balances").'),
+  action: z.string().optional().describe('Action name (e.g. "create", "get", "list", "createInflow").'),
+  query: z.string().optional().describe('Search query for intent="search".'),
+  component: z.enum(MIDAZ_COMPONENTS).optional().describe('Component filter for intent="list-by-component".')
 };
 
 async function handleDiscover(args = {}) {
@@ -22,16 +24,25 @@ async function handleDiscover(args = {}) {
     case 'list-resources': {
       const resources = listResources();
       const totalEndpoints = getEndpointCount();
+
+      const components = Object.fromEntries(
+        MIDAZ_COMPONENTS.map((componentName) => [
+          componentName,
+          resources
+            .filter((item) => item.component === componentName)
+            .map((item) => ({ resource: item.resource, actions: item.actions, description: item.description }))
+        ])
+      );
+
       return createToolResponse({
         totalResources: resources.length,
         totalEndpoints,
-        components: {
-          onboarding: resources.filter(r => r.component === 'onboarding').map(r => ({ resource: r.resource, actions: r.actions, description: r.description })),
-          transaction: resources.filter(r => r.component === 'transaction').map(r => ({ resource: r.resource, actions: r.actions, description: r.description })),
-          crm: resources.filter(r => r.component === 'crm').map(r => ({ resource: r.resource, actions: r.actions, description: r.description })),
-          ledger: resources.filter(r => r.component === 'ledger').map(r => ({ resource: r.resource, actions: r.actions, description: r.description })),
+        components,
+        auth: {
+          bearerToken: 'Midaz uses bearer auth from MIDAZ_AUTH_TOKEN. Caller-provided Authorization headers are ignored.',
+          idempotencyHeader: 'Transaction create actions accept X-Idempotency and X-TTL through the headers object. When X-Idempotency is omitted, midaz-execute derives a deterministic key for confirmed mutations and returns it with the result.'
         },
-        hint: 'Use intent="describe-resource" with a resource name to see its actions, or intent="describe-action" with resource+action for the full input schema.',
+        hint: 'Use intent="describe-action" with resource and action to inspect request headers, path params, query filters, and body shape.'
       });
     }
 
@@ -39,28 +50,33 @@ async function handleDiscover(args = {}) {
       if (!resource) {
         return createErrorResponse(ErrorCodes.INVALID_PARAMS, 'resource parameter is required for describe-resource intent');
       }
+
       const schema = getSchema(resource);
       if (!schema) {
         const suggestions = findSchemas(resource);
-        return createErrorResponse(ErrorCodes.RESOURCE_NOT_FOUND, `Resource "${resource}" not found.${suggestions.length > 0 ? ` Did you mean: ${suggestions.map(s => s.resource).join(', ')}?` : ''}`);
+        return createErrorResponse(ErrorCodes.RESOURCE_NOT_FOUND, `Resource "${resource}" not found.${suggestions.length > 0 ? ` Did you mean: ${suggestions.map((item) => item.resource).join(', ')}?` : ''}`);
       }
+
       const actions = {};
       for (const [actionName, actionDef] of Object.entries(schema.actions)) {
         actions[actionName] = {
           method: actionDef.method,
           path: actionDef.path,
           description: actionDef.description,
+          responseType: actionDef.responseType || 'json',
           hasInput: !!actionDef.input,
           hasPathParams: !!actionDef.pathParams && Object.keys(actionDef.pathParams).length > 0,
           hasQueryParams: !!actionDef.queryParams && Object.keys(actionDef.queryParams).length > 0,
+          hasRequestHeaders: !!actionDef.requestHeaders && Object.keys(actionDef.requestHeaders).length > 0
         };
       }
+
       return createToolResponse({
         resource: schema.resource,
         component: schema.component,
         description: schema.description,
         actions,
-        hint: 'Use intent="describe-action" with resource and action to get the full input schema for a specific action.',
+        hint: 'Use intent="describe-action" with resource and action to inspect the full execution contract.'
       });
     }
 
@@ -68,10 +84,12 @@ async function handleDiscover(args = {}) {
       if (!resource || !action) {
         return createErrorResponse(ErrorCodes.INVALID_PARAMS, 'Both resource and action parameters are required for describe-action intent');
       }
+
       const resolved = resolveAction(resource, action);
       if (resolved.error) {
         return createErrorResponse(ErrorCodes.RESOURCE_NOT_FOUND, resolved.error);
       }
+
       return createToolResponse({
         resource,
         action,
@@ -79,11 +97,16 @@ async function handleDiscover(args = {}) {
         method: resolved.method,
         path: resolved.pathTemplate,
         description: resolved.description,
+        responseType: resolved.responseType,
+        requestHeaders: Object.keys(resolved.requestHeaders).length > 0 ? resolved.requestHeaders : undefined,
         pathParams: Object.keys(resolved.pathParams).length > 0 ? resolved.pathParams : undefined,
         queryParams: Object.keys(resolved.queryParams).length > 0 ? resolved.queryParams : undefined,
         input: resolved.input || undefined,
+        output: resolved.output || undefined,
         example: resolved.example || undefined,
-        hint: 'Use midaz-execute with this resource, action, and the required parameters to call the API.',
+        pagination: resolved.pagination || undefined,
+        requiresApproval: resolved.requiresApproval || undefined,
+        hint: 'Use midaz-execute with this resource/action. Pass allowlisted request headers, such as X-Idempotency, through the headers object.'
       });
     }
 
@@ -91,18 +114,20 @@ async function handleDiscover(args = {}) {
       if (!query) {
         return createErrorResponse(ErrorCodes.INVALID_PARAMS, 'query parameter is required for search intent');
       }
+
       const results = findSchemas(query);
       if (results.length === 0) {
         return createToolResponse({ results: [], message: `No resources found matching "${query}".` });
       }
+
       return createToolResponse({
         query,
-        results: results.map(s => ({
-          resource: s.resource,
-          component: s.component,
-          description: s.description,
-          actions: Object.keys(s.actions),
-        })),
+        results: results.map((schema) => ({
+          resource: schema.resource,
+          component: schema.component,
+          description: schema.description,
+          actions: Object.keys(schema.actions)
+        }))
       });
     }
 
@@ -110,14 +135,15 @@ async function handleDiscover(args = {}) {
       if (!component) {
         return createErrorResponse(ErrorCodes.INVALID_PARAMS, 'component parameter is required for list-by-component intent');
       }
+
       const schemas = getSchemasByComponent(component);
       return createToolResponse({
         component,
-        resources: schemas.map(s => ({
-          resource: s.resource,
-          description: s.description,
-          actions: Object.keys(s.actions),
-        })),
+        resources: schemas.map((schema) => ({
+          resource: schema.resource,
+          description: schema.description,
+          actions: Object.keys(schema.actions)
+        }))
       });
     }
 
@@ -126,13 +152,13 @@ async function handleDiscover(args = {}) {
   }
 }
 
-export function registerDiscoverTool(server) {
+export function registerMidazDiscoverTool(server, registration = {}) {
   registerMcpTool(
     server,
     'midaz-discover',
-    'Discover Midaz API resources, actions, and schemas. Use this BEFORE calling midaz-execute to find the right resource+action and understand required parameters. Supports listing all resources, describing specific resources/actions, searching, and filtering by component.',
+    'Discover Midaz API resources, actions, and execution contracts across the onboarding, transaction, CRM, and ledger components. Use this before midaz-execute to inspect headers, path params, query filters, and payload requirements.',
     discoverInputSchema,
     wrapToolHandler(handleDiscover),
-    { annotations: TOOL_ANNOTATIONS.READ_ONLY }
+    { ...registration, annotations: TOOL_ANNOTATIONS.READ_ONLY }
   );
 }
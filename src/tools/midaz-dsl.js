@@ -0,0 +1,88 @@
+import { z } from 'zod';
+import { parseDsl, validateDsl, transactionToDsl, formatDslErrors, DSL_AMOUNT_FORMATS } from '../products/midaz/dsl.js';
+import { checkSendBalance } from '../products/midaz/balance.js';
+import { createToolResponse, createErrorResponse, wrapToolHandler, ErrorCodes } from '../util/mcp-helpers.js';
+import { registerMcpTool, TOOL_ANNOTATIONS } from '../util/mcp-registration.js';
+
+const dslInputSchema = {
+  intent: z.enum(['validate', 'to-json', 'from-json']).describe(
+    'DSL intent: validate Gold DSL syntax and balance, convert DSL to a transactions.create body, or generate DSL from a JSON transaction.'
+  ),
+  dsl: z.string().optional().describe('Gold DSL text for intent="validate" or intent="to-json".'),
+  transaction: z.record(z.string(), z.any()).optional().describe('transactions.create JSON body (with send.source and send.distribute) for intent="from-json".'),
+  variables: z.record(z.string(), z.union([z.string(), z.number()])).optional().describe('Values substituted for $name placeholders in the DSL.'),
+  amountFormat: z.enum(DSL_AMOUNT_FORMATS).optional().describe('Amount notation for intent="from-json": "scaled" writes 10000|2, "decimal" writes 100.00. Defaults to scaled.')
+};
+
+async function handleDsl(args = {}) {
+  args = args || {};
+  const { intent, dsl, transaction, variables, amountFormat } = args;
+
+  switch (intent) {
+    case 'validate': {
+      if (!dsl) {
+        return createErrorResponse(ErrorCodes.INVALID_PARAMS, 'dsl parameter is required for validate intent');
+      }
+
+      const report = validateDsl(dsl, { variables });
+      return createToolResponse({
+        ...report,
+        hint: report.valid
+          ? 'Use intent="to-json" to get the transactions.create body, or submit the DSL through midaz-execute transactions.createDSL.'
+          : 'Fix the reported errors and validate again. Line and column numbers are 1-based.'
+      });
+    }
+
+    case 'to-json': {
+      if (!dsl) {
+        return createErrorResponse(ErrorCodes.INVALID_PARAMS, 'dsl parameter is required for to-json intent');
+      }
+
+      const parsed = parseDsl(dsl, { variables });
+      if (!parsed.ok) {
+        return createErrorResponse(ErrorCodes.INVALID_PARAMS, `DSL syntax error at ${formatDslErrors(parsed.errors)}`, { errors: parsed.errors });
+      }
+
+      return createToolResponse({
+        version: parsed.version,
+        body: parsed.transaction,
+        balance: checkSendBalance(parsed.transaction.send),
+        unresolvedVariables: parsed.unresolvedVariables,
+        hint: 'Pass body to midaz-execute with resource="transactions" and action="create".'
+      });
+    }
+
+    case 'from-json': {
+      if (!transaction) {
+        return createErrorResponse(ErrorCodes.INVALID_PARAMS, 'transaction parameter is required for from-json intent');
+      }
+
+      let generated;
+      try {
+        generated = transactionToDsl(transaction, { amountFormat });
+      } catch (err) {
+        return createErrorResponse(ErrorCodes.INVALID_PARAMS, err.message);
+      }
+
+      return createToolResponse({
+        dsl: generated.dsl,
+        warnings: generated.warnings,
+        balance: checkSendBalance(transaction.send)
+      });
+    }
+
+    default:
+      return createErrorResponse(ErrorCodes.INVALID_PARAMS, `Unknown intent: ${intent}`);
+  }
+}
+
+export function registerMidazDslTool(server, registration = {}) {
+  registerMcpTool(
+    server,
+    'midaz-dsl',
+    'Parse, validate, and generate Midaz Gold transaction DSL locally without calling the API. Reports syntax errors with line and column, checks that source and distribute totals balance per asset, and converts between DSL and the JSON send structure used by transactions.create.',
+    dslInputSchema,
+    wrapToolHandler(handleDsl),
+    { ...registration, annotations: TOOL_ANNOTATIONS.READ_ONLY }
+  );
+}
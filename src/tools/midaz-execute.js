@@ -1,8 +1,12 @@
 import { z } from 'zod';
-import { routeAndExecute } from '../api/router.js';
-import { createToolResponse, createErrorResponse, wrapToolHandler, ErrorCodes } from '../util/mcp-helpers.js';
+import { resolveAction, routeAndExecute } from '../products/midaz/router.js';
+import { AUTO_PAGINATE_INPUT_SCHEMA } from '../products/pagination.js';
+import { createMutationDescriber } from '../products/http-helpers.js';
+import { createExecuteResponse, EXECUTE_OUTPUT_SCHEMA } from '../products/output-contract.js';
+import { createErrorResponse, wrapToolHandler, createProgressNotifier, ErrorCodes } from '../util/mcp-helpers.js';
 import { createExecutionErrorResponse } from './execution-error.js';
 import { registerMcpTool, TOOL_ANNOTATIONS } from '../util/mcp-registration.js';
+import { resolveCallerId } from '../util/auth.js';
 
 const executeInputSchema = {
   resource: z.string().describe('Resource name (e.g. "organizations", "transactions", "holders", "balances")'),
@@ -10,13 +14,17 @@ const executeInputSchema = {
   pathParams: z.record(z.string(), z.string()).optional().describe('Path parameters as key-value pairs (e.g. { organizationId: "uuid", ledgerId: "uuid" })'),
   queryParams: z.record(z.string(), z.any()).optional().describe('Query parameters for list/search operations (e.g. { limit: 10, page: 1 })'),
   body: z.record(z.string(), z.any()).optional().describe('Request body for create/update operations'),
+  headers: z.record(z.string(), z.string()).optional().describe('Optional allowlisted headers from the action contract, such as X-Idempotency or X-Request-Id.'),
+  autoPaginate: AUTO_PAGINATE_INPUT_SCHEMA,
+  environment: z.string().optional().describe('Named environment profile from the config "environments" block (e.g. "sandbox", "staging", "production"). Defaults to defaultEnvironment, or the base product config when none is set.'),
+  confirmEnvironment: z.string().optional().describe('Set to the environment name to confirm mutations against a profile marked requireConfirmation (typically production).'),
   confirmMutation: z.boolean().optional().describe('Required as true for POST, PUT, PATCH, or DELETE live API actions.'),
   mutationReason: z.string().optional().describe('Human-readable audit reason required for mutating live API actions.'),
 };
 
-async function handleExecute(args = {}) {
+async function handleExecute(args = {}, extra) {
   args = args || {};
-  const { resource, action, pathParams, queryParams, body, confirmMutation, mutationReason } = args;
+  const { resource, action, pathParams, queryParams, body, headers, autoPaginate, environment, confirmEnvironment, confirmMutation, mutationReason } = args;
 
   if (!resource || !action) {
     return createErrorResponse(
@@ -25,6 +33,7 @@ async function handleExecute(args = {}) {
     );
   }
 
+  let idempotency = null;
   try {
     const result = await routeAndExecute({
       resource,
@@ -32,11 +41,20 @@ async function handleExecute(args = {}) {
       pathParams: pathParams || {},
       queryParams: queryParams || {},
       body: body || undefined,
+      headers: headers || undefined,
       confirmMutation,
       mutationReason,
+      autoPaginate,
+      onProgress: createProgressNotifier(extra),
+      environment,
+      confirmEnvironment,
+      callerId: resolveCallerId(extra),
+      onIdempotencyKey: (info) => {
+        idempotency = info;
+      },
     });
 
-    return createToolResponse(result);
+    return createExecuteResponse('midaz', { resource, action }, result, idempotency);
   } catch (err) {
     return createExecutionErrorResponse({
       productName: 'Midaz',
@@ -50,13 +68,13 @@ async function handleExecute(args = {}) {
   }
 }
 
-export function registerExecuteTool(server) {
+export function registerMidazExecuteTool(server, registration = {}) {
   registerMcpTool(
     server,
     'midaz-execute',
-    'Execute Midaz API operations. Use midaz-discover first to find the right resource+action and required parameters, then call this tool to execute. Supports all CRUD operations across organizations, ledgers, assets, accounts, transactions, balances, holders, aliases, and more.',
+    'Execute Midaz API operations. Use midaz-discover first to find the right resource+action and required parameters, then call this tool to execute. Supports all CRUD operations across organizations, ledgers, assets, accounts, transactions, balances, holders, aliases, and more. Transaction create, createInflow, and createOutflow bodies are checked locally for double-entry balance before anything is posted.',
     executeInputSchema,
     wrapToolHandler(handleExecute),
-    { annotations: TOOL_ANNOTATIONS.LIVE_API }
+    { ...registration, annotations: TOOL_ANNOTATIONS.LIVE_API, outputSchema: EXECUTE_OUTPUT_SCHEMA, describeMutation: createMutationDescriber(resolveAction) }
   );
 }
@@ -2,22 +2,51 @@ import { z } from 'zod';
 import { WORKFLOW_IDS, listWorkflows, getWorkflow } from '../workflows/index.js';
 import { createToolResponse, createErrorResponse, wrapToolHandler, ErrorCodes } from '../util/mcp-helpers.js';
 import { registerMcpTool, TOOL_ANNOTATIONS } from '../util/mcp-registration.js';
-import { createWorkflowSession, getWorkflowSession, getWorkflowSessionContext, listWorkflowSessions, mergeWorkflowSessionInput, previewWorkflowSessionInput, recordWorkflowStep } from '../workflows/session-store.js';
+import { createWorkflowSession, getWorkflowSession, getWorkflowSessionContext, listWorkflowSessions, mergeWorkflowSessionInput, previewWorkflowSessionInput, recordWorkflowCompensation, recordWorkflowStep } from '../workflows/session-store.js';
 import { classifyWorkflowExecutionError } from './execution-error.js';
+import { getAuthenticatedCallerId, resolveCallerId } from '../util/auth.js';
+
+const DEFAULT_UNTIL_BLOCKED_STEPS = 10;
+const MAX_UNTIL_BLOCKED_STEPS = 50;
 
 const workflowInputSchema = {
-  intent: z.enum(['list-workflows', 'describe-workflow', 'plan', 'create-session', 'get-session', 'list-sessions', 'execute-step', 'execute-next']).describe(
-    'List workflows, describe a workflow, generate a readiness plan, create or inspect a workflow session, or execute a specific workflow step.'
+  intent: z.enum(['list-workflows', 'describe-workflow', 'plan', 'create-session', 'get-session', 'list-sessions', 'execute-step', 'execute-next', 'execute-until-blocked', 'rollback']).describe(
+    'List workflows, describe a workflow, generate a readiness plan, create or inspect a workflow session, execute a specific workflow step, run ready steps until one blocks, or roll back a session\'s completed steps.'
   ),
   workflow: z.enum(WORKFLOW_IDS).optional().describe('Cross-product workflow identifier.'),
   sessionId: z.string().optional().describe('Workflow session identifier for stateful planning and execution.'),
   sessionToken: z.string().optional().describe('Opaque session token returned by create-session. Required for get-session, execute-step, and execute-next.'),
-  scopeId: z.string().optional().describe('Required owner/client scope for stateful session operations. Use a stable caller, tenant, or operator identifier.'),
+  scopeId: z.string().optional().describe('Required owner/client scope for stateful session operations. Use a stable caller, tenant, or operator identifier. Authenticated HTTP callers are scoped to their identity automatically; a supplied scopeId is nested under it.'),
   step: z.string().optional().describe('Workflow step to execute when intent="execute-step".'),
   limit: z.number().optional().describe('Maximum session summaries to return for intent="list-sessions".'),
-  input: z.record(z.string(), z.any()).optional().describe('Workflow-specific input payload used for planning or execution.')
+  maxSteps: z.number().int().min(1).max(MAX_UNTIL_BLOCKED_STEPS).optional().describe(`Maximum steps to execute for intent="execute-until-blocked" (default ${DEFAULT_UNTIL_BLOCKED_STEPS}).`),
+  input: z.record(z.string(), z.any()).optional().describe('Workflow-specific input payload used for planning or execution. For intent="rollback", include confirmMutation=true and mutationReason. For intent="execute-until-blocked", list the mutating steps it may run in authorizedMutations and give a mutationReason.'),
+  environment: z.string().optional().describe('Named environment profile used for every step. A session keeps the environment it was created with.'),
+  confirmEnvironment: z.string().optional().describe('Set to the environment name to confirm mutating steps against a profile marked requireConfirmation.')
 };
 
+function withEnvironmentInput(input, { environment }) {
+  const merged = { ...input, ...(environment ? { environment } : {}) };
+  // confirmEnvironment confirms one call; it must never be saved with the session input
+  delete merged.confirmEnvironment;
+  return merged;
+}
+
+function withEnvironmentConfirmation(context, confirmEnvironment) {
+  return confirmEnvironment ? { ...context, confirmEnvironment } : context;
+}
+
+function resolveSessionScope(scopeId, extra) {
+  const callerId = getAuthenticatedCallerId(extra);
+  if (!callerId) {
+    return scopeId;
+  }
+
+  // Authenticated callers can only reach sessions under their own identity; the
+  // pair is JSON-encoded so a ':' in either part cannot collide with another scope
+  return JSON.stringify([callerId, scopeId && scopeId !== callerId ? scopeId : null]);
+}
+
 function requireSessionScope(scopeId) {
   if (!scopeId) {
     return createErrorResponse(ErrorCodes.INVALID_PARAMS, 'scopeId is required for workflow session operations');
@@ -59,9 +88,120 @@ function workflowErrorResponse(error, context) {
   });
 }
 
-async function handleWorkflow(args = {}) {
+// execute-until-blocked only runs a mutating step the session context names in authorizedMutations
+function isPreAuthorized(context, step) {
+  return Array.isArray(context.authorizedMutations) && context.authorizedMutations.includes(step) && Boolean(context.mutationReason);
+}
+
+/**
+ * Execute ready steps in plan order until the workflow completes or a step
+ * blocks: missing input or dependencies, a mutation that is not
+ * pre-authorized, a pending approval, an error, or maxSteps.
+ */
+async function runUntilBlocked(workflow, sessionId, maxSteps, auth, { callerId, confirmEnvironment }) {
+  const steps = [];
+
+  for (;;) {
+    const session = getWorkflowSession(sessionId, auth);
+    const context = getWorkflowSessionContext(sessionId, auth) || {};
+    const planned = workflow.plan(context, { completedSteps: session.completedSteps });
+    const nextStep = planned.steps.find((stepPlan) => !session.completedSteps.includes(stepPlan.step));
+    const stop = (status, reason) => ({ status, ...(reason ? { reason } : {}), steps, ...(nextStep ? { nextStep } : {}), session });
+
+    if (!nextStep) {
+      return stop('completed');
+    }
+    if (!nextStep.ready) {
+      return stop('blocked', nextStep.missingInput.length > 0 ? 'missing-input' : 'pending-dependencies');
+    }
+
+    const mutation = workflow.definition.steps[nextStep.step]?.mutation === true;
+    if (mutation && !isPreAuthorized(context, nextStep.step)) {
+      return stop('blocked', 'authorization-required');
+    }
+    if (steps.length >= maxSteps) {
+      return stop('max-steps');
+    }
+
+    const stepInput = withEnvironmentConfirmation(mutation ? { ...context, confirmMutation: true } : context, confirmEnvironment);
+    try {
+      const result = await workflow.executeStep(nextStep.step, stepInput, { completedSteps: session.completedSteps, callerId });
+      if (result?.status === 'pending-approval') {
+        steps.push({ step: nextStep.step, status: 'pending-approval', result });
+        return stop('blocked', 'pending-approval');
+      }
+
+      const artifacts = workflow.captureArtifacts ? workflow.captureArtifacts(nextStep.step, result, stepInput) : {};
+      recordWorkflowStep(sessionId, { step: nextStep.step, input: {}, result, artifacts }, auth);
+      steps.push({ step: nextStep.step, status: 'executed', result, artifacts });
+    } catch (error) {
+      steps.push({ step: nextStep.step, status: 'failed', error: classifyWorkflowExecutionError(error, ErrorCodes) });
+      return stop('failed');
+    }
+  }
+}
+
+function lastStepArtifacts(session, step) {
+  return session.stepHistory.filter((entry) => entry.step === step && !entry.compensated).at(-1)?.artifacts || {};
+}
+
+/**
+ * Undo completed steps in reverse completion order with each step's declared
+ * compensation. Stops at the first failure or pending approval; steps without
+ * a compensation are reported as skipped and stay completed.
+ */
+async function rollbackSession(workflow, session, context, mutationReason, auth, callerId) {
+  const outcomes = [];
+  let current = session;
+  let stopped = false;
+
+  for (const step of [...session.completedSteps].reverse()) {
+    const compensation = workflow.compensateStep ? workflow.definition.steps[step]?.compensation : null;
+    if (!compensation) {
+      outcomes.push({ step, status: 'skipped', reason: 'No compensating action declared' });
+      continue;
+    }
+    const action = `${compensation.resource}.${compensation.action}`;
+    if (stopped) {
+      outcomes.push({ step, compensation: action, status: 'skipped', reason: 'Rollback stopped at an earlier step' });
+      continue;
+    }
+
+    try {
+      const result = await workflow.compensateStep(step, {
+        ...context,
+        ...lastStepArtifacts(session, step),
+        confirmMutation: true,
+        mutationReason: `${mutationReason} (rollback of ${step})`
+      }, { callerId });
+
+      if (result?.status === 'pending-approval') {
+        outcomes.push({ step, compensation: action, status: 'pending-approval', result });
+        stopped = true;
+        continue;
+      }
+
+      current = recordWorkflowCompensation(session.sessionId, { step, result }, auth) || current;
+      outcomes.push({ step, compensation: action, status: 'compensated', result });
+    } catch (error) {
+      outcomes.push({ step, compensation: action, status: 'failed', error: classifyWorkflowExecutionError(error, ErrorCodes) });
+      stopped = true;
+    }
+  }
+
+  const status = outcomes.some((outcome) => outcome.status === 'failed')
+    ? 'failed'
+    : outcomes.some((outcome) => outcome.status === 'pending-approval') ? 'pending-approval' : 'rolled-back';
+  return { status, steps: outcomes, session: current };
+}
+
+async function handleWorkflow(args = {}, extra = {}) {
   args = args || {};
-  const { intent, workflow, sessionId, sessionToken, scopeId, step, limit, input = {} } = args;
+  const { intent, workflow, sessionId, sessionToken, step, limit, confirmEnvironment } = args;
+  const input = withEnvironmentInput(args.input || {}, args);
+  const scopeId = resolveSessionScope(args.scopeId, extra);
+  // Approvals requested by workflow steps are filed under the calling identity
+  const callerId = resolveCallerId(extra);
 
   switch (intent) {
     case 'list-workflows':
@@ -83,6 +223,7 @@ async function handleWorkflow(args = {}) {
     case 'plan': {
       let workflowId = workflow;
       let mergedInput = input;
+      let session = null;
 
       if (sessionId) {
         const scopeError = requireSessionScope(scopeId);
@@ -95,7 +236,7 @@ async function handleWorkflow(args = {}) {
           return tokenError;
         }
 
-        const session = getWorkflowSession(sessionId, { scopeId, sessionToken });
+        session = getWorkflowSession(sessionId, { scopeId, sessionToken });
         if (!session) {
           return createErrorResponse(ErrorCodes.RESOURCE_NOT_FOUND, `Unknown workflow session: ${sessionId}`);
         }
@@ -127,7 +268,7 @@ async function handleWorkflow(args = {}) {
       }
 
       return createToolResponse({
-        ...(definition.plan(mergedInput)),
+        ...(definition.plan(mergedInput, session ? { completedSteps: session.completedSteps } : undefined)),
         ...(sessionId ? { sessionId } : {})
       });
     }
@@ -150,7 +291,7 @@ async function handleWorkflow(args = {}) {
       const session = createWorkflowSession(workflow, input, { scopeId });
       return createToolResponse({
         session,
-        plan: definition.plan(input)
+        plan: definition.plan(input, { completedSteps: session.completedSteps })
       }, { allowSecretKeys: ['sessionToken'] });
     }
 
@@ -178,7 +319,7 @@ async function handleWorkflow(args = {}) {
       const sessionContext = getWorkflowSessionContext(sessionId, { scopeId, sessionToken }) || {};
       return createToolResponse({
         session,
-        ...(definition ? { plan: definition.plan(sessionContext) } : {})
+        ...(definition ? { plan: definition.plan(sessionContext, { completedSteps: session.completedSteps }) } : {})
       });
     }
 
@@ -245,13 +386,18 @@ async function handleWorkflow(args = {}) {
         return createErrorResponse(ErrorCodes.RESOURCE_NOT_FOUND, `Unknown workflow: ${workflowId}`);
       }
 
-      const stepError = validateStep(definition, step);
+      const stepError = validateStep(definition.definition, step);
       if (stepError) {
         return stepError;
       }
 
       try {
-        const result = await definition.executeStep(step, mergedInput);
+        const result = await definition.executeStep(step, withEnvironmentConfirmation(mergedInput, confirmEnvironment), { completedSteps: session?.completedSteps, callerId });
+        if (result?.status === 'pending-approval') {
+          // The action has not run yet, so the step is not completed
+          return createToolResponse({ workflow: workflowId, ...(sessionId ? { sessionId } : {}), step, status: 'pending-approval', result, ...(session ? { session } : {}) });
+        }
+
         const artifacts = definition.captureArtifacts ? definition.captureArtifacts(step, result, mergedInput) : {};
 
         if (sessionId) {
@@ -297,7 +443,7 @@ async function handleWorkflow(args = {}) {
       }
       const refreshedSession = getWorkflowSession(sessionId, { scopeId, sessionToken });
       const refreshedContext = getWorkflowSessionContext(sessionId, { scopeId, sessionToken }) || {};
-      const planned = definition.plan(refreshedContext);
+      const planned = definition.plan(refreshedContext, { completedSteps: refreshedSession.completedSteps });
       const nextStep = planned.steps.find((stepPlan) => !refreshedSession.completedSteps.includes(stepPlan.step));
 
       if (!nextStep) {
@@ -320,7 +466,18 @@ async function handleWorkflow(args = {}) {
       }
 
       try {
-        const result = await definition.executeStep(nextStep.step, refreshedContext);
+        const result = await definition.executeStep(nextStep.step, withEnvironmentConfirmation(refreshedContext, confirmEnvironment), { completedSteps: refreshedSession.completedSteps, callerId });
+        if (result?.status === 'pending-approval') {
+          return createToolResponse({
+            sessionId,
+            workflow: session.workflowId,
+            status: 'pending-approval',
+            step: nextStep.step,
+            result,
+            session: refreshedSession
+          });
+        }
+
         const artifacts = definition.captureArtifacts ? definition.captureArtifacts(nextStep.step, result, refreshedContext) : {};
         const updatedSession = recordWorkflowStep(sessionId, { step: nextStep.step, input, result, artifacts }, { scopeId, sessionToken });
 
@@ -338,6 +495,91 @@ async function handleWorkflow(args = {}) {
       }
     }
 
+    case 'execute-until-blocked': {
+      if (!sessionId) {
+        return createErrorResponse(ErrorCodes.INVALID_PARAMS, 'sessionId parameter is required for execute-until-blocked intent');
+      }
+
+      const scopeError = requireSessionScope(scopeId);
+      if (scopeError) {
+        return scopeError;
+      }
+
+      const tokenError = requireSessionTokenInput(sessionToken);
+      if (tokenError) {
+        return tokenError;
+      }
+
+      const session = getWorkflowSession(sessionId, { scopeId, sessionToken });
+      if (!session) {
+        return createErrorResponse(ErrorCodes.RESOURCE_NOT_FOUND, `Unknown workflow session: ${sessionId}`);
+      }
+
+      const definition = getWorkflow(session.workflowId);
+      if (!definition) {
+        return createErrorResponse(ErrorCodes.RESOURCE_NOT_FOUND, `Unknown workflow: ${session.workflowId}`);
+      }
+
+      try {
+        mergeWorkflowSessionInput(sessionId, input, { scopeId, sessionToken });
+      } catch (error) {
+        return workflowErrorResponse(error, { workflow: session.workflowId, sessionId });
+      }
+
+      const maxSteps = Math.min(Math.max(Math.floor(Number(args.maxSteps)) || DEFAULT_UNTIL_BLOCKED_STEPS, 1), MAX_UNTIL_BLOCKED_STEPS);
+      const outcome = await runUntilBlocked(definition, sessionId, maxSteps, { scopeId, sessionToken }, { callerId, confirmEnvironment });
+      return createToolResponse({ sessionId, workflow: session.workflowId, executed: outcome.steps.filter((step) => step.status === 'executed').length, ...outcome });
+    }
+
+    case 'rollback': {
+      if (!sessionId) {
+        return createErrorResponse(ErrorCodes.INVALID_PARAMS, 'sessionId parameter is required for rollback intent');
+      }
+
+      const scopeError = requireSessionScope(scopeId);
+      if (scopeError) {
+        return scopeError;
+      }
+
+      const tokenError = requireSessionTokenInput(sessionToken);
+      if (tokenError) {
+        return tokenError;
+      }
+
+      const session = getWorkflowSession(sessionId, { scopeId, sessionToken });
+      if (!session) {
+        return createErrorResponse(ErrorCodes.RESOURCE_NOT_FOUND, `Unknown workflow session: ${sessionId}`);
+      }
+
+      const definition = getWorkflow(session.workflowId);
+      if (!definition) {
+        return createErrorResponse(ErrorCodes.RESOURCE_NOT_FOUND, `Unknown workflow: ${session.workflowId}`);
+      }
+
+      const compensable = session.completedSteps.filter((completed) => definition.compensateStep && definition.definition.steps[completed]?.compensation);
+      if (compensable.length === 0) {
+        return createToolResponse({ sessionId, workflow: session.workflowId, status: 'nothing-to-roll-back', steps: [], session });
+      }
+
+      // The guard reads this call's input only; a confirmation stored in the session does not count
+      if (input.confirmMutation !== true) {
+        return createErrorResponse(ErrorCodes.INVALID_PARAMS, `confirmMutation=true is required in input to roll back ${compensable.length} step(s): ${[...compensable].reverse().join(', ')}`);
+      }
+      if (!input.mutationReason) {
+        return createErrorResponse(ErrorCodes.INVALID_PARAMS, 'mutationReason is required in input for rollback');
+      }
+
+      let context;
+      try {
+        context = withEnvironmentConfirmation(previewWorkflowSessionInput(sessionId, input, { scopeId, sessionToken }), confirmEnvironment);
+      } catch (error) {
+        return workflowErrorResponse(error, { workflow: session.workflowId, sessionId });
+      }
+
+      const outcome = await rollbackSession(definition, session, context, String(input.mutationReason), { scopeId, sessionToken }, callerId);
+      return createToolResponse({ sessionId, workflow: session.workflowId, ...outcome });
+    }
+
     default:
       return createErrorResponse(ErrorCodes.INVALID_PARAMS, `Unknown intent: ${intent}`);
     }
@@ -347,7 +589,7 @@ export function registerPortfolioWorkflowTool(server) {
   registerMcpTool(
     server,
     'portfolio-workflow',
-    'Cross-product workflow tool for orchestrating guided steps across Lerian products. Supports workflow discovery, readiness planning, stateful workflow sessions, step execution, and execute-next progression. Implemented workflows include fetcher-to-reporter and matcher-to-fetcher-to-midaz.',
+    'Cross-product workflow tool for orchestrating guided steps across Lerian products. Supports workflow discovery, readiness planning, stateful workflow sessions, step execution, execute-next and execute-until-blocked progression, and rollback of completed steps through their compensating actions. Built-in workflows include fetcher-to-reporter and matcher-to-fetcher-to-midaz; declarative workflows loaded from workflowsDir are listed by list-workflows.',
     workflowInputSchema,
     wrapToolHandler(handleWorkflow),
     { annotations: TOOL_ANNOTATIONS.LIVE_API }
@@ -96,7 +96,9 @@ async function handleDiscover(args = {}) {
         pathParams: Object.keys(resolved.pathParams).length > 0 ? resolved.pathParams : undefined,
         queryParams: Object.keys(resolved.queryParams).length > 0 ? resolved.queryParams : undefined,
         input: resolved.input || undefined,
+        output: resolved.output || undefined,
         example: resolved.example || undefined,
+        pagination: resolved.pagination || undefined,
         hint: 'Use reporter-execute with this resource/action. For multipart actions, provide a multipart object. For idempotent creates, pass X-Idempotency via the headers object.'
       });
     }
@@ -143,13 +145,13 @@ async function handleDiscover(args = {}) {
   }
 }
 
-export function registerReporterDiscoverTool(server) {
+export function registerReporterDiscoverTool(server, registration = {}) {
   registerMcpTool(
     server,
     'reporter-discover',
     'Discover Reporter manager resources, actions, and execution contracts. Use this before reporter-execute to inspect multipart requirements for templates, request headers like X-Idempotency, report download behavior, and the available template/report/deadline/datasource endpoints.',
     discoverInputSchema,
     wrapToolHandler(handleDiscover),
-    { annotations: TOOL_ANNOTATIONS.READ_ONLY }
+    { ...registration, annotations: TOOL_ANNOTATIONS.READ_ONLY }
   );
 }
@@ -1,6 +1,9 @@
 import { z } from 'zod';
-import { routeAndExecute } from '../products/reporter/router.js';
-import { createToolResponse, createErrorResponse, wrapToolHandler, ErrorCodes } from '../util/mcp-helpers.js';
+import { resolveAction, routeAndExecute } from '../products/reporter/router.js';
+import { AUTO_PAGINATE_INPUT_SCHEMA } from '../products/pagination.js';
+import { createMutationDescriber } from '../products/http-helpers.js';
+import { createExecuteResponse, EXECUTE_OUTPUT_SCHEMA } from '../products/output-contract.js';
+import { createErrorResponse, wrapToolHandler, createProgressNotifier, ErrorCodes } from '../util/mcp-helpers.js';
 import { createExecutionErrorResponse } from './execution-error.js';
 import { registerMcpTool, TOOL_ANNOTATIONS } from '../util/mcp-registration.js';
 
@@ -12,13 +15,16 @@ const executeInputSchema = {
   body: z.record(z.string(), z.any()).optional().describe('JSON request body for standard JSON actions.'),
   multipart: z.record(z.string(), z.any()).optional().describe('Multipart form fields for template create/update. For file upload, use { template: { filename, content, contentType?, encoding? }, outputFormat, description }.'),
   headers: z.record(z.string(), z.string()).optional().describe('Optional allowlisted headers from the action contract, such as X-Idempotency.'),
+  autoPaginate: AUTO_PAGINATE_INPUT_SCHEMA,
+  environment: z.string().optional().describe('Named environment profile from the config "environments" block (e.g. "sandbox", "staging", "production"). Defaults to defaultEnvironment, or the base product config when none is set.'),
+  confirmEnvironment: z.string().optional().describe('Set to the environment name to confirm mutations against a profile marked requireConfirmation (typically production).'),
   confirmMutation: z.boolean().optional().describe('Required as true for POST, PUT, PATCH, or DELETE live API actions.'),
   mutationReason: z.string().optional().describe('Human-readable audit reason required for mutating live API actions.')
 };
 
-async function handleExecute(args = {}) {
+async function handleExecute(args = {}, extra) {
   args = args || {};
-  const { resource, action, pathParams, queryParams, body, multipart, headers, confirmMutation, mutationReason } = args;
+  const { resource, action, pathParams, queryParams, body, multipart, headers, autoPaginate, environment, confirmEnvironment, confirmMutation, mutationReason } = args;
 
   if (!resource || !action) {
     return createErrorResponse(
@@ -27,6 +33,7 @@ async function handleExecute(args = {}) {
     );
   }
 
+  let idempotency = null;
   try {
     const result = await routeAndExecute({
       resource,
@@ -37,10 +44,17 @@ async function handleExecute(args = {}) {
       multipart: multipart || undefined,
       headers: headers || undefined,
       confirmMutation,
-      mutationReason
+      mutationReason,
+      autoPaginate,
+      onProgress: createProgressNotifier(extra),
+      environment,
+      confirmEnvironment,
+      onIdempotencyKey: (info) => {
+        idempotency = info;
+      }
     });
 
-    return createToolResponse(result);
+    return createExecuteResponse('reporter', { resource, action }, result, idempotency);
   } catch (err) {
     return createExecutionErrorResponse({
       productName: 'Reporter',
@@ -54,13 +68,13 @@ async function handleExecute(args = {}) {
   }
 }
 
-export function registerReporterExecuteTool(server) {
+export function registerReporterExecuteTool(server, registration = {}) {
   registerMcpTool(
     server,
     'reporter-execute',
     'Execute Reporter manager API actions. Use reporter-discover first to inspect multipart requirements for template upload/update, request headers like X-Idempotency, and binary download behavior for report artifacts.',
     executeInputSchema,
     wrapToolHandler(handleExecute),
-    { annotations: TOOL_ANNOTATIONS.LIVE_API }
+    { ...registration, annotations: TOOL_ANNOTATIONS.LIVE_API, outputSchema: EXECUTE_OUTPUT_SCHEMA, describeMutation: createMutationDescriber(resolveAction) }
   );
 }
@@ -94,7 +94,10 @@ async function handleDiscover(args = {}) {
         pathParams: Object.keys(resolved.pathParams).length > 0 ? resolved.pathParams : undefined,
         queryParams: Object.keys(resolved.queryParams).length > 0 ? resolved.queryParams : undefined,
         input: resolved.input || undefined,
+        output: resolved.output || undefined,
         example: resolved.example || undefined,
+        pagination: resolved.pagination || undefined,
+        requiresApproval: resolved.requiresApproval || undefined,
         hint: 'Use tracer-execute with this resource/action. Tracer expects X-API-Key auth configured through TRACER_API_KEY.'
       });
     }
@@ -141,13 +144,13 @@ async function handleDiscover(args = {}) {
   }
 }
 
-export function registerTracerDiscoverTool(server) {
+export function registerTracerDiscoverTool(server, registration = {}) {
   registerMcpTool(
     server,
     'tracer-discover',
     'Discover Tracer API resources, actions, and execution contracts. Use this before tracer-execute to inspect rule/limit operations, validation payloads, audit investigation filters, and operational endpoints.',
     discoverInputSchema,
     wrapToolHandler(handleDiscover),
-    { annotations: TOOL_ANNOTATIONS.READ_ONLY }
+    { ...registration, annotations: TOOL_ANNOTATIONS.READ_ONLY }
   );
 }
@@ -95,7 +95,9 @@ async function handleDiscover(args = {}) {
         pathParams: Object.keys(resolved.pathParams).length > 0 ? resolved.pathParams : undefined,
         queryParams: Object.keys(resolved.queryParams).length > 0 ? resolved.queryParams : undefined,
         input: resolved.input || undefined,
+        output: resolved.output || undefined,
         example: resolved.example || undefined,
+        pagination: resolved.pagination || undefined,
         hint: 'Use underwriter-execute with this resource/action. Protected routes accept Authorization bearer tokens, and schedule preview expects decimal amounts as strings.'
       });
     }
@@ -142,13 +144,13 @@ async function handleDiscover(args = {}) {
   }
 }
 
-export function registerUnderwriterDiscoverTool(server) {
+export function registerUnderwriterDiscoverTool(server, registration = {}) {
   registerMcpTool(
     server,
     'underwriter-discover',
     'Discover Underwriter API resources, actions, and execution contracts. Use this before underwriter-execute to inspect jurisdiction discovery, loan product lifecycle actions, schedule preview payloads, and the example endpoints currently mounted by the service.',
     discoverInputSchema,
     wrapToolHandler(handleDiscover),
-    { annotations: TOOL_ANNOTATIONS.READ_ONLY }
+    { ...registration, annotations: TOOL_ANNOTATIONS.READ_ONLY }
   );
 }
@@ -1,6 +1,8 @@
 import { z } from 'zod';
-import { routeAndExecute } from '../products/underwriter/router.js';
-import { createToolResponse, createErrorResponse, wrapToolHandler, ErrorCodes } from '../util/mcp-helpers.js';
+import { resolveAction, routeAndExecute } from '../products/underwriter/router.js';
+import { createMutationDescriber } from '../products/http-helpers.js';
+import { createExecuteResponse, EXECUTE_OUTPUT_SCHEMA } from '../products/output-contract.js';
+import { createErrorResponse, wrapToolHandler, ErrorCodes } from '../util/mcp-helpers.js';
 import { createExecutionErrorResponse } from './execution-error.js';
 import { registerMcpTool, TOOL_ANNOTATIONS } from '../util/mcp-registration.js';
 
@@ -11,13 +13,15 @@ const executeInputSchema = {
   queryParams: z.record(z.string(), z.any()).optional().describe('Query parameters for list/filter actions.'),
   body: z.record(z.string(), z.any()).optional().describe('JSON request body for create/update/simulation actions.'),
   headers: z.record(z.string(), z.string()).optional().describe('Optional allowlisted headers from the action contract. Configured UNDERWRITER_AUTH_TOKEN remains authoritative.'),
+  environment: z.string().optional().describe('Named environment profile from the config "environments" block (e.g. "sandbox", "staging", "production"). Defaults to defaultEnvironment, or the base product config when none is set.'),
+  confirmEnvironment: z.string().optional().describe('Set to the environment name to confirm mutations against a profile marked requireConfirmation (typically production).'),
   confirmMutation: z.boolean().optional().describe('Required as true for POST, PUT, PATCH, or DELETE live API actions.'),
   mutationReason: z.string().optional().describe('Human-readable audit reason required for mutating live API actions.')
 };
 
-async function handleExecute(args = {}) {
+async function handleExecute(args = {}, extra) {
   args = args || {};
-  const { resource, action, pathParams, queryParams, body, headers, confirmMutation, mutationReason } = args;
+  const { resource, action, pathParams, queryParams, body, headers, environment, confirmEnvironment, confirmMutation, mutationReason } = args;
 
   if (!resource || !action) {
     return createErrorResponse(
@@ -26,6 +30,7 @@ async function handleExecute(args = {}) {
     );
   }
 
+  let idempotency = null;
   try {
     const result = await routeAndExecute({
       resource,
@@ -35,10 +40,15 @@ async function handleExecute(args = {}) {
       body: body || undefined,
       headers: headers || undefined,
       confirmMutation,
-      mutationReason
+      mutationReason,
+      environment,
+      confirmEnvironment,
+      onIdempotencyKey: (info) => {
+        idempotency = info;
+      }
     });
 
-    return createToolResponse(result);
+    return createExecuteResponse('underwriter', { resource, action }, result, idempotency);
   } catch (err) {
     return createExecutionErrorResponse({
       productName: 'Underwriter',
@@ -52,13 +62,13 @@ async function handleExecute(args = {}) {
   }
 }
 
-export function registerUnderwriterExecuteTool(server) {
+export function registerUnderwriterExecuteTool(server, registration = {}) {
   registerMcpTool(
     server,
     'underwriter-execute',
     'Execute Underwriter API actions. Use underwriter-discover first to inspect bearer-auth requirements for protected routes, loan product path/query contracts, and the schedule preview payload where decimal amounts are encoded as strings.',
     executeInputSchema,
     wrapToolHandler(handleExecute),
-    { annotations: TOOL_ANNOTATIONS.LIVE_API }
+    { ...registration, annotations: TOOL_ANNOTATIONS.LIVE_API, outputSchema: EXECUTE_OUTPUT_SCHEMA, describeMutation: createMutationDescriber(resolveAction) }
   );
 }
@@ -0,0 +1,365 @@
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import { withFileLockSync } from './file-lock.js';
+
+/**
+ * Tamper-evident audit log.
+ *
+ * Every line carries `seq`, `prevHmac` and `hmac`, where `hmac` is an
+ * HMAC-SHA256 over the canonical JSON of the entry including `prevHmac`. Editing
+ * a line breaks its own HMAC; removing or reordering lines breaks the link to
+ * the previous HMAC. The active file is rotated to `<name>.<timestamp>.log` by
+ * size or age, and the new file opens with an `audit_chain_continued` marker
+ * that names the rotated file, so removing a whole file is detected as well.
+ *
+ * Appends hold `<logPath>.lock` and re-read the chain head from the end of the
+ * file, so several server processes can write one log without forking it.
+ */
+
+export const AUDIT_CHAIN_GENESIS = '0'.repeat(64);
+export const AUDIT_CHAIN_CONTINUED = 'audit_chain_continued';
+
+const DEFAULT_QUERY_LIMIT = 100;
+const MAX_QUERY_LIMIT = 1000;
+const EDGE_CHUNK_BYTES = 64 * 1024;
+
+function canonicalize(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalize).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().filter((key) => value[key] !== undefined)
+      .map((key) => `${JSON.stringify(key)}:${canonicalize(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value ?? null);
+}
+
+function signEntry(key, entry) {
+  const { hmac: _hmac, ...unsigned } = entry;
+  return crypto.createHmac('sha256', key).update(canonicalize(unsigned)).digest('hex');
+}
+
+function readLines(filePath) {
+  try {
+    return fs.readFileSync(filePath, 'utf8').split('\n').filter((line) => line.trim());
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return [];
+    }
+    throw error;
+  }
+}
+
+function parseLine(line) {
+  try {
+    return JSON.parse(line);
+  } catch {
+    return null;
+  }
+}
+
+function openIfExists(filePath) {
+  try {
+    return fs.openSync(filePath, 'r');
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return null;
+    }
+    throw error;
+  }
+}
+
+/**
+ * Last signed entry of a file, read backwards in growing chunks.
+ */
+function readLastSignedEntry(filePath) {
+  const fd = openIfExists(filePath);
+  if (fd === null) {
+    return null;
+  }
+
+  try {
+    const size = fs.fstatSync(fd).size;
+    for (let chunk = EDGE_CHUNK_BYTES; ; chunk *= 4) {
+      const start = Math.max(0, size - chunk);
+      const buffer = Buffer.alloc(size - start);
+      fs.readSync(fd, buffer, 0, buffer.length, start);
+      const lines = buffer.toString('utf8').split('\n');
+      if (start > 0) {
+        // The first line of a partial chunk may be cut
+        lines.shift();
+      }
+      const last = lines.reverse().map(parseLine).find((entry) => entry?.hmac);
+      if (last || start === 0) {
+        return last || null;
+      }
+    }
+  } finally {
+    fs.closeSync(fd);
+  }
+}
+
+function readFirstEntry(filePath) {
+  const fd = openIfExists(filePath);
+  if (fd === null) {
+    return null;
+  }
+
+  try {
+    const buffer = Buffer.alloc(EDGE_CHUNK_BYTES);
+    const bytesRead = fs.readSync(fd, buffer, 0, buffer.length, 0);
+    return parseLine(buffer.subarray(0, bytesRead).toString('utf8').split('\n')[0]);
+  } finally {
+    fs.closeSync(fd);
+  }
+}
+
+function rotationStamp(date) {
+  return date.toISOString().replace(/[:.]/g, '-');
+}
+
+/**
+ * Create a chained audit log writer/reader for `logPath`.
+ *
+ * `key` may be a string or a function returning one; it is resolved on first
+ * use so the secret is only generated when audit logging is actually on.
+ */
+export function createAuditChain({ logPath, key, maxBytes = 10 * 1024 * 1024, maxAgeMs = 24 * 60 * 60 * 1000 }) {
+  const directory = path.dirname(logPath);
+  const extension = path.extname(logPath) || '.log';
+  const baseName = path.basename(logPath, extension);
+  const rotatedPattern = new RegExp(`^${baseName.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}\\.[0-9TZ-]+${extension.replace('.', '\\.')}$`);
+  let signingKey = null;
+  let state = null;
+
+  function getKey() {
+    if (!signingKey) {
+      signingKey = typeof key === 'function' ? key() : key;
+    }
+    return signingKey;
+  }
+
+  /**
+   * Rotated files oldest first, followed by the active file.
+   */
+  function listFiles() {
+    let rotated = [];
+    try {
+      rotated = fs.readdirSync(directory).filter((name) => rotatedPattern.test(name)).sort();
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        throw error;
+      }
+    }
+    return [...rotated.map((name) => path.join(directory, name)), logPath];
+  }
+
+  function loadState(previousState) {
+    const last = readLastSignedEntry(logPath);
+    if (last) {
+      // Same file as our last write: keep its start time rather than trusting entry timestamps
+      const ino = fs.statSync(logPath).ino;
+      const startedAt = previousState?.ino === ino
+        ? previousState.startedAt
+        : Date.parse(readFirstEntry(logPath)?.timestamp) || Date.now();
+      return { seq: last.seq, hmac: last.hmac, startedAt, ino };
+    }
+
+    // An empty active file continues from the newest rotated file, if any
+    const previousFile = listFiles().slice(0, -1).pop();
+    const previous = previousFile ? readLastSignedEntry(previousFile) : null;
+    return previous
+      ? { seq: previous.seq, hmac: previous.hmac, startedAt: Date.now(), continueFrom: path.basename(previousFile) }
+      : { seq: -1, hmac: AUDIT_CHAIN_GENESIS, startedAt: Date.now() };
+  }
+
+  function writeEntry(fields) {
+    const entry = { ...fields, seq: state.seq + 1, prevHmac: state.hmac };
+    entry.hmac = signEntry(getKey(), entry);
+    fs.appendFileSync(logPath, JSON.stringify(entry) + '\n', { mode: 0o600 });
+    state.seq = entry.seq;
+    state.hmac = entry.hmac;
+    state.ino = fs.statSync(logPath).ino;
+    return entry;
+  }
+
+  function writeContinuation(previousFile, reason) {
+    writeEntry({
+      timestamp: new Date().toISOString(),
+      type: AUDIT_CHAIN_CONTINUED,
+      previousFile,
+      previousSeq: state.seq,
+      reason
+    });
+  }
+
+  function rotateIfNeeded(lineBytes) {
+    let size = 0;
+    try {
+      size = fs.statSync(logPath).size;
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        throw error;
+      }
+    }
+    if (size === 0) {
+      return;
+    }
+
+    const reason = size + lineBytes > maxBytes ? 'size' : (Date.now() - state.startedAt >= maxAgeMs ? 'age' : null);
+    if (!reason) {
+      return;
+    }
+
+    const rotatedName = `${baseName}.${rotationStamp(new Date())}${extension}`;
+    fs.renameSync(logPath, path.join(directory, rotatedName));
+    state.startedAt = Date.now();
+    writeContinuation(rotatedName, reason);
+  }
+
+  /**
+   * Chain and append one entry. Returns the entry as written.
+   */
+  function append(fields) {
+    fs.mkdirSync(directory, { recursive: true });
+    return withFileLockSync(`${logPath}.lock`, () => {
+      // Another process may have appended or rotated since the last call
+      state = loadState(state);
+      if (state.continueFrom) {
+        writeContinuation(state.continueFrom, 'restart');
+        delete state.continueFrom;
+      }
+
+      rotateIfNeeded(Buffer.byteLength(JSON.stringify(fields)) + 200);
+      return writeEntry(fields);
+    });
+  }
+
+  /**
+   * Walk every file and report edited, removed, reordered or unsigned lines
+   * and missing rotated files. A chain whose oldest remaining file opens with
+   * a continuation marker is reported in `notes`: older files were pruned.
+   */
+  function verify() {
+    const issues = [];
+    const notes = [];
+    const files = listFiles().filter((filePath) => fs.existsSync(filePath));
+    let expected = null;
+    let entries = 0;
+
+    files.forEach((filePath, fileIndex) => {
+      const file = path.basename(filePath);
+      readLines(filePath).forEach((line, lineIndex) => {
+        const location = { file, line: lineIndex + 1 };
+        const entry = parseLine(line);
+        entries += 1;
+
+        if (!entry) {
+          issues.push({ ...location, issue: 'unparseable', message: 'Line is not valid JSON.' });
+          return;
+        }
+        if (!entry.hmac) {
+          issues.push({ ...location, issue: 'unsigned', message: 'Entry has no hmac (written before chaining or added by hand).' });
+          return;
+        }
+
+        if (signEntry(getKey(), entry) !== entry.hmac) {
+          issues.push({ ...location, seq: entry.seq, issue: 'edited', message: 'Entry content does not match its hmac.' });
+        }
+
+        if (lineIndex === 0 && entry.type === AUDIT_CHAIN_CONTINUED) {
+          const previous = fileIndex > 0 ? path.basename(files[fileIndex - 1]) : null;
+          if (!previous) {
+            notes.push(`${file} continues from ${entry.previousFile}, which is no longer present (pruned by retention or removed).`);
+            expected = { seq: entry.seq - 1, hmac: entry.prevHmac };
+          } else if (entry.previousFile !== previous) {
+            issues.push({ ...location, seq: entry.seq, issue: 'missing_file', message: `Chain continues from ${entry.previousFile}, but the preceding file is ${previous}.` });
+          }
+        } else if (lineIndex === 0 && fileIndex > 0) {
+          issues.push({ ...location, seq: entry.seq, issue: 'missing_continuation', message: 'File does not open with a chain continuation marker.' });
+        }
+
+        const expectedPrev = expected ? expected.hmac : AUDIT_CHAIN_GENESIS;
+        const expectedSeq = expected ? expected.seq + 1 : 0;
+        if (entry.prevHmac !== expectedPrev || entry.seq !== expectedSeq) {
+          issues.push({
+            ...location,
+            seq: entry.seq,
+            issue: 'chain_break',
+            message: `Expected seq ${expectedSeq} linked to the previous entry; lines before this one were removed, reordered or inserted.`
+          });
+        }
+
+        // Resynchronize on the stored values so one tampered line is reported once
+        expected = { seq: entry.seq, hmac: entry.hmac };
+      });
+    });
+
+    return {
+      valid: issues.length === 0,
+      files: files.map((filePath) => path.basename(filePath)),
+      entries,
+      // Record the head elsewhere to also detect truncation of the newest entries
+      head: expected,
+      issues,
+      notes
+    };
+  }
+
+  /**
+   * Filter entries across all files. Results are chronological; when more than
+   * `limit` entries match, the most recent ones are returned.
+   */
+  function query({ tool, product, caller, type, outcome, from, to, limit } = {}) {
+    const fromTime = from ? Date.parse(from) : null;
+    const toTime = to ? Date.parse(to) : null;
+    const max = Math.min(Math.max(Number(limit) || DEFAULT_QUERY_LIMIT, 1), MAX_QUERY_LIMIT);
+    const matches = [];
+
+    for (const filePath of listFiles()) {
+      for (const line of readLines(filePath)) {
+        const entry = parseLine(line);
+        if (!entry) {
+          continue;
+        }
+
+        const timestamp = Date.parse(entry.timestamp);
+        if (tool && entry.tool !== tool) continue;
+        if (product && entry.product !== product && !String(entry.tool || '').startsWith(`${product}-`)) continue;
+        if (caller && entry.user !== caller) continue;
+        if (type && entry.type !== type) continue;
+        if (outcome && entry.success !== (outcome === 'success')) continue;
+        if (fromTime !== null && !(timestamp >= fromTime)) continue;
+        if (toTime !== null && !(timestamp <= toTime)) continue;
+
+        const { prevHmac: _prevHmac, hmac: _hmac, ...visible } = entry;
+        matches.push(visible);
+      }
+    }
+
+    return {
+      total: matches.length,
+      truncated: matches.length > max,
+      entries: matches.slice(-max)
+    };
+  }
+
+  /**
+   * Delete rotated files last written before the cutoff. The active file is
+   * never pruned, and the chain stays verifiable from the oldest kept file.
+   */
+  function prune(daysToKeep) {
+    const cutoff = Date.now() - daysToKeep * 24 * 60 * 60 * 1000;
+    const removed = [];
+    for (const filePath of listFiles().slice(0, -1)) {
+      if (fs.statSync(filePath).mtimeMs < cutoff) {
+        fs.rmSync(filePath, { force: true });
+        removed.push(path.basename(filePath));
+      }
+    }
+    return removed;
+  }
+
+  return { append, verify, query, prune, listFiles };
+}
@@ -0,0 +1,306 @@
+/**
+ * Caller authentication for the HTTP transports
+ *
+ * Validates bearer credentials on incoming MCP requests and turns them into
+ * SDK `AuthInfo` objects. Two credential types are supported:
+ * - static API keys from config (`auth.apiKeys`), compared by SHA-256 hash
+ * - JWTs signed by a key from a local JWKS file (`auth.jwt.jwksPath`)
+ *
+ * The resulting identity reaches tool handlers as `extra.authInfo` and is used
+ * for rate limiting, audit entries, and workflow session scoping.
+ */
+
+import crypto from 'crypto';
+import fs from 'fs';
+import { ErrorCodes } from './mcp-helpers.js';
+
+const AUTH_REALM = 'lerian-mcp';
+
+const JWT_VERIFIERS = {
+  RS256: { digest: 'sha256' },
+  RS384: { digest: 'sha384' },
+  RS512: { digest: 'sha512' },
+  PS256: { digest: 'sha256', padding: crypto.constants.RSA_PKCS1_PSS_PADDING, saltLength: 32 },
+  PS384: { digest: 'sha384', padding: crypto.constants.RSA_PKCS1_PSS_PADDING, saltLength: 48 },
+  PS512: { digest: 'sha512', padding: crypto.constants.RSA_PKCS1_PSS_PADDING, saltLength: 64 },
+  ES256: { digest: 'sha256', dsaEncoding: 'ieee-p1363' },
+  ES384: { digest: 'sha384', dsaEncoding: 'ieee-p1363' },
+  ES512: { digest: 'sha512', dsaEncoding: 'ieee-p1363' },
+  EdDSA: { digest: null }
+};
+
+const DEFAULT_JWT_ALGORITHMS = ['RS256', 'ES256', 'EdDSA'];
+
+function authError(message, statusCode = 401) {
+  return Object.assign(new Error(message), {
+    statusCode,
+    jsonRpcCode: ErrorCodes.RESOURCE_ACCESS_DENIED,
+    headers: statusCode === 401
+      ? { 'WWW-Authenticate': `Bearer realm="${AUTH_REALM}"` }
+      : undefined
+  });
+}
+
+function sha256Hex(value) {
+  return crypto.createHash('sha256').update(String(value)).digest('hex');
+}
+
+function hashesMatch(leftHex, rightHex) {
+  const left = Buffer.from(leftHex, 'hex');
+  const right = Buffer.from(rightHex, 'hex');
+  return left.length === right.length && crypto.timingSafeEqual(left, right);
+}
+
+function base64UrlDecode(segment) {
+  return Buffer.from(segment, 'base64url');
+}
+
+function parseJsonSegment(segment, label) {
+  try {
+    return JSON.parse(base64UrlDecode(segment).toString('utf8'));
+  } catch (_error) {
+    throw authError(`Malformed JWT ${label}`);
+  }
+}
+
+function normalizeScopes(value) {
+  if (Array.isArray(value)) {
+    return value.map(String);
+  }
+
+  if (typeof value === 'string' && value.trim()) {
+    return value.trim().split(/\s+/);
+  }
+
+  return [];
+}
+
+/**
+ * Extract the presented credential from Authorization or X-API-Key headers.
+ */
+export function extractBearerToken(headers = {}) {
+  const authorization = Array.isArray(headers.authorization) ? headers.authorization[0] : headers.authorization;
+  if (typeof authorization === 'string') {
+    const match = authorization.match(/^Bearer\s+(.+)$/i);
+    if (match) {
+      return match[1].trim();
+    }
+  }
+
+  const apiKey = Array.isArray(headers['x-api-key']) ? headers['x-api-key'][0] : headers['x-api-key'];
+  return typeof apiKey === 'string' && apiKey.trim() ? apiKey.trim() : null;
+}
+
+function normalizeApiKeys(apiKeys = []) {
+  if (!Array.isArray(apiKeys)) {
+    return [];
+  }
+
+  return apiKeys
+    .filter((entry) => entry && (entry.key || entry.keyHash) && (entry.userId || entry.id))
+    .map((entry) => ({
+      userId: String(entry.userId || entry.id),
+      keyHash: String(entry.keyHash || sha256Hex(entry.key)).toLowerCase(),
+      scopes: normalizeScopes(entry.scopes)
+    }));
+}
+
+function authenticateApiKey(token, apiKeys) {
+  const presentedHash = sha256Hex(token);
+  let matched = null;
+
+  // Compare against every key so the lookup time does not reveal which entry matched
+  for (const entry of apiKeys) {
+    if (hashesMatch(presentedHash, entry.keyHash) && !matched) {
+      matched = entry;
+    }
+  }
+
+  if (!matched) {
+    return null;
+  }
+
+  return {
+    token,
+    clientId: matched.userId,
+    scopes: matched.scopes,
+    extra: { userId: matched.userId, authMethod: 'api-key' }
+  };
+}
+
+function createJwksLoader(jwksPath) {
+  let cached = null;
+
+  return () => {
+    const stats = fs.statSync(jwksPath);
+    if (cached && cached.mtimeMs === stats.mtimeMs) {
+      return cached.keys;
+    }
+
+    const parsed = JSON.parse(fs.readFileSync(jwksPath, 'utf8'));
+    const keys = Array.isArray(parsed?.keys) ? parsed.keys : [];
+    cached = { mtimeMs: stats.mtimeMs, keys };
+    return keys;
+  };
+}
+
+function selectJwk(keys, header) {
+  const candidates = keys.filter((key) => !key.use || key.use === 'sig');
+  if (header.kid) {
+    return candidates.find((key) => key.kid === header.kid) || null;
+  }
+
+  return candidates.length === 1 ? candidates[0] : null;
+}
+
+function verifyJwtSignature(alg, jwk, signingInput, signature) {
+  const verifier = JWT_VERIFIERS[alg];
+  const publicKey = crypto.createPublicKey({ key: jwk, format: 'jwk' });
+  const options = {
+    key: publicKey,
+    ...(verifier.padding ? { padding: verifier.padding, saltLength: verifier.saltLength } : {}),
+    ...(verifier.dsaEncoding ? { dsaEncoding: verifier.dsaEncoding } : {})
+  };
+
+  return crypto.verify(verifier.digest, Buffer.from(signingInput), options, signature);
+}
+
+/**
+ * Validate a compact JWS token against the configured JWKS and claim rules.
+ *
+ * @param {string} token - Compact JWT
+ * @param {Object} jwtConfig - auth.jwt config block
+ * @param {Function} loadKeys - Returns the JWKS key list
+ * @returns {Object} SDK AuthInfo
+ */
+export function verifyJwt(token, jwtConfig, loadKeys) {
+  const parts = token.split('.');
+  if (parts.length !== 3) {
+    throw authError('Malformed JWT');
+  }
+
+  const [encodedHeader, encodedPayload, encodedSignature] = parts;
+  const header = parseJsonSegment(encodedHeader, 'header');
+  const payload = parseJsonSegment(encodedPayload, 'payload');
+  const allowedAlgorithms = Array.isArray(jwtConfig.algorithms) && jwtConfig.algorithms.length > 0
+    ? jwtConfig.algorithms
+    : DEFAULT_JWT_ALGORITHMS;
+
+  if (!JWT_VERIFIERS[header.alg] || !allowedAlgorithms.includes(header.alg)) {
+    throw authError(`JWT algorithm "${header.alg}" is not allowed`);
+  }
+
+  const jwk = selectJwk(loadKeys(), header);
+  if (!jwk) {
+    throw authError('No matching signing key found for JWT');
+  }
+
+  let validSignature = false;
+  try {
+    validSignature = verifyJwtSignature(header.alg, jwk, `${encodedHeader}.${encodedPayload}`, base64UrlDecode(encodedSignature));
+  } catch (_error) {
+    validSignature = false;
+  }
+
+  if (!validSignature) {
+    throw authError('Invalid JWT signature');
+  }
+
+  const now = Math.floor(Date.now() / 1000);
+  const tolerance = Number(jwtConfig.clockToleranceSec ?? 30);
+
+  if (typeof payload.exp !== 'number' || payload.exp + tolerance < now) {
+    throw authError('JWT is expired or has no exp claim');
+  }
+
+  if (typeof payload.nbf === 'number' && payload.nbf - tolerance > now) {
+    throw authError('JWT is not valid yet');
+  }
+
+  if (jwtConfig.issuer && payload.iss !== jwtConfig.issuer) {
+    throw authError('JWT issuer is not trusted');
+  }
+
+  if (jwtConfig.audience) {
+    const audiences = Array.isArray(payload.aud) ? payload.aud : [payload.aud];
+    if (!audiences.includes(jwtConfig.audience)) {
+      throw authError('JWT audience does not match this server');
+    }
+  }
+
+  const userIdClaim = jwtConfig.userIdClaim || 'sub';
+  const userId = payload[userIdClaim];
+  if (!userId || typeof userId !== 'string') {
+    throw authError(`JWT is missing the "${userIdClaim}" identity claim`);
+  }
+
+  return {
+    token,
+    clientId: userId,
+    scopes: normalizeScopes(payload[jwtConfig.scopesClaim || 'scope']),
+    expiresAt: payload.exp,
+    extra: { userId, authMethod: 'jwt', issuer: payload.iss }
+  };
+}
+
+/**
+ * Build the request authenticator for the HTTP transports.
+ *
+ * @param {Object} authConfig - `auth` config block
+ * @returns {Function|null} `(req) => AuthInfo | undefined`, or null when auth is disabled
+ */
+export function createAuthenticator(authConfig = {}) {
+  if (!authConfig?.enabled) {
+    return null;
+  }
+
+  const apiKeys = normalizeApiKeys(authConfig.apiKeys);
+  const jwtConfig = authConfig.jwt?.jwksPath ? authConfig.jwt : null;
+  const loadKeys = jwtConfig ? createJwksLoader(jwtConfig.jwksPath) : null;
+
+  if (apiKeys.length === 0 && !jwtConfig) {
+    throw new Error('auth.enabled requires at least one entry in auth.apiKeys or an auth.jwt.jwksPath');
+  }
+
+  const required = authConfig.required !== false;
+
+  return (req) => {
+    const token = extractBearerToken(req.headers);
+    if (!token) {
+      if (required) {
+        throw authError('Missing bearer token or API key');
+      }
+      return undefined;
+    }
+
+    const apiKeyAuth = apiKeys.length > 0 ? authenticateApiKey(token, apiKeys) : null;
+    if (apiKeyAuth) {
+      return apiKeyAuth;
+    }
+
+    if (jwtConfig && token.split('.').length === 3) {
+      return verifyJwt(token, jwtConfig, loadKeys);
+    }
+
+    throw authError('Invalid bearer token or API key');
+  };
+}
+
+/**
+ * Identity established by the transport authenticator, if any.
+ */
+export function getAuthenticatedCallerId(extra) {
+  const authInfo = extra?.authInfo;
+  const userId = authInfo?.extra?.userId || authInfo?.clientId;
+  return typeof userId === 'string' && userId ? userId : null;
+}
+
+/**
+ * Best-known caller identity for rate limiting and audit entries.
+ */
+export function resolveCallerId(extra) {
+  return getAuthenticatedCallerId(extra) ||
+    extra?.context?.userId ||
+    extra?.requestInfo?.userId ||
+    'anonymous';
+}
@@ -372,6 +372,23 @@ export function extractConnectionInfo(server, transport) {
       info.remotePort = transport.socket.remotePort;
     }
 
+    // HTTP transports hand over the request headers of the session's first request
+    if (transport && transport.headers) {
+      info.headers = transport.headers;
+      info.userAgent = transport.headers['user-agent'] || '';
+    }
+
+    // Client name reported during MCP initialization
+    const clientVersion = server?.server?.getClientVersion?.();
+    if (clientVersion?.name) {
+      info.clientName = clientVersion.name;
+    }
+
+    // Protocol features the client declared during MCP initialization
+    if (server?.server?.getClientCapabilities?.()) {
+      info.capabilities = { supportsElicitation: supportsElicitation(server) };
+    }
+
     // Extract from process environment
     info.environment = {
       TERM_PROGRAM: process.env.TERM_PROGRAM,
@@ -397,6 +414,18 @@ export function extractConnectionInfo(server, transport) {
   return info;
 }
 
+/**
+ * Whether the connected client declared form-mode elicitation during MCP
+ * initialization. An empty `elicitation` object means form mode.
+ */
+export function supportsElicitation(server) {
+  const elicitation = server?.server?.getClientCapabilities?.()?.elicitation;
+  if (!elicitation || typeof elicitation !== 'object') {
+    return false;
+  }
+  return Object.keys(elicitation).length === 0 || Boolean(elicitation.form);
+}
+
 /**
  * Update client capabilities based on runtime behavior
  */
@@ -439,5 +468,6 @@ export default {
   detectClient,
   extractConnectionInfo,
   updateClientCapabilities,
+  supportsElicitation,
   DEFAULT_CLIENT
 };
\ No newline at end of file
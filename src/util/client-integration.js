@@ -22,6 +22,7 @@ export class ClientIntegrationManager {
     this.responseFormatter = null;
     this.behaviorTracker = new Map();
     this.connectionStats = new Map();
+    this.behaviorInterval = null;
     this.isInitialized = false;
   }
 
@@ -371,9 +372,11 @@ export class ClientIntegrationManager {
    */
   initializeBehaviorTracking() {
     // Set up periodic behavior analysis
-    setInterval(() => {
+    clearInterval(this.behaviorInterval);
+    this.behaviorInterval = setInterval(() => {
       this.analyzeBehaviorPatterns();
     }, 60000); // Every minute
+    this.behaviorInterval.unref?.();
     
     logger.debug('Behavior tracking initialized');
   }
@@ -491,6 +494,8 @@ export class ClientIntegrationManager {
    * Reset tracking data
    */
   reset() {
+    clearInterval(this.behaviorInterval);
+    this.behaviorInterval = null;
     this.behaviorTracker.clear();
     this.connectionStats.clear();
     this.currentClient = null;
@@ -506,9 +511,12 @@ export const clientIntegration = new ClientIntegrationManager();
 
 /**
  * Initialize client detection for MCP server
+ *
+ * HTTP transports pass a dedicated manager per session so each connected
+ * client is detected and tracked independently of the others.
  */
-export async function initializeClientDetection(server, transport = null) {
-  return await clientIntegration.initialize(server, transport);
+export async function initializeClientDetection(server, transport = null, manager = clientIntegration) {
+  return await manager.initialize(server, transport);
 }
 
 /**
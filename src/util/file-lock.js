@@ -0,0 +1,141 @@
+import crypto from 'crypto';
+import fs from 'fs';
+import os from 'os';
+
+/**
+ * Advisory lock files shared by the on-disk stores (workflow sessions,
+ * approvals, audit chain) so several server processes can use one file.
+ *
+ * The lock is created with `wx` and records its owner's host, PID, and a
+ * random token. A waiter treats the lock as stale once its owner process is
+ * gone (same host) or it is older than `staleMs`, which is kept below
+ * `timeoutMs` so a crashed holder never outlasts a waiter. A stale lock is
+ * moved aside before removal and put back if it turns out to be a fresh one,
+ * so two waiters cannot both remove it and both acquire.
+ */
+
+export const DEFAULT_LOCK_TIMEOUT_MS = 5000;
+export const DEFAULT_LOCK_STALE_MS = 2000;
+const LOCK_RETRY_MS = 20;
+
+function sleepSync(ms) {
+  Atomics.wait(new Int32Array(new SharedArrayBuffer(4)), 0, 0, ms);
+}
+
+function readOwner(filePath) {
+  try {
+    return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch {
+    return null;
+  }
+}
+
+function isProcessAlive(pid) {
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (error) {
+    return error.code === 'EPERM';
+  }
+}
+
+function tryAcquire(lockPath, token) {
+  try {
+    const fd = fs.openSync(lockPath, 'wx', 0o600);
+    fs.writeSync(fd, JSON.stringify({ host: os.hostname(), pid: process.pid, token }));
+    fs.closeSync(fd);
+    return true;
+  } catch (error) {
+    if (error.code !== 'EEXIST') {
+      throw error;
+    }
+    return false;
+  }
+}
+
+function findStaleOwner(lockPath, staleMs) {
+  let stat;
+  try {
+    stat = fs.statSync(lockPath);
+  } catch {
+    return null;
+  }
+
+  const owner = readOwner(lockPath);
+  const ownerGone = owner?.host === os.hostname() && Number.isInteger(owner.pid) && !isProcessAlive(owner.pid);
+  return ownerGone || Date.now() - stat.mtimeMs > staleMs ? (owner || {}) : null;
+}
+
+function reclaimStaleLock(lockPath, staleOwner) {
+  const claimed = `${lockPath}.${process.pid}.${crypto.randomUUID()}.stale`;
+  try {
+    fs.renameSync(lockPath, claimed);
+  } catch {
+    // Another waiter reclaimed it first
+    return;
+  }
+
+  // The lock changed hands between the check and the rename: put the live one back
+  if (readOwner(claimed)?.token !== staleOwner.token) {
+    try {
+      fs.linkSync(claimed, lockPath);
+    } catch {
+      // A new holder already took lockPath
+    }
+  }
+  fs.rmSync(claimed, { force: true });
+}
+
+function releaseLock(lockPath, token) {
+  if (readOwner(lockPath)?.token === token) {
+    fs.rmSync(lockPath, { force: true });
+  }
+}
+
+function lockStep(lockPath, token, deadline, staleMs) {
+  if (tryAcquire(lockPath, token)) {
+    return true;
+  }
+  const staleOwner = findStaleOwner(lockPath, staleMs);
+  if (staleOwner) {
+    reclaimStaleLock(lockPath, staleOwner);
+    return tryAcquire(lockPath, token);
+  }
+  if (Date.now() >= deadline) {
+    throw new Error(`Timed out waiting for lock ${lockPath}`);
+  }
+  return false;
+}
+
+/**
+ * Run `fn` while holding `lockPath`, blocking the thread between retries.
+ * Use only around short, synchronous critical sections.
+ */
+export function withFileLockSync(lockPath, fn, { timeoutMs = DEFAULT_LOCK_TIMEOUT_MS, staleMs = DEFAULT_LOCK_STALE_MS } = {}) {
+  const token = crypto.randomUUID();
+  const deadline = Date.now() + timeoutMs;
+  while (!lockStep(lockPath, token, deadline, staleMs)) {
+    sleepSync(LOCK_RETRY_MS);
+  }
+  try {
+    return fn();
+  } finally {
+    releaseLock(lockPath, token);
+  }
+}
+
+/**
+ * Run `fn` while holding `lockPath`, yielding to the event loop between retries.
+ */
+export async function withFileLock(lockPath, fn, { timeoutMs = DEFAULT_LOCK_TIMEOUT_MS, staleMs = DEFAULT_LOCK_STALE_MS } = {}) {
+  const token = crypto.randomUUID();
+  const deadline = Date.now() + timeoutMs;
+  while (!lockStep(lockPath, token, deadline, staleMs)) {
+    await new Promise((resolve) => setTimeout(resolve, LOCK_RETRY_MS));
+  }
+  try {
+    return await fn();
+  } finally {
+    releaseLock(lockPath, token);
+  }
+}
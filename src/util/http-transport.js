@@ -0,0 +1,353 @@
+/**
+ * HTTP transports for hosting one shared Lerian MCP server
+ *
+ * Serves MCP over Streamable HTTP (`transport: 'http'`) or the legacy
+ * HTTP+SSE protocol (`transport: 'sse'`). Every MCP session gets its own
+ * McpServer instance from the supplied factory so per-session state such as
+ * client detection never leaks between callers.
+ */
+
+import http from 'http';
+import crypto from 'crypto';
+import { StreamableHTTPServerTransport } from '@modelcontextprotocol/sdk/server/streamableHttp.js';
+import { SSEServerTransport } from '@modelcontextprotocol/sdk/server/sse.js';
+import { isInitializeRequest } from '@modelcontextprotocol/sdk/types.js';
+import { isLocalConnection } from './security.js';
+import { createLogger } from './mcp-logging.js';
+
+const logger = createLogger('http-transport');
+
+const DEFAULT_MAX_BODY_BYTES = 1024 * 1024;
+const DEFAULT_MAX_SESSIONS = 100;
+const DEFAULT_SESSION_IDLE_TIMEOUT_MS = 30 * 60 * 1000;
+const MAX_SESSION_SWEEP_INTERVAL_MS = 60 * 1000;
+const SSE_MESSAGES_PATH = '/messages';
+
+export const HTTP_TRANSPORT_MODES = ['http', 'sse'];
+
+function sendJsonRpcError(res, statusCode, code, message, headers = {}) {
+  if (res.headersSent) {
+    return;
+  }
+
+  res.writeHead(statusCode, { 'Content-Type': 'application/json', ...headers });
+  res.end(JSON.stringify({ jsonrpc: '2.0', error: { code, message }, id: null }));
+}
+
+function readJsonBody(req, maxBodyBytes) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let totalBytes = 0;
+
+    req.on('data', (chunk) => {
+      totalBytes += chunk.length;
+      if (totalBytes > maxBodyBytes) {
+        reject(Object.assign(new Error(`Request body exceeds the configured ${maxBodyBytes} byte limit`), { statusCode: 413 }));
+        req.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+
+    req.on('end', () => {
+      const text = Buffer.concat(chunks).toString('utf8');
+      if (!text.trim()) {
+        resolve(undefined);
+        return;
+      }
+
+      try {
+        resolve(JSON.parse(text));
+      } catch (_error) {
+        reject(Object.assign(new Error('Request body must be valid JSON'), { statusCode: 400 }));
+      }
+    });
+
+    req.on('error', reject);
+  });
+}
+
+function sessionCallerId(auth) {
+  return auth?.clientId || 'anonymous';
+}
+
+function getConnectionInfo(req) {
+  return {
+    socket: req.socket,
+    headers: req.headers
+  };
+}
+
+/**
+ * Start an HTTP listener that serves MCP sessions.
+ *
+ * @param {Object} options
+ * @param {string} [options.mode] - 'http' (Streamable HTTP) or 'sse' (legacy HTTP+SSE)
+ * @param {string} [options.host] - Interface to bind (defaults to loopback)
+ * @param {number} [options.port] - Port to listen on (0 picks a free port)
+ * @param {string} [options.path] - MCP endpoint path
+ * @param {boolean} [options.allowRemote] - Accept non-loopback Host headers and socket addresses
+ * @param {number} [options.maxBodyBytes] - Maximum JSON-RPC request body size
+ * @param {number} [options.maxSessions] - Maximum concurrent MCP sessions
+ * @param {number} [options.sessionIdleTimeoutMs] - Close sessions that have seen no request for this long
+ * @param {Function} options.createServer - Factory returning a fresh McpServer per session
+ * @param {Function} [options.onSessionStarted] - Called with (server, connectionInfo, sessionId) after connect
+ * @param {Function} [options.onSessionClosed] - Called with (sessionId) after a session ends
+ * @param {Function} [options.authenticate] - Called with (req); may throw to reject or return SDK AuthInfo,
+ *   which reaches tool handlers as `extra.authInfo`
+ * @returns {Promise<Object>} Handle with httpServer, address, sessionCount() and close()
+ */
+export async function startHttpTransport({
+  mode = 'http',
+  host = '127.0.0.1',
+  port = 3333,
+  path = '/mcp',
+  allowRemote = false,
+  maxBodyBytes = DEFAULT_MAX_BODY_BYTES,
+  maxSessions = DEFAULT_MAX_SESSIONS,
+  sessionIdleTimeoutMs = DEFAULT_SESSION_IDLE_TIMEOUT_MS,
+  createServer,
+  onSessionStarted,
+  onSessionClosed,
+  authenticate
+}) {
+  if (!HTTP_TRANSPORT_MODES.includes(mode)) {
+    throw new Error(`Unsupported HTTP transport mode "${mode}". Use one of: ${HTTP_TRANSPORT_MODES.join(', ')}`);
+  }
+
+  if (typeof createServer !== 'function') {
+    throw new Error('createServer factory is required for HTTP transports');
+  }
+
+  const sessions = new Map();
+
+  async function closeSession(sessionId) {
+    const session = sessions.get(sessionId);
+    if (!session) {
+      return;
+    }
+
+    sessions.delete(sessionId);
+    try {
+      await session.server.close();
+    } catch (error) {
+      logger.warning('Failed to close MCP session server', { sessionId, error: error.message });
+    }
+    await onSessionClosed?.(sessionId);
+    logger.info('MCP session closed', { sessionId, mode });
+  }
+
+  async function registerSession(sessionId, server, transport, req) {
+    // Sessions are bound to the caller that opened them; unauthenticated ones to 'anonymous'
+    sessions.set(sessionId, { server, transport, callerId: sessionCallerId(req.auth), lastSeenAt: Date.now() });
+    logger.info('MCP session started', { sessionId, mode });
+    try {
+      await onSessionStarted?.(server, getConnectionInfo(req), sessionId);
+    } catch (error) {
+      logger.warning('Session start hook failed', { sessionId, error: error.message });
+    }
+  }
+
+  // Clients that disconnect without DELETE never trigger onclose; reclaim their slots
+  function closeIdleSessions() {
+    const cutoff = Date.now() - sessionIdleTimeoutMs;
+    for (const [sessionId, session] of sessions) {
+      if (session.lastSeenAt < cutoff) {
+        logger.info('Closing idle MCP session', { sessionId, mode });
+        closeSession(sessionId);
+      }
+    }
+  }
+
+  async function discardServer(server) {
+    try {
+      await server.close();
+    } catch (error) {
+      logger.warning('Failed to close uninitialized MCP server', { error: error.message });
+    }
+  }
+
+  function rejectForeignCaller(session, auth, res) {
+    if (session.callerId === sessionCallerId(auth)) {
+      return false;
+    }
+
+    sendJsonRpcError(res, 403, -32003, 'MCP session belongs to a different caller');
+    return true;
+  }
+
+  function rejectWhenFull(res) {
+    if (sessions.size < maxSessions) {
+      return false;
+    }
+
+    sendJsonRpcError(res, 503, -32000, `Maximum of ${maxSessions} concurrent MCP sessions reached`);
+    return true;
+  }
+
+  async function handleStreamableRequest(req, res, auth) {
+    const sessionIdHeader = req.headers['mcp-session-id'];
+    const sessionId = Array.isArray(sessionIdHeader) ? sessionIdHeader[0] : sessionIdHeader;
+    const body = req.method === 'POST' ? await readJsonBody(req, maxBodyBytes) : undefined;
+
+    if (auth) {
+      req.auth = auth;
+    }
+
+    if (sessionId) {
+      const session = sessions.get(sessionId);
+      if (!session) {
+        sendJsonRpcError(res, 404, -32001, 'Unknown or expired MCP session');
+        return;
+      }
+
+      if (rejectForeignCaller(session, auth, res)) {
+        return;
+      }
+
+      session.lastSeenAt = Date.now();
+      await session.transport.handleRequest(req, res, body);
+      return;
+    }
+
+    if (req.method !== 'POST' || !isInitializeRequest(body)) {
+      sendJsonRpcError(res, 400, -32000, 'Bad Request: an initialize request is required to start a session');
+      return;
+    }
+
+    if (rejectWhenFull(res)) {
+      return;
+    }
+
+    const server = createServer();
+    const transport = new StreamableHTTPServerTransport({
+      sessionIdGenerator: () => crypto.randomUUID(),
+      onsessioninitialized: (newSessionId) => registerSession(newSessionId, server, transport, req),
+      onsessionclosed: (closedSessionId) => closeSession(closedSessionId)
+    });
+
+    transport.onclose = () => {
+      if (transport.sessionId) {
+        closeSession(transport.sessionId);
+      }
+    };
+
+    // A failed or rejected initialize leaves no session to close these later
+    const abandon = () => (sessions.has(transport.sessionId) ? closeSession(transport.sessionId) : discardServer(server));
+    try {
+      await server.connect(transport);
+      await transport.handleRequest(req, res, body);
+    } catch (error) {
+      await abandon();
+      throw error;
+    }
+
+    if (!sessions.has(transport.sessionId)) {
+      await abandon();
+    }
+  }
+
+  async function handleSseStream(req, res, auth) {
+    if (rejectWhenFull(res)) {
+      return;
+    }
+
+    if (auth) {
+      req.auth = auth;
+    }
+
+    const server = createServer();
+    const transport = new SSEServerTransport(SSE_MESSAGES_PATH, res);
+    const sessionId = transport.sessionId;
+
+    res.on('close', () => {
+      closeSession(sessionId);
+    });
+
+    await server.connect(transport);
+    await registerSession(sessionId, server, transport, req);
+  }
+
+  async function handleSseMessage(req, res, url, auth) {
+    const sessionId = url.searchParams.get('sessionId');
+    const session = sessionId ? sessions.get(sessionId) : null;
+    if (!session) {
+      sendJsonRpcError(res, 404, -32001, 'Unknown or expired MCP session');
+      return;
+    }
+
+    if (rejectForeignCaller(session, auth, res)) {
+      return;
+    }
+
+    if (auth) {
+      req.auth = auth;
+    }
+
+    session.lastSeenAt = Date.now();
+    const body = await readJsonBody(req, maxBodyBytes);
+    await session.transport.handlePostMessage(req, res, body);
+  }
+
+  const httpServer = http.createServer(async (req, res) => {
+    try {
+      if (!allowRemote && !isLocalConnection(req)) {
+        sendJsonRpcError(res, 403, -32003, 'Remote connections are disabled. Set server.allowRemoteConnections=true to accept them.');
+        return;
+      }
+
+      const url = new URL(req.url || '/', 'http://localhost');
+      const auth = authenticate ? await authenticate(req) : undefined;
+
+      if (mode === 'http' && url.pathname === path) {
+        await handleStreamableRequest(req, res, auth);
+        return;
+      }
+
+      if (mode === 'sse' && url.pathname === path && req.method === 'GET') {
+        await handleSseStream(req, res, auth);
+        return;
+      }
+
+      if (mode === 'sse' && url.pathname === SSE_MESSAGES_PATH && req.method === 'POST') {
+        await handleSseMessage(req, res, url, auth);
+        return;
+      }
+
+      sendJsonRpcError(res, 404, -32601, 'Not found');
+    } catch (error) {
+      const statusCode = error.statusCode || 500;
+      if (statusCode >= 500) {
+        logger.error('HTTP transport request failed', { error: error.message });
+      }
+      sendJsonRpcError(res, statusCode, error.jsonRpcCode || -32603, statusCode >= 500 ? 'Internal server error' : error.message, error.headers);
+    }
+  });
+
+  await new Promise((resolve, reject) => {
+    httpServer.once('error', reject);
+    httpServer.listen(port, host, () => {
+      httpServer.off('error', reject);
+      resolve();
+    });
+  });
+
+  const sweepTimer = setInterval(closeIdleSessions, Math.min(sessionIdleTimeoutMs, MAX_SESSION_SWEEP_INTERVAL_MS));
+  sweepTimer.unref();
+
+  const address = httpServer.address();
+  logger.info('HTTP transport listening', { mode, host, port: address?.port, path });
+
+  return {
+    httpServer,
+    address,
+    sessionCount() {
+      return sessions.size;
+    },
+    async close() {
+      clearInterval(sweepTimer);
+      await Promise.all([...sessions.keys()].map((sessionId) => closeSession(sessionId)));
+      await new Promise((resolve) => httpServer.close(() => resolve()));
+    }
+  };
+}
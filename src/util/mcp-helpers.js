@@ -9,7 +9,9 @@ import { createSignedCursor, verifyAndDecodeCursor } from './cursor-security.js'
 
 const MAX_TOOL_RESPONSE_CHARS = 1024 * 1024;
 const SECRET_KEY_PATTERN = /(authorization|token|password|secret|api[-_]?key|credential|cookie)/i;
-const SECRET_VALUE_PATTERN = /(bearer\s+[a-z0-9._~+/-]+=*|api[-_]?key\s*[:=]\s*[^\s,;]+|eyJ[a-z0-9_-]+\.[a-z0-9_-]+\.[a-z0-9_-]+)/i;
+const SECRET_VALUE_PATTERN = /(bearer\s+[a-z0-9._~+/-]+=*|api[-_]?key\s*[:=]\s*[^\s,;]+|eyJ[a-z0-9_-]+\.[a-z0-9_-]+\.[a-z0-9_-]+|[a-z][a-z0-9+.-]*:\/\/[^\s/?#@:]+:[^\s/?#@]+@)/i;
+const DEFAULT_MAX_SANITIZE_DEPTH = 8;
+const DEFAULT_SANITIZE_POLICY = { allowSecretKeys: new Set(), redactSecretKeys: true, maxDepth: DEFAULT_MAX_SANITIZE_DEPTH };
 
 export function normalizeCaughtError(error) {
   const objectLike = error !== null && typeof error === 'object';
@@ -28,8 +30,12 @@ function redactString(value) {
   return SECRET_VALUE_PATTERN.test(value) ? '[redacted]' : value;
 }
 
-function sanitizeToolData(data, depth = 0, seen = new WeakSet(), allowSecretKeys = new Set()) {
-  if (depth > 8) {
+function isRedactedKey(key, policy) {
+  return policy.redactSecretKeys && SECRET_KEY_PATTERN.test(key) && !policy.allowSecretKeys.has(key);
+}
+
+function sanitizeToolData(data, depth = 0, seen = new WeakSet(), policy = DEFAULT_SANITIZE_POLICY) {
+  if (depth > policy.maxDepth) {
     return '[truncated]';
   }
 
@@ -53,7 +59,7 @@ function sanitizeToolData(data, depth = 0, seen = new WeakSet(), allowSecretKeys
       return '[circular]';
     }
     seen.add(data);
-    return data.map((item) => sanitizeToolData(item, depth + 1, seen, allowSecretKeys));
+    return data.map((item) => sanitizeToolData(item, depth + 1, seen, policy));
   }
 
   if (data && typeof data === 'object') {
@@ -63,9 +69,9 @@ function sanitizeToolData(data, depth = 0, seen = new WeakSet(), allowSecretKeys
     seen.add(data);
     const sanitized = {};
     for (const [key, value] of Object.entries(data)) {
-      sanitized[key] = SECRET_KEY_PATTERN.test(key) && !allowSecretKeys.has(key)
+      sanitized[key] = isRedactedKey(key, policy)
         ? '[redacted]'
-        : sanitizeToolData(value, depth + 1, seen, allowSecretKeys);
+        : sanitizeToolData(value, depth + 1, seen, policy);
     }
     return sanitized;
   }
@@ -84,7 +90,7 @@ function safeJsonStringify(data, spacing = 2) {
   }
 }
 
-function stringifyToolData(data, allowSecretKeys = new Set()) {
+function stringifyToolData(data, policy = DEFAULT_SANITIZE_POLICY) {
   if (data === undefined || data === null) {
     return '';
   }
@@ -93,7 +99,7 @@ function stringifyToolData(data, allowSecretKeys = new Set()) {
     return redactString(data);
   }
 
-  const sanitized = sanitizeToolData(data, 0, new WeakSet(), allowSecretKeys);
+  const sanitized = sanitizeToolData(data, 0, new WeakSet(), policy);
   const serialized = safeJsonStringify(sanitized, 2);
   if (serialized.length <= MAX_TOOL_RESPONSE_CHARS) {
     return serialized;
@@ -140,24 +146,36 @@ function isStructuredObject(data) {
 /**
  * Create a successful MCP tool response
  * @param {any} data - The data to return
- * @param {string} mimeType - Optional MIME type (defaults to 'application/json')
+ * @param {string|Object} mimeType - Optional MIME type (defaults to 'application/json'), or options
+ *   `{ allowSecretKeys, structuredContent, redactSecretKeys, maxDepth }`; `structuredContent` replaces the data
+ *   as structured output. Documents whose keys name fields rather than hold values, such as exported schemas,
+ *   pass `redactSecretKeys: false` (string values are still scanned) and a larger `maxDepth`.
  * @returns {Object} MCP-compliant response
  */
 export function createToolResponse(data, mimeType = 'application/json') {
   const options = typeof mimeType === 'object' && mimeType !== null ? mimeType : {};
   const resolvedMimeType = typeof mimeType === 'string' ? mimeType : 'application/json';
-  const allowSecretKeys = new Set(options.allowSecretKeys || []);
-  const sanitizedData = sanitizeToolData(data, 0, new WeakSet(), allowSecretKeys);
+  const policy = {
+    allowSecretKeys: new Set(options.allowSecretKeys || []),
+    redactSecretKeys: options.redactSecretKeys !== false,
+    maxDepth: Number.isInteger(options.maxDepth) ? options.maxDepth : DEFAULT_MAX_SANITIZE_DEPTH
+  };
+  const sanitizedData = sanitizeToolData(data, 0, new WeakSet(), policy);
   const response = {
     content: [{
       type: "text",
-      text: stringifyToolData(sanitizedData, allowSecretKeys),
+      text: stringifyToolData(sanitizedData, policy),
       mimeType: resolvedMimeType
     }],
     isError: false
   };
 
-  if (isStructuredObject(sanitizedData) && canExposeStructuredContent(sanitizedData)) {
+  if (options.structuredContent) {
+    // Tools with an outputSchema must always return structured content
+    const structured = sanitizeToolData(options.structuredContent, 0, new WeakSet(), policy);
+    const { result: _result, ...envelope } = structured;
+    response.structuredContent = canExposeStructuredContent(structured) ? structured : { ...envelope, truncated: true };
+  } else if (isStructuredObject(sanitizedData) && canExposeStructuredContent(sanitizedData)) {
     response.structuredContent = sanitizedData;
   }
 
@@ -248,6 +266,24 @@ export function createPaginatedResponse(items, options = {}, metadata = {}) {
   return createToolResponse(response);
 }
 
+/**
+ * Create a callback that sends `notifications/progress` for the current tool
+ * call, or undefined when the client did not supply a progress token.
+ */
+export function createProgressNotifier(extra) {
+  const progressToken = extra?._meta?.progressToken;
+  if (progressToken === undefined || typeof extra?.sendNotification !== 'function') {
+    return undefined;
+  }
+
+  return ({ progress, total, message }) => {
+    Promise.resolve(extra.sendNotification({
+      method: 'notifications/progress',
+      params: { progressToken, progress, total, message }
+    })).catch(() => {});
+  };
+}
+
 /**
  * Wrap an async tool handler with proper error handling
  * @param {Function} handler - The async handler function
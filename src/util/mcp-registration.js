@@ -1,4 +1,6 @@
-import { auditToolInvocation, checkRateLimit } from './security.js';
+import { auditToolInvocation, checkRateLimit, runWithAuditContext } from './security.js';
+import { resolveCallerId } from './auth.js';
+import { supportsElicitation } from './client-detection.js';
 
 export const TOOL_ANNOTATIONS = {
   READ_ONLY: {
@@ -15,28 +17,81 @@ export const TOOL_ANNOTATIONS = {
   }
 };
 
+const registeredToolNames = new WeakMap();
+
 function isLiveApiTool(options = {}) {
   return options.annotations?.destructiveHint === true || options.annotations?.openWorldHint === true;
 }
 
-function wrapLiveApiHandler(name, handler) {
+function formatMutationPrompt(name, preview) {
+  return [
+    `${name} wants to run ${preview.method} ${preview.path} (${preview.resource}.${preview.action}).`,
+    `Reason: ${preview.mutationReason}`,
+    ...(preview.changes.length > 0 ? ['', 'Changes:', ...preview.changes] : [])
+  ].join('\n');
+}
+
+/**
+ * Ask the human behind the client to confirm a mutation. The model's own
+ * `confirmMutation` flag is replaced by their answer; declining throws before
+ * the handler runs. Calls without a mutationReason skip the prompt so the
+ * handler can report what is missing.
+ */
+async function confirmMutationWithUser(server, name, preview, args, extra) {
+  if (!preview || !preview.mutationReason || !supportsElicitation(server)) {
+    return args;
+  }
+
+  const response = await server.server.elicitInput({
+    mode: 'form',
+    message: formatMutationPrompt(name, preview),
+    requestedSchema: {
+      type: 'object',
+      properties: {
+        confirm: {
+          type: 'boolean',
+          title: 'Run this mutation',
+          description: `${preview.method} ${preview.path}`
+        }
+      },
+      required: ['confirm']
+    }
+  }, { relatedRequestId: extra?.requestId, signal: extra?.signal });
+
+  if (response.action !== 'accept' || response.content?.confirm !== true) {
+    const error = new Error(`Mutation not confirmed by the user (${response.action === 'accept' ? 'confirm was not checked' : response.action}): ${preview.method} ${preview.path}`);
+    error.code = 'MUTATION_DECLINED';
+    throw error;
+  }
+
+  return { ...args, confirmMutation: true };
+}
+
+function wrapLiveApiHandler(name, handler, server, options) {
   return async (args, extra) => {
-    const userId = extra?.context?.userId || extra?.requestInfo?.userId || 'anonymous';
+    const userId = resolveCallerId(extra);
     const startedAt = Date.now();
+    const auditContext = {};
     let result = null;
 
-    if (!checkRateLimit(`tool:${name}:${userId}`)) {
+    // Tools that run several live calls per invocation charge the limiter themselves
+    if (options.rateLimitPerCall !== false && !checkRateLimit(`tool:${name}:${userId}`)) {
       const error = new Error('Rate limit exceeded for live API tool');
       auditToolInvocation(name, args || {}, userId, null, error);
       throw error;
     }
 
     try {
-      result = await handler(args, extra);
-      auditToolInvocation(name, args || {}, userId, result, null);
+      const preview = options.describeMutation?.(args || {}) || null;
+      const confirmedArgs = await confirmMutationWithUser(server, name, preview, args, extra);
+      if (confirmedArgs !== args) {
+        auditContext.confirmedBy = 'elicitation';
+      }
+      result = await runWithAuditContext(auditContext, () => handler(confirmedArgs, extra));
+      auditToolInvocation(name, args || {}, userId, result, null, auditContext);
       return result;
     } catch (error) {
-      auditToolInvocation(name, args || {}, userId, null, error);
+      auditToolInvocation(name, args || {}, userId, null, error, auditContext);
       throw error;
     } finally {
       const durationMs = Date.now() - startedAt;
@@ -47,8 +102,17 @@ function wrapLiveApiHandler(name, handler) {
   };
 }
 
+/**
+ * Register a tool on the server. `options.hiddenToolNames` lists tools the
+ * configured policy leaves with nothing to offer; those are not registered.
+ */
 export function registerMcpTool(server, name, description, inputSchema, handler, options = {}) {
-  const registeredHandler = isLiveApiTool(options) ? wrapLiveApiHandler(name, handler) : handler;
+  if (options.hiddenToolNames?.includes(name)) {
+    return undefined;
+  }
+
+  const registeredHandler = isLiveApiTool(options) ? wrapLiveApiHandler(name, handler, server, options) : handler;
+  registeredToolNames.set(server, [...(registeredToolNames.get(server) || []), name]);
   return server.registerTool(name, {
     title: options.title,
     description,
@@ -59,6 +123,13 @@ export function registerMcpTool(server, name, description, inputSchema, handler,
   }, registeredHandler);
 }
 
+/**
+ * Names of the tools registerMcpTool has registered on `server`, in order.
+ */
+export function getRegisteredToolNames(server) {
+  return [...(registeredToolNames.get(server) || [])];
+}
+
 export function registerMcpPrompt(server, name, description, argsSchema, handler, options = {}) {
   return server.registerPrompt(name, {
     title: options.title,
@@ -2,7 +2,8 @@
  * Secret Manager - Automatic generation and persistence of cryptographic secrets
  *
  * Provides seamless MCP server setup by automatically generating and persisting
- * required secrets (CURSOR_SECRET, CACHE_ENCRYPTION_KEY) on first run.
+ * required secrets (CURSOR_SECRET, CACHE_ENCRYPTION_KEY) on first run, plus
+ * AUDIT_LOG_HMAC_KEY once audit logging writes its first entry.
  *
  * Secrets are stored in: ~/.lerian/secrets.json
  * File permissions: 0600 (read/write by owner only)
@@ -116,6 +117,7 @@ export function getCursorSecret() {
   const secrets = {
     cursorSecret: newSecret,
     cacheEncryptionKey: stored?.cacheEncryptionKey || generateSecret(),
+    ...(stored?.auditSigningKey ? { auditSigningKey: stored.auditSigningKey } : {}),
     createdAt: new Date().toISOString(),
     version: '1.0'
   };
@@ -162,6 +164,7 @@ export function getCacheEncryptionKey() {
   const secrets = {
     cursorSecret: stored?.cursorSecret || generateSecret(),
     cacheEncryptionKey: newKey,
+    ...(stored?.auditSigningKey ? { auditSigningKey: stored.auditSigningKey } : {}),
     createdAt: new Date().toISOString(),
     version: '1.0'
   };
@@ -179,6 +182,54 @@ export function getCacheEncryptionKey() {
   return newKey;
 }
 
+/**
+ * Get or generate AUDIT_LOG_HMAC_KEY
+ *
+ * Priority:
+ * 1. Environment variable AUDIT_LOG_HMAC_KEY
+ * 2. Persisted secret from ~/.lerian/secrets.json
+ * 3. Generate new secret and persist
+ *
+ * Rotating this key makes existing audit log chains fail verification.
+ */
+export function getAuditSigningKey() {
+  // Priority 1: Environment variable
+  if (process.env.AUDIT_LOG_HMAC_KEY) {
+    logger.info('Using AUDIT_LOG_HMAC_KEY from environment variable');
+    return process.env.AUDIT_LOG_HMAC_KEY;
+  }
+
+  // Priority 2: Load from persistent storage
+  const stored = loadSecrets();
+  if (stored && stored.auditSigningKey) {
+    logger.info('Using AUDIT_LOG_HMAC_KEY from persistent storage');
+    return stored.auditSigningKey;
+  }
+
+  // Priority 3: Generate and persist
+  logger.info('Generating new AUDIT_LOG_HMAC_KEY (first run)');
+  const newKey = generateSecret();
+
+  const secrets = {
+    cursorSecret: stored?.cursorSecret || generateSecret(),
+    cacheEncryptionKey: stored?.cacheEncryptionKey || generateSecret(),
+    auditSigningKey: newKey,
+    createdAt: stored?.createdAt || new Date().toISOString(),
+    version: '1.0'
+  };
+
+  if (saveSecrets(secrets)) {
+    console.error('✅ Generated AUDIT_LOG_HMAC_KEY and saved to ~/.lerian/secrets.json');
+    console.error('   Audit log chains stay verifiable across restarts');
+  } else {
+    console.error('⚠️  Generated AUDIT_LOG_HMAC_KEY but failed to persist');
+    console.error('   Audit log entries written before a restart will fail verification');
+    console.error('   Please set AUDIT_LOG_HMAC_KEY environment variable manually');
+  }
+
+  return newKey;
+}
+
 /**
  * Initialize all required secrets
  * Call this during server startup
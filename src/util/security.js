@@ -1,9 +1,12 @@
 import crypto from 'crypto';
+import { AsyncLocalStorage } from 'async_hooks';
 import fs from 'fs';
 import path from 'path';
 import { z } from 'zod';
 import { fileURLToPath } from 'url';
 import { dirname } from 'path';
+import { createAuditChain } from './audit-chain.js';
+import { getAuditSigningKey } from './secret-manager.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
@@ -14,9 +17,18 @@ const SECURITY_CONFIG = {
   maxRequestSize: 1024 * 1024, // 1MB
   sensitiveFields: ['password', 'token', 'secret', 'apiKey', 'authorization'],
   auditLogPath: path.join(__dirname, '../../logs/audit.log'),
-  auditLoggingEnabled: process.env.AUDIT_LOGGING === 'true' // Opt-in: set to 'true' to enable
+  auditLoggingEnabled: process.env.AUDIT_LOGGING === 'true', // Opt-in: set to 'true' to enable
+  auditLogMaxBytes: Number(process.env.AUDIT_LOG_MAX_BYTES) || 10 * 1024 * 1024,
+  auditLogRotateMs: (Number(process.env.AUDIT_LOG_ROTATE_HOURS) || 24) * 60 * 60 * 1000
 };
 
+const auditChain = createAuditChain({
+  logPath: SECURITY_CONFIG.auditLogPath,
+  key: getAuditSigningKey,
+  maxBytes: SECURITY_CONFIG.auditLogMaxBytes,
+  maxAgeMs: SECURITY_CONFIG.auditLogRotateMs
+});
+
 // Ensure audit log directory exists (only if audit logging is enabled)
 if (SECURITY_CONFIG.auditLoggingEnabled) {
   const auditLogDir = path.dirname(SECURITY_CONFIG.auditLogPath);
@@ -29,8 +41,8 @@ if (SECURITY_CONFIG.auditLoggingEnabled) {
  * Verify that the connection is from localhost only
  */
 export function isLocalConnection(request) {
-  // In MCP context, we're using stdio transport which is inherently local
-  // This function is for future HTTP transport support
+  // stdio transport is inherently local; HTTP transports pass the incoming
+  // request so both the Host header and the socket address are checked
   if (!request || !request.headers) {
     return true; // stdio transport
   }
@@ -38,8 +50,10 @@ export function isLocalConnection(request) {
   const host = request.headers.host || '';
   const remoteAddress = request.socket?.remoteAddress || '';
 
-  // Check if host is in allowed list
-  const hostName = host.split(':')[0];
+  // Check if host is in allowed list (bracketed IPv6 hosts keep their colons)
+  const hostName = host.startsWith('[')
+    ? host.slice(1, host.indexOf(']'))
+    : host.split(':')[0];
   if (!SECURITY_CONFIG.allowedHosts.includes(hostName)) {
     return false;
   }
@@ -100,10 +114,9 @@ export function createAuditLog(entry) {
     id: crypto.randomUUID()
   };
 
-  // Append to audit log file
+  // Chain and append to the audit log file
   try {
-    const logLine = JSON.stringify(logEntry) + '\n';
-    fs.appendFileSync(SECURITY_CONFIG.auditLogPath, logLine);
+    return auditChain.append(logEntry);
   } catch (err) {
     // Failed to write audit log, continue anyway
   }
@@ -111,14 +124,52 @@ export function createAuditLog(entry) {
   return logEntry;
 }
 
+/**
+ * The chained audit log, or null when audit logging is disabled.
+ */
+export function getAuditLog() {
+  return SECURITY_CONFIG.auditLoggingEnabled ? auditChain : null;
+}
+
+const auditContextStorage = new AsyncLocalStorage();
+
+/**
+ * Run `fn` with an audit context that deeper layers can annotate, so facts
+ * only known at request time (such as the resolved environment) reach the
+ * tool invocation entry.
+ */
+export function runWithAuditContext(context, fn) {
+  return auditContextStorage.run(context, fn);
+}
+
+/**
+ * Add fields to the current audit context. A field set twice with different
+ * values becomes a list of the distinct values.
+ */
+export function annotateAuditContext(fields = {}) {
+  const context = auditContextStorage.getStore();
+  if (!context) {
+    return;
+  }
+
+  for (const [key, value] of Object.entries(fields)) {
+    if (context[key] === undefined || context[key] === value) {
+      context[key] = value;
+      continue;
+    }
+    context[key] = [...new Set([].concat(context[key], value))];
+  }
+}
+
 /**
  * Log tool invocation for security monitoring
  */
-export function auditToolInvocation(toolName, args, userId = 'anonymous', result = null, error = null) {
+export function auditToolInvocation(toolName, args, userId = 'anonymous', result = null, error = null, context = {}) {
   const entry = {
     type: 'tool_invocation',
     tool: toolName,
     user: userId,
+    ...context,
     args: args,
     success: !error,
     error: error ? error.message : null,
@@ -328,35 +379,16 @@ export function checkRateLimit(identifier, limit = 100, windowMs = 60000) {
 }
 
 /**
- * Clean up old audit logs
+ * Clean up old audit logs. Only rotated files are removed, whole, so the
+ * remaining chain still verifies.
  */
 export function cleanupAuditLogs(daysToKeep = 30) {
   if (!SECURITY_CONFIG.auditLoggingEnabled) {
     return; // Skip if audit logging is disabled
   }
 
-  const cutoffDate = new Date();
-  cutoffDate.setDate(cutoffDate.getDate() - daysToKeep);
-
-  const auditLogPath = SECURITY_CONFIG.auditLogPath;
-  const tempPath = auditLogPath + '.tmp';
-
   try {
-    if (!fs.existsSync(auditLogPath)) return;
-
-    const input = fs.readFileSync(auditLogPath, 'utf8');
-    const lines = input.split('\n').filter(line => {
-      if (!line.trim()) return false;
-      try {
-        const entry = JSON.parse(line);
-        return new Date(entry.timestamp) > cutoffDate;
-      } catch {
-        return false;
-      }
-    });
-
-    fs.writeFileSync(tempPath, lines.join('\n') + '\n');
-    fs.renameSync(tempPath, auditLogPath);
+    auditChain.prune(daysToKeep);
   } catch (error) {
     // Failed to cleanup audit logs (silent for MCP protocol)
   }
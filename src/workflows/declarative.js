@@ -0,0 +1,560 @@
+import fs from 'fs';
+import path from 'path';
+import YAML from 'yaml';
+import { PRODUCT_ROUTERS } from '../products/routers.js';
+import { isMutationMethod } from '../products/http-helpers.js';
+
+/**
+ * Declarative workflows for portfolio-workflow.
+ *
+ * A definition file (YAML or JSON) lists ordered steps, each mapped to a
+ * product/resource/action that runs through the same router as the execute
+ * tools. Request fields are templated from the session context with
+ * `{{ name }}` or `{{ name.nested.path }}`; a value that is exactly one
+ * template keeps the referenced value's type and is left out when that value
+ * is missing. `artifacts` pulls values out of a step result with JSONPath and
+ * feeds them back into the session context for later steps.
+ *
+ *   id: midaz-onboarding
+ *   name: Midaz onboarding
+ *   description: ...
+ *   steps:
+ *     - id: create-ledger
+ *       description: ...
+ *       product: midaz
+ *       resource: ledgers
+ *       action: create
+ *       requiredInput: [organizationId, ledgerName]
+ *       dependsOn: [create-organization]
+ *       pathParams: { organizationId: '{{ organizationId }}' }
+ *       body: { name: '{{ ledgerName }}' }
+ *       artifacts: { ledgerId: $.id }
+ *       compensation:
+ *         resource: ledgers
+ *         action: delete
+ *         requiredInput: [organizationId, ledgerId]
+ *         pathParams: { organizationId: '{{ organizationId }}', id: '{{ ledgerId }}' }
+ */
+
+export const WORKFLOW_FILE_EXTENSIONS = ['.yaml', '.yml', '.json'];
+
+const ID_PATTERN = /^[a-z0-9]+(?:-[a-z0-9]+)*$/;
+const STEP_ID_PATTERN = /^[A-Za-z0-9_-]+$/;
+const TEMPLATE_PATTERN = /\{\{\s*([A-Za-z0-9_$-]+(?:\.[A-Za-z0-9_$-]+)*)\s*\}\}/g;
+const EXACT_TEMPLATE_PATTERN = /^\{\{\s*([A-Za-z0-9_$-]+(?:\.[A-Za-z0-9_$-]+)*)\s*\}\}$/;
+const OBJECT_FIELDS = ['pathParams', 'queryParams', 'body', 'headers', 'multipart'];
+const STRING_FIELDS = ['organizationId', 'productName'];
+const REQUEST_FIELDS = [...OBJECT_FIELDS, ...STRING_FIELDS];
+const MAX_DESCENT_DEPTH = 20;
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function parseJsonPath(expression) {
+  if (typeof expression !== 'string' || !expression.startsWith('$')) {
+    throw new Error(`JSONPath ${JSON.stringify(expression)} must start with "$"`);
+  }
+
+  const segments = [];
+  let rest = expression.slice(1);
+  while (rest.length > 0) {
+    let match;
+    if ((match = rest.match(/^\.\.([\w$-]+)/))) {
+      segments.push({ type: 'descend', key: match[1] });
+    } else if ((match = rest.match(/^(?:\.\*|\[\*\])/))) {
+      segments.push({ type: 'wildcard' });
+    } else if ((match = rest.match(/^\.([\w$-]+)/))) {
+      segments.push({ type: 'child', key: match[1] });
+    } else if ((match = rest.match(/^\[(-?\d+)\]/))) {
+      segments.push({ type: 'index', index: Number(match[1]) });
+    } else if ((match = rest.match(/^\[(['"])(.*?)\1\]/))) {
+      segments.push({ type: 'child', key: match[2] });
+    } else {
+      throw new Error(`Unsupported JSONPath syntax at "${rest}" in "${expression}"`);
+    }
+    rest = rest.slice(match[0].length);
+  }
+  return segments;
+}
+
+function collectDescendants(node, key, found, depth = 0) {
+  if (depth > MAX_DESCENT_DEPTH || node === null || typeof node !== 'object') {
+    return;
+  }
+  if (!Array.isArray(node) && Object.prototype.hasOwnProperty.call(node, key)) {
+    found.push(node[key]);
+  }
+  for (const value of Array.isArray(node) ? node : Object.values(node)) {
+    collectDescendants(value, key, found, depth + 1);
+  }
+}
+
+function applySegment(nodes, segment) {
+  const found = [];
+  for (const node of nodes) {
+    if (node === null || typeof node !== 'object') {
+      continue;
+    }
+    switch (segment.type) {
+      case 'child':
+        if (Object.prototype.hasOwnProperty.call(node, segment.key)) {
+          found.push(node[segment.key]);
+        }
+        break;
+      case 'index': {
+        const index = segment.index < 0 && Array.isArray(node) ? node.length + segment.index : segment.index;
+        if (Array.isArray(node) && index >= 0 && index < node.length) {
+          found.push(node[index]);
+        }
+        break;
+      }
+      case 'wildcard':
+        found.push(...(Array.isArray(node) ? node : Object.values(node)));
+        break;
+      case 'descend':
+        collectDescendants(node, segment.key, found);
+        break;
+      default:
+        break;
+    }
+  }
+  return found;
+}
+
+/**
+ * Evaluate a JSONPath subset against a value and return every match.
+ * Supported: `$`, `.key`, `['key']`, `[n]` (negative counts from the end),
+ * `.*`, `[*]`, and `..key`.
+ *
+ * @param {*} value
+ * @param {string} expression
+ * @returns {Array<*>}
+ */
+export function queryJsonPath(value, expression) {
+  return parseJsonPath(expression).reduce((nodes, segment) => applySegment(nodes, segment), [value]);
+}
+
+function readContextPath(context, dottedPath) {
+  return dottedPath.split('.').reduce(
+    (value, key) => (value !== null && value !== undefined && typeof value === 'object' ? value[key] : undefined),
+    context
+  );
+}
+
+function isMissing(value) {
+  return value === undefined || value === null || value === '';
+}
+
+function renderTemplate(value, context, stepId) {
+  if (typeof value === 'string') {
+    const exact = value.match(EXACT_TEMPLATE_PATTERN);
+    if (exact) {
+      return readContextPath(context, exact[1]);
+    }
+    return value.replace(TEMPLATE_PATTERN, (raw, dottedPath) => {
+      const resolved = readContextPath(context, dottedPath);
+      if (resolved === undefined || resolved === null) {
+        throw new Error(`Missing required workflow input for step "${stepId}": ${dottedPath} (used in "${value}")`);
+      }
+      return typeof resolved === 'object' ? JSON.stringify(resolved) : String(resolved);
+    });
+  }
+  if (Array.isArray(value)) {
+    return value.map((item) => renderTemplate(item, context, stepId)).filter((item) => item !== undefined);
+  }
+  if (isPlainObject(value)) {
+    return Object.fromEntries(Object.entries(value)
+      .map(([key, nested]) => [key, renderTemplate(nested, context, stepId)])
+      .filter(([, rendered]) => rendered !== undefined));
+  }
+  return value;
+}
+
+function validateTemplates(value, where) {
+  if (typeof value === 'string') {
+    const stripped = value.replace(TEMPLATE_PATTERN, '');
+    if (stripped.includes('{{') || stripped.includes('}}')) {
+      throw new Error(`${where}: malformed template in "${value}"`);
+    }
+  } else if (Array.isArray(value)) {
+    value.forEach((item) => validateTemplates(item, where));
+  } else if (isPlainObject(value)) {
+    Object.values(value).forEach((item) => validateTemplates(item, where));
+  }
+}
+
+function stringList(value, where) {
+  if (value === undefined) {
+    return [];
+  }
+  if (!Array.isArray(value) || value.some((item) => typeof item !== 'string' || item.trim() === '')) {
+    throw new Error(`${where} must be a list of non-empty strings`);
+  }
+  return [...value];
+}
+
+function requireString(value, where) {
+  if (typeof value !== 'string' || value.trim() === '') {
+    throw new Error(`${where} is required`);
+  }
+  return value;
+}
+
+function normalizeArtifacts(artifacts, where) {
+  if (artifacts === undefined) {
+    return {};
+  }
+  if (!isPlainObject(artifacts)) {
+    throw new Error(`${where} must map artifact names to JSONPath expressions`);
+  }
+
+  return Object.fromEntries(Object.entries(artifacts).map(([name, spec]) => {
+    const rule = typeof spec === 'string' || Array.isArray(spec) ? { path: spec } : spec;
+    if (!isPlainObject(rule)) {
+      throw new Error(`${where}.${name} must be a JSONPath, a list of JSONPaths, or { path, all }`);
+    }
+    const paths = Array.isArray(rule.path) ? rule.path : [rule.path];
+    if (paths.length === 0) {
+      throw new Error(`${where}.${name} needs at least one JSONPath`);
+    }
+    for (const expression of paths) {
+      try {
+        parseJsonPath(expression);
+      } catch (error) {
+        throw new Error(`${where}.${name}: ${error.message}`);
+      }
+    }
+    return [name, { paths, all: rule.all === true }];
+  }));
+}
+
+function normalizeRequest(raw, where) {
+  const request = {};
+  for (const field of REQUEST_FIELDS) {
+    if (raw[field] === undefined) {
+      continue;
+    }
+    if (OBJECT_FIELDS.includes(field) ? !isPlainObject(raw[field]) : typeof raw[field] !== 'string') {
+      throw new Error(`${where}.${field} must be ${OBJECT_FIELDS.includes(field) ? 'an object' : 'a string'}`);
+    }
+    validateTemplates(raw[field], `${where}.${field}`);
+    request[field] = raw[field];
+  }
+  return request;
+}
+
+// A compensation undoes its step through the same product, e.g. contexts.delete for contexts.create
+function normalizeCompensation(raw, router, where) {
+  if (raw === undefined) {
+    return null;
+  }
+  if (!isPlainObject(raw)) {
+    throw new Error(`${where} must be an object with resource and action`);
+  }
+
+  const resolved = router.resolveAction(raw.resource, raw.action);
+  if (resolved.error) {
+    throw new Error(`${where}: ${resolved.error}`);
+  }
+
+  return {
+    resource: raw.resource,
+    action: raw.action,
+    requiredInput: stringList(raw.requiredInput, `${where}.requiredInput`),
+    mutation: isMutationMethod(resolved.method),
+    request: normalizeRequest(raw, where)
+  };
+}
+
+function normalizeStep(raw, index, seen, workflowId) {
+  if (!isPlainObject(raw)) {
+    throw new Error(`steps[${index}] must be an object`);
+  }
+
+  const id = requireString(raw.id, `steps[${index}].id`);
+  const where = `step "${id}"`;
+  if (!STEP_ID_PATTERN.test(id)) {
+    throw new Error(`${where}: id may only contain letters, digits, "-" and "_"`);
+  }
+  if (seen.has(id)) {
+    throw new Error(`Duplicate step id "${id}"`);
+  }
+
+  const router = PRODUCT_ROUTERS[raw.product];
+  if (!router) {
+    throw new Error(`${where}: unknown product "${raw.product}". Available: ${Object.keys(PRODUCT_ROUTERS).join(', ')}`);
+  }
+  const resolved = router.resolveAction(raw.resource, raw.action);
+  if (resolved.error) {
+    throw new Error(`${where}: ${resolved.error}`);
+  }
+
+  const dependsOn = stringList(raw.dependsOn, `${where}.dependsOn`);
+  const unknown = dependsOn.filter((dependency) => !seen.has(dependency));
+  if (unknown.length > 0) {
+    throw new Error(`${where} depends on ${unknown.map((dependency) => `"${dependency}"`).join(', ')}, which must be earlier steps in workflow "${workflowId}"`);
+  }
+
+  return {
+    id,
+    description: requireString(raw.description, `${where}.description`),
+    requiredInput: stringList(raw.requiredInput, `${where}.requiredInput`),
+    dependsOn,
+    product: raw.product,
+    resource: raw.resource,
+    action: raw.action,
+    mutation: isMutationMethod(resolved.method),
+    request: normalizeRequest(raw, where),
+    compensation: normalizeCompensation(raw.compensation, router, `${where}.compensation`),
+    artifacts: normalizeArtifacts(raw.artifacts, `${where}.artifacts`),
+    router
+  };
+}
+
+function normalizeDefinition(raw) {
+  if (!isPlainObject(raw)) {
+    throw new Error('Workflow definition must be an object');
+  }
+
+  const id = requireString(raw.id, 'id');
+  if (!ID_PATTERN.test(id)) {
+    throw new Error(`id "${id}" must be lowercase kebab-case`);
+  }
+  if (!Array.isArray(raw.steps) || raw.steps.length === 0) {
+    throw new Error('steps must be a non-empty list');
+  }
+
+  const seen = new Set();
+  const steps = {};
+  for (const [index, rawStep] of raw.steps.entries()) {
+    const step = normalizeStep(rawStep, index, seen, id);
+    seen.add(step.id);
+    steps[step.id] = step;
+  }
+
+  const recommendedPaths = raw.recommendedPaths === undefined ? {} : raw.recommendedPaths;
+  if (!isPlainObject(recommendedPaths)) {
+    throw new Error('recommendedPaths must map path names to step lists');
+  }
+  for (const [name, stepIds] of Object.entries(recommendedPaths)) {
+    const unknown = stringList(stepIds, `recommendedPaths.${name}`).filter((stepId) => !steps[stepId]);
+    if (unknown.length > 0) {
+      throw new Error(`recommendedPaths.${name} lists unknown steps: ${unknown.join(', ')}`);
+    }
+  }
+
+  return {
+    id,
+    name: requireString(raw.name, 'name'),
+    description: requireString(raw.description, 'description'),
+    overview: stringList(raw.overview, 'overview'),
+    prerequisites: stringList(raw.prerequisites, 'prerequisites'),
+    notes: stringList(raw.notes, 'notes'),
+    recommendedPaths,
+    stepOrder: [...seen],
+    steps
+  };
+}
+
+function getMissingRequiredInput(stepDef, input = {}) {
+  return stepDef.requiredInput.filter((field) => isMissing(readContextPath(input, field)));
+}
+
+function getPendingDependencies(stepDef, completedSteps) {
+  return Array.isArray(completedSteps) ? stepDef.dependsOn.filter((dependency) => !completedSteps.includes(dependency)) : [];
+}
+
+function runAction(router, target, input, stepId, callerId) {
+  const request = renderTemplate(target.request, input, stepId);
+  return router.routeAndExecute({
+    resource: target.resource,
+    action: target.action,
+    ...request,
+    pathParams: request.pathParams || {},
+    queryParams: request.queryParams || {},
+    ...(target.mutation ? { confirmMutation: input.confirmMutation, mutationReason: input.mutationReason } : {}),
+    environment: input.environment,
+    confirmEnvironment: input.confirmEnvironment,
+    callerId
+  });
+}
+
+/**
+ * Build a portfolio-workflow entry (`definition`, `describe`, `plan`,
+ * `executeStep`, `captureArtifacts`, `compensateStep`) from a parsed
+ * definition. Products and actions are checked against the live schemas up
+ * front, so a bad definition fails at load time rather than mid-session.
+ *
+ * Dependencies are enforced when the caller passes `completedSteps` (session
+ * calls); without a session only `requiredInput` gates a step.
+ *
+ * @param {Object} raw - Parsed YAML/JSON definition
+ */
+export function createDeclarativeWorkflow(raw) {
+  const normalized = normalizeDefinition(raw);
+
+  const definition = {
+    id: normalized.id,
+    name: normalized.name,
+    description: normalized.description,
+    overview: normalized.overview,
+    prerequisites: normalized.prerequisites,
+    declarative: true,
+    stepOrder: normalized.stepOrder,
+    steps: Object.fromEntries(normalized.stepOrder.map((stepId) => {
+      const stepDef = normalized.steps[stepId];
+      return [stepId, {
+        description: stepDef.description,
+        requiredInput: stepDef.requiredInput,
+        dependsOn: stepDef.dependsOn,
+        product: stepDef.product,
+        resource: stepDef.resource,
+        action: stepDef.action,
+        mutation: stepDef.mutation,
+        ...(stepDef.compensation ? {
+          compensation: {
+            resource: stepDef.compensation.resource,
+            action: stepDef.compensation.action,
+            requiredInput: stepDef.compensation.requiredInput
+          }
+        } : {})
+      }];
+    }))
+  };
+
+  const describe = () => ({
+    workflow: definition.id,
+    name: definition.name,
+    description: definition.description,
+    overview: [...definition.overview],
+    prerequisites: [...definition.prerequisites],
+    ...(Object.keys(normalized.recommendedPaths).length > 0 ? { recommendedPaths: structuredClone(normalized.recommendedPaths) } : {}),
+    steps: definition.stepOrder.map((stepId) => {
+      const stepDef = normalized.steps[stepId];
+      return {
+        step: stepId,
+        description: stepDef.description,
+        requiredInput: [...stepDef.requiredInput],
+        dependsOn: [...stepDef.dependsOn],
+        execute: `${stepDef.product} ${stepDef.resource}.${stepDef.action}`,
+        mutation: stepDef.mutation,
+        ...(stepDef.compensation ? {
+          compensation: {
+            execute: `${stepDef.product} ${stepDef.compensation.resource}.${stepDef.compensation.action}`,
+            requiredInput: [...stepDef.compensation.requiredInput]
+          }
+        } : {}),
+        artifacts: Object.keys(stepDef.artifacts)
+      };
+    })
+  });
+
+  const plan = (input = {}, { completedSteps } = {}) => ({
+    workflow: definition.id,
+    planMode: 'guided-sequence',
+    notes: [...normalized.notes],
+    steps: definition.stepOrder.map((stepId, index) => {
+      const stepDef = normalized.steps[stepId];
+      const missingInput = getMissingRequiredInput(stepDef, input);
+      const pendingDependencies = getPendingDependencies(stepDef, completedSteps);
+
+      return {
+        order: index + 1,
+        step: stepId,
+        description: stepDef.description,
+        ready: missingInput.length === 0 && pendingDependencies.length === 0,
+        missingInput,
+        ...(pendingDependencies.length > 0 ? { pendingDependencies } : {})
+      };
+    })
+  });
+
+  const executeStep = async (step, input = {}, { completedSteps, callerId } = {}) => {
+    const stepDef = normalized.steps[step];
+    if (!stepDef) {
+      throw new Error(`Unknown workflow step: ${step}`);
+    }
+
+    const missingInput = getMissingRequiredInput(stepDef, input);
+    if (missingInput.length > 0) {
+      throw new Error(`Missing required workflow input for step "${step}": ${missingInput.join(', ')}`);
+    }
+
+    const pendingDependencies = getPendingDependencies(stepDef, completedSteps);
+    if (pendingDependencies.length > 0) {
+      throw new Error(`Missing required workflow dependencies for step "${step}": ${pendingDependencies.join(', ')}`);
+    }
+
+    return runAction(stepDef.router, stepDef, input, step, callerId);
+  };
+
+  const compensateStep = async (step, input = {}, { callerId } = {}) => {
+    const compensation = normalized.steps[step]?.compensation;
+    if (!compensation) {
+      throw new Error(`Workflow step "${step}" has no compensating action`);
+    }
+
+    const missingInput = getMissingRequiredInput(compensation, input);
+    if (missingInput.length > 0) {
+      throw new Error(`Missing required workflow input to compensate step "${step}": ${missingInput.join(', ')}`);
+    }
+
+    return runAction(normalized.steps[step].router, compensation, input, step, callerId);
+  };
+
+  const captureArtifacts = (step, result) => {
+    const stepDef = normalized.steps[step];
+    if (!stepDef) {
+      return {};
+    }
+
+    const artifacts = {};
+    for (const [name, rule] of Object.entries(stepDef.artifacts)) {
+      for (const expression of rule.paths) {
+        const matches = queryJsonPath(result, expression).filter((match) => !isMissing(match));
+        if (matches.length > 0) {
+          artifacts[name] = rule.all ? matches : matches[0];
+          break;
+        }
+      }
+    }
+    return artifacts;
+  };
+
+  return { definition, describe, plan, executeStep, captureArtifacts, compensateStep };
+}
+
+/**
+ * Load every `.yaml`, `.yml`, and `.json` definition in a directory, in file
+ * name order. Files that fail to parse or validate are reported in `errors`
+ * instead of aborting the rest.
+ *
+ * @param {string} dir
+ * @returns {{ workflows: Array<{ file: string, workflow: Object }>, errors: Array<{ file: string, message: string }> }}
+ */
+export function loadWorkflowDefinitions(dir) {
+  const root = path.resolve(dir);
+  if (!fs.existsSync(root) || !fs.statSync(root).isDirectory()) {
+    return { workflows: [], errors: [{ file: root, message: 'Workflow directory does not exist' }] };
+  }
+
+  const workflows = [];
+  const errors = [];
+  const files = fs.readdirSync(root)
+    .filter((name) => WORKFLOW_FILE_EXTENSIONS.includes(path.extname(name).toLowerCase()))
+    .sort();
+
+  for (const name of files) {
+    const file = path.join(root, name);
+    try {
+      const text = fs.readFileSync(file, 'utf8');
+      const raw = path.extname(name).toLowerCase() === '.json' ? JSON.parse(text) : YAML.parse(text);
+      workflows.push({ file, workflow: createDeclarativeWorkflow(raw) });
+    } catch (error) {
+      errors.push({ file, message: error.message });
+    }
+  }
+
+  return { workflows, errors };
+}
@@ -36,15 +36,18 @@ export const fetcherReporterWorkflow = {
     },
     'validate-fetcher-schema': {
       description: 'Validate mappedFields against Fetcher before generating a report or dispatching an extraction job.',
-      requiredInput: ['organizationId', 'mappedFields']
+      requiredInput: ['organizationId', 'mappedFields'],
+      mutation: true
     },
     'create-fetcher-job': {
       description: 'Run a preflight extraction job directly in Fetcher using mappedFields and optional filters.',
-      requiredInput: ['organizationId', 'mappedFields']
+      requiredInput: ['organizationId', 'mappedFields'],
+      mutation: true
     },
     'create-reporter-report': {
       description: 'Create a Reporter report. In Fetcher mode, Reporter will create and reconcile a Fetcher extraction job internally.',
-      requiredInput: ['templateId', 'filters']
+      requiredInput: ['templateId', 'filters'],
+      mutation: true
     },
     'get-reporter-report': {
       description: 'Inspect report status and metadata by report ID.',
@@ -154,7 +157,8 @@ export function describeFetcherReporterWorkflow() {
     steps: fetcherReporterWorkflow.stepOrder.map((stepId) => ({
       step: stepId,
       description: fetcherReporterWorkflow.steps[stepId].description,
-      requiredInput: [...fetcherReporterWorkflow.steps[stepId].requiredInput]
+      requiredInput: [...fetcherReporterWorkflow.steps[stepId].requiredInput],
+      mutation: fetcherReporterWorkflow.steps[stepId].mutation === true
     }))
   };
 }
@@ -194,12 +198,17 @@ export async function executeFetcherReporterStep(step, input = {}) {
     confirmMutation: input.confirmMutation,
     mutationReason: input.mutationReason
   };
+  const environmentOptions = {
+    environment: input.environment,
+    confirmEnvironment: input.confirmEnvironment
+  };
 
   switch (step) {
     case 'list-reporter-data-sources':
       return executeReporterAction({
         resource: 'data-sources',
-        action: 'list'
+        action: 'list',
+        ...environmentOptions
       });
 
     case 'get-reporter-data-source':
@@ -208,7 +217,8 @@ export async function executeFetcherReporterStep(step, input = {}) {
         action: 'get',
         pathParams: {
           dataSourceId: String(input.dataSourceId)
-        }
+        },
+        ...environmentOptions
       });
 
     case 'validate-fetcher-schema':
@@ -219,7 +229,8 @@ export async function executeFetcherReporterStep(step, input = {}) {
         body: {
           mappedFields: input.mappedFields
         },
-        ...mutationOptions
+        ...mutationOptions,
+        ...environmentOptions
       });
 
     case 'create-fetcher-job': {
@@ -240,7 +251,8 @@ export async function executeFetcherReporterStep(step, input = {}) {
           },
           metadata
         },
-        ...mutationOptions
+        ...mutationOptions,
+        ...environmentOptions
       });
     }
 
@@ -253,7 +265,8 @@ export async function executeFetcherReporterStep(step, input = {}) {
           filters: input.filters
         },
         headers: typeof input.headers === 'object' && input.headers ? input.headers : undefined,
-        ...mutationOptions
+        ...mutationOptions,
+        ...environmentOptions
       });
 
     case 'get-reporter-report':
@@ -262,7 +275,8 @@ export async function executeFetcherReporterStep(step, input = {}) {
         action: 'get',
         pathParams: {
           id: String(input.reportId)
-        }
+        },
+        ...environmentOptions
       });
 
     case 'download-reporter-report':
@@ -271,7 +285,8 @@ export async function executeFetcherReporterStep(step, input = {}) {
         action: 'download',
         pathParams: {
           id: String(input.reportId)
-        }
+        },
+        ...environmentOptions
       });
 
     default:
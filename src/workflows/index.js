@@ -1,5 +1,8 @@
 import { fetcherReporterWorkflow, describeFetcherReporterWorkflow, planFetcherReporterWorkflow, executeFetcherReporterStep, captureFetcherReporterArtifacts } from './fetcher-reporter.js';
-import { matcherFetcherMidazWorkflow, describeMatcherFetcherMidazWorkflow, planMatcherFetcherMidazWorkflow, executeMatcherFetcherMidazStep, captureMatcherFetcherMidazArtifacts } from './matcher-fetcher-midaz.js';
+import { matcherFetcherMidazWorkflow, describeMatcherFetcherMidazWorkflow, planMatcherFetcherMidazWorkflow, executeMatcherFetcherMidazStep, captureMatcherFetcherMidazArtifacts, compensateMatcherFetcherMidazStep } from './matcher-fetcher-midaz.js';
+import { loadWorkflowDefinitions } from './declarative.js';
+import config from '../config.js';
+import { createLogger } from '../util/mcp-logging.js';
 
 const workflows = {
   [fetcherReporterWorkflow.id]: {
@@ -14,12 +17,52 @@ const workflows = {
     describe: describeMatcherFetcherMidazWorkflow,
     plan: planMatcherFetcherMidazWorkflow,
     executeStep: executeMatcherFetcherMidazStep,
-    captureArtifacts: captureMatcherFetcherMidazArtifacts
+    captureArtifacts: captureMatcherFetcherMidazArtifacts,
+    compensateStep: compensateMatcherFetcherMidazStep
   }
 };
 
+const logger = createLogger('workflows');
+
 export const WORKFLOW_IDS = Object.keys(workflows);
 
+/**
+ * Add a workflow entry (`definition`, `describe`, `plan`, `executeStep`,
+ * `captureArtifacts`, and optionally `compensateStep` for steps that declare
+ * a `compensation`). portfolio-workflow builds its `workflow` enum from
+ * WORKFLOW_IDS when it is imported, so register before that.
+ */
+export function registerWorkflow(entry) {
+  const workflowId = entry.definition.id;
+  if (workflows[workflowId]) {
+    throw new Error(`Workflow "${workflowId}" is already registered`);
+  }
+
+  workflows[workflowId] = entry;
+  WORKFLOW_IDS.push(workflowId);
+}
+
+function loadConfiguredWorkflows(dir) {
+  if (!dir) {
+    return;
+  }
+
+  const { workflows: loaded, errors } = loadWorkflowDefinitions(dir);
+  for (const { file, workflow } of loaded) {
+    try {
+      registerWorkflow(workflow);
+    } catch (error) {
+      errors.push({ file, message: error.message });
+    }
+  }
+
+  for (const { file, message } of errors) {
+    logger.warning(`Skipped workflow definition ${file}: ${message}`);
+  }
+}
+
+loadConfiguredWorkflows(config.workflowsDir);
+
 export function listWorkflows() {
   return Object.values(workflows).map((workflow) => ({
     id: workflow.definition.id,
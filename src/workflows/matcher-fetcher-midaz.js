@@ -1,6 +1,6 @@
 import { routeAndExecute as executeMatcherAction } from '../products/matcher/router.js';
 import { routeAndExecute as executeFetcherAction } from '../products/fetcher/router.js';
-import { routeAndExecute as executeMidazAction } from '../api/router.js';
+import { routeAndExecute as executeMidazAction } from '../products/midaz/router.js';
 
 export const matcherFetcherMidazWorkflow = {
   id: 'matcher-to-fetcher-to-midaz',
@@ -37,11 +37,14 @@ export const matcherFetcherMidazWorkflow = {
   steps: {
     'create-matcher-context': {
       description: 'Create the reconciliation context that will own both the Fetcher-backed source and the Midaz ledger-side source.',
-      requiredInput: ['context']
+      requiredInput: ['context'],
+      mutation: true,
+      compensation: { resource: 'contexts', action: 'delete', requiredInput: ['contextId'] }
     },
     'refresh-matcher-discovery': {
       description: 'Force Matcher to sync its discovery view from Fetcher before selecting a connection.',
-      requiredInput: []
+      requiredInput: [],
+      mutation: true
     },
     'get-matcher-discovery-status': {
       description: 'Check whether Matcher currently sees Fetcher as healthy and how many connections are available.',
@@ -61,7 +64,8 @@ export const matcherFetcherMidazWorkflow = {
     },
     'start-matcher-discovery-extraction': {
       description: 'Start a discovery extraction through Matcher, which submits the request to Fetcher.',
-      requiredInput: ['connectionId', 'extractionRequest']
+      requiredInput: ['connectionId', 'extractionRequest'],
+      mutation: true
     },
     'poll-matcher-discovery-extraction': {
       description: 'Poll the bridge extraction until it advances state.',
@@ -85,15 +89,21 @@ export const matcherFetcherMidazWorkflow = {
     },
     'create-matcher-fetcher-source': {
       description: 'Create a Matcher source of type FETCHER inside the reconciliation context.',
-      requiredInput: ['contextId', 'source']
+      requiredInput: ['contextId', 'source'],
+      mutation: true,
+      compensation: { resource: 'sources', action: 'delete', requiredInput: ['contextId', 'matcherFetcherSourceId'] }
     },
     'create-matcher-ledger-source': {
       description: 'Create a Matcher source of type LEDGER inside the reconciliation context.',
-      requiredInput: ['contextId', 'source']
+      requiredInput: ['contextId', 'source'],
+      mutation: true,
+      compensation: { resource: 'sources', action: 'delete', requiredInput: ['contextId', 'matcherLedgerSourceId'] }
     },
     'create-matcher-field-map': {
       description: 'Create the field map for a Matcher source so extracted data can be normalized into the reconciliation model.',
-      requiredInput: ['contextId', 'mapping']
+      requiredInput: ['contextId', 'mapping'],
+      mutation: true,
+      compensation: { resource: 'field-maps', action: 'delete', requiredInput: ['fieldMapId'] }
     }
   }
 };
@@ -160,6 +170,10 @@ export function captureMatcherFetcherMidazArtifacts(step, result, input = {}) {
         ? { matcherFetcherSourceId: sourceId }
         : { matcherLedgerSourceId: sourceId };
     }
+    case 'create-matcher-field-map': {
+      const fieldMapId = firstDefined(result, ['fieldMapId', 'id']);
+      return fieldMapId ? { fieldMapId } : {};
+    }
     default:
       return {};
   }
@@ -220,11 +234,16 @@ export function describeMatcherFetcherMidazWorkflow() {
         'create-matcher-field-map'
       ]
     },
-    steps: matcherFetcherMidazWorkflow.stepOrder.map((stepId) => ({
-      step: stepId,
-      description: matcherFetcherMidazWorkflow.steps[stepId].description,
-      requiredInput: [...matcherFetcherMidazWorkflow.steps[stepId].requiredInput]
-    }))
+    steps: matcherFetcherMidazWorkflow.stepOrder.map((stepId) => {
+      const stepDef = matcherFetcherMidazWorkflow.steps[stepId];
+      return {
+        step: stepId,
+        description: stepDef.description,
+        requiredInput: [...stepDef.requiredInput],
+        mutation: stepDef.mutation === true,
+        ...(stepDef.compensation ? { compensation: { ...stepDef.compensation, requiredInput: [...stepDef.compensation.requiredInput] } } : {})
+      };
+    })
   };
 }
 
@@ -266,6 +285,10 @@ export async function executeMatcherFetcherMidazStep(step, input = {}) {
     confirmMutation: input.confirmMutation,
     mutationReason: input.mutationReason
   };
+  const environmentOptions = {
+    environment: input.environment,
+    confirmEnvironment: input.confirmEnvironment
+  };
   const organizationId = input.workflowOrganizationId || input.organizationId;
 
   if (input.workflowOrganizationId && input.organizationId && input.workflowOrganizationId !== input.organizationId) {
@@ -279,7 +302,8 @@ export async function executeMatcherFetcherMidazStep(step, input = {}) {
         action: 'create',
         body: input.context,
         headers: matcherHeaders,
-        ...mutationOptions
+        ...mutationOptions,
+        ...environmentOptions
       });
 
     case 'refresh-matcher-discovery':
@@ -287,21 +311,24 @@ export async function executeMatcherFetcherMidazStep(step, input = {}) {
         resource: 'discovery',
         action: 'refresh',
         headers: matcherHeaders,
-        ...mutationOptions
+        ...mutationOptions,
+        ...environmentOptions
       });
 
     case 'get-matcher-discovery-status':
       return executeMatcherAction({
         resource: 'discovery',
         action: 'getStatus',
-        headers: matcherHeaders
+        headers: matcherHeaders,
+        ...environmentOptions
       });
 
     case 'list-matcher-discovery-connections':
       return executeMatcherAction({
         resource: 'discovery',
         action: 'listConnections',
-        headers: matcherHeaders
+        headers: matcherHeaders,
+        ...environmentOptions
       });
 
     case 'get-matcher-discovery-connection':
@@ -309,7 +336,8 @@ export async function executeMatcherFetcherMidazStep(step, input = {}) {
         resource: 'discovery',
         action: 'getConnection',
         pathParams: { connectionId: String(input.connectionId) },
-        headers: matcherHeaders
+        headers: matcherHeaders,
+        ...environmentOptions
       });
 
     case 'get-matcher-discovery-schema':
@@ -317,7 +345,8 @@ export async function executeMatcherFetcherMidazStep(step, input = {}) {
         resource: 'discovery',
         action: 'getConnectionSchema',
         pathParams: { connectionId: String(input.connectionId) },
-        headers: matcherHeaders
+        headers: matcherHeaders,
+        ...environmentOptions
       });
 
     case 'start-matcher-discovery-extraction':
@@ -327,7 +356,8 @@ export async function executeMatcherFetcherMidazStep(step, input = {}) {
         pathParams: { connectionId: String(input.connectionId) },
         body: input.extractionRequest,
         headers: matcherHeaders,
-        ...mutationOptions
+        ...mutationOptions,
+        ...environmentOptions
       });
 
     case 'poll-matcher-discovery-extraction':
@@ -335,7 +365,8 @@ export async function executeMatcherFetcherMidazStep(step, input = {}) {
         resource: 'discovery',
         action: 'pollExtraction',
         pathParams: { extractionId: String(input.extractionId) },
-        headers: matcherHeaders
+        headers: matcherHeaders,
+        ...environmentOptions
       });
 
     case 'get-fetcher-job':
@@ -344,14 +375,16 @@ export async function executeMatcherFetcherMidazStep(step, input = {}) {
         action: 'get',
         organizationId: String(organizationId),
         productName: fetcherProductName,
-        pathParams: { id: String(input.fetcherJobId) }
+        pathParams: { id: String(input.fetcherJobId) },
+        ...environmentOptions
       });
 
     case 'list-midaz-organizations':
       return executeMidazAction({
         resource: 'organizations',
         action: 'list',
-        queryParams: typeof input.midazQueryParams === 'object' && input.midazQueryParams ? input.midazQueryParams : {}
+        queryParams: typeof input.midazQueryParams === 'object' && input.midazQueryParams ? input.midazQueryParams : {},
+        ...environmentOptions
       });
 
     case 'list-midaz-ledgers':
@@ -359,7 +392,8 @@ export async function executeMatcherFetcherMidazStep(step, input = {}) {
         resource: 'ledgers',
         action: 'list',
         pathParams: { organizationId: String(organizationId) },
-        queryParams: typeof input.midazQueryParams === 'object' && input.midazQueryParams ? input.midazQueryParams : {}
+        queryParams: typeof input.midazQueryParams === 'object' && input.midazQueryParams ? input.midazQueryParams : {},
+        ...environmentOptions
       });
 
     case 'list-midaz-transactions':
@@ -373,7 +407,8 @@ export async function executeMatcherFetcherMidazStep(step, input = {}) {
         queryParams: {
           limit: 50,
           ...(typeof input.midazQueryParams === 'object' && input.midazQueryParams ? input.midazQueryParams : {})
-        }
+        },
+        ...environmentOptions
       });
 
     case 'create-matcher-fetcher-source': {
@@ -388,7 +423,8 @@ export async function executeMatcherFetcherMidazStep(step, input = {}) {
         pathParams: { contextId: String(input.contextId) },
         body: source,
         headers: matcherHeaders,
-        ...mutationOptions
+        ...mutationOptions,
+        ...environmentOptions
       });
     }
 
@@ -404,7 +440,8 @@ export async function executeMatcherFetcherMidazStep(step, input = {}) {
         pathParams: { contextId: String(input.contextId) },
         body: source,
         headers: matcherHeaders,
-        ...mutationOptions
+        ...mutationOptions,
+        ...environmentOptions
       });
     }
 
@@ -418,10 +455,57 @@ export async function executeMatcherFetcherMidazStep(step, input = {}) {
         },
         body: { mapping: input.mapping },
         headers: matcherHeaders,
-        ...mutationOptions
+        ...mutationOptions,
+        ...environmentOptions
       });
 
     default:
       throw new Error(`Unknown workflow step: ${step}`);
   }
 }
+
+/**
+ * Undo a completed step with its declared compensation, using the session
+ * context (including the artifacts the step captured).
+ */
+export async function compensateMatcherFetcherMidazStep(step, input = {}) {
+  const compensation = getStepDefinition(step)?.compensation;
+  if (!compensation) {
+    throw new Error(`Workflow step "${step}" has no compensating action`);
+  }
+
+  const missingInput = compensation.requiredInput.filter((field) => {
+    const value = getValue(input, field);
+    return value === undefined || value === null || value === '';
+  });
+  if (missingInput.length > 0) {
+    throw new Error(`Missing required workflow input to compensate step "${step}": ${missingInput.join(', ')}`);
+  }
+
+  const request = {
+    resource: compensation.resource,
+    action: compensation.action,
+    headers: typeof input.matcherHeaders === 'object' && input.matcherHeaders ? input.matcherHeaders : undefined,
+    confirmMutation: input.confirmMutation,
+    mutationReason: input.mutationReason,
+    environment: input.environment,
+    confirmEnvironment: input.confirmEnvironment
+  };
+
+  switch (step) {
+    case 'create-matcher-context':
+      return executeMatcherAction({ ...request, pathParams: { contextId: String(input.contextId) } });
+
+    case 'create-matcher-fetcher-source':
+      return executeMatcherAction({ ...request, pathParams: { contextId: String(input.contextId), sourceId: String(input.matcherFetcherSourceId) } });
+
+    case 'create-matcher-ledger-source':
+      return executeMatcherAction({ ...request, pathParams: { contextId: String(input.contextId), sourceId: String(input.matcherLedgerSourceId) } });
+
+    case 'create-matcher-field-map':
+      return executeMatcherAction({ ...request, pathParams: { fieldMapId: String(input.fieldMapId) } });
+
+    default:
+      throw new Error(`Workflow step "${step}" has no compensating action`);
+  }
+}
@@ -0,0 +1,217 @@
+import crypto from 'crypto';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { createRequire } from 'module';
+import { getCacheEncryptionKey } from '../util/secret-manager.js';
+import { DEFAULT_LOCK_TIMEOUT_MS, withFileLockSync } from '../util/file-lock.js';
+
+/**
+ * Storage backends for workflow sessions.
+ *
+ * A backend exposes `transaction(fn)`, which calls `fn(sessions)` with a table
+ * of `get(sessionId)`, `set(session)`, `delete(sessionId)`, `values()`, and
+ * `clear()` and returns its result. Everything inside one call is atomic, so
+ * the TTL, limit, and token checks in session-store.js see a consistent view
+ * even when several server processes share a store.
+ *
+ * - `memory`: a process-local Map (the default).
+ * - `file`: one JSON document encrypted with AES-256-GCM under a key derived
+ *   from `getCacheEncryptionKey()`. A lock file (src/util/file-lock.js)
+ *   serializes writers and the document is re-read on every transaction.
+ * - `sqlite`: one row per session in a WAL-mode database through the optional
+ *   `better-sqlite3` package; session data is encrypted the same way.
+ */
+
+export const SESSION_STORE_BACKENDS = ['memory', 'file', 'sqlite'];
+
+export const DEFAULT_SESSION_STORE_PATHS = {
+  file: path.join(os.homedir(), '.lerian', 'workflow-sessions.json'),
+  sqlite: path.join(os.homedir(), '.lerian', 'workflow-sessions.db')
+};
+
+const STORE_FORMAT_VERSION = 1;
+const CIPHER = 'aes-256-gcm';
+
+function deriveKey(secret) {
+  return Buffer.from(crypto.hkdfSync('sha256', String(secret), '', 'lerian-workflow-sessions', 32));
+}
+
+function encrypt(key, value) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv(CIPHER, key, iv);
+  const data = Buffer.concat([cipher.update(JSON.stringify(value), 'utf8'), cipher.final()]);
+  return { iv: iv.toString('base64'), tag: cipher.getAuthTag().toString('base64'), data: data.toString('base64') };
+}
+
+function decrypt(key, envelope, where) {
+  try {
+    const decipher = crypto.createDecipheriv(CIPHER, key, Buffer.from(envelope.iv, 'base64'));
+    decipher.setAuthTag(Buffer.from(envelope.tag, 'base64'));
+    const plain = Buffer.concat([decipher.update(Buffer.from(envelope.data, 'base64')), decipher.final()]);
+    return JSON.parse(plain.toString('utf8'));
+  } catch {
+    throw new Error(`${where} could not be decrypted. CACHE_ENCRYPTION_KEY may have changed since it was written.`);
+  }
+}
+
+function createMapTable(sessions, onChange = () => {}) {
+  return {
+    get: (sessionId) => sessions.get(sessionId) || null,
+    set: (session) => {
+      sessions.set(session.sessionId, session);
+      onChange();
+    },
+    delete: (sessionId) => {
+      if (sessions.delete(sessionId)) {
+        onChange();
+      }
+    },
+    values: () => [...sessions.values()],
+    clear: () => {
+      if (sessions.size > 0) {
+        sessions.clear();
+        onChange();
+      }
+    }
+  };
+}
+
+export function createMemorySessionBackend() {
+  const sessions = new Map();
+  const table = createMapTable(sessions);
+  return {
+    kind: 'memory',
+    transaction: (fn) => fn(table),
+    close: () => {}
+  };
+}
+
+/**
+ * @param {{ path?: string, secret?: string }} [options] - `secret` defaults to getCacheEncryptionKey()
+ */
+export function createFileSessionBackend({ path: storePath, secret } = {}) {
+  const filePath = path.resolve(storePath || DEFAULT_SESSION_STORE_PATHS.file);
+  const lockPath = `${filePath}.lock`;
+  const key = deriveKey(secret || getCacheEncryptionKey());
+  const where = `Workflow session store ${filePath}`;
+  fs.mkdirSync(path.dirname(filePath), { recursive: true, mode: 0o700 });
+
+  const read = () => {
+    let envelope;
+    try {
+      envelope = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return new Map();
+      }
+      throw new Error(`${where} could not be read: ${error.message}`);
+    }
+    if (envelope.version !== STORE_FORMAT_VERSION) {
+      throw new Error(`${where} has unsupported format version ${envelope.version}`);
+    }
+    const { sessions } = decrypt(key, envelope, where);
+    return new Map((sessions || []).map((session) => [session.sessionId, session]));
+  };
+
+  const write = (sessions) => {
+    const tempPath = `${filePath}.${process.pid}.tmp`;
+    const envelope = { version: STORE_FORMAT_VERSION, cipher: CIPHER, ...encrypt(key, { sessions: [...sessions.values()] }) };
+    fs.writeFileSync(tempPath, JSON.stringify(envelope), { mode: 0o600 });
+    fs.renameSync(tempPath, filePath);
+  };
+
+  return {
+    kind: 'file',
+    path: filePath,
+    transaction: (fn) => withFileLockSync(lockPath, () => {
+      const sessions = read();
+      let dirty = false;
+      const result = fn(createMapTable(sessions, () => {
+        dirty = true;
+      }));
+      if (dirty) {
+        write(sessions);
+      }
+      return result;
+    }),
+    close: () => {}
+  };
+}
+
+function loadSqlite() {
+  try {
+    return createRequire(import.meta.url)('better-sqlite3');
+  } catch (error) {
+    throw new Error(`The sqlite workflow session store needs the optional "better-sqlite3" package (${error.message})`);
+  }
+}
+
+/**
+ * @param {{ path?: string, secret?: string }} [options] - `secret` defaults to getCacheEncryptionKey()
+ */
+export function createSqliteSessionBackend({ path: storePath, secret } = {}) {
+  const Database = loadSqlite();
+  const filePath = path.resolve(storePath || DEFAULT_SESSION_STORE_PATHS.sqlite);
+  const key = deriveKey(secret || getCacheEncryptionKey());
+  const where = `Workflow session store ${filePath}`;
+  fs.mkdirSync(path.dirname(filePath), { recursive: true, mode: 0o700 });
+
+  const db = new Database(filePath);
+  db.pragma('journal_mode = WAL');
+  db.pragma(`busy_timeout = ${DEFAULT_LOCK_TIMEOUT_MS}`);
+  db.exec('CREATE TABLE IF NOT EXISTS workflow_sessions (session_id TEXT PRIMARY KEY, data TEXT NOT NULL)');
+
+  const statements = {
+    get: db.prepare('SELECT data FROM workflow_sessions WHERE session_id = ?'),
+    set: db.prepare('INSERT INTO workflow_sessions (session_id, data) VALUES (?, ?) ON CONFLICT(session_id) DO UPDATE SET data = excluded.data'),
+    delete: db.prepare('DELETE FROM workflow_sessions WHERE session_id = ?'),
+    all: db.prepare('SELECT data FROM workflow_sessions'),
+    clear: db.prepare('DELETE FROM workflow_sessions')
+  };
+  const decode = (row) => decrypt(key, JSON.parse(row.data), where);
+
+  const table = {
+    get: (sessionId) => {
+      const row = statements.get.get(sessionId);
+      return row ? decode(row) : null;
+    },
+    set: (session) => {
+      statements.set.run(session.sessionId, JSON.stringify(encrypt(key, session)));
+    },
+    delete: (sessionId) => {
+      statements.delete.run(sessionId);
+    },
+    values: () => statements.all.all().map(decode),
+    clear: () => {
+      statements.clear.run();
+    }
+  };
+  const run = db.transaction((fn) => fn(table));
+
+  return {
+    kind: 'sqlite',
+    path: filePath,
+    // IMMEDIATE takes the write lock up front so concurrent processes queue on busy_timeout
+    transaction: (fn) => run.immediate(fn),
+    close: () => db.close()
+  };
+}
+
+/**
+ * Build the backend named by `store`.
+ *
+ * @param {{ store?: string, path?: string, secret?: string }} [options]
+ */
+export function createSessionBackend({ store = 'memory', path: storePath, secret } = {}) {
+  switch (store) {
+    case 'memory':
+      return createMemorySessionBackend();
+    case 'file':
+      return createFileSessionBackend({ path: storePath, secret });
+    case 'sqlite':
+      return createSqliteSessionBackend({ path: storePath, secret });
+    default:
+      throw new Error(`Unknown workflow session store "${store}". Use one of: ${SESSION_STORE_BACKENDS.join(', ')}`);
+  }
+}
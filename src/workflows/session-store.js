@@ -1,15 +1,49 @@
 import crypto from 'crypto';
+import config from '../config.js';
+import { createLogger } from '../util/mcp-logging.js';
+import { createSessionBackend } from './session-backends.js';
 
-const sessions = new Map();
 const DEFAULT_SESSION_TTL_MS = 24 * 60 * 60 * 1000;
 const MAX_SESSIONS = 100;
 const MAX_SESSIONS_PER_SCOPE = 20;
 const MAX_STEP_HISTORY = 25;
 const MAX_SESSION_FIELD_BYTES = 64 * 1024;
 const SECRET_KEY_PATTERN = /(authorization|token|password|secret|api[-_]?key|credential|cookie)/i;
-const IMMUTABLE_CONTEXT_FIELDS = new Set(['tenantId', 'organizationId', 'ledgerId', 'productName', 'workflowOrganizationId']);
+const IMMUTABLE_CONTEXT_FIELDS = new Set(['tenantId', 'organizationId', 'ledgerId', 'productName', 'workflowOrganizationId', 'environment']);
 
-const cleanupInterval = setInterval(pruneExpiredSessions, 60 * 60 * 1000);
+const logger = createLogger('workflow-sessions');
+let backend = null;
+
+function getBackend() {
+  if (!backend) {
+    backend = createSessionBackend(config.workflowSessions);
+  }
+  return backend;
+}
+
+function withSessions(fn) {
+  return getBackend().transaction(fn);
+}
+
+/**
+ * Switch the session backend (see session-backends.js). Takes
+ * `{ store, path, secret }`; without options it goes back to the configured
+ * `workflowSessions` store. Returns the backend kind.
+ */
+export function configureWorkflowSessionStore(options = config.workflowSessions) {
+  const next = createSessionBackend(options);
+  backend?.close();
+  backend = next;
+  return backend.kind;
+}
+
+const cleanupInterval = setInterval(() => {
+  try {
+    withSessions(pruneExpiredSessions);
+  } catch (error) {
+    logger.warning(`Workflow session cleanup failed: ${error.message}`);
+  }
+}, 60 * 60 * 1000);
 cleanupInterval.unref?.();
 
 function nowIso() {
@@ -24,10 +58,10 @@ function isExpired(session) {
   return Date.parse(session.expiresAt) <= Date.now();
 }
 
-function pruneExpiredSessions() {
-  for (const [sessionId, session] of sessions.entries()) {
+function pruneExpiredSessions(sessions) {
+  for (const session of sessions.values()) {
     if (isExpired(session)) {
-      sessions.delete(sessionId);
+      sessions.delete(session.sessionId);
     }
   }
 }
@@ -46,8 +80,8 @@ function hasValidSessionToken(session, sessionToken) {
   return actual.length === expected.length && crypto.timingSafeEqual(actual, expected);
 }
 
-function enforceSessionLimit(scopeId) {
-  const sameScope = [...sessions.values()]
+function enforceSessionLimit(sessions, scopeId) {
+  const sameScope = sessions.values()
     .filter((session) => session.scopeId === scopeId)
     .sort((left, right) => Date.parse(left.updatedAt) - Date.parse(right.updatedAt));
 
@@ -57,12 +91,13 @@ function enforceSessionLimit(scopeId) {
     }
   }
 
-  if (sessions.size <= MAX_SESSIONS) {
+  const remaining = sessions.values();
+  if (remaining.length <= MAX_SESSIONS) {
     return;
   }
 
-  const oldest = [...sessions.values()].sort((left, right) => Date.parse(left.updatedAt) - Date.parse(right.updatedAt));
-  for (const session of oldest.slice(0, sessions.size - MAX_SESSIONS)) {
+  const oldest = remaining.sort((left, right) => Date.parse(left.updatedAt) - Date.parse(right.updatedAt));
+  for (const session of oldest.slice(0, remaining.length - MAX_SESSIONS)) {
     sessions.delete(session.sessionId);
   }
 }
@@ -73,8 +108,8 @@ function requireScope(scopeId) {
   }
 }
 
-function getScopedSession(sessionId, scopeId, sessionToken = null, { requireToken = true } = {}) {
-  pruneExpiredSessions();
+function getScopedSession(sessions, sessionId, scopeId, sessionToken = null, { requireToken = true } = {}) {
+  pruneExpiredSessions(sessions);
   requireScope(scopeId);
   const session = sessions.get(sessionId);
   if (!session || session.scopeId !== scopeId || isExpired(session)) {
@@ -159,7 +194,6 @@ function mergeContext(existingContext = {}, patch = {}) {
 }
 
 export function createWorkflowSession(workflowId, initialInput = {}, { scopeId } = {}) {
-  pruneExpiredSessions();
   requireScope(scopeId);
   const sessionId = crypto.randomUUID();
   const sessionToken = crypto.randomBytes(32).toString('hex');
@@ -179,91 +213,146 @@ export function createWorkflowSession(workflowId, initialInput = {}, { scopeId }
     stepHistory: []
   };
 
-  sessions.set(sessionId, session);
-  enforceSessionLimit(scopeId);
+  withSessions((sessions) => {
+    pruneExpiredSessions(sessions);
+    sessions.set(session);
+    enforceSessionLimit(sessions, scopeId);
+  });
   return cloneSession(session, { includeSessionToken: true, sessionToken });
 }
 
 export function getWorkflowSession(sessionId, { scopeId, sessionToken } = {}) {
-  const session = getScopedSession(sessionId, scopeId, sessionToken);
-  return session ? cloneSession(session) : null;
+  return withSessions((sessions) => {
+    const session = getScopedSession(sessions, sessionId, scopeId, sessionToken);
+    return session ? cloneSession(session) : null;
+  });
 }
 
 export function getWorkflowSessionContext(sessionId, { scopeId, sessionToken } = {}) {
-  const session = getScopedSession(sessionId, scopeId, sessionToken);
-  return session ? { ...session.inputContext } : null;
+  return withSessions((sessions) => {
+    const session = getScopedSession(sessions, sessionId, scopeId, sessionToken);
+    return session ? { ...session.inputContext } : null;
+  });
 }
 
 export function listWorkflowSessions(workflowId = null, { scopeId, sessionToken, limit = 25 } = {}) {
-  pruneExpiredSessions();
   requireScope(scopeId);
 
-  return [...sessions.values()]
-    .filter((session) => session.scopeId === scopeId && hasValidSessionToken(session, sessionToken) && (!workflowId || session.workflowId === workflowId))
-    .sort((left, right) => Date.parse(right.updatedAt) - Date.parse(left.updatedAt))
-    .slice(0, Math.max(1, Math.min(Number(limit) || 25, 100)))
-    .map((session) => summarizeSession(session));
+  return withSessions((sessions) => {
+    pruneExpiredSessions(sessions);
+    return sessions.values()
+      .filter((session) => session.scopeId === scopeId && hasValidSessionToken(session, sessionToken) && (!workflowId || session.workflowId === workflowId))
+      .sort((left, right) => Date.parse(right.updatedAt) - Date.parse(left.updatedAt))
+      .slice(0, Math.max(1, Math.min(Number(limit) || 25, 100)))
+      .map((session) => summarizeSession(session));
+  });
 }
 
 export function resetWorkflowSessions() {
-  sessions.clear();
+  withSessions((sessions) => sessions.clear());
 }
 
 export function mergeWorkflowSessionInput(sessionId, input = {}, { scopeId, sessionToken } = {}) {
-  const session = getScopedSession(sessionId, scopeId, sessionToken);
-  if (!session) {
-    return null;
-  }
+  return withSessions((sessions) => {
+    const session = getScopedSession(sessions, sessionId, scopeId, sessionToken);
+    if (!session) {
+      return null;
+    }
 
-  session.inputContext = mergeContext(session.inputContext, input || {});
-  session.updatedAt = nowIso();
-  session.expiresAt = expiresAtFrom(session.updatedAt);
-  return cloneSession(session);
+    session.inputContext = mergeContext(session.inputContext, input || {});
+    session.updatedAt = nowIso();
+    session.expiresAt = expiresAtFrom(session.updatedAt);
+    sessions.set(session);
+    return cloneSession(session);
+  });
 }
 
 export function previewWorkflowSessionInput(sessionId, input = {}, { scopeId, sessionToken } = {}) {
-  const session = getScopedSession(sessionId, scopeId, sessionToken);
-  if (!session) {
-    return null;
-  }
+  return withSessions((sessions) => {
+    const session = getScopedSession(sessions, sessionId, scopeId, sessionToken);
+    if (!session) {
+      return null;
+    }
 
-  return mergeContext(session.inputContext, input || {});
+    return mergeContext(session.inputContext, input || {});
+  });
 }
 
 export function recordWorkflowStep(sessionId, { step, input, result, artifacts = {} }, { scopeId, sessionToken } = {}) {
-  const session = getScopedSession(sessionId, scopeId, sessionToken);
-  if (!session) {
-    return null;
-  }
+  return withSessions((sessions) => {
+    const session = getScopedSession(sessions, sessionId, scopeId, sessionToken);
+    if (!session) {
+      return null;
+    }
 
-  session.inputContext = mergeContext(session.inputContext, {
-    ...(input || {}),
-    ...(artifacts || {})
-  });
-  session.artifacts = boundedSanitizedValue({
-    ...session.artifacts,
-    ...(artifacts || {})
-  });
+    session.inputContext = mergeContext(session.inputContext, {
+      ...(input || {}),
+      ...(artifacts || {})
+    });
+    session.artifacts = boundedSanitizedValue({
+      ...session.artifacts,
+      ...(artifacts || {})
+    });
+
+    if (!session.completedSteps.includes(step)) {
+      session.completedSteps.push(step);
+    }
 
-  if (!session.completedSteps.includes(step)) {
-    session.completedSteps.push(step);
-  }
+    session.stepHistory.push({
+      step,
+      executedAt: nowIso(),
+      input: boundedSanitizedValue(input || {}),
+      artifacts: boundedSanitizedValue(artifacts || {}),
+      result: summarizeResult(result)
+    });
+
+    if (session.stepHistory.length > MAX_STEP_HISTORY) {
+      session.stepHistory.splice(0, session.stepHistory.length - MAX_STEP_HISTORY);
+    }
 
-  session.stepHistory.push({
-    step,
-    executedAt: nowIso(),
-    input: boundedSanitizedValue(input || {}),
-    artifacts: boundedSanitizedValue(artifacts || {}),
-    result: summarizeResult(result)
+    session.updatedAt = nowIso();
+    session.expiresAt = expiresAtFrom(session.updatedAt);
+    sessions.set(session);
+    return cloneSession(session);
   });
+}
 
-  if (session.stepHistory.length > MAX_STEP_HISTORY) {
-    session.stepHistory.splice(0, session.stepHistory.length - MAX_STEP_HISTORY);
-  }
+/**
+ * Mark a completed step as undone by its compensation: the step leaves
+ * completedSteps, the artifacts it captured leave the session context, and
+ * the compensation is appended to stepHistory.
+ */
+export function recordWorkflowCompensation(sessionId, { step, result }, { scopeId, sessionToken } = {}) {
+  return withSessions((sessions) => {
+    const session = getScopedSession(sessions, sessionId, scopeId, sessionToken);
+    if (!session) {
+      return null;
+    }
 
-  session.updatedAt = nowIso();
-  session.expiresAt = expiresAtFrom(session.updatedAt);
-  return cloneSession(session);
+    const executed = session.stepHistory.filter((entry) => entry.step === step && !entry.compensated).at(-1);
+    // The captured IDs point at deleted resources, so a re-run may capture new ones
+    for (const key of Object.keys(executed?.artifacts || {})) {
+      delete session.artifacts[key];
+      delete session.inputContext[key];
+    }
+
+    session.completedSteps = session.completedSteps.filter((completed) => completed !== step);
+    session.stepHistory.push({
+      step,
+      compensated: true,
+      executedAt: nowIso(),
+      result: summarizeResult(result)
+    });
+
+    if (session.stepHistory.length > MAX_STEP_HISTORY) {
+      session.stepHistory.splice(0, session.stepHistory.length - MAX_STEP_HISTORY);
+    }
+
+    session.updatedAt = nowIso();
+    session.expiresAt = expiresAtFrom(session.updatedAt);
+    sessions.set(session);
+    return cloneSession(session);
+  });
 }
 
 function summarizeSession(session) {
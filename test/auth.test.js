@@ -0,0 +1,140 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'node:crypto';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+
+import { createAuthenticator, resolveCallerId } from '../src/util/auth.js';
+import { registerPortfolioWorkflowTool } from '../src/tools/portfolio-workflow.js';
+import { resetWorkflowSessions } from '../src/workflows/session-store.js';
+
+function signJwt(privateKey, claims, header = { alg: 'RS256', kid: 'test-key' }) {
+  const encode = (value) => Buffer.from(JSON.stringify(value)).toString('base64url');
+  const signingInput = `${encode({ typ: 'JWT', ...header })}.${encode(claims)}`;
+  const signature = crypto.sign('sha256', Buffer.from(signingInput), privateKey).toString('base64url');
+  return `${signingInput}.${signature}`;
+}
+
+function createJwksFixture() {
+  const { publicKey, privateKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'lerian-auth-'));
+  const jwksPath = path.join(dir, 'jwks.json');
+  fs.writeFileSync(jwksPath, JSON.stringify({
+    keys: [{ ...publicKey.export({ format: 'jwk' }), kid: 'test-key', use: 'sig', alg: 'RS256' }]
+  }));
+  return { jwksPath, privateKey, dir };
+}
+
+function request(headers = {}) {
+  return { headers };
+}
+
+test('authenticator is disabled unless auth.enabled is set', () => {
+  assert.equal(createAuthenticator({ enabled: false, apiKeys: [{ userId: 'ops', key: 'k' }] }), null);
+  assert.throws(() => createAuthenticator({ enabled: true }), /auth\.apiKeys or an auth\.jwt\.jwksPath/);
+});
+
+test('static API keys resolve to the configured caller identity', () => {
+  const authenticate = createAuthenticator({
+    enabled: true,
+    apiKeys: [
+      { userId: 'ops-bot', key: 'plain-key', scopes: ['read'] },
+      { userId: 'auditor', keyHash: crypto.createHash('sha256').update('hashed-key').digest('hex') }
+    ]
+  });
+
+  const bearer = authenticate(request({ authorization: 'Bearer plain-key' }));
+  assert.equal(bearer.clientId, 'ops-bot');
+  assert.deepEqual(bearer.scopes, ['read']);
+  assert.equal(bearer.extra.authMethod, 'api-key');
+
+  assert.equal(authenticate(request({ 'x-api-key': 'hashed-key' })).clientId, 'auditor');
+
+  assert.throws(() => authenticate(request()), (error) => error.statusCode === 401 && /Missing bearer token/.test(error.message));
+  assert.throws(() => authenticate(request({ authorization: 'Bearer wrong' })), (error) => error.statusCode === 401 && /Bearer/.test(error.headers['WWW-Authenticate']));
+});
+
+test('JWTs are validated against the local JWKS file and claim rules', () => {
+  const { jwksPath, privateKey, dir } = createJwksFixture();
+  const now = Math.floor(Date.now() / 1000);
+
+  try {
+    const authenticate = createAuthenticator({
+      enabled: true,
+      jwt: { jwksPath, issuer: 'https://issuer.example', audience: 'lerian-mcp' }
+    });
+
+    const valid = signJwt(privateKey, {
+      sub: 'user-123',
+      iss: 'https://issuer.example',
+      aud: ['lerian-mcp'],
+      scope: 'workflows:run ledger:read',
+      exp: now + 300
+    });
+    const authInfo = authenticate(request({ authorization: `Bearer ${valid}` }));
+    assert.equal(authInfo.clientId, 'user-123');
+    assert.deepEqual(authInfo.scopes, ['workflows:run', 'ledger:read']);
+    assert.equal(authInfo.extra.authMethod, 'jwt');
+
+    const expired = signJwt(privateKey, { sub: 'user-123', iss: 'https://issuer.example', aud: 'lerian-mcp', exp: now - 600 });
+    assert.throws(() => authenticate(request({ authorization: `Bearer ${expired}` })), /expired/);
+
+    const wrongAudience = signJwt(privateKey, { sub: 'user-123', iss: 'https://issuer.example', aud: 'other', exp: now + 300 });
+    assert.throws(() => authenticate(request({ authorization: `Bearer ${wrongAudience}` })), /audience/);
+
+    const [header, payload] = valid.split('.');
+    const tampered = `${header}.${Buffer.from(JSON.stringify({ sub: 'admin', iss: 'https://issuer.example', aud: 'lerian-mcp', exp: now + 300 })).toString('base64url')}.${valid.split('.')[2]}`;
+    assert.notEqual(payload, tampered.split('.')[1]);
+    assert.throws(() => authenticate(request({ authorization: `Bearer ${tampered}` })), /Invalid JWT signature/);
+
+    const unsigned = `${Buffer.from(JSON.stringify({ alg: 'none' })).toString('base64url')}.${payload}.`;
+    assert.throws(() => authenticate(request({ authorization: `Bearer ${unsigned}` })), /not allowed/);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('resolveCallerId prefers the authenticated identity', () => {
+  assert.equal(resolveCallerId({ authInfo: { clientId: 'jwt-user', extra: { userId: 'jwt-user' } } }), 'jwt-user');
+  assert.equal(resolveCallerId({ context: { userId: 'ctx-user' } }), 'ctx-user');
+  assert.equal(resolveCallerId(undefined), 'anonymous');
+});
+
+test('portfolio-workflow scopes sessions to the authenticated caller', async () => {
+  resetWorkflowSessions();
+  let handler;
+  registerPortfolioWorkflowTool({
+    registerTool(_name, _config, registeredHandler) {
+      handler = registeredHandler;
+    }
+  });
+
+  const alice = { authInfo: { token: 't', clientId: 'alice', scopes: [], extra: { userId: 'alice' } } };
+  const bob = { authInfo: { token: 't', clientId: 'bob', scopes: [], extra: { userId: 'bob' } } };
+
+  const created = JSON.parse((await handler({
+    intent: 'create-session',
+    workflow: 'fetcher-to-reporter',
+    input: { organizationId: 'org-1' }
+  }, alice)).content[0].text);
+
+  assert.equal(created.session.scopeId, JSON.stringify(['alice', null]));
+
+  // A ':' in the caller or scope must not let one pair collide with another
+  const nested = JSON.parse((await handler({ intent: 'create-session', workflow: 'fetcher-to-reporter', scopeId: 'x:y', input: {} }, alice)).content[0].text);
+  const colonCaller = { authInfo: { token: 't', clientId: 'alice:x', scopes: [], extra: { userId: 'alice:x' } } };
+  await assert.rejects(
+    () => handler({ intent: 'get-session', sessionId: nested.session.sessionId, sessionToken: nested.session.sessionToken, scopeId: 'y' }, colonCaller),
+    (error) => error.code === -32002
+  );
+
+  const { sessionId, sessionToken } = created.session;
+  await assert.rejects(
+    () => handler({ intent: 'get-session', sessionId, sessionToken, scopeId: 'alice' }, bob),
+    (error) => error.code === -32002
+  );
+
+  const fetched = JSON.parse((await handler({ intent: 'get-session', sessionId, sessionToken }, alice)).content[0].text);
+  assert.equal(fetched.session.sessionId, sessionId);
+});
@@ -0,0 +1,122 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import { registerBatchTool } from '../src/tools/lerian-batch.js';
+import { describeBatchMutation } from '../src/products/batch.js';
+
+test('lerian-batch runs ordered steps with references, bounded read concurrency, and error modes', async () => {
+  const previousFetch = global.fetch;
+  let batch;
+  registerBatchTool({ registerTool(_name, _config, handler) { batch = handler; } });
+
+  const requests = [];
+  let inFlight = 0;
+  let maxInFlight = 0;
+  const json = (status, payload) => new Response(JSON.stringify(payload), { status, headers: { 'content-type': 'application/json' } });
+  global.fetch = async (url, options) => {
+    const { pathname } = new URL(url);
+    requests.push({ method: options.method, pathname, body: options.body && JSON.parse(options.body), reason: options.headers['X-Lerian-MCP-Mutation-Reason'] });
+    inFlight += 1;
+    maxInFlight = Math.max(maxInFlight, inFlight);
+    await new Promise((resolve) => setTimeout(resolve, 5));
+    inFlight -= 1;
+
+    if (pathname.endsWith('/missing')) {
+      return json(404, { code: 'NOT_FOUND', message: 'missing' });
+    }
+    if (options.method === 'POST' && pathname === '/v1/organizations') {
+      return json(201, { id: 'org-1', legalName: 'Acme' });
+    }
+    if (options.method === 'POST') {
+      return json(201, { id: 'ledger-1', name: 'Main' });
+    }
+    return json(200, { id: pathname.split('/').pop(), items: [{ id: 'item-1' }] });
+  };
+  const parse = (response) => JSON.parse(response.content[0].text);
+  const onboarding = [
+    { id: 'org', product: 'midaz', resource: 'organizations', action: 'create', body: { legalName: 'Acme', legalDocument: '123' } },
+    { id: 'ledger', product: 'midaz', resource: 'ledgers', action: 'create', pathParams: { organizationId: '${steps.org.id}' }, body: { name: 'Main for ${steps.org.legalName}' } },
+    { id: 'getOrg', product: 'midaz', resource: 'organizations', action: 'get', pathParams: { id: '${steps.org.id}' } },
+    { id: 'getLedger', product: 'midaz', resource: 'ledgers', action: 'get', pathParams: { organizationId: '${steps.org.id}', id: '${steps.ledger.id}' } },
+    { id: 'assets', product: 'midaz', resource: 'assets', action: 'list', pathParams: { organizationId: '${steps.org.id}', ledgerId: '${steps.ledger.id}' } }
+  ];
+
+  try {
+    await assert.rejects(
+      batch({ steps: onboarding }, {}),
+      (error) => /confirmMutation=true is required: the batch includes 2 mutating step\(s\) \(org, ledger\)/.test(error.message)
+    );
+    await assert.rejects(
+      batch({ steps: [{ product: 'midaz', resource: 'organizations', action: 'get', pathParams: { id: '${steps.later.id}' } }, { id: 'later', ...onboarding[0] }] }, {}),
+      (error) => /Step "1" references "later", which must be earlier steps/.test(error.message)
+    );
+    assert.equal(requests.length, 0);
+
+    const done = parse(await batch({ steps: onboarding, concurrency: 3, confirmMutation: true, mutationReason: 'onboard Acme' }, {}));
+    assert.equal(done.completed, true);
+    assert.deepEqual(done.summary, { total: 5, succeeded: 5, failed: 0, skipped: 0, pendingApproval: 0 });
+    assert.equal(requests[1].pathname, '/v1/organizations/org-1/ledgers');
+    assert.equal(requests[1].body.name, 'Main for Acme');
+    assert.equal(requests[1].reason, 'onboard Acme (batch step ledger, 2/5)');
+    assert.equal(requests[3].pathname, '/v1/organizations/org-1/ledgers/ledger-1');
+    assert.equal(maxInFlight, 3);
+    assert.equal(done.steps[4].result.items[0].id, 'item-1');
+
+    const preview = describeBatchMutation({ steps: onboarding, mutationReason: 'onboard Acme' });
+    assert.equal(preview.path, '2 mutating step(s) of 5');
+    assert.equal(preview.changes[0], 'org: POST /v1/organizations (midaz organizations.create)');
+
+    const failing = [
+      { id: 'lost', product: 'midaz', resource: 'organizations', action: 'get', pathParams: { id: 'missing' } },
+      { id: 'child', product: 'midaz', resource: 'ledgers', action: 'list', pathParams: { organizationId: '${steps.lost.id}' } },
+      { id: 'other', product: 'midaz', resource: 'organizations', action: 'get', pathParams: { id: 'org-2' } }
+    ];
+    requests.length = 0;
+    const stopped = parse(await batch({ steps: failing }, {}));
+    assert.deepEqual(stopped.steps.map((step) => step.status), ['failed', 'skipped', 'skipped']);
+    assert.match(stopped.steps[0].error.message, /Midaz API error: 404/);
+    assert.equal(requests.length, 1);
+
+    const continued = parse(await batch({ steps: failing, mode: 'continue' }, {}));
+    assert.deepEqual(continued.steps.map((step) => step.status), ['failed', 'skipped', 'succeeded']);
+    assert.equal(continued.steps[1].reason, 'Depends on step "lost", which did not succeed');
+    assert.equal(continued.completed, false);
+  } finally {
+    global.fetch = previousFetch;
+  }
+});
+
+test('lerian-batch charges the rate limit per step and bounds the mutation reason up front', async () => {
+  const previousFetch = global.fetch;
+  let batch;
+  registerBatchTool({ registerTool(_name, _config, handler) { batch = handler; } });
+  let fetched = 0;
+  global.fetch = async () => {
+    fetched += 1;
+    return new Response(JSON.stringify({ id: 'org-1' }), { status: 200, headers: { 'content-type': 'application/json' } });
+  };
+  const caller = { context: { userId: 'batch-budget' } };
+  const read = (index) => ({ product: 'midaz', resource: 'organizations', action: 'get', pathParams: { id: `org-${index}` } });
+
+  try {
+    await assert.rejects(
+      batch({
+        steps: [{ id: 'org', product: 'midaz', resource: 'organizations', action: 'create', body: { legalName: 'Acme', legalDocument: '1' } }],
+        confirmMutation: true,
+        mutationReason: 'x'.repeat(500)
+      }, caller),
+      (error) => /mutationReason must be at most 490 characters for this batch/.test(error.message)
+    );
+    assert.equal(fetched, 0);
+
+    const full = JSON.parse((await batch({ steps: Array.from({ length: 100 }, (_, index) => read(index)) }, caller)).content[0].text);
+    assert.equal(full.summary.succeeded, 100);
+
+    const over = JSON.parse((await batch({ steps: [read(100)] }, caller)).content[0].text);
+    assert.equal(over.steps[0].status, 'failed');
+    assert.match(over.steps[0].error.message, /Rate limit exceeded/);
+    assert.equal(fetched, 100);
+  } finally {
+    global.fetch = previousFetch;
+  }
+});
@@ -0,0 +1,57 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import { listCircuitBreakers, resetCircuitBreakers, withCircuitBreaker } from '../src/products/circuit-breaker.js';
+import { routeAndExecute as executeMidaz } from '../src/products/midaz/router.js';
+
+test('circuit breaker opens after consecutive connection failures and half-opens through system.health', async () => {
+  const previousFetch = global.fetch;
+  const urls = [];
+  let mode = 'timeout';
+  global.fetch = async (url) => {
+    urls.push(url);
+    if (mode === 'timeout') {
+      throw Object.assign(new Error('The operation was aborted due to timeout'), { name: 'TimeoutError' });
+    }
+    return new Response(mode === 'healthy' ? 'ok' : 'down', { status: mode === 'healthy' ? 200 : 503 });
+  };
+
+  try {
+    for (let attempt = 0; attempt < 5; attempt += 1) {
+      await assert.rejects(() => executeMidaz({ resource: 'organizations', action: 'list' }), { name: 'TimeoutError' });
+    }
+    assert.equal(urls.length, 5);
+
+    await assert.rejects(
+      () => executeMidaz({ resource: 'organizations', action: 'list' }),
+      (error) => error.code === 'CIRCUIT_OPEN' && /Midaz circuit breaker is open for http:\/\/localhost:3000 after 5 consecutive/.test(error.message)
+    );
+    assert.equal(urls.length, 5);
+
+    const breaker = listCircuitBreakers().find((item) => item.baseUrl === 'http://localhost:3000');
+    assert.equal(breaker.product, 'Midaz');
+    assert.equal(breaker.state, 'open');
+    assert.equal(breaker.lastError, 'TimeoutError');
+
+    const policy = { failureThreshold: 1, resetTimeoutMs: 5 };
+    const target = { productName: 'Probe', baseUrl: 'http://localhost:4999', healthPath: '/health', config: policy };
+    const timeout = () => Promise.reject(Object.assign(new Error('timed out'), { name: 'TimeoutError' }));
+
+    await assert.rejects(() => withCircuitBreaker(target, timeout), { name: 'TimeoutError' });
+    await new Promise((resolve) => setTimeout(resolve, 10));
+    urls.length = 0;
+    mode = 'unhealthy';
+    await assert.rejects(() => withCircuitBreaker(target, async () => 'never'), { code: 'CIRCUIT_OPEN' });
+    assert.deepEqual(urls, ['http://localhost:4999/health']);
+
+    await new Promise((resolve) => setTimeout(resolve, 10));
+    mode = 'healthy';
+    assert.equal(await withCircuitBreaker(target, async () => 'recovered'), 'recovered');
+    assert.equal(listCircuitBreakers().find((item) => item.product === 'Probe').state, 'closed');
+
+    assert.equal(await withCircuitBreaker({ ...target, config: false }, async () => 'bypass'), 'bypass');
+  } finally {
+    global.fetch = previousFetch;
+    resetCircuitBreakers();
+  }
+});
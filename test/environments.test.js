@@ -0,0 +1,71 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import { listEnvironments } from '../src/products/environments.js';
+import { runWithAuditContext } from '../src/util/security.js';
+import { configPromise } from '../src/config.js';
+import { routeAndExecute as executeTracer } from '../src/products/tracer/router.js';
+
+test('environment profiles select per-call URLs and guard production mutations', async () => {
+  const config = await configPromise;
+  const previousEnvironments = config.environments;
+  const previousFetch = global.fetch;
+  const requests = [];
+
+  config.environments = {
+    sandbox: { tracerApi: { baseUrl: 'https://sandbox.tracer.test' } },
+    production: { requireConfirmation: true, tracerApi: { baseUrl: 'https://prod.tracer.test', apiKey: 'prod-key' } }
+  };
+
+  try {
+    global.fetch = async (url, options) => {
+      requests.push({ url, apiKey: options.headers['X-API-Key'] });
+      return new Response(JSON.stringify({ id: 'rule-1' }), {
+        status: 200,
+        headers: { 'content-type': 'application/json' }
+      });
+    };
+
+    const auditContext = {};
+    await runWithAuditContext(auditContext, () => executeTracer({ resource: 'rules', action: 'get', pathParams: { id: 'rule-1' }, environment: 'sandbox' }));
+    assert.equal(requests[0].url, 'https://sandbox.tracer.test/v1/rules/rule-1');
+    assert.equal(auditContext.environment, 'sandbox');
+
+    const createRule = {
+      resource: 'rules',
+      action: 'create',
+      body: { name: 'block', expression: 'true', action: 'DENY' },
+      confirmMutation: true,
+      mutationReason: 'add production rule',
+      environment: 'production'
+    };
+
+    await assert.rejects(executeTracer(createRule), /confirmEnvironment="production" is required/);
+    assert.equal(requests.length, 1);
+
+    await executeTracer({ ...createRule, confirmEnvironment: 'production' });
+    assert.deepEqual(requests[1], { url: 'https://prod.tracer.test/v1/rules', apiKey: 'prod-key' });
+
+    await assert.rejects(
+      executeTracer({ resource: 'rules', action: 'get', pathParams: { id: 'rule-1' }, environment: 'qa' }),
+      /Unknown environment "qa". Configured environments: sandbox, production/
+    );
+    for (const inherited of ['__proto__', 'constructor', 'toString']) {
+      await assert.rejects(
+        executeTracer({ resource: 'rules', action: 'get', pathParams: { id: 'rule-1' }, environment: inherited }),
+        new RegExp(`Unknown environment "${inherited}"`)
+      );
+    }
+    assert.equal(requests.length, 2);
+
+    const listed = listEnvironments(config);
+    assert.deepEqual(listed.map((item) => [item.name, item.requireConfirmation, item.products]), [
+      ['sandbox', false, ['tracer']],
+      ['production', true, ['tracer']]
+    ]);
+    assert.equal(JSON.stringify(listed).includes('prod-key'), false);
+  } finally {
+    config.environments = previousEnvironments;
+    global.fetch = previousFetch;
+  }
+});
@@ -0,0 +1,62 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import { validateActionRequest } from '../src/products/http-helpers.js';
+import { resolveAction as resolveMidazAction } from '../src/products/midaz/router.js';
+
+test('action validation walks nested properties and items with path-qualified errors', () => {
+  const createTransaction = resolveMidazAction('transactions', 'create');
+  const pathParams = { organizationId: 'org-1', ledgerId: 'ledger-1' };
+  const mutation = { pathParams, confirmMutation: true, mutationReason: 'test' };
+  const send = (overrides = {}) => ({
+    asset: 'USD',
+    value: '100.00',
+    source: { from: [{ account: '@external/USD', amount: { asset: 'USD', value: '100.00' } }] },
+    distribute: { to: [{ account: '@alice', amount: { asset: 'USD', value: '100.00' } }] },
+    ...overrides
+  });
+
+  assert.doesNotThrow(() => validateActionRequest(createTransaction, { ...mutation, body: { send: send() } }));
+
+  assert.throws(
+    () => validateActionRequest(createTransaction, {
+      ...mutation,
+      body: { send: send({ source: { from: [{ amount: { asset: 'USD', value: '100.00' } }] } }) }
+    }),
+    /Missing required body fields: send\.source\.from\[0\]\.account/
+  );
+
+  assert.throws(
+    () => validateActionRequest(createTransaction, {
+      ...mutation,
+      body: { send: send({ source: { from: [{ account: '@external/USD', amount: { asset: 'USD', value: '1e2' } }] } }) }
+    }),
+    /Invalid body fields: send\.source\.from\[0\]\.amount\.value must be a decimal string/
+  );
+
+  assert.throws(
+    () => validateActionRequest(createTransaction, {
+      ...mutation,
+      body: { send: send({ distribute: { to: [], extra: true } }) }
+    }),
+    /Unknown body fields: send\.distribute\.extra/
+  );
+
+  assert.throws(
+    () => validateActionRequest(createTransaction, {
+      ...mutation,
+      body: { send: send({ distribute: { to: [] } }), transactionDate: '2024-13-45', route: 'not-a-uuid' }
+    }),
+    (error) => /send\.distribute\.to must contain at least 1 item/.test(error.message) &&
+      /transactionDate must be an RFC3339 timestamp/.test(error.message) &&
+      /route must be a UUID/.test(error.message)
+  );
+
+  assert.throws(
+    () => validateActionRequest(resolveMidazAction('holders', 'create'), {
+      ...mutation,
+      body: { name: 'Jane', type: 'PERSON', document: '123' }
+    }),
+    /Invalid body fields: type must be one of NATURAL_PERSON, LEGAL_PERSON/
+  );
+});
@@ -0,0 +1,197 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'node:http';
+
+import { McpServer } from '@modelcontextprotocol/sdk/server/mcp.js';
+import { startHttpTransport } from '../src/util/http-transport.js';
+import { isLocalConnection } from '../src/util/security.js';
+
+const INITIALIZE_REQUEST = {
+  jsonrpc: '2.0',
+  id: 1,
+  method: 'initialize',
+  params: {
+    protocolVersion: '2025-03-26',
+    capabilities: {},
+    clientInfo: { name: 'http-transport-test', version: '1.0.0' }
+  }
+};
+
+function createTestServer() {
+  return new McpServer({ name: 'http-transport-test-server', version: '0.0.0' });
+}
+
+function postJson(handle, body, headers = {}) {
+  return fetch(`http://127.0.0.1:${handle.address.port}/mcp`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      Accept: 'application/json, text/event-stream',
+      ...headers
+    },
+    body: JSON.stringify(body)
+  });
+}
+
+test('isLocalConnection accepts loopback requests and rejects foreign hosts', () => {
+  assert.equal(isLocalConnection(null), true);
+  assert.equal(isLocalConnection({ headers: { host: 'localhost:3333' }, socket: { remoteAddress: '127.0.0.1' } }), true);
+  assert.equal(isLocalConnection({ headers: { host: '[::1]:3333' }, socket: { remoteAddress: '::1' } }), true);
+  assert.equal(isLocalConnection({ headers: { host: 'evil.example:3333' }, socket: { remoteAddress: '127.0.0.1' } }), false);
+  assert.equal(isLocalConnection({ headers: { host: 'localhost' }, socket: { remoteAddress: '10.0.0.5' } }), false);
+});
+
+test('streamable HTTP transport creates one server per session', async () => {
+  const started = [];
+  const closed = [];
+  const handle = await startHttpTransport({
+    port: 0,
+    createServer: createTestServer,
+    onSessionStarted: (_server, info, sessionId) => started.push({ sessionId, info }),
+    onSessionClosed: (sessionId) => closed.push(sessionId)
+  });
+
+  try {
+    const first = await postJson(handle, INITIALIZE_REQUEST);
+    const second = await postJson(handle, INITIALIZE_REQUEST);
+    await first.text();
+    await second.text();
+
+    assert.equal(first.status, 200);
+    assert.equal(second.status, 200);
+    const firstSession = first.headers.get('mcp-session-id');
+    const secondSession = second.headers.get('mcp-session-id');
+    assert.ok(firstSession);
+    assert.notEqual(firstSession, secondSession);
+    assert.equal(handle.sessionCount(), 2);
+    assert.equal(started.length, 2);
+    assert.match(started[0].info.headers['user-agent'] || '', /node|undici/i);
+
+    const unknown = await postJson(handle, { jsonrpc: '2.0', id: 2, method: 'tools/list' }, {
+      'mcp-session-id': 'does-not-exist'
+    });
+    assert.equal(unknown.status, 404);
+
+    const missingInit = await postJson(handle, { jsonrpc: '2.0', id: 3, method: 'tools/list' });
+    assert.equal(missingInit.status, 400);
+  } finally {
+    await handle.close();
+  }
+
+  assert.equal(closed.length, 2);
+});
+
+test('HTTP transport rejects non-local Host headers unless remote access is enabled', async () => {
+  const handle = await startHttpTransport({ port: 0, createServer: createTestServer });
+
+  try {
+    // fetch cannot override Host, so send the spoofed header with node:http
+    const response = await new Promise((resolve, reject) => {
+      const req = http.request({
+        host: '127.0.0.1',
+        port: handle.address.port,
+        path: '/mcp',
+        method: 'POST',
+        headers: { Host: 'attacker.example', 'Content-Type': 'application/json' }
+      }, (res) => {
+        let text = '';
+        res.on('data', (chunk) => { text += chunk; });
+        res.on('end', () => resolve({ status: res.statusCode, text }));
+      });
+      req.on('error', reject);
+      req.end(JSON.stringify(INITIALIZE_REQUEST));
+    });
+    const payload = JSON.parse(response.text);
+
+    assert.equal(response.status, 403);
+    assert.equal(payload.error.code, -32003);
+    assert.equal(handle.sessionCount(), 0);
+  } finally {
+    await handle.close();
+  }
+});
+
+test('HTTP transport passes authenticator results and failures through', async () => {
+  const handle = await startHttpTransport({
+    port: 0,
+    createServer: createTestServer,
+    authenticate: (req) => {
+      if (req.headers.authorization !== 'Bearer good') {
+        throw Object.assign(new Error('Missing or invalid bearer token'), { statusCode: 401 });
+      }
+      return { token: 'good', clientId: 'tester', scopes: [] };
+    }
+  });
+
+  try {
+    const rejected = await postJson(handle, INITIALIZE_REQUEST);
+    assert.equal(rejected.status, 401);
+    assert.match((await rejected.json()).error.message, /bearer token/);
+
+    const accepted = await postJson(handle, INITIALIZE_REQUEST, { Authorization: 'Bearer good' });
+    await accepted.text();
+    assert.equal(accepted.status, 200);
+  } finally {
+    await handle.close();
+  }
+});
+
+test('HTTP transport binds unauthenticated sessions to the anonymous caller', async () => {
+  const handle = await startHttpTransport({
+    port: 0,
+    createServer: createTestServer,
+    authenticate: (req) => (req.headers.authorization === 'Bearer good' ? { token: 'good', clientId: 'tester', scopes: [] } : undefined)
+  });
+
+  try {
+    const anonymous = await postJson(handle, INITIALIZE_REQUEST);
+    await anonymous.text();
+    const sessionId = anonymous.headers.get('mcp-session-id');
+    assert.ok(sessionId);
+
+    const foreign = await postJson(handle, { jsonrpc: '2.0', id: 2, method: 'tools/list' }, { Authorization: 'Bearer good', 'mcp-session-id': sessionId });
+    assert.equal(foreign.status, 403);
+    assert.match((await foreign.json()).error.message, /different caller/);
+  } finally {
+    await handle.close();
+  }
+});
+
+test('HTTP transport closes idle sessions and servers whose initialize never completes', async () => {
+  const closedServers = [];
+  const closedSessions = [];
+  const handle = await startHttpTransport({
+    port: 0,
+    sessionIdleTimeoutMs: 50,
+    createServer: () => {
+      const server = createTestServer();
+      const close = server.close.bind(server);
+      server.close = async () => {
+        closedServers.push(server);
+        await close();
+      };
+      return server;
+    },
+    onSessionClosed: (sessionId) => closedSessions.push(sessionId)
+  });
+
+  try {
+    const rejected = await postJson(handle, INITIALIZE_REQUEST, { Accept: 'application/json' });
+    await rejected.text();
+    assert.equal(rejected.status, 406);
+    assert.equal(handle.sessionCount(), 0);
+    assert.equal(closedServers.length, 1);
+
+    const initialized = await postJson(handle, INITIALIZE_REQUEST);
+    await initialized.text();
+    const sessionId = initialized.headers.get('mcp-session-id');
+    assert.equal(handle.sessionCount(), 1);
+
+    await new Promise((resolve) => setTimeout(resolve, 200));
+    assert.equal(handle.sessionCount(), 0);
+    assert.deepEqual(closedSessions, [sessionId]);
+    assert.equal(closedServers.length, 2);
+  } finally {
+    await handle.close();
+  }
+});
@@ -0,0 +1,64 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import { routeAndExecute as executeMidaz } from '../src/products/midaz/router.js';
+
+test('midaz transaction preflight rejects unbalanced sends before any request is made', async () => {
+  const previousFetch = global.fetch;
+  let fetchCalls = 0;
+  global.fetch = async () => {
+    fetchCalls += 1;
+    return new Response(JSON.stringify({ id: 'tx-1' }), { status: 201, headers: { 'content-type': 'application/json' } });
+  };
+
+  const execute = (action, send) => executeMidaz({
+    resource: 'transactions',
+    action,
+    pathParams: { organizationId: 'org-1', ledgerId: 'ledger-1' },
+    body: { send },
+    confirmMutation: true,
+    mutationReason: 'preflight test'
+  });
+  const from = (account, value, asset = 'USD') => ({ account, amount: { asset, value } });
+
+  try {
+    await assert.rejects(
+      () => execute('create', { asset: 'USD', value: '100.00', source: { from: [from('@a', '60.00'), from('@b', '40.01')] }, distribute: { to: [from('@c', '100.00')] } }),
+      /Unbalanced transaction: send\.source totals 100\.01 USD but send\.value is 100\.00 USD/
+    );
+
+    await assert.rejects(
+      () => execute('create', { asset: 'USD', value: '10.00', source: { from: [from('@a', '10.00', 'BRL')] }, distribute: { to: [from('@c', '10.00')] } }),
+      /send\.source\.from\[0\]\.amount\.asset BRL does not match send\.asset USD/
+    );
+
+    await assert.rejects(
+      () => execute('create', {
+        asset: 'USD',
+        value: '10.00',
+        source: { from: [from('@a', '10.00')] },
+        distribute: { to: [{ account: '@c', share: { percentage: 150 } }, { account: '@d', remaining: 'remaining' }, { account: '@e', remaining: 'remaining' }] }
+      }),
+      (error) => /send\.distribute\.to\[0\]\.share\.percentage must be greater than 0 and at most 100/.test(error.message) &&
+        /more than one remaining operation/.test(error.message)
+    );
+
+    await assert.rejects(
+      () => execute('createOutflow', { asset: 'USD', value: '10.00', source: { from: [{ account: '@a', share: { percentage: 60 } }, from('@b', '4.01')] } }),
+      /Unbalanced transaction: send\.source totals 10\.01 USD but send\.value is 10\.00 USD/
+    );
+
+    assert.equal(fetchCalls, 0);
+
+    await execute('create', {
+      asset: 'USD',
+      value: '0.30',
+      source: { from: [from('@a', '0.10'), from('@b', '0.20')] },
+      distribute: { to: [{ account: '@c', share: { percentage: 33.3 } }, { account: '@d', remaining: 'remaining' }] }
+    });
+    await execute('createInflow', { asset: 'USD', value: '5.00', distribute: { to: [{ account: '@c', share: { percentage: 50, percentageOfPercentage: 50 } }, { account: '@d', remaining: 'remaining' }] } });
+    assert.equal(fetchCalls, 2);
+  } finally {
+    global.fetch = previousFetch;
+  }
+});
@@ -0,0 +1,147 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import { parseDsl, validateDsl, transactionToDsl } from '../src/products/midaz/dsl.js';
+import { checkSendBalance } from '../src/products/midaz/balance.js';
+import { registerMidazDslTool } from '../src/tools/midaz-dsl.js';
+
+const RENT_DSL = `(transaction V1
+  (chart-of-accounts-group-name PAYMENTS)
+  (description "Monthly \\"rent\\"")
+  (metadata (invoice "INV-1") (installment 3))
+  (send USD 1000|2
+    (source
+      (from @tenant :amount USD 10.00 (description "rent") (chart-of-accounts 1001)))
+    (distribute
+      (to @landlord :share 90)
+      (to @agency :remaining (metadata (fee true))))))
+`;
+
+test('parseDsl converts Gold DSL into the transactions.create body', () => {
+  const parsed = parseDsl(RENT_DSL);
+
+  assert.equal(parsed.ok, true);
+  assert.equal(parsed.version, 'V1');
+  assert.deepEqual(parsed.transaction, {
+    chartOfAccountsGroupName: 'PAYMENTS',
+    description: 'Monthly "rent"',
+    metadata: { invoice: 'INV-1', installment: 3 },
+    send: {
+      asset: 'USD',
+      value: '10.00',
+      source: {
+        from: [{ account: '@tenant', amount: { asset: 'USD', value: '10.00' }, description: 'rent', chartOfAccounts: '1001' }]
+      },
+      distribute: {
+        to: [
+          { account: '@landlord', share: { percentage: 90 } },
+          { account: '@agency', remaining: 'remaining', metadata: { fee: true } }
+        ]
+      }
+    }
+  });
+});
+
+test('parseDsl reports syntax errors with line and column', () => {
+  const unclosed = parseDsl('(transaction V1\n  (send USD 100|2\n    (source (from @a :amount USD 100|2))');
+  assert.equal(unclosed.ok, false);
+  assert.deepEqual(unclosed.errors.map((error) => [error.line, error.column]), [[1, 1], [2, 3]]);
+
+  const badKeyword = parseDsl('(transaction V1\n  (send USD 100|2\n    (source (from @a :amonut USD 100|2))\n    (distribute (to @b :remaining))))');
+  assert.equal(badKeyword.ok, false);
+  assert.equal(badKeyword.errors[0].line, 3);
+  assert.equal(badKeyword.errors[0].column, 22);
+  assert.match(badKeyword.errors[0].message, /Expected :amount, :share, or :remaining/);
+
+  const badScale = parseDsl('(transaction V1 (send USD 1.5|2 (source (from @a :remaining)) (distribute (to @b :remaining))))');
+  assert.match(badScale.errors[0].message, /Invalid send amount: Scaled amount value must be an integer/);
+  assert.equal(badScale.errors[0].column, 27);
+
+  assert.match(parseDsl('(transaction (send USD 1))').errors[0].message, /Expected a DSL version/);
+  assert.match(parseDsl('(transaction V1 "x")\n)').errors[0].message, /Unexpected "\)"/);
+});
+
+test('validateDsl checks per-asset balance with exact decimal arithmetic', () => {
+  const balanced = validateDsl('(transaction V1 (send USD 0.3 (source (from @a :amount USD 0.1) (from @b :amount USD 0.2)) (distribute (to @c :share 33.3) (to @d :remaining))))');
+  assert.equal(balanced.valid, true);
+  assert.deepEqual(balanced.balance.assets, { source: { USD: '0.3' }, distribute: { USD: '0.3' } });
+
+  const unbalanced = validateDsl('(transaction V1 (send USD 100|2 (source (from @a :amount USD 100|2)) (distribute (to @b :amount USD 99|2))))');
+  assert.equal(unbalanced.valid, false);
+  assert.deepEqual(unbalanced.balance.issues, ['send.distribute totals 0.99 USD but send.value is 1.00 USD']);
+
+  const crossAsset = checkSendBalance({
+    asset: 'USD',
+    value: '1.00',
+    source: { from: [{ account: '@a', amount: { asset: 'USD', value: '1.00' } }, { account: '@fx', amount: { asset: 'BRL', value: '5.00' } }] },
+    distribute: { to: [{ account: '@b', remaining: 'remaining' }, { account: '@fx', amount: { asset: 'BRL', value: '4.99' } }] }
+  });
+  assert.deepEqual(crossAsset.issues, ['BRL does not balance: source 5.00 vs distribute 4.99']);
+
+  const templated = validateDsl('(transaction V1 (send USD $amount (source (from $payer :amount USD $amount)) (distribute (to @b :remaining))))', { variables: { payer: '@alice' } });
+  assert.equal(templated.valid, true);
+  assert.equal(templated.balance.resolved, false);
+  assert.deepEqual(templated.unresolvedVariables, ['amount']);
+  assert.equal(templated.transaction.send.source.from[0].account, '@alice');
+});
+
+test('transactionToDsl round-trips through the parser and reports dropped fields', () => {
+  const body = {
+    description: 'Fund transfer',
+    code: 'TRF 01',
+    pending: true,
+    transactionDate: '2024-01-01T00:00:00Z',
+    send: {
+      asset: 'USD',
+      value: '100.50',
+      source: { from: [{ account: '@external/USD', amount: { asset: 'USD', value: '100.50' }, balanceKey: 'default' }] },
+      distribute: { to: [{ account: '@alice', share: { percentage: 50, percentageOfPercentage: 50 } }, { account: '@bob', remaining: 'remaining' }] }
+    }
+  };
+
+  const scaled = transactionToDsl(body);
+  assert.match(scaled.dsl, /\(send USD 10050\|2/);
+  assert.match(scaled.dsl, /\(code "TRF 01"\)/);
+  assert.deepEqual(scaled.warnings, [
+    'transactionDate has no Gold DSL form and was omitted',
+    'send.source.from[0].balanceKey has no Gold DSL form and was omitted'
+  ]);
+
+  const reparsed = parseDsl(scaled.dsl);
+  assert.equal(reparsed.ok, true);
+  assert.deepEqual(reparsed.transaction.send.distribute, body.send.distribute);
+  assert.equal(reparsed.transaction.send.value, '100.50');
+  assert.equal(reparsed.transaction.pending, true);
+
+  assert.match(transactionToDsl(body, { amountFormat: 'decimal' }).dsl, /:amount USD 100\.50\)/);
+  assert.throws(() => transactionToDsl({ send: { asset: 'USD', value: '1' } }), /Missing required body fields: send\.source\.from/);
+});
+
+test('midaz-dsl tool exposes validate, to-json, and from-json intents', async () => {
+  let handler;
+  registerMidazDslTool({
+    registerTool(name, _config, registeredHandler) {
+      assert.equal(name, 'midaz-dsl');
+      handler = registeredHandler;
+    }
+  });
+
+  const converted = JSON.parse((await handler({ intent: 'to-json', dsl: RENT_DSL })).content[0].text);
+  assert.equal(converted.body.send.asset, 'USD');
+  assert.equal(converted.balance.balanced, true);
+
+  await assert.rejects(
+    () => handler({ intent: 'to-json', dsl: '(transaction V1 (send USD' }),
+    (error) => error.code === -32602 && /line 1, column 1/.test(error.message)
+  );
+
+  const generated = JSON.parse((await handler({ intent: 'from-json', transaction: converted.body })).content[0].text);
+  assert.match(generated.dsl, /^\(transaction V1/);
+
+  for (const intent of ['validate', 'to-json']) {
+    await assert.rejects(
+      () => handler({ intent }),
+      (error) => error.code === -32602 && error.message === `dsl parameter is required for ${intent} intent`
+    );
+  }
+});
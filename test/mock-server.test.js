@@ -0,0 +1,176 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import net from 'node:net';
+import { configPromise } from '../src/config.js';
+import { createMockServer, MOCK_PRODUCTS } from '../src/products/mock-server.js';
+import { resetCircuitBreakers } from '../src/products/circuit-breaker.js';
+import { routeAndExecute as executeMidaz } from '../src/products/midaz/router.js';
+import { routeAndExecute as executeTracer } from '../src/products/tracer/router.js';
+import { routeAndExecute as executeReporter } from '../src/products/reporter/router.js';
+
+const FAST_RETRY = { maxAttempts: 3, baseDelayMs: 1, maxDelayMs: 5 };
+
+async function withMock(options, run) {
+  const config = await configPromise;
+  const previousEnvironments = config.environments;
+  const server = createMockServer(options);
+  await server.start();
+
+  const overrides = server.configOverrides();
+  for (const block of Object.values(overrides)) {
+    Object.assign(block, { retry: FAST_RETRY, timeout: 500 });
+  }
+  config.environments = { mock: overrides };
+
+  try {
+    await run(server);
+  } finally {
+    config.environments = previousEnvironments;
+    resetCircuitBreakers();
+    await server.stop();
+  }
+}
+
+test('mock server exposes every live product with config and env overrides', async () => {
+  const server = createMockServer({ products: ['midaz', 'tracer'], auth: { token: 't', apiKey: 'k' } });
+  const urls = await server.start();
+  try {
+    assert.deepEqual(Object.keys(urls), ['midaz', 'tracer']);
+    assert.notEqual(urls.midaz, urls.tracer);
+
+    const overrides = server.configOverrides();
+    assert.equal(overrides.midazApi.transactionUrl, urls.midaz);
+    assert.equal(overrides.midazApi.authToken, 't');
+    assert.deepEqual(overrides.tracerApi, { baseUrl: urls.tracer, apiKey: 'k' });
+    assert.equal(server.env().TRACER_API_KEY, 'k');
+
+    const state = await (await fetch(`${urls.tracer}/__mock/state`)).json();
+    assert.deepEqual(state.products, urls);
+  } finally {
+    await server.stop();
+  }
+
+  assert.equal(MOCK_PRODUCTS.length, 7);
+  assert.throws(() => createMockServer({ products: ['ledger'] }), /Unknown mock products: ledger/);
+});
+
+test('mock server keeps stateful CRUD with page pagination and auth checks', async () => {
+  await withMock({ products: ['midaz'], auth: { token: 'mock-token' } }, async (server) => {
+    const mutate = { confirmMutation: true, mutationReason: 'mock test', environment: 'mock' };
+    const created = [];
+    for (const legalName of ['Acme', 'Globex', 'Initech']) {
+      created.push(await executeMidaz({ resource: 'organizations', action: 'create', body: { legalName, legalDocument: '123' }, ...mutate }));
+    }
+
+    assert.match(created[0].id, /^[0-9a-f-]{36}$/);
+    assert.deepEqual(created[0].status, { code: 'ACTIVE' });
+
+    const page = await executeMidaz({ resource: 'organizations', action: 'list', queryParams: { limit: 2, page: 2 }, environment: 'mock' });
+    assert.deepEqual(page.items.map((item) => item.legalName), ['Initech']);
+    assert.equal(page.page, 2);
+
+    const all = await executeMidaz({ resource: 'organizations', action: 'list', queryParams: { limit: 1 }, autoPaginate: true, environment: 'mock' });
+    assert.equal(all.items.length, 3);
+
+    const ledger = await executeMidaz({ resource: 'ledgers', action: 'create', pathParams: { organizationId: created[0].id }, body: { name: 'Main' }, ...mutate });
+    assert.equal(ledger.organizationId, created[0].id);
+    const otherLedgers = await executeMidaz({ resource: 'ledgers', action: 'list', pathParams: { organizationId: created[1].id }, environment: 'mock' });
+    assert.deepEqual(otherLedgers.items, []);
+
+    const updated = await executeMidaz({ resource: 'organizations', action: 'update', pathParams: { id: created[1].id }, body: { legalName: 'Globex Corp' }, ...mutate });
+    assert.equal(updated.legalName, 'Globex Corp');
+
+    assert.equal((await executeMidaz({ resource: 'organizations', action: 'delete', pathParams: { id: created[2].id }, ...mutate })).status, 204);
+    await assert.rejects(
+      executeMidaz({ resource: 'organizations', action: 'get', pathParams: { id: created[2].id }, environment: 'mock' }),
+      /Midaz API error: 404/
+    );
+
+    const unauthenticated = await fetch(`${server.urls.midaz}/v1/organizations`);
+    assert.equal(unauthenticated.status, 401);
+
+    await fetch(`${server.urls.midaz}/__mock/reset`, { method: 'POST' });
+    const emptied = await executeMidaz({ resource: 'organizations', action: 'list', environment: 'mock' });
+    assert.deepEqual(emptied.items, []);
+  });
+});
+
+test('mock server follows cursor pagination, lifecycle actions, multipart uploads, and downloads', async () => {
+  await withMock({ products: ['tracer', 'reporter'] }, async () => {
+    const mutate = { confirmMutation: true, mutationReason: 'mock test', environment: 'mock' };
+    const rules = [];
+    for (const name of ['a', 'b', 'c']) {
+      rules.push(await executeTracer({ resource: 'rules', action: 'create', body: { name, expression: 'true', action: 'DENY' }, ...mutate }));
+    }
+
+    const listed = await executeTracer({ resource: 'rules', action: 'list', queryParams: { limit: 2 }, autoPaginate: true, environment: 'mock' });
+    assert.deepEqual(listed.items.map((rule) => rule.name), ['a', 'b', 'c']);
+    assert.equal(listed.pagination.pagesFetched, 2);
+
+    const deactivated = await executeTracer({ resource: 'rules', action: 'deactivate', pathParams: { id: rules[0].id }, ...mutate });
+    assert.equal(deactivated.status, 'INACTIVE');
+
+    const template = await executeReporter({
+      resource: 'templates',
+      action: 'create',
+      multipart: {
+        template: { filename: 'invoice.tpl', content: '{{ accounts }}', contentType: 'text/plain' },
+        outputFormat: 'html'
+      },
+      ...mutate
+    });
+    assert.deepEqual(template.template, { filename: 'invoice.tpl', contentType: 'text/plain', size: 14 });
+    assert.equal(template.outputFormat, 'html');
+
+    const report = await executeReporter({ resource: 'reports', action: 'create', body: { templateId: template.id, filters: {} }, ...mutate });
+    const file = await executeReporter({ resource: 'reports', action: 'download', pathParams: { id: report.id }, environment: 'mock' });
+    assert.equal(file.contentType, 'application/octet-stream');
+    assert.match(Buffer.from(file.base64, 'base64').toString('utf8'), new RegExp(report.id));
+  });
+});
+
+test('mock server fault rules exercise retries, connection resets, and timeouts', async () => {
+  await withMock({ products: ['midaz'] }, async (server) => {
+    const list = () => executeMidaz({ resource: 'organizations', action: 'list', environment: 'mock' });
+
+    server.setFaults([{ resource: 'organizations', action: 'list', status: 503, retryAfter: 0, times: 2 }]);
+    assert.deepEqual((await list()).items, []);
+    assert.equal(server.state().faults[0].hits, 2);
+
+    server.setFaults([{ method: 'GET', path: '/v1/organizations', reset: true, times: 1 }]);
+    assert.deepEqual((await list()).items, []);
+
+    server.setFaults([{ status: 503, retryAfter: 0 }]);
+    await assert.rejects(list(), /Midaz API error: 503/);
+    assert.equal(server.state().faults[0].hits, 3);
+
+    resetCircuitBreakers();
+    const response = await fetch(`${server.urls.midaz}/__mock/faults`, { method: 'PUT', body: JSON.stringify([{ delayMs: 1000, times: 3 }]) });
+    assert.equal((await response.json()).faults[0].delayMs, 1000);
+    await assert.rejects(list(), (error) => error.name === 'TimeoutError' || /timeout|aborted/i.test(String(error.message)));
+  });
+});
+
+test('mock server answers malformed request targets and escapes with 400', async () => {
+  const server = createMockServer({ products: ['midaz'] });
+  const urls = await server.start();
+  const requestLine = (target) => new Promise((resolve, reject) => {
+    const socket = net.connect(Number(new URL(urls.midaz).port), '127.0.0.1', () => {
+      socket.write(`GET ${target} HTTP/1.1\r\nHost: mock\r\nConnection: close\r\n\r\n`);
+    });
+    let received = '';
+    socket.on('data', (chunk) => {
+      received += chunk;
+    });
+    socket.on('end', () => resolve(received.split('\r\n')[0]));
+    socket.on('error', reject);
+  });
+
+  try {
+    assert.equal(await requestLine('http://['), 'HTTP/1.1 400 Bad Request');
+    assert.equal(await requestLine('/v1/organizations/%E0%A4%A'), 'HTTP/1.1 400 Bad Request');
+    assert.equal(await requestLine('/v1/organizations'), 'HTTP/1.1 200 OK');
+  } finally {
+    await server.stop();
+  }
+});
@@ -0,0 +1,101 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { pathToFileURL } from 'node:url';
+
+import { validateActionRequest } from '../src/products/http-helpers.js';
+import { getAllSchemas as getTracerSchemas } from '../src/products/tracer/schemas/index.js';
+import { buildSchemasFromSpec, checkSchemaDrift, renderSchemaModule } from '../src/products/openapi.js';
+
+test('openapi import generates schema modules and reports drift against hand-written schemas', async () => {
+  const spec = {
+    swagger: '2.0',
+    info: { title: 'Tracer API', version: '2.0.0' },
+    basePath: '/v1',
+    paths: {
+      '/rules': {
+        get: {
+          tags: ['rules'],
+          summary: 'List rules.',
+          parameters: [
+            { name: 'limit', in: 'query', type: 'integer' },
+            { name: 'status', in: 'query', type: 'string', enum: ['DRAFT', 'ACTIVE'] }
+          ],
+          responses: { 200: { description: 'ok' } }
+        },
+        post: {
+          tags: ['rules'],
+          summary: 'Create a rule.',
+          parameters: [{ name: 'body', in: 'body', schema: { $ref: '#/definitions/CreateRule' } }],
+          responses: { 201: { description: 'created' } }
+        }
+      },
+      '/rules/{ruleId}/activate': {
+        post: {
+          tags: ['rules'],
+          parameters: [{ name: 'ruleId', in: 'path', required: true, type: 'string', format: 'uuid' }],
+          responses: { 200: { description: 'ok' } }
+        }
+      },
+      '/rules/{ruleId}/export': {
+        get: {
+          tags: ['rules'],
+          produces: ['application/octet-stream'],
+          parameters: [{ name: 'ruleId', in: 'path', required: true, type: 'string' }],
+          responses: { 200: { description: 'file', schema: { type: 'string', format: 'binary' } } }
+        }
+      }
+    },
+    definitions: {
+      CreateRule: {
+        type: 'object',
+        required: ['name', 'expression', 'priority'],
+        properties: {
+          id: { type: 'string', readOnly: true },
+          name: { type: 'string', description: 'Rule name.' },
+          expression: { type: 'string', description: 'CEL expression.' },
+          action: { type: 'integer' },
+          priority: { type: 'integer' },
+          scopes: { type: 'array', items: { type: 'object', properties: { accountId: { type: 'string', format: 'uuid' } } } }
+        }
+      }
+    }
+  };
+
+  const [generated] = buildSchemasFromSpec(spec);
+  assert.equal(generated.resource, 'rules');
+  assert.deepEqual(Object.keys(generated.actions), ['list', 'create', 'activate', 'export']);
+  assert.equal(generated.actions.activate.path, '/v1/rules/:ruleId/activate');
+  assert.deepEqual(generated.actions.activate.pathParams.ruleId, { type: 'string', required: true, format: 'uuid' });
+  assert.equal(generated.actions.export.responseType, 'binary');
+  assert.equal(generated.actions.create.input.id, undefined);
+  assert.deepEqual(generated.actions.create.input.scopes.items, { accountId: { type: 'string', required: false, format: 'uuid' } });
+
+  const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'lerian-openapi-'));
+  try {
+    const { exportName, fileName, source } = renderSchemaModule(generated, { source: 'Tracer API 2.0.0' });
+    fs.writeFileSync(path.join(tempDir, fileName), source);
+    const imported = (await import(pathToFileURL(path.join(tempDir, fileName)).href))[exportName];
+    assert.deepEqual(imported, generated);
+    assert.throws(
+      () => validateActionRequest({ ...imported.actions.create, resource: 'rules', action: 'create' }, { body: { name: 'r', expression: 'true' } }),
+      /priority/
+    );
+  } finally {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  }
+
+  const report = checkSchemaDrift(spec, getTracerSchemas(), { component: 'rules' });
+  const issue = (action, field, kind) => report.fieldIssues.find((entry) => entry.action === action && entry.field === field && entry.issue === kind);
+  assert.equal(report.inSync, false);
+  assert.deepEqual(report.missingEndpoints.map(({ method, path: endpoint }) => `${method} ${endpoint}`), ['GET /v1/rules/:ruleId/export']);
+  assert.ok(report.removedEndpoints.some((endpoint) => endpoint.action === 'deactivate'));
+  assert.ok(issue('list', 'sortOrder', 'removed'));
+  assert.ok(issue('create', 'priority', 'missing'));
+  assert.deepEqual({ expected: issue('create', 'action', 'type').expected, actual: issue('create', 'action', 'type').actual }, { expected: 'number', actual: 'string' });
+  assert.ok(issue('create', 'action', 'required'));
+  assert.equal(issue('activate', 'id', 'renamed').expected, 'ruleId');
+  assert.equal(issue('list', 'limit', 'type'), undefined);
+});
@@ -0,0 +1,47 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import { resolveAction as resolveTracerAction } from '../src/products/tracer/router.js';
+import { EXECUTE_OUTPUT_SCHEMA } from '../src/products/output-contract.js';
+import { registerMidazExecuteTool } from '../src/tools/midaz-execute.js';
+import { registerMidazDiscoverTool } from '../src/tools/midaz-discover.js';
+
+test('execute tools return structured results described by the action output contract', async () => {
+  const previousFetch = global.fetch;
+  const handlers = {};
+  const configs = {};
+  const server = {
+    registerTool(name, config, handler) {
+      configs[name] = config;
+      handlers[name] = handler;
+    }
+  };
+  registerMidazExecuteTool(server);
+  registerMidazDiscoverTool(server);
+
+  try {
+    global.fetch = async () => new Response(JSON.stringify({ id: 'org-1', legalName: 'Acme', status: { code: 'ACTIVE' } }), {
+      status: 200,
+      headers: { 'content-type': 'application/json' }
+    });
+
+    assert.equal(configs['midaz-execute'].outputSchema, EXECUTE_OUTPUT_SCHEMA);
+
+    const response = await handlers['midaz-execute']({ resource: 'organizations', action: 'get', pathParams: { id: 'org-1' } }, {});
+    assert.deepEqual(response.structuredContent, {
+      product: 'midaz',
+      resource: 'organizations',
+      action: 'get',
+      result: { id: 'org-1', legalName: 'Acme', status: { code: 'ACTIVE' } }
+    });
+    assert.deepEqual(JSON.parse(response.content[0].text), response.structuredContent.result);
+
+    const described = JSON.parse((await handlers['midaz-discover']({ intent: 'describe-action', resource: 'organizations', action: 'list' }, {})).content[0].text);
+    assert.equal(described.output.items.type, 'array');
+    assert.equal(described.output.items.items.properties.legalName.type, 'string');
+    assert.equal(described.output.page.type, 'number');
+    assert.deepEqual(Object.keys(resolveTracerAction('validations', 'get').output).slice(0, 3), ['validationId', 'requestId', 'decision']);
+  } finally {
+    global.fetch = previousFetch;
+  }
+});
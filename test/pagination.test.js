@@ -0,0 +1,67 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import { routeAndExecute as executeMidaz } from '../src/products/midaz/router.js';
+import { resolveAction as resolveTracerAction, routeAndExecute as executeTracer } from '../src/products/tracer/router.js';
+
+test('auto-pagination follows page and cursor styles and reports truncation', async () => {
+  const previousFetch = global.fetch;
+  const jsonResponse = (payload) => new Response(JSON.stringify(payload), {
+    status: 200,
+    headers: { 'content-type': 'application/json' }
+  });
+
+  try {
+    const pages = { 1: ['a', 'b'], 2: ['c', 'd'], 3: ['e'] };
+    const requested = [];
+    global.fetch = async (url) => {
+      const page = new URL(url).searchParams.get('page');
+      requested.push(page);
+      return jsonResponse({ items: pages[page], page: Number(page), limit: 2 });
+    };
+
+    const progress = [];
+    const listed = await executeMidaz({
+      resource: 'organizations',
+      action: 'list',
+      queryParams: { limit: 2 },
+      autoPaginate: true,
+      onProgress: (event) => progress.push(event.progress)
+    });
+
+    assert.deepEqual(requested, ['1', '2', '3']);
+    assert.deepEqual(listed.items, ['a', 'b', 'c', 'd', 'e']);
+    assert.equal(listed.pagination.pagesFetched, 3);
+    assert.equal(listed.pagination.truncated, false);
+    assert.equal(listed.pagination.next, null);
+    assert.deepEqual(progress, [1, 2, 3]);
+
+    const cursors = [];
+    global.fetch = async (url) => {
+      const cursor = new URL(url).searchParams.get('cursor');
+      cursors.push(cursor);
+      const next = cursor ? `${cursor}+` : 'c1';
+      return jsonResponse({ items: [`${next}-1`, `${next}-2`], nextCursor: next, hasMore: true });
+    };
+
+    const rules = await executeTracer({
+      resource: 'rules',
+      action: 'list',
+      autoPaginate: { maxItems: 3 }
+    });
+
+    assert.deepEqual(cursors, [null, 'c1']);
+    assert.equal(rules.items.length, 3);
+    assert.equal(rules.pagination.truncated, true);
+    assert.equal(rules.pagination.truncatedBy, 'maxItems');
+    assert.deepEqual(rules.pagination.next, { cursor: 'c1' });
+    assert.equal(resolveTracerAction('rules', 'list').pagination.nextCursorField, 'nextCursor');
+
+    await assert.rejects(
+      executeTracer({ resource: 'rules', action: 'get', pathParams: { id: 'rule-1' }, autoPaginate: true }),
+      /autoPaginate is not supported for rules.get/
+    );
+  } finally {
+    global.fetch = previousFetch;
+  }
+});
@@ -1,8 +1,14 @@
 import test from 'node:test';
 import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
 
 import { registerPortfolioWorkflowTool } from '../src/tools/portfolio-workflow.js';
 import { resetWorkflowSessions } from '../src/workflows/session-store.js';
+import { WORKFLOW_IDS, registerWorkflow } from '../src/workflows/index.js';
+import { createDeclarativeWorkflow, loadWorkflowDefinitions, queryJsonPath } from '../src/workflows/declarative.js';
+import { configPromise } from '../src/config.js';
 
 function registerTool() {
   let handler;
@@ -158,3 +164,312 @@ test('portfolio-workflow validates step names before execution', async () => {
     (error) => error.code === -32602 && /Unknown workflow step/.test(error.message)
   );
 });
+
+test('portfolio-workflow runs declarative definitions with templating, dependencies, and artifacts', async () => {
+  resetWorkflowSessions();
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'lerian-workflows-'));
+  fs.copyFileSync(new URL('../src/examples/workflows/midaz-onboarding.yaml', import.meta.url), path.join(dir, 'midaz-onboarding.yaml'));
+  fs.writeFileSync(path.join(dir, 'broken.json'), JSON.stringify({
+    id: 'broken',
+    name: 'Broken',
+    description: 'Unknown action',
+    steps: [{ id: 'one', description: 'x', product: 'midaz', resource: 'organizations', action: 'launch' }]
+  }));
+  fs.writeFileSync(path.join(dir, 'notes.txt'), 'ignored');
+
+  const { workflows, errors } = loadWorkflowDefinitions(dir);
+  fs.rmSync(dir, { recursive: true, force: true });
+  assert.deepEqual(workflows.map((entry) => entry.workflow.definition.id), ['midaz-onboarding']);
+  assert.equal(errors.length, 1);
+  assert.match(errors[0].message, /step "one"/);
+
+  registerWorkflow(workflows[0].workflow);
+  assert.ok(WORKFLOW_IDS.includes('midaz-onboarding'));
+  assert.throws(() => registerWorkflow(workflows[0].workflow), /already registered/);
+
+  const handler = registerTool();
+  const listed = parseToolResponse(await handler({ intent: 'list-workflows' }));
+  assert.ok(listed.workflows.some((workflow) => workflow.id === 'midaz-onboarding' && workflow.stepCount === 4));
+
+  const requests = [];
+  const previousFetch = global.fetch;
+  global.fetch = async (url, init = {}) => {
+    const { pathname } = new URL(String(url));
+    const body = init.body ? JSON.parse(init.body) : {};
+    requests.push({ method: init.method, pathname, body });
+    const resource = pathname.split('/').filter(Boolean).at(-1);
+    return new Response(JSON.stringify({ id: `${resource}-1`, ...body }), { status: 201, headers: { 'content-type': 'application/json' } });
+  };
+
+  try {
+    const created = parseToolResponse(await handler({
+      intent: 'create-session',
+      workflow: 'midaz-onboarding',
+      scopeId: 'scope-declarative',
+      input: { legalName: 'Acme', legalDocument: '123', ledgerName: 'Main', assetName: 'US Dollar', assetCode: 'USD', accountName: 'Treasury' }
+    }));
+    const session = { sessionId: created.session.sessionId, sessionToken: created.session.sessionToken, scopeId: 'scope-declarative' };
+    const mutation = { confirmMutation: true, mutationReason: 'declarative workflow test' };
+    assert.deepEqual(created.plan.steps.map((step) => step.ready), [true, false, false, false]);
+
+    const first = parseToolResponse(await handler({ intent: 'execute-next', ...session, input: mutation }));
+    assert.equal(first.step, 'create-organization');
+    assert.deepEqual(first.artifacts, { organizationId: 'organizations-1' });
+    assert.deepEqual(requests[0].body, { legalName: 'Acme', legalDocument: '123' });
+
+    await assert.rejects(
+      () => handler({ intent: 'execute-step', ...session, step: 'create-account', input: mutation }),
+      (error) => error.code === -32602 && /Missing required workflow input for step "create-account": ledgerId/.test(error.message)
+    );
+    await assert.rejects(
+      () => handler({ intent: 'execute-step', ...session, step: 'create-asset', input: { ...mutation, ledgerId: 'ledger-x' } }),
+      (error) => error.code === -32602 && /Missing required workflow dependencies for step "create-asset": create-ledger/.test(error.message)
+    );
+    assert.equal(requests.length, 1);
+
+    for (const expected of ['create-ledger', 'create-asset', 'create-account']) {
+      const executed = parseToolResponse(await handler({ intent: 'execute-next', ...session, input: mutation }));
+      assert.equal(executed.step, expected);
+    }
+
+    assert.deepEqual(requests.map((request) => request.pathname), [
+      '/v1/organizations',
+      '/v1/organizations/organizations-1/ledgers',
+      '/v1/organizations/organizations-1/ledgers/ledgers-1/assets',
+      '/v1/organizations/organizations-1/ledgers/ledgers-1/accounts'
+    ]);
+    assert.deepEqual(requests[3].body, { name: 'Treasury', assetCode: 'USD', type: 'deposit' });
+
+    const done = parseToolResponse(await handler({ intent: 'execute-next', ...session }));
+    assert.equal(done.status, 'completed');
+    assert.deepEqual(done.session.artifacts, {
+      organizationId: 'organizations-1',
+      ledgerId: 'ledgers-1',
+      assetId: 'assets-1',
+      accountId: 'accounts-1'
+    });
+  } finally {
+    global.fetch = previousFetch;
+  }
+
+  assert.deepEqual(queryJsonPath({ items: [{ id: 'a' }, { id: 'b' }], meta: { owner: { id: 'c' } } }, '$..id'), ['a', 'b', 'c']);
+  assert.deepEqual(queryJsonPath({ items: [{ id: 'a' }, { id: 'b' }] }, "$['items'][-1].id"), ['b']);
+  assert.deepEqual(queryJsonPath({ items: [{ id: 'a' }, { id: 'b' }] }, '$.items[*].id'), ['a', 'b']);
+});
+
+test('portfolio-workflow rollback undoes completed steps in reverse with their compensations', async () => {
+  resetWorkflowSessions();
+  const handler = registerTool();
+  const requests = [];
+  let failSourceDelete = true;
+  const previousFetch = global.fetch;
+  global.fetch = async (url, init = {}) => {
+    const { pathname } = new URL(String(url));
+    requests.push(`${init.method} ${pathname}`);
+    if (init.method === 'DELETE') {
+      if (failSourceDelete && pathname.includes('/sources/')) {
+        failSourceDelete = false;
+        return new Response(JSON.stringify({ message: 'source has field maps' }), { status: 409, headers: { 'content-type': 'application/json' } });
+      }
+      return new Response(null, { status: 204 });
+    }
+    const id = pathname.endsWith('/contexts') ? 'ctx-1' : pathname.endsWith('/sources') ? 'src-1' : 'org-list';
+    return new Response(JSON.stringify({ id, items: [] }), { status: 201, headers: { 'content-type': 'application/json' } });
+  };
+
+  try {
+    const created = parseToolResponse(await handler({
+      intent: 'create-session',
+      workflow: 'matcher-to-fetcher-to-midaz',
+      scopeId: 'scope-rollback',
+      input: { context: { name: 'Bank vs ledger', interval: 'daily', type: '1:1' }, source: { name: 'Bank feed', side: 'LEFT' } }
+    }));
+    const session = { sessionId: created.session.sessionId, sessionToken: created.session.sessionToken, scopeId: 'scope-rollback' };
+    const mutation = { confirmMutation: true, mutationReason: 'rollback test setup' };
+
+    for (const step of ['create-matcher-context', 'list-midaz-organizations', 'create-matcher-fetcher-source']) {
+      await handler({ intent: 'execute-step', ...session, step, input: mutation });
+    }
+
+    await assert.rejects(
+      () => handler({ intent: 'rollback', ...session, input: { mutationReason: 'undo' } }),
+      (error) => error.code === -32602 && /confirmMutation=true is required in input to roll back 2 step\(s\): create-matcher-fetcher-source, create-matcher-context/.test(error.message)
+    );
+
+    const partial = parseToolResponse(await handler({ intent: 'rollback', ...session, input: { confirmMutation: true, mutationReason: 'undo' } }));
+    assert.equal(partial.status, 'failed');
+    assert.deepEqual(partial.steps.map((step) => [step.step, step.status]), [
+      ['create-matcher-fetcher-source', 'failed'],
+      ['list-midaz-organizations', 'skipped'],
+      ['create-matcher-context', 'skipped']
+    ]);
+
+    const rolledBack = parseToolResponse(await handler({ intent: 'rollback', ...session, input: { confirmMutation: true, mutationReason: 'undo' } }));
+    assert.equal(rolledBack.status, 'rolled-back');
+    assert.deepEqual(rolledBack.steps.filter((step) => step.status === 'compensated').map((step) => step.compensation), ['sources.delete', 'contexts.delete']);
+    assert.deepEqual(requests.filter((request) => request.startsWith('DELETE')), [
+      'DELETE /v1/contexts/ctx-1/sources/src-1',
+      'DELETE /v1/contexts/ctx-1/sources/src-1',
+      'DELETE /v1/contexts/ctx-1'
+    ]);
+    assert.deepEqual(rolledBack.session.completedSteps, ['list-midaz-organizations']);
+    assert.deepEqual(rolledBack.session.artifacts, {});
+    assert.equal(rolledBack.session.inputContext.contextId, undefined);
+
+    const again = parseToolResponse(await handler({ intent: 'rollback', ...session, input: {} }));
+    assert.equal(again.status, 'nothing-to-roll-back');
+  } finally {
+    global.fetch = previousFetch;
+  }
+});
+
+test('portfolio-workflow execute-until-blocked runs ready steps and stops at unauthorised mutations', async () => {
+  resetWorkflowSessions();
+  const handler = registerTool();
+  const requests = [];
+  const previousFetch = global.fetch;
+  global.fetch = async (url, init = {}) => {
+    requests.push(`${init.method} ${new URL(String(url)).pathname}`);
+    return new Response(JSON.stringify({ id: 'ds-1', items: [] }), { headers: { 'content-type': 'application/json' } });
+  };
+
+  try {
+    const created = parseToolResponse(await handler({
+      intent: 'create-session',
+      workflow: 'fetcher-to-reporter',
+      scopeId: 'scope-until',
+      input: { organizationId: 'org-1', dataSourceId: 'ds-1', mappedFields: { 'ds-1': { accounts: ['id'] } } }
+    }));
+    const session = { sessionId: created.session.sessionId, sessionToken: created.session.sessionToken, scopeId: 'scope-until' };
+
+    const limited = parseToolResponse(await handler({ intent: 'execute-until-blocked', ...session, maxSteps: 1 }));
+    assert.equal(limited.status, 'max-steps');
+    assert.equal(limited.executed, 1);
+    assert.equal(limited.nextStep.step, 'get-reporter-data-source');
+
+    const blocked = parseToolResponse(await handler({ intent: 'execute-until-blocked', ...session }));
+    assert.equal(blocked.status, 'blocked');
+    assert.equal(blocked.reason, 'authorization-required');
+    assert.deepEqual(blocked.steps.map((step) => step.step), ['get-reporter-data-source']);
+    assert.equal(blocked.nextStep.step, 'validate-fetcher-schema');
+
+    const authorized = parseToolResponse(await handler({
+      intent: 'execute-until-blocked',
+      ...session,
+      input: { authorizedMutations: ['validate-fetcher-schema'], mutationReason: 'preflight mapping check' }
+    }));
+    assert.equal(authorized.status, 'blocked');
+    assert.equal(authorized.reason, 'authorization-required');
+    assert.deepEqual(authorized.steps.map((step) => [step.step, step.status]), [['validate-fetcher-schema', 'executed']]);
+    assert.equal(authorized.nextStep.step, 'create-fetcher-job');
+    assert.deepEqual(authorized.session.completedSteps, ['list-reporter-data-sources', 'get-reporter-data-source', 'validate-fetcher-schema']);
+    assert.equal(requests.filter((request) => request.startsWith('POST')).length, 1);
+  } finally {
+    global.fetch = previousFetch;
+  }
+});
+
+test('portfolio-workflow leaves steps queued for approval uncompleted and files them under the caller', async () => {
+  resetWorkflowSessions();
+  const config = await configPromise;
+  const previousApprovals = config.approvals;
+  const storeDir = fs.mkdtempSync(path.join(os.tmpdir(), 'lerian-workflow-approvals-'));
+  config.approvals = { enabled: true, ttlMs: 60000, storePath: path.join(storeDir, 'approvals.json') };
+  const requests = [];
+  const previousFetch = global.fetch;
+  global.fetch = async (url, init = {}) => {
+    requests.push(`${init.method} ${new URL(String(url)).pathname}`);
+    return new Response(JSON.stringify({ id: 'rule-1' }), { headers: { 'content-type': 'application/json' } });
+  };
+
+  registerWorkflow(createDeclarativeWorkflow({
+    id: 'tracer-rule-activation',
+    name: 'Tracer rule activation',
+    description: 'Activate a tracer rule.',
+    steps: [{
+      id: 'activate-rule',
+      description: 'Activate the rule.',
+      product: 'tracer',
+      resource: 'rules',
+      action: 'activate',
+      requiredInput: ['ruleId'],
+      pathParams: { id: '{{ ruleId }}' }
+    }]
+  }));
+  const handler = registerTool();
+  const extra = { context: { userId: 'alice' } };
+  const mutation = { confirmMutation: true, mutationReason: 'activate rule' };
+
+  try {
+    const created = parseToolResponse(await handler({ intent: 'create-session', workflow: 'tracer-rule-activation', scopeId: 'scope-approval', input: { ruleId: 'rule-1' } }, extra));
+    const session = { sessionId: created.session.sessionId, sessionToken: created.session.sessionToken, scopeId: 'scope-approval' };
+
+    const next = parseToolResponse(await handler({ intent: 'execute-next', ...session, input: mutation }, extra));
+    assert.equal(next.status, 'pending-approval');
+    assert.equal(next.result.requestedBy, 'alice');
+    assert.deepEqual(next.session.completedSteps, []);
+
+    const stepped = parseToolResponse(await handler({ intent: 'execute-step', ...session, step: 'activate-rule', input: mutation }, extra));
+    assert.equal(stepped.status, 'pending-approval');
+    assert.deepEqual(stepped.session.completedSteps, []);
+
+    const fetched = parseToolResponse(await handler({ intent: 'get-session', ...session }, extra));
+    assert.deepEqual(fetched.session.completedSteps, []);
+    assert.equal(requests.length, 0);
+  } finally {
+    global.fetch = previousFetch;
+    config.approvals = previousApprovals;
+    fs.rmSync(storeDir, { recursive: true, force: true });
+  }
+});
+
+test('portfolio-workflow takes confirmEnvironment from each call and never stores it in the session', async () => {
+  resetWorkflowSessions();
+  const config = await configPromise;
+  const previousEnvironments = config.environments;
+  config.environments = { production: { requireConfirmation: true, tracerApi: { baseUrl: 'https://prod.tracer.test' } } };
+  const requests = [];
+  const previousFetch = global.fetch;
+  global.fetch = async (url, init = {}) => {
+    requests.push(`${init.method} ${url}`);
+    return new Response(JSON.stringify({ id: 'rule-1' }), { headers: { 'content-type': 'application/json' } });
+  };
+
+  registerWorkflow(createDeclarativeWorkflow({
+    id: 'tracer-rule-rollout',
+    name: 'Tracer rule rollout',
+    description: 'Create a tracer rule, then deactivate it.',
+    steps: [
+      { id: 'create-rule', description: 'Create the rule.', product: 'tracer', resource: 'rules', action: 'create', body: { name: 'block', expression: 'true', action: 'DENY' }, artifacts: { ruleId: '$.id' } },
+      { id: 'deactivate-rule', description: 'Deactivate the rule.', product: 'tracer', resource: 'rules', action: 'deactivate', dependsOn: ['create-rule'], requiredInput: ['ruleId'], pathParams: { id: '{{ ruleId }}' } }
+    ]
+  }));
+  const handler = registerTool();
+  const mutation = { confirmMutation: true, mutationReason: 'roll out rule' };
+
+  try {
+    const created = parseToolResponse(await handler({
+      intent: 'create-session',
+      workflow: 'tracer-rule-rollout',
+      scopeId: 'scope-environment',
+      environment: 'production',
+      confirmEnvironment: 'production',
+      input: { confirmEnvironment: 'production' }
+    }));
+    const session = { sessionId: created.session.sessionId, sessionToken: created.session.sessionToken, scopeId: 'scope-environment' };
+
+    const first = parseToolResponse(await handler({ intent: 'execute-next', ...session, confirmEnvironment: 'production', input: mutation }));
+    assert.equal(first.step, 'create-rule');
+
+    await assert.rejects(
+      () => handler({ intent: 'execute-next', ...session, input: mutation }),
+      (error) => /confirmEnvironment="production" is required/.test(error.message)
+    );
+    const fetched = parseToolResponse(await handler({ intent: 'get-session', ...session }));
+    assert.equal(fetched.session.inputContext.confirmEnvironment, undefined);
+    assert.deepEqual(requests, ['POST https://prod.tracer.test/v1/rules']);
+  } finally {
+    global.fetch = previousFetch;
+    config.environments = previousEnvironments;
+  }
+});
@@ -7,8 +7,8 @@ import path from 'node:path';
 import { parseResponseBody, validateActionRequest } from '../src/products/http-helpers.js';
 import { isResourceForProduct, getProductConfig, listProducts } from '../src/catalog/product-registry.js';
 import { routeAndExecute as executeFetcher } from '../src/products/fetcher/router.js';
-import { getAllSchemas as getMidazSchemas } from '../src/api/schemas/index.js';
-import { resolveAction as resolveMidazAction } from '../src/api/router.js';
+import { getAllSchemas as getMidazSchemas } from '../src/products/midaz/schemas/index.js';
+import { resolveAction as resolveMidazAction, routeAndExecute as executeMidaz } from '../src/products/midaz/router.js';
 import { getAllSchemas as getFetcherSchemas } from '../src/products/fetcher/schemas/index.js';
 import { resolveAction as resolveFetcherAction } from '../src/products/fetcher/router.js';
 import { getAllSchemas as getReporterSchemas } from '../src/products/reporter/schemas/index.js';
@@ -133,6 +133,37 @@ test('fetcher router executes a validated list action with configured headers',
   }
 });
 
+test('midaz router targets the component URL and forwards allowlisted idempotency headers', async () => {
+  const previousFetch = global.fetch;
+  try {
+    global.fetch = async (url, options) => {
+      assert.equal(url, 'http://localhost:3001/v1/organizations/org-1/ledgers/ledger-1/transactions/inflow');
+      assert.equal(options.headers['X-Idempotency'], 'idem-1');
+      assert.equal(options.headers['X-Lerian-MCP-Mutation-Reason'], 'fund test account');
+      assert.equal(options.headers['X-Unlisted'], undefined);
+      return new Response(JSON.stringify({ id: 'tx-1' }), {
+        status: 201,
+        headers: { 'content-type': 'application/json' }
+      });
+    };
+
+    const result = await executeMidaz({
+      resource: 'transactions',
+      action: 'createInflow',
+      pathParams: { organizationId: 'org-1', ledgerId: 'ledger-1' },
+      body: { send: { asset: 'USD', value: '10.00', distribute: { to: [{ account: '@savings', amount: { asset: 'USD', value: '10.00' } }] } } },
+      headers: { 'x-idempotency': 'idem-1', 'X-Unlisted': 'dropped' },
+      confirmMutation: true,
+      mutationReason: 'fund test account'
+    });
+
+    assert.deepEqual(result, { id: 'tx-1' });
+    assert.equal(resolveMidazAction('transactions', 'createInflow').responseType, 'json');
+  } finally {
+    global.fetch = previousFetch;
+  }
+});
+
 test('config loader accepts --config and Lerian config file names', async () => {
   const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'lerian-config-test-'));
   const configPath = path.join(tempDir, 'lerian-mcp-config.json');
@@ -1,13 +1,23 @@
 import test from 'node:test';
 import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
 
 import {
   buildUrl,
   createApiError,
   decodeUploadContent,
+  describeMutationRequest,
   sanitizeCustomHeaders,
   validateActionRequest
 } from '../src/products/http-helpers.js';
+import { deriveIdempotencyKey } from '../src/products/idempotency.js';
+import { registerMatcherExecuteTool } from '../src/tools/matcher-execute.js';
+import { registerApprovalsTool } from '../src/tools/lerian-approvals.js';
+import { evaluateActionPolicy } from '../src/products/policy.js';
+import { registerProductAdapters } from '../src/products/index.js';
+import { configPromise } from '../src/config.js';
 
 test('product header sanitizer prevents caller auth override and keeps allowlisted headers', () => {
   const sanitized = sanitizeCustomHeaders({
@@ -87,3 +97,313 @@ test('multipart upload decoder enforces byte limits', () => {
     /exceeds the configured 3 byte limit/
   );
 });
+
+test('confirmed mutations get a deterministic idempotency key that is returned with the result', async () => {
+  const config = await configPromise;
+  const previousApprovals = config.approvals;
+  config.approvals = { enabled: false };
+  const previousFetch = global.fetch;
+  const sentKeys = [];
+  global.fetch = async (_url, options) => {
+    sentKeys.push(options.headers['X-Idempotency-Key']);
+    return new Response(JSON.stringify({ status: 'MATCHED' }), { status: 200, headers: { 'content-type': 'application/json' } });
+  };
+
+  let handler;
+  registerMatcherExecuteTool({
+    registerTool(_name, _config, registeredHandler) {
+      handler = registeredHandler;
+    }
+  });
+
+  const forceMatch = (overrides = {}) => handler({
+    resource: 'exceptions',
+    action: 'forceMatch',
+    pathParams: { exceptionId: 'exc-1' },
+    body: { overrideReason: 'manual review', notes: 'ok' },
+    confirmMutation: true,
+    mutationReason: 'close exception',
+    ...overrides
+  }, {});
+
+  try {
+    const first = JSON.parse((await forceMatch()).content[0].text);
+    const second = JSON.parse((await forceMatch({ body: { notes: 'ok', overrideReason: 'manual review' } })).content[0].text);
+    const otherReason = JSON.parse((await forceMatch({ mutationReason: 'different reason' })).content[0].text);
+    const supplied = JSON.parse((await forceMatch({ headers: { 'x-idempotency-key': 'caller-key' } })).content[0].text);
+
+    assert.deepEqual(first.result, { status: 'MATCHED' });
+    assert.equal(first.idempotency.header, 'X-Idempotency-Key');
+    assert.equal(first.idempotency.generated, true);
+    assert.match(first.idempotency.key, /^[0-9a-f]{8}-[0-9a-f]{4}-5[0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/);
+    assert.equal(second.idempotency.key, first.idempotency.key);
+    assert.notEqual(otherReason.idempotency.key, first.idempotency.key);
+    assert.deepEqual(supplied.idempotency, { header: 'X-Idempotency-Key', key: 'caller-key', generated: false });
+    assert.deepEqual(sentKeys, [first.idempotency.key, first.idempotency.key, otherReason.idempotency.key, 'caller-key']);
+
+    assert.equal(deriveIdempotencyKey({ tool: 'a', resource: 'r', action: 'x', body: { b: 1, a: 2 } }),
+      deriveIdempotencyKey({ tool: 'a', resource: 'r', action: 'x', body: { a: 2, b: 1 } }));
+  } finally {
+    config.approvals = previousApprovals;
+    global.fetch = previousFetch;
+  }
+});
+
+test('action policy blocks denied and read-only mutations and hides fully blocked execute tools', async () => {
+  const config = await configPromise;
+  const previousPolicy = config.policy;
+  const previousFetch = global.fetch;
+  let fetchCalls = 0;
+  global.fetch = async () => {
+    fetchCalls += 1;
+    return new Response(JSON.stringify({ items: [] }), { status: 200, headers: { 'content-type': 'application/json' } });
+  };
+
+  config.policy = {
+    readOnly: false,
+    products: {
+      matcher: { deny: ['governance.pseudonymizeActor'] },
+      tracer: { readOnly: true },
+      flowker: { allow: ['workflows.create'] },
+      underwriter: { deny: ['*'] }
+    }
+  };
+
+  try {
+    assert.equal(evaluateActionPolicy(config, 'matcher', { resource: 'governance', action: 'pseudonymizeActor', method: 'POST' }).allowed, false);
+    assert.equal(evaluateActionPolicy(config, 'tracer', { resource: 'rules', action: 'create', method: 'POST' }).rule, 'policy.products.tracer.readOnly');
+    assert.equal(evaluateActionPolicy(config, 'tracer', { resource: 'rules', action: 'list', method: 'GET' }).allowed, true);
+    assert.equal(evaluateActionPolicy(config, 'flowker', { resource: 'workflows', action: 'create', method: 'POST' }).allowed, true);
+    assert.equal(evaluateActionPolicy(config, 'flowker', { resource: 'workflows', action: 'delete', method: 'DELETE' }).rule, 'policy.products.flowker.allow');
+    assert.equal(evaluateActionPolicy({ policy: { readOnly: true } }, 'midaz', { resource: 'transactions', action: 'revert', method: 'POST' }).rule, 'policy.readOnly');
+
+    let handler;
+    registerMatcherExecuteTool({
+      registerTool(_name, _config, registeredHandler) {
+        handler = registeredHandler;
+      }
+    });
+
+    await assert.rejects(
+      handler({
+        resource: 'governance',
+        action: 'pseudonymizeActor',
+        pathParams: { actorId: 'actor-1' },
+        confirmMutation: true,
+        mutationReason: 'privacy request'
+      }, {}),
+      (error) => error.code === -32003 && /Blocked by policy: matcher governance.pseudonymizeActor/.test(error.message)
+    );
+    assert.equal(fetchCalls, 0);
+
+    const registered = [];
+    const products = registerProductAdapters({
+      registerTool(name) {
+        registered.push(name);
+      }
+    });
+
+    assert.equal(registered.includes('underwriter-execute'), false);
+    assert.equal(registered.includes('underwriter-discover'), true);
+    assert.equal(registered.includes('tracer-execute'), true);
+    assert.deepEqual(products.find((product) => product.id === 'underwriter').liveToolNames, ['underwriter-discover']);
+
+    // readOnly still allows reads, so every execute tool stays listed and refuses mutations on call
+    config.policy = { readOnly: true };
+    const readOnlyRegistered = [];
+    registerProductAdapters({
+      registerTool(name) {
+        readOnlyRegistered.push(name);
+      }
+    });
+    assert.deepEqual(
+      readOnlyRegistered.filter((name) => name.endsWith('-execute')).sort(),
+      ['fetcher-execute', 'flowker-execute', 'matcher-execute', 'midaz-execute', 'reporter-execute', 'tracer-execute', 'underwriter-execute']
+    );
+  } finally {
+    config.policy = previousPolicy;
+    global.fetch = previousFetch;
+  }
+});
+
+test('actions flagged requiresApproval are queued until a different caller approves them', async () => {
+  const config = await configPromise;
+  const previousApprovals = config.approvals;
+  const previousFetch = global.fetch;
+  const storeDir = fs.mkdtempSync(path.join(os.tmpdir(), 'lerian-approvals-'));
+  const requests = [];
+  global.fetch = async (url, options) => {
+    requests.push({ url: String(url), key: options.headers['X-Idempotency-Key'] });
+    return new Response(JSON.stringify({ status: 'MATCHED' }), { status: 200, headers: { 'content-type': 'application/json' } });
+  };
+  config.approvals = { enabled: true, ttlMs: 60000, storePath: path.join(storeDir, 'approvals.json') };
+
+  const handlers = {};
+  const server = {
+    registerTool(name, _config, registeredHandler) {
+      handlers[name] = registeredHandler;
+    }
+  };
+  registerMatcherExecuteTool(server);
+  registerApprovalsTool(server);
+  const as = (userId) => ({ context: { userId } });
+
+  try {
+    const queued = JSON.parse((await handlers['matcher-execute']({
+      resource: 'exceptions',
+      action: 'forceMatch',
+      pathParams: { exceptionId: 'exc-1' },
+      body: { overrideReason: 'manual review', notes: 'ok' },
+      confirmMutation: true,
+      mutationReason: 'close exception'
+    }, as('alice'))).content[0].text);
+
+    assert.equal(queued.result.status, 'pending-approval');
+    assert.equal(queued.result.requestedBy, 'alice');
+    assert.equal(requests.length, 0);
+    assert.equal((fs.statSync(config.approvals.storePath).mode & 0o777), 0o600);
+
+    const approvalId = queued.result.approvalId;
+    const listed = JSON.parse((await handlers['lerian-approvals']({ intent: 'list', status: 'pending' }, as('bob'))).content[0].text);
+    assert.deepEqual(listed.approvals.map((item) => item.approvalId), [approvalId]);
+
+    await assert.rejects(
+      handlers['lerian-approvals']({ intent: 'approve', approvalId }, as('alice')),
+      (error) => error.code === -32602 && /different caller than the requester/.test(error.message)
+    );
+    for (const anonymous of [{}, as('anonymous')]) {
+      await assert.rejects(
+        handlers['lerian-approvals']({ intent: 'reject', approvalId }, anonymous),
+        (error) => error.code === -32602 && /anonymous callers cannot approve or reject/.test(error.message)
+      );
+    }
+
+    const approved = JSON.parse((await handlers['lerian-approvals']({ intent: 'approve', approvalId, reason: 'checked' }, as('bob'))).content[0].text);
+    assert.deepEqual(approved.result, { status: 'MATCHED' });
+    assert.equal(approved.approval.status, 'executed');
+    assert.equal(approved.approval.decidedBy, 'bob');
+    assert.equal(requests.length, 1);
+    assert.match(requests[0].url, /exceptions\/exc-1\/force-match/);
+    assert.equal(requests[0].key, queued.idempotency.key);
+
+    await assert.rejects(
+      handlers['lerian-approvals']({ intent: 'approve', approvalId }, as('carol')),
+      (error) => error.code === -32602 && /is executed; only pending approvals can be decided/.test(error.message)
+    );
+  } finally {
+    config.approvals = previousApprovals;
+    global.fetch = previousFetch;
+    fs.rmSync(storeDir, { recursive: true, force: true });
+  }
+});
+
+test('anonymous stdio callers run flagged actions directly unless queueAnonymous is set', async () => {
+  const config = await configPromise;
+  const previousApprovals = config.approvals;
+  const previousFetch = global.fetch;
+  const storeDir = fs.mkdtempSync(path.join(os.tmpdir(), 'lerian-approvals-'));
+  const requests = [];
+  global.fetch = async (url) => {
+    requests.push(String(url));
+    return new Response(JSON.stringify({ status: 'MATCHED' }), { status: 200, headers: { 'content-type': 'application/json' } });
+  };
+  config.approvals = { enabled: true, ttlMs: 60000, storePath: path.join(storeDir, 'approvals.json') };
+
+  let execute;
+  registerMatcherExecuteTool({
+    registerTool(_name, _config, registeredHandler) {
+      execute = registeredHandler;
+    }
+  });
+  const forceMatch = {
+    resource: 'exceptions',
+    action: 'forceMatch',
+    pathParams: { exceptionId: 'exc-1' },
+    body: { overrideReason: 'manual review', notes: 'ok' },
+    confirmMutation: true,
+    mutationReason: 'close exception'
+  };
+
+  try {
+    // stdio passes no identity, so the caller resolves to 'anonymous'
+    const direct = JSON.parse((await execute(forceMatch, {})).content[0].text);
+    assert.deepEqual(direct.result, { status: 'MATCHED' });
+    assert.equal(requests.length, 1);
+    assert.equal(fs.existsSync(config.approvals.storePath), false);
+
+    config.approvals = { ...config.approvals, queueAnonymous: true };
+    const queued = JSON.parse((await execute(forceMatch, {})).content[0].text);
+    assert.equal(queued.result.status, 'pending-approval');
+    assert.equal(queued.result.requestedBy, 'anonymous');
+    assert.equal(requests.length, 1);
+  } finally {
+    config.approvals = previousApprovals;
+    global.fetch = previousFetch;
+    fs.rmSync(storeDir, { recursive: true, force: true });
+  }
+});
+
+test('mutations are confirmed by the user through elicitation when the client supports it', async () => {
+  const previousFetch = global.fetch;
+  const fetched = [];
+  global.fetch = async (url, options) => {
+    fetched.push({ url: String(url), method: options.method });
+    return new Response(JSON.stringify({ id: 'ctx-1' }), { status: 200, headers: { 'content-type': 'application/json' } });
+  };
+
+  const prompts = [];
+  let answer = { action: 'accept', content: { confirm: true } };
+  const register = (capabilities) => {
+    let handler;
+    registerMatcherExecuteTool({
+      server: {
+        getClientCapabilities: () => capabilities,
+        elicitInput: async (params) => {
+          prompts.push(params);
+          return answer;
+        }
+      },
+      registerTool(_name, _config, registeredHandler) {
+        handler = registeredHandler;
+      }
+    });
+    return handler;
+  };
+  const update = {
+    resource: 'contexts',
+    action: 'update',
+    pathParams: { contextId: 'ctx-1' },
+    body: { name: 'Renamed', autoMatchOnUpload: true },
+    mutationReason: 'rename context'
+  };
+
+  try {
+    const handler = register({ elicitation: { form: {} } });
+
+    const confirmed = JSON.parse((await handler(update, {})).content[0].text);
+    assert.deepEqual(confirmed, { id: 'ctx-1' });
+    assert.equal(prompts.length, 1);
+    assert.match(prompts[0].message, /PATCH \/v1\/contexts\/ctx-1 \(contexts\.update\)/);
+    assert.match(prompts[0].message, /Reason: rename context/);
+    assert.match(prompts[0].message, /~ name: "Renamed"/);
+    assert.match(prompts[0].message, /~ autoMatchOnUpload: true/);
+    assert.deepEqual(
+      describeMutationRequest({ method: 'POST', pathTemplate: '/v1/sources', resource: 'sources', action: 'create' }, { body: { config: { password: 'hidden' } } }).changes,
+      ['+ config.password: [redacted]']
+    );
+
+    answer = { action: 'decline' };
+    await assert.rejects(handler({ ...update, confirmMutation: true }, {}), (error) => error.code === 'MUTATION_DECLINED');
+    assert.equal(fetched.length, 1);
+
+    await handler({ resource: 'contexts', action: 'list' }, {});
+    assert.equal(prompts.length, 2);
+
+    const withoutElicitation = register({});
+    await assert.rejects(withoutElicitation(update, {}), (error) => /confirmMutation=true is required/.test(error.message));
+    assert.equal(prompts.length, 2);
+    assert.equal(fetched.length, 2);
+  } finally {
+    global.fetch = previousFetch;
+  }
+});
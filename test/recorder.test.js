@@ -0,0 +1,94 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+
+import { configPromise } from '../src/config.js';
+import { resetRecording } from '../src/products/recorder.js';
+import { routeAndExecute as executeMidaz } from '../src/products/midaz/router.js';
+import { routeAndExecute as executeReporter } from '../src/products/reporter/router.js';
+
+test('record mode writes redacted fixtures that replay mode serves offline', async () => {
+  const config = await configPromise;
+  const previousEnvironments = config.environments;
+  const previousFetch = global.fetch;
+  const fixtureDir = fs.mkdtempSync(path.join(os.tmpdir(), 'lerian-record-test-'));
+  const requests = [];
+  const json = (status, payload) => new Response(JSON.stringify(payload), { status, headers: { 'content-type': 'application/json' } });
+
+  config.environments = {
+    recorded: {
+      midazApi: { authToken: 'midaz-secret' },
+      reporterApi: { managerUrl: 'https://reporter.test', authToken: 'reporter-secret' }
+    }
+  };
+  global.fetch = async (url, options) => {
+    requests.push({ url, method: options.method, body: options.body });
+    if (url.includes('/v1/templates')) {
+      return json(201, { id: 'tpl-1', outputFormat: 'html' });
+    }
+    const page = new URL(url).searchParams.get('page');
+    return json(200, { items: [{ id: `org-${page}`, apiKey: 'leaked' }], page: Number(page), limit: 1 });
+  };
+
+  const session = async () => [
+    await executeMidaz({ resource: 'organizations', action: 'list', queryParams: { limit: 1, page: 1 }, environment: 'recorded' }),
+    await executeMidaz({ resource: 'organizations', action: 'list', queryParams: { page: 2, limit: 1 }, environment: 'recorded' }),
+    await executeReporter({
+      resource: 'templates',
+      action: 'create',
+      multipart: { template: { filename: 'a.tpl', content: 'hello' }, outputFormat: 'html' },
+      confirmMutation: true,
+      mutationReason: 'record test',
+      environment: 'recorded'
+    })
+  ];
+
+  try {
+    process.env.LERIAN_MCP_RECORD = fixtureDir;
+    const recorded = await session();
+    assert.equal(requests.length, 3);
+    assert.ok(requests[2].body instanceof FormData);
+    // Recording must not change what the live caller sees
+    assert.equal(recorded[0].items[0].apiKey, 'leaked');
+
+    const files = fs.readdirSync(path.join(fixtureDir, 'midaz'));
+    assert.deepEqual(files, ['0001-get-v1-organizations.json', '0002-get-v1-organizations.json']);
+    const fixture = JSON.parse(fs.readFileSync(path.join(fixtureDir, 'midaz', files[1]), 'utf8'));
+    assert.deepEqual(fixture.params.queryParams, { limit: '1', page: '2' });
+    assert.equal(fixture.request.headers.Authorization, '[redacted]');
+
+    const template = JSON.parse(fs.readFileSync(path.join(fixtureDir, 'reporter', '0003-post-v1-templates.json'), 'utf8'));
+    assert.equal(template.request.multipart.template.size, 5);
+    assert.equal(template.request.multipart.outputFormat, 'html');
+    assert.equal(template.response.status, 201);
+    const written = fs.readdirSync(fixtureDir).flatMap((dir) => fs.readdirSync(path.join(fixtureDir, dir))
+      .map((file) => fs.readFileSync(path.join(fixtureDir, dir, file), 'utf8')));
+    assert.equal(written.some((content) => /midaz-secret|reporter-secret|leaked/.test(content)), false);
+
+    delete process.env.LERIAN_MCP_RECORD;
+    process.env.LERIAN_MCP_REPLAY = fixtureDir;
+    resetRecording();
+    global.fetch = async () => {
+      throw new Error('network used during replay');
+    };
+
+    const replayed = await session();
+    assert.equal(replayed[0].items[0].apiKey, '[redacted]');
+    assert.deepEqual(replayed, recorded.map((result, index) => (index < 2
+      ? { ...result, items: result.items.map((item) => ({ ...item, apiKey: '[redacted]' })) }
+      : result)));
+    await assert.rejects(
+      executeMidaz({ resource: 'organizations', action: 'list', queryParams: { page: 3 }, environment: 'recorded' }),
+      /No recorded midaz response for GET \/v1\/organizations/
+    );
+  } finally {
+    delete process.env.LERIAN_MCP_RECORD;
+    delete process.env.LERIAN_MCP_REPLAY;
+    resetRecording();
+    config.environments = previousEnvironments;
+    global.fetch = previousFetch;
+    fs.rmSync(fixtureDir, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,85 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import { computeBackoffDelay, isRetryableRequest, parseRetryAfter, resolveRetryPolicy } from '../src/products/retry.js';
+import { routeAndExecute as executeMidaz } from '../src/products/midaz/router.js';
+
+test('retry policy honours Retry-After, jitter bounds, and idempotency rules', () => {
+  const policy = resolveRetryPolicy({ baseDelayMs: 100, maxDelayMs: 300 });
+  assert.equal(policy.maxAttempts, 3);
+  assert.equal(computeBackoffDelay(1, policy, () => 0), 50);
+  assert.equal(computeBackoffDelay(1, policy, () => 1), 100);
+  assert.equal(computeBackoffDelay(4, policy, () => 1), 300);
+  assert.equal(resolveRetryPolicy(false).maxAttempts, 1);
+
+  assert.equal(parseRetryAfter('2'), 2000);
+  assert.equal(parseRetryAfter(new Date(10_000).toUTCString(), 4_000), 6000);
+  assert.equal(parseRetryAfter('soon'), null);
+
+  const idempotencyHeaders = { 'X-Idempotency': { type: 'string' } };
+  assert.equal(isRetryableRequest('GET'), true);
+  assert.equal(isRetryableRequest('POST', {}, idempotencyHeaders), false);
+  assert.equal(isRetryableRequest('POST', { 'X-Idempotency': 'key-1' }, {}), false);
+  assert.equal(isRetryableRequest('POST', { 'X-Idempotency': 'key-1' }, idempotencyHeaders), true);
+});
+
+test('live requests retry transient failures only when replay is safe', async () => {
+  const previousFetch = global.fetch;
+  const calls = [];
+  const responses = [];
+  global.fetch = async (url, options) => {
+    calls.push({ url, method: options.method, signal: options.signal });
+    const next = responses.shift();
+    if (next instanceof Error) {
+      throw next;
+    }
+    return next;
+  };
+  const json = (status, body, headers = {}) => new Response(JSON.stringify(body), {
+    status,
+    headers: { 'content-type': 'application/json', ...headers }
+  });
+  const inflow = () => executeMidaz({
+    resource: 'transactions',
+    action: 'createInflow',
+    pathParams: { organizationId: 'org-1', ledgerId: 'ledger-1' },
+    body: { send: { asset: 'USD', value: '1.00', distribute: { to: [{ account: '@a', amount: { asset: 'USD', value: '1.00' } }] } } },
+    confirmMutation: true,
+    mutationReason: 'retry test'
+  });
+
+  try {
+    responses.push(json(503, { error: 'busy' }, { 'retry-after': '0' }), json(429, {}, { 'retry-after': '0' }), json(200, { items: [] }));
+    assert.deepEqual(await executeMidaz({ resource: 'organizations', action: 'list' }), { items: [] });
+    assert.equal(calls.length, 3);
+    assert.notEqual(calls[0].signal, calls[1].signal);
+
+    calls.length = 0;
+    responses.push(Object.assign(new TypeError('fetch failed'), { cause: { code: 'ECONNRESET' } }), json(200, { items: [] }));
+    await executeMidaz({ resource: 'organizations', action: 'list' });
+    assert.equal(calls.length, 2);
+
+    calls.length = 0;
+    responses.push(json(503, {}, { 'retry-after': '0' }));
+    await assert.rejects(() => executeMidaz({
+      resource: 'organizations',
+      action: 'create',
+      body: { legalName: 'Acme', legalDocument: '123' },
+      confirmMutation: true,
+      mutationReason: 'retry test'
+    }), /Midaz API error: 503/);
+    assert.equal(calls.length, 1);
+
+    calls.length = 0;
+    responses.push(json(502, {}, { 'retry-after': '0' }), json(201, { id: 'tx-1' }));
+    assert.deepEqual(await inflow(), { id: 'tx-1' });
+    assert.equal(calls.length, 2);
+
+    calls.length = 0;
+    responses.push(json(503, {}, { 'retry-after': '3600' }));
+    await assert.rejects(() => executeMidaz({ resource: 'organizations', action: 'list' }), /Midaz API error: 503/);
+    assert.equal(calls.length, 1);
+  } finally {
+    global.fetch = previousFetch;
+  }
+});
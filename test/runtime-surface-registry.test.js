@@ -4,10 +4,14 @@ import assert from 'node:assert/strict';
 import { getRuntimeSurface, listRuntimeToolMetadata, listLiveApiPairs } from '../src/runtime/surface-registry.js';
 import { registerLerianTool } from '../src/tools/lerian.js';
 import { registerPortfolioWorkflowTool } from '../src/tools/portfolio-workflow.js';
+import { registerApprovalsTool } from '../src/tools/lerian-approvals.js';
+import { registerAuditTool } from '../src/tools/lerian-audit.js';
+import { registerBatchTool } from '../src/tools/lerian-batch.js';
 import { registerProductAdapters } from '../src/products/index.js';
 import { registerDiscoveryPrompts } from '../src/prompts/tool-discovery.js';
 import { registerWorkflowPrompts } from '../src/prompts/midaz-workflows.js';
 import { registerAdvancedPrompts } from '../src/prompts/advanced-workflows.js';
+import { getRegisteredToolNames } from '../src/util/mcp-registration.js';
 
 test('runtime surface registry stays internally consistent', () => {
   const surface = getRuntimeSurface();
@@ -26,9 +30,13 @@ test('runtime surface includes workflow tool plus live adapters across the expan
     'flowker-discover',
     'flowker-execute',
     'lerian',
+    'lerian-approvals',
+    'lerian-audit',
+    'lerian-batch',
     'matcher-discover',
     'matcher-execute',
     'midaz-discover',
+    'midaz-dsl',
     'midaz-execute',
     'portfolio-workflow',
     'reporter-discover',
@@ -83,12 +91,16 @@ test('runtime metadata matches actual tool and prompt registration', () => {
 
   registerLerianTool(fakeServer);
   registerPortfolioWorkflowTool(fakeServer);
+  registerApprovalsTool(fakeServer);
+  registerAuditTool(fakeServer);
+  registerBatchTool(fakeServer);
   registerProductAdapters(fakeServer);
   registerDiscoveryPrompts(fakeServer);
   registerWorkflowPrompts(fakeServer);
   registerAdvancedPrompts(fakeServer);
 
   const surface = getRuntimeSurface();
+  assert.deepEqual(getRegisteredToolNames(fakeServer), registeredTools);
   assert.deepEqual(registeredTools.sort(), surface.tools.map((tool) => tool.name).sort());
   assert.deepEqual(registeredPrompts.sort(), surface.prompts.map((prompt) => prompt.name).sort());
 });
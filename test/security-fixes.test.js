@@ -1,10 +1,14 @@
 import test from 'node:test';
 import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
 
 import { createSignedCursor, verifyAndDecodeCursor } from '../src/util/cursor-security.js';
 import { createToolResponse, wrapToolHandler, createErrorResponse, ErrorCodes } from '../src/util/mcp-helpers.js';
 import { validateActionRequest } from '../src/products/http-helpers.js';
 import { webhooksSchema } from '../src/products/flowker/schemas/webhooks.js';
+import { createAuditChain } from '../src/util/audit-chain.js';
 
 test('createToolResponse handles empty and non-JSON-safe values without crashing', () => {
   assert.deepEqual(createToolResponse(undefined).content[0].text, '');
@@ -76,3 +80,70 @@ test('Flowker webhooks accept direct freeform JSON bodies and still validate pat
     mutationReason: 'integration test'
   }), /Missing required path parameters: path/);
 });
+
+test('hash-chained audit log rotates with a continuation marker and detects tampering', () => {
+  const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'lerian-audit-'));
+  const logPath = path.join(directory, 'audit.log');
+  const chain = createAuditChain({ logPath, key: 'test-key', maxBytes: 900 });
+
+  try {
+    chain.append({ timestamp: '2026-01-01T00:00:00.000Z', type: 'tool_invocation', tool: 'midaz-execute', user: 'alice', success: true });
+    chain.append({ timestamp: '2026-01-01T00:01:00.000Z', type: 'tool_invocation', tool: 'matcher-execute', user: 'bob', success: false });
+    chain.append({ timestamp: '2026-01-01T00:02:00.000Z', type: 'approval_approved', product: 'midaz', user: 'bob' });
+    chain.append({ timestamp: '2026-01-01T00:03:00.000Z', type: 'tool_invocation', tool: 'midaz-execute', user: 'alice', success: false });
+
+    const files = chain.listFiles();
+    assert.equal(files.length, 2, 'expected the size limit to rotate the log once');
+    const activeFirst = JSON.parse(fs.readFileSync(logPath, 'utf8').split('\n')[0]);
+    assert.equal(activeFirst.type, 'audit_chain_continued');
+    assert.equal(activeFirst.previousFile, path.basename(files[files.length - 2]));
+
+    const clean = chain.verify();
+    assert.equal(clean.valid, true, JSON.stringify(clean.issues));
+    assert.equal(clean.head.seq, clean.entries - 1);
+
+    assert.deepEqual(chain.query({ product: 'midaz' }).entries.map((entry) => entry.type), ['tool_invocation', 'approval_approved', 'tool_invocation']);
+    assert.deepEqual(chain.query({ caller: 'alice', outcome: 'failure' }).entries.map((entry) => entry.timestamp), ['2026-01-01T00:03:00.000Z']);
+    assert.equal(chain.query({ from: '2026-01-01T00:01:00.000Z', to: '2026-01-01T00:02:00.000Z', type: 'tool_invocation' }).total, 1);
+    assert.equal(chain.query({ tool: 'midaz-execute', limit: 1 }).truncated, true);
+
+    const firstFile = files[0];
+    const lines = fs.readFileSync(firstFile, 'utf8').trim().split('\n');
+    fs.writeFileSync(firstFile, [lines[0].replace('"alice"', '"mallory"'), ...lines.slice(1)].join('\n') + '\n');
+    assert.deepEqual(chain.verify().issues.map((issue) => issue.issue), ['edited']);
+
+    fs.writeFileSync(firstFile, lines.slice(1).join('\n') + '\n');
+    assert.deepEqual(chain.verify().issues.map((issue) => issue.issue), ['chain_break']);
+
+    fs.rmSync(firstFile);
+    const pruned = chain.verify();
+    assert.equal(pruned.valid, true);
+    assert.match(pruned.notes[0], /continues from audit\..+\.log, which is no longer present/);
+
+    const forged = createAuditChain({ logPath, key: 'other-key' }).verify();
+    assert.equal(forged.valid, false);
+  } finally {
+    fs.rmSync(directory, { recursive: true, force: true });
+  }
+});
+
+test('audit chain writers sharing one log re-read the head instead of forking the chain', () => {
+  const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'lerian-audit-'));
+  const logPath = path.join(directory, 'audit.log');
+  const first = createAuditChain({ logPath, key: 'test-key' });
+  const second = createAuditChain({ logPath, key: 'test-key' });
+
+  try {
+    for (let index = 0; index < 3; index += 1) {
+      first.append({ timestamp: new Date().toISOString(), type: 'tool_invocation', user: 'first' });
+      second.append({ timestamp: new Date().toISOString(), type: 'tool_invocation', user: 'second' });
+    }
+
+    const result = first.verify();
+    assert.equal(result.valid, true, JSON.stringify(result.issues));
+    assert.equal(result.head.seq, 5);
+    assert.equal(fs.existsSync(`${logPath}.lock`), false);
+  } finally {
+    fs.rmSync(directory, { recursive: true, force: true });
+  }
+});
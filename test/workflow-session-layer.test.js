@@ -1,7 +1,13 @@
 import test from 'node:test';
 import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { spawnSync } from 'node:child_process';
+import { createRequire } from 'node:module';
 
 import {
+  configureWorkflowSessionStore,
   createWorkflowSession,
   getWorkflowSession,
   listWorkflowSessions,
@@ -10,8 +16,18 @@ import {
   recordWorkflowStep,
   resetWorkflowSessions
 } from '../src/workflows/session-store.js';
+import { createSessionBackend } from '../src/workflows/session-backends.js';
 import { getWorkflow, listWorkflows } from '../src/workflows/index.js';
 
+const sqliteAvailable = (() => {
+  try {
+    createRequire(import.meta.url)('better-sqlite3');
+    return true;
+  } catch {
+    return false;
+  }
+})();
+
 test('workflow registry exposes both implemented workflows', () => {
   const workflows = listWorkflows();
   const ids = workflows.map((workflow) => workflow.id);
@@ -135,3 +151,72 @@ test('workflow artifact capture keeps important IDs for follow-up steps', () =>
     reportId: 'report-1'
   });
 });
+
+for (const store of ['file', 'sqlite']) {
+  test(`${store} workflow session store survives restarts and is shared across processes`, { skip: store === 'sqlite' && !sqliteAvailable }, () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), `lerian-sessions-${store}-`));
+    const storePath = path.join(dir, store === 'file' ? 'sessions.json' : 'sessions.db');
+    const options = { store, path: storePath, secret: 'session-test-secret' };
+    const scope = { scopeId: 'persist-scope' };
+    let other;
+    let foreign;
+
+    try {
+      assert.equal(configureWorkflowSessionStore(options), store);
+      const session = createWorkflowSession('fetcher-to-reporter', { organizationId: 'org-1', notes: 'plain-marker' }, scope);
+      const auth = { ...scope, sessionToken: session.sessionToken };
+
+      const raw = fs.readdirSync(dir).map((file) => fs.readFileSync(path.join(dir, file)).toString('latin1')).join('');
+      assert.ok(raw.length > 0);
+      assert.equal(raw.includes('plain-marker'), false);
+      assert.equal(raw.includes(session.sessionToken), false);
+
+      // A second backend on the same path stands in for a restarted or parallel server
+      configureWorkflowSessionStore(options);
+      assert.equal(getWorkflowSession(session.sessionId, auth).inputContext.organizationId, 'org-1');
+      assert.equal(getWorkflowSession(session.sessionId, { ...scope, sessionToken: 'wrong' }), null);
+
+      other = createSessionBackend(options);
+      other.transaction((sessions) => {
+        const stored = sessions.get(session.sessionId);
+        sessions.set({ ...stored, completedSteps: ['list-reporter-data-sources'] });
+      });
+      assert.deepEqual(getWorkflowSession(session.sessionId, auth).completedSteps, ['list-reporter-data-sources']);
+
+      recordWorkflowStep(session.sessionId, { step: 'get-reporter-data-source', input: {}, result: { id: 'ds-1' }, artifacts: { dataSourceId: 'ds-1' } }, auth);
+      assert.equal(other.transaction((sessions) => sessions.get(session.sessionId)).artifacts.dataSourceId, 'ds-1');
+
+      for (let index = 0; index < 20; index += 1) {
+        createWorkflowSession('fetcher-to-reporter', {}, scope);
+      }
+      assert.equal(getWorkflowSession(session.sessionId, auth), null);
+      assert.equal(other.transaction((sessions) => sessions.values().length), 20);
+
+      foreign = createSessionBackend({ ...options, secret: 'another-secret' });
+      assert.throws(() => foreign.transaction((sessions) => sessions.values()), /could not be decrypted/);
+    } finally {
+      foreign?.close();
+      other?.close();
+      configureWorkflowSessionStore({ store: 'memory' });
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+}
+
+test('file workflow session store reclaims a lock left by a crashed process', () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'lerian-sessions-lock-'));
+  const storePath = path.join(dir, 'sessions.json');
+  const deadPid = spawnSync(process.execPath, ['-e', '']).pid;
+  fs.writeFileSync(`${storePath}.lock`, JSON.stringify({ host: os.hostname(), pid: deadPid, token: 'crashed' }));
+  const backend = createSessionBackend({ store: 'file', path: storePath, secret: 'session-test-secret' });
+
+  try {
+    const startedAt = Date.now();
+    assert.equal(backend.transaction((sessions) => sessions.values().length), 0);
+    assert.ok(Date.now() - startedAt < 1000);
+    assert.deepEqual(fs.readdirSync(dir), []);
+  } finally {
+    backend.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});